@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { signInWithEmailAndPassword, sendPasswordResetEmail } from 'firebase/auth';
+import { Package, Mail, Lock, Loader2, LogIn } from 'lucide-react';
+import { useI18n } from '@fresh-eats/shared';
+
+// Maps Firebase Auth error codes to messages that do not leak whether an account exists.
+const describeAuthError = (e, t) => {
+  switch (e.code) {
+    case 'auth/invalid-credential':
+    case 'auth/invalid-email':
+    case 'auth/user-not-found':
+    case 'auth/wrong-password':
+      return t('signIn.incorrect');
+    case 'auth/too-many-requests':
+      return t('signIn.tooManyAttempts');
+    case 'auth/user-disabled':
+      return t('signIn.disabled');
+    default:
+      return t('signIn.failed', { message: e.message });
+  }
+};
+
+// ----------------------
+// ADMIN SIGN-IN SCREEN
+// ----------------------
+
+// Email/password sign-in for staff. Accounts are created in the Firebase console
+// and granted the 'admin_user' role with firebase/scripts/set-admin-role.js.
+const AdminSignIn = ({ auth }) => {
+  const { t } = useI18n();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [signInError, setSignInError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSubmitting || !auth) return;
+    setSignInError(null);
+    setNotice(null);
+    setIsSubmitting(true);
+    try {
+      await signInWithEmailAndPassword(auth, email.trim(), password);
+    } catch (e) {
+      console.error("Admin Sign-In Error:", e);
+      setSignInError(describeAuthError(e, t));
+      setIsSubmitting(false);
+    }
+  };
+
+  const handlePasswordReset = async () => {
+    if (!auth || !email.trim()) {
+      setSignInError(t('signIn.emailFirst'));
+      return;
+    }
+    setSignInError(null);
+    try {
+      await sendPasswordResetEmail(auth, email.trim());
+    } catch (e) {
+      // Reported the same way as success, so the form cannot be used to probe for accounts.
+      console.error("Password Reset Error:", e);
+    }
+    setNotice(t('signIn.resetSent'));
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4 bg-gray-50">
+      <div className="w-full max-w-sm bg-white p-6 rounded-lg shadow-xl border border-gray-100">
+        <div className="flex items-center justify-center space-x-2 mb-6">
+          <Package className="w-8 h-8 text-indigo-600" />
+          <h1 className="text-2xl font-extrabold text-gray-800">{t('signIn.title')}</h1>
+        </div>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="admin-email" className="block text-sm font-medium text-gray-700">{t('signIn.email')}</label>
+            <div className="relative mt-1">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <Mail className="h-5 w-5 text-gray-400" />
+              </div>
+              <input
+                type="email"
+                id="admin-email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                autoComplete="username"
+                required
+                className="block w-full rounded-md pl-10 pr-2 border border-gray-300 p-2 focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </div>
+          </div>
+          <div>
+            <label htmlFor="admin-password" className="block text-sm font-medium text-gray-700">{t('signIn.password')}</label>
+            <div className="relative mt-1">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <Lock className="h-5 w-5 text-gray-400" />
+              </div>
+              <input
+                type="password"
+                id="admin-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+                required
+                className="block w-full rounded-md pl-10 pr-2 border border-gray-300 p-2 focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </div>
+          </div>
+          {signInError && (
+            <p className="text-sm text-red-600 p-2 bg-red-50 border border-red-200 rounded-md">{signInError}</p>
+          )}
+          {notice && (
+            <p className="text-sm text-green-700 p-2 bg-green-50 border border-green-200 rounded-md">{notice}</p>
+          )}
+          <button
+            type="submit"
+            disabled={isSubmitting || !auth}
+            className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition duration-150 ease-in-out disabled:opacity-50"
+          >
+            {isSubmitting ? (
+              <>
+                <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+                {t('signIn.signingIn')}
+              </>
+            ) : (
+              <>
+                <LogIn className="w-5 h-5 mr-2" />
+                {t('signIn.signIn')}
+              </>
+            )}
+          </button>
+          <button type="button" onClick={handlePasswordReset} className="w-full text-sm text-indigo-600 hover:text-indigo-800">
+            {t('signIn.forgotPassword')}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AdminSignIn;
@@ -1,8 +1,29 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, addDoc, onSnapshot, collection, query, serverTimestamp, setLogLevel } from 'firebase/firestore';
-import { Package, PlusCircle, Loader2, DollarSign, List, XCircle, Users } from 'lucide-react';
+import React, { useState, useMemo } from 'react';
+import { signOut } from 'firebase/auth';
+import { doc, writeBatch, collection, serverTimestamp, setLogLevel } from 'firebase/firestore';
+import { Package, PlusCircle, Loader2, Banknote, List, XCircle, Users, Store, ClipboardList, Pencil, Trash2, Save, X, Ban, CheckCircle, LogOut, ShieldAlert, Settings, PauseCircle, MessageSquare, Tag, BarChart3, WifiOff, History, Languages } from 'lucide-react';
+import StoreManager from './StoreManager';
+import OrderQueue from './OrderQueue';
+import MenuTransfer from './MenuTransfer';
+import SettingsManager from './SettingsManager';
+import ReviewManager from './ReviewManager';
+import PromotionManager from './PromotionManager';
+import SalesDashboard from './SalesDashboard';
+import AuditLog from './AuditLog';
+import AdminSignIn from './AdminSignIn';
+import OptionGroupsEditor from './OptionGroupsEditor';
+import ImageField from './ImageField';
+import LazyImage from './LazyImage';
+import { saveWithImage, deleteUnusedImage } from './images';
+import { addAuditEntry } from './audit';
+import { validateProduct, roundPrice, toOptionGroupsPayload } from './products';
+import MESSAGES from './messages';
+import {
+  EMULATOR_FIREBASE_CONFIG, DEV_APP_ID,
+  FirebaseProvider, readFirebaseEnvironment, useFirebase, useAuthUser, useCollection, useDocument, useAppConfig, useOnlineStatus,
+  getStoreCollectionPath, getProductCollectionPath, getProductImagePath, getUserRoleDocPath, describeOptionGroupRule,
+  getThumbnailUrl, getStoreCurrency, I18nProvider, useI18n, SUPPORTED_LOCALES, LOCALE_NAMES,
+} from '@fresh-eats/shared';
 
 // ----------------------
 // 1. FIREBASE SETUP
@@ -20,139 +41,105 @@ const FALLBACK_FIREBASE_CONFIG = {
     appId: "MOCK_APP_ID"
 };
 
-const DEFAULT_APP_ID = 'fresh-eats-admin-dev'; // Used if __app_id is missing
+// Local development: `npm run start:emulators` connects to the Auth and Firestore
+// emulators started from firebase/ instead of falling back to the read-only mock config.
+const useEmulators = process.env.REACT_APP_USE_FIREBASE_EMULATORS === 'true';
 
-// Check for Canvas variables first, then fallback
-const appId = typeof __app_id !== 'undefined' ? __app_id : DEFAULT_APP_ID;
-const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+const DEFAULT_APP_ID = useEmulators ? DEV_APP_ID : 'fresh-eats-admin-dev'; // Used if __app_id is missing
 
-let firebaseConfig;
-try {
-    // Attempt to use the platform config first
-    firebaseConfig = typeof __firebase_config !== 'undefined' && __firebase_config 
-        ? JSON.parse(__firebase_config) 
-        : FALLBACK_FIREBASE_CONFIG;
-} catch (e) {
-    // Fallback if parsing fails
-    firebaseConfig = FALLBACK_FIREBASE_CONFIG;
-}
-
-// The collection path for public data (products)
-const getProductCollectionPath = (appId) => `/artifacts/${appId}/public/data/products`;
+// Canvas variables first, then REACT_APP_APP_ID and the local config (see @fresh-eats/shared).
+const firebaseEnvironment = readFirebaseEnvironment({
+  defaultAppId: process.env.REACT_APP_APP_ID || DEFAULT_APP_ID,
+  localConfig: useEmulators ? EMULATOR_FIREBASE_CONFIG : FALLBACK_FIREBASE_CONFIG,
+});
 
 setLogLevel('error'); 
-// Ensure we track if we are using the fallback config
-const isFallback = firebaseConfig === FALLBACK_FIREBASE_CONFIG;
-
+// The mock config cannot authenticate, so it runs as a read-only preview.
+const isFallback = firebaseEnvironment.firebaseConfig === FALLBACK_FIREBASE_CONFIG;
 
-let app;
-let db;
-let auth;
+const byNewestFirst = (a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0);
+// Archived stores go to the bottom, then alphabetical like the client catalog.
+const byArchivedThenName = (a, b) => (!!a.archived - !!b.archived) || (a.name || "").localeCompare(b.name || "");
 
 // ----------------------
 // 2. MAIN APP COMPONENT
 // ----------------------
 
-const App = () => {
-  const [products, setProducts] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [isAuthReady, setIsAuthReady] = useState(false);
-  const [userId, setUserId] = useState(null);
+const AdminConsole = () => {
+  const { db, auth, storage, appId, error: firebaseError } = useFirebase();
+  const { user, userId, isReady: isAuthReady } = useAuthUser();
+  const { t, locale, setLocale, formatPrice } = useI18n();
+  const userEmail = user?.email;
+  // Named in the audit entry of every change made from the console.
+  const actor = useMemo(() => ({ uid: userId, email: userEmail || null }), [userId, userEmail]);
   const [error, setError] = useState(null);
+  // Live settings from the public config document (Settings tab). Publicly readable, so
+  // this does not wait for the role check.
+  const { config: appConfig, isLoading: appConfigLoading } = useAppConfig();
+  const categories = appConfig.productCategories;
   
   // State for the new product form
   const [newProduct, setNewProduct] = useState({
     name: '',
     description: '',
     price: 0,
-    category: 'Main Dish',
+    category: categories[0],
+    storeId: '',
+    optionGroups: [],
+    // The picked image File, uploaded on save (see ImageField).
+    image: null,
+    imageFile: null,
   });
+  // The config may arrive (or change) after the form was set up: until the admin picks one,
+  // a category it no longer lists falls back to its first.
+  const newProductCategory = categories.includes(newProduct.category) ? newProduct.category : categories[0];
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const categories = ['Main Dish', 'Appetizer', 'Dessert', 'Drink'];
+  const [activeTab, setActiveTab] = useState('menu');
+  // Firestore keeps serving its persistent cache offline; the header says so.
+  const isOnline = useOnlineStatus();
+
+  // State for inline editing in the product list
+  const [editingProductId, setEditingProductId] = useState(null);
+  const [productDraft, setProductDraft] = useState(null);
+  const [isSavingProduct, setIsSavingProduct] = useState(false);
+  const [pendingDeleteProductId, setPendingDeleteProductId] = useState(null);
+  const [listError, setListError] = useState(null);
+
+  // --- Admin Role Check ---
+  // Live, so revoking the role locks the console without a reload.
+  const roleDoc = useDocument(userId && !isFallback ? getUserRoleDocPath(appId, userId) : null);
+
+  // 'checking' until the role document has been read for the current user, then 'granted' or 'denied'.
+  // A failed read (e.g. permission-denied) counts as denied.
+  const roleStatus = roleDoc.isLoading ? 'checking' : roleDoc.data ? 'granted' : 'denied';
+  // The mock-config preview has no real user, but it cannot write anything either.
+  const hasConsoleAccess = isFallback || roleStatus === 'granted';
+
+  // --- Firestore Listeners ---
+  // Only start once the user is known to be an admin. The stores are shared by the
+  // product form's store picker, the Stores tab and the order queue filter.
+  const canListen = isAuthReady && !!userId && hasConsoleAccess;
+  const productsResult = useCollection(canListen ? getProductCollectionPath(appId) : null);
+  const storesResult = useCollection(canListen ? getStoreCollectionPath(appId) : null);
+
+  const products = useMemo(() => [...productsResult.docs].sort(byNewestFirst), [productsResult.docs]);
+  const loading = productsResult.isLoading;
+  const stores = useMemo(() => [...storesResult.docs].sort(byArchivedThenName), [storesResult.docs]);
+  const storesLoading = storesResult.isLoading;
+  const dataError = productsResult.error || storesResult.error;
+  const storesById = Object.fromEntries(stores.map(store => [store.id, store]));
+  // Menu prices are in their store's currency; before a store is picked, the default one.
+  const currencyOf = (storeId) => getStoreCurrency(storesById[storeId], appConfig);
 
+  // --- Data Handlers ---
 
-  // --- Firebase Initialization and Auth ---
-  useEffect(() => {
-    // Check for a usable config before attempting initialization
-    if (!firebaseConfig || !firebaseConfig.projectId) {
-        setError("Initialization Failed: Firebase configuration is missing or invalid.");
-        setIsAuthReady(true);
-        return;
-    }
-    
+  const handleSignOut = async () => {
     try {
-      app = initializeApp(firebaseConfig);
-      db = getFirestore(app);
-      auth = getAuth(app);
-
-      // Listen for auth state changes to set userId and mark ready
-      const unsubscribeAuth = onAuthStateChanged(auth, async (user) => {
-        if (user) {
-          setUserId(user.uid);
-        } else {
-          // Attempt sign-in if not authenticated
-          try {
-            // Use custom token if provided (e.g., in Canvas), otherwise sign in anonymously
-            if (initialAuthToken) {
-              await signInWithCustomToken(auth, initialAuthToken);
-            } else {
-              await signInAnonymously(auth);
-            }
-          } catch (e) {
-            console.error("Firebase Auth Error:", e);
-            // This is expected if using the mock config, so we set a mock ID
-            setUserId(crypto.randomUUID()); 
-            console.warn("Using mock user ID due to failed auth, which is expected with mock config.");
-          }
-        }
-        setIsAuthReady(true);
-      });
-
-      return () => unsubscribeAuth();
+      await signOut(auth);
     } catch (e) {
-      console.error("Firebase Init Error:", e);
-      // The error you were seeing before should be caught here:
-      setError(`Initialization Error: ${e.message}. The Firebase config was invalid.`);
-      setIsAuthReady(true); 
+      console.error("Sign-Out Error:", e);
     }
-  }, []);
-
-  // --- Firestore Listener ---
-  useEffect(() => {
-    // Only proceed if Firebase is initialized and Auth is ready
-    if (!isAuthReady || !db || !userId || error) return;
-
-    // Use the actual appId or the default fallback ID for the data path
-    const dataAppId = isFallback ? DEFAULT_APP_ID : appId;
-
-    const productsRef = collection(db, getProductCollectionPath(dataAppId));
-    const productsQuery = query(productsRef);
-
-    // Set up real-time listener for products
-    const unsubscribeSnapshot = onSnapshot(productsQuery, (snapshot) => {
-      try {
-        const productList = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-        setProducts(productList.sort((a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0)));
-        setLoading(false);
-      } catch (e) {
-        console.error("Firestore Snapshot Error:", e);
-        setError(`Data fetch failed: ${e.message}. Please verify Firestore rules.`);
-        setLoading(false);
-      }
-    }, (e) => {
-      console.error("onSnapshot failed:", e);
-      setError(`Real-time data error: ${e.message}. Please verify Firestore rules.`);
-      setLoading(false);
-    });
-
-    // Cleanup function
-    return () => unsubscribeSnapshot();
-  }, [isAuthReady, userId, error, isFallback]); 
-
-  // --- Data Handlers ---
+  };
 
   const handleInputChange = (e) => {
     const { name, value, type } = e.target;
@@ -167,13 +154,15 @@ const App = () => {
     // Prevent submission if not ready OR if using the mock config
     if (isSubmitting || !db || !userId || !isAuthReady || error || isFallback) {
         if (isFallback) {
-             setError("Write operation denied: Cannot write to Firestore when using the external mock configuration. Data saving only works inside Canvas.");
+             setError(t('product.writeDenied'));
         }
         return;
     }
     
-    if (!newProduct.name || newProduct.price <= 0) {
-      setError("Product name is required and price must be greater than 0.");
+    const productForm = { ...newProduct, category: newProductCategory };
+    const validationError = validateProduct(productForm, { storeIds: stores.map(store => store.id), categories, t });
+    if (validationError) {
+      setError(validationError);
       return;
     }
     setError(null);
@@ -181,63 +170,200 @@ const App = () => {
 
     try {
       const collectionPath = getProductCollectionPath(appId);
-      await addDoc(collection(db, collectionPath), {
-        ...newProduct,
-        price: parseFloat(newProduct.price.toFixed(2)), 
-        available: true,
-        createdAt: serverTimestamp(),
-        createdBy: userId,
-      });
-
-      setNewProduct({ name: '', description: '', price: 0, category: 'Main Dish' });
+      // The id is picked first so the image can be uploaded into the product's folder.
+      const productRef = doc(collection(db, collectionPath));
+      const { imageFile, ...product } = productForm;
+      await saveWithImage(storage, (fileName) => getProductImagePath(appId, productRef.id, fileName), productForm, async (image) => {
+        const payload = {
+          ...product,
+          price: roundPrice(productForm.price),
+          optionGroups: toOptionGroupsPayload(productForm.optionGroups),
+          image,
+          available: true,
+        };
+        const batch = writeBatch(db);
+        batch.set(productRef, { ...payload, createdAt: serverTimestamp(), createdBy: userId });
+        addAuditEntry(batch, db, appId, { actor, action: 'create', entity: 'product', targetPath: productRef.path, after: payload });
+        await batch.commit();
+      }, t);
+
+      // Keep the selected store so several items can be added to the same menu in a row.
+      setNewProduct(prev => ({ name: '', description: '', price: 0, category: prev.category, storeId: prev.storeId, optionGroups: [], image: null, imageFile: null }));
     } catch (e) {
       console.error("Error adding document: ", e);
-      setError(`Failed to add product: ${e.message}. Check your Firebase rules.`);
+      setError(t('product.addFailed', { message: e.message }));
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  // --- Product List Handlers (inline edit, availability, delete) ---
+
+  const productDocRef = (productId) => doc(db, getProductCollectionPath(appId), productId);
+
+  // Writes `changes` to a product together with their audit entry. `previous` is the
+  // product as listed, for the entry's before values.
+  const updateProduct = async (productId, previous, changes) => {
+    const batch = writeBatch(db);
+    batch.update(productDocRef(productId), { ...changes, updatedAt: serverTimestamp(), updatedBy: userId });
+    addAuditEntry(batch, db, appId, { actor, action: 'update', entity: 'product', targetPath: productDocRef(productId).path, before: previous, after: changes });
+    await batch.commit();
+  };
+
+  const startEditingProduct = (product) => {
+    setEditingProductId(product.id);
+    setProductDraft({
+      name: product.name || '',
+      description: product.description || '',
+      price: product.price || 0,
+      category: product.category || categories[0],
+      optionGroups: product.optionGroups || [],
+      image: product.image || null,
+      imageFile: null,
+    });
+    setPendingDeleteProductId(null);
+    setListError(null);
+  };
+
+  const cancelEditingProduct = () => {
+    setEditingProductId(null);
+    setProductDraft(null);
+    setListError(null);
+  };
+
+  const handleDraftChange = (e) => {
+    const { name, value, type } = e.target;
+    setProductDraft(prev => ({
+      ...prev,
+      [name]: type === 'number' ? parseFloat(value) || 0 : value
+    }));
+  };
+
+  const saveProductEdit = async (e) => {
+    e.preventDefault();
+    if (isSavingProduct || !db || !userId || isFallback) return;
+
+    const validationError = validateProduct(productDraft, { categories, t });
+    if (validationError) {
+      setListError(validationError);
+      return;
+    }
+    setIsSavingProduct(true);
+
+    try {
+      const previous = products.find(product => product.id === editingProductId);
+      const image = await saveWithImage(storage, (fileName) => getProductImagePath(appId, editingProductId, fileName), productDraft, async (image) => {
+        await updateProduct(editingProductId, previous, {
+          name: productDraft.name.trim(),
+          description: productDraft.description,
+          price: roundPrice(productDraft.price),
+          category: productDraft.category,
+          optionGroups: toOptionGroupsPayload(productDraft.optionGroups),
+          image,
+        });
+        return image;
+      }, t);
+      deleteUnusedImage(storage, previous?.image, image);
+      cancelEditingProduct();
+    } catch (e) {
+      console.error("Error updating document: ", e);
+      setListError(t('product.updateFailed', { message: e.message }));
+    } finally {
+      setIsSavingProduct(false);
+    }
+  };
+
+  // One-click "sold out" switch; the client menu only lists available items.
+  const toggleProductAvailability = async (product) => {
+    if (!db || !userId || isFallback) return;
+    try {
+      await updateProduct(product.id, product, { available: product.available === false });
+    } catch (e) {
+      console.error("Error updating availability: ", e);
+      setListError(t('product.availabilityFailed', { message: e.message }));
+    }
+  };
+
+  const deleteProduct = async (productId) => {
+    if (!db || !userId || isFallback) return;
+    try {
+      const product = products.find(item => item.id === productId);
+      const batch = writeBatch(db);
+      batch.delete(productDocRef(productId));
+      addAuditEntry(batch, db, appId, { actor, action: 'delete', entity: 'product', targetPath: productDocRef(productId).path, before: product });
+      await batch.commit();
+      deleteUnusedImage(storage, product?.image);
+      if (editingProductId === productId) cancelEditingProduct();
+    } catch (e) {
+      console.error("Error deleting document: ", e);
+      setListError(t('product.deleteFailed', { message: e.message }));
+    } finally {
+      setPendingDeleteProductId(null);
+    }
+  };
+
   // --- Render Functions ---
 
   const renderProductForm = () => (
     <div className="bg-white p-6 rounded-lg shadow-xl border border-gray-100">
       <h2 className="flex items-center text-xl font-bold text-gray-700 mb-4 border-b pb-2">
         <PlusCircle className="w-5 h-5 mr-2 text-indigo-500" />
-        Add New Menu Item
+        {t('product.addTitle')}
       </h2>
       <form onSubmit={handleSubmit} className="space-y-4">
         <div>
-          <label htmlFor="name" className="block text-sm font-medium text-gray-700">Name</label>
+          <label htmlFor="storeId" className="block text-sm font-medium text-gray-700">{t('product.store')}</label>
+          <select
+            id="storeId"
+            name="storeId"
+            value={newProduct.storeId}
+            onChange={handleInputChange}
+            required
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            <option value="" disabled>{storesLoading ? t('product.loadingStores') : stores.length === 0 ? t('product.createStoreFirst') : t('product.selectStore')}</option>
+            {stores.filter(store => !store.archived).map(store => (
+              <option key={store.id} value={store.id}>{store.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="name" className="block text-sm font-medium text-gray-700">{t('product.name')}</label>
           <input
             type="text"
             id="name"
             name="name"
             value={newProduct.name}
             onChange={handleInputChange}
-            placeholder="e.g., Spicy Tuna Roll"
+            placeholder={t('product.namePlaceholder')}
             required
             className="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
           />
         </div>
         <div>
-          <label htmlFor="description" className="block text-sm font-medium text-gray-700">Description</label>
+          <label htmlFor="description" className="block text-sm font-medium text-gray-700">{t('product.description')}</label>
           <textarea
             id="description"
             name="description"
             value={newProduct.description}
             onChange={handleInputChange}
             rows="3"
-            placeholder="A brief description of the dish."
+            placeholder={t('product.descriptionPlaceholder')}
             className="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
           ></textarea>
         </div>
+        <ImageField
+          image={newProduct.image}
+          imageFile={newProduct.imageFile}
+          onChange={(changes) => setNewProduct(prev => ({ ...prev, ...changes }))}
+          disabled={isFallback}
+        />
         <div className="flex space-x-4">
           <div className="flex-1">
-            <label htmlFor="price" className="block text-sm font-medium text-gray-700">Price (USD)</label>
+            <label htmlFor="price" className="block text-sm font-medium text-gray-700">{t('product.price', { currency: currencyOf(newProduct.storeId) })}</label>
             <div className="relative mt-1 rounded-md shadow-sm">
               <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                <DollarSign className="h-5 w-5 text-gray-400" />
+                <Banknote className="h-5 w-5 text-gray-400" />
               </div>
               <input
                 type="number"
@@ -253,21 +379,27 @@ const App = () => {
             </div>
           </div>
           <div className="flex-1">
-            <label htmlFor="category" className="block text-sm font-medium text-gray-700">Category</label>
+            <label htmlFor="category" className="block text-sm font-medium text-gray-700">{t('product.category')}</label>
             <select
               id="category"
               name="category"
-              value={newProduct.category}
+              value={newProductCategory}
               onChange={handleInputChange}
               required
               className="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
             >
+              <option value="" disabled>{t('product.selectCategory')}</option>
               {categories.map(cat => (
                 <option key={cat} value={cat}>{cat}</option>
               ))}
             </select>
           </div>
         </div>
+        <OptionGroupsEditor
+          groups={newProduct.optionGroups}
+          onChange={(optionGroups) => setNewProduct(prev => ({ ...prev, optionGroups }))}
+          currency={currencyOf(newProduct.storeId)}
+        />
         <button
           type="submit"
           disabled={isSubmitting || !isAuthReady || !userId || isFallback}
@@ -276,53 +408,158 @@ const App = () => {
           {isSubmitting ? (
             <>
               <Loader2 className="w-5 h-5 mr-2 animate-spin" />
-              Saving...
+              {t('common.saving')}
             </>
           ) : (
             <>
               <PlusCircle className="w-5 h-5 mr-2" />
-              {isFallback ? 'Read-Only Mode' : 'Add Product'}
+              {isFallback ? t('product.readOnly') : t('product.add')}
             </>
           )}
         </button>
         {isFallback && (
             <p className="text-xs text-red-500 mt-2 p-2 bg-red-50 border border-red-200 rounded-md">
-                This app is in **Read-Only Mode** because it is deployed outside of the Canvas environment. To add products, please use the application within Canvas.
+                {t('product.readOnlyNotice')}
             </p>
         )}
       </form>
     </div>
   );
 
+  const renderProductEditRow = (product) => (
+    <li key={product.id} className="p-3 border-2 border-indigo-200 rounded-md bg-indigo-50">
+      <form onSubmit={saveProductEdit} className="space-y-2">
+        <input
+          type="text"
+          name="name"
+          value={productDraft.name}
+          onChange={handleDraftChange}
+          aria-label={t('product.name')}
+          required
+          className="block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <textarea
+          name="description"
+          value={productDraft.description}
+          onChange={handleDraftChange}
+          aria-label={t('product.description')}
+          rows="2"
+          className="block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+        ></textarea>
+        <div className="flex space-x-2">
+          <input
+            type="number"
+            name="price"
+            value={productDraft.price}
+            onChange={handleDraftChange}
+            aria-label={t('product.price', { currency: currencyOf(product.storeId) })}
+            step="0.01"
+            min="0.01"
+            required
+            className="flex-1 rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <select
+            name="category"
+            value={productDraft.category}
+            onChange={handleDraftChange}
+            aria-label={t('product.category')}
+            className="flex-1 rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            {categories.map(cat => (
+              <option key={cat} value={cat}>{cat}</option>
+            ))}
+          </select>
+        </div>
+        <ImageField
+          image={productDraft.image}
+          imageFile={productDraft.imageFile}
+          onChange={(changes) => setProductDraft(prev => ({ ...prev, ...changes }))}
+        />
+        <OptionGroupsEditor
+          groups={productDraft.optionGroups}
+          onChange={(optionGroups) => setProductDraft(prev => ({ ...prev, optionGroups }))}
+          currency={currencyOf(product.storeId)}
+        />
+        <div className="flex justify-end space-x-2">
+          <button type="button" onClick={cancelEditingProduct} className="flex items-center px-3 py-1 rounded-md text-sm border border-gray-300 bg-white hover:bg-gray-50">
+            <X className="w-4 h-4 mr-1" />
+            {t('common.cancel')}
+          </button>
+          <button type="submit" disabled={isSavingProduct} className="flex items-center px-3 py-1 rounded-md text-sm text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50">
+            {isSavingProduct ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Save className="w-4 h-4 mr-1" />}
+            {t('common.save')}
+          </button>
+        </div>
+      </form>
+    </li>
+  );
+
   const renderProductList = () => (
     <div className="bg-white p-6 rounded-lg shadow-xl border border-gray-100">
       <h2 className="flex items-center text-xl font-bold text-gray-700 mb-4 border-b pb-2">
         <List className="w-5 h-5 mr-2 text-emerald-500" />
-        Current Menu Items ({products.length})
+        {t('product.listTitle', { count: products.length })}
       </h2>
+      {listError && (
+        <p className="text-sm text-red-600 p-2 mb-4 bg-red-50 border border-red-200 rounded-md">{listError}</p>
+      )}
       {loading ? (
         <div className="text-center py-8 text-gray-500">
           <Loader2 className="w-6 h-6 mx-auto mb-2 animate-spin" />
-          Loading products...
+          {t('product.loading')}
         </div>
       ) : products.length === 0 ? (
         <div className="text-center py-8 text-gray-500 border-2 border-dashed border-gray-200 rounded-md">
           <Package className="w-8 h-8 mx-auto mb-2" />
-          No products added yet.
+          {t('product.empty')}
         </div>
       ) : (
         <ul className="space-y-3">
-          {products.map((product) => (
-            <li key={product.id} className="p-3 border rounded-md hover:bg-gray-50 transition duration-100 flex justify-between items-center">
-              <div>
-                <p className="font-semibold text-gray-800">{product.name}</p>
-                <p className="text-sm text-gray-500 italic">{product.description || 'No description provided.'}</p>
+          {products.map((product) => product.id === editingProductId ? renderProductEditRow(product) : (
+            <li key={product.id} className={`p-3 border rounded-md transition duration-100 flex justify-between items-center ${product.available === false ? 'bg-gray-100' : 'hover:bg-gray-50'}`}>
+              <LazyImage src={getThumbnailUrl(product)} alt="" className="w-16 h-16 rounded-md flex-shrink-0 mr-3 self-start" />
+              <div className="flex-1 min-w-0">
+                <p className="font-semibold text-gray-800">
+                  {product.name}
+                  {product.available === false && (
+                    <span className="ml-2 text-xs font-medium text-red-700 bg-red-100 px-2 py-0.5 rounded-full">{t('product.soldOut')}</span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-500 italic">{product.description || t('product.noDescription')}</p>
+                {product.optionGroups?.length > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    {t('product.options', { groups: product.optionGroups.map(group => `${group.name} (${describeOptionGroupRule(group, t)})`).join(' · ') })}
+                  </p>
+                )}
+                <p className="text-xs text-gray-400 mt-1 flex items-center">
+                  <Store className="w-3 h-3 mr-1" />
+                  {storesById[product.storeId]?.name || t('product.noStore')}
+                </p>
               </div>
               <div className="text-right">
-                <span className="font-bold text-lg text-indigo-600">${product.price ? product.price.toFixed(2) : '0.00'}</span>
+                <span className="font-bold text-lg text-indigo-600">{formatPrice(product.price, currencyOf(product.storeId))}</span>
                 <span className="block text-xs text-gray-500 bg-gray-200 px-2 py-0.5 rounded-full mt-1">
                   {product.category}
                 </span>
+                {pendingDeleteProductId === product.id ? (
+                  <div className="flex items-center justify-end space-x-2 text-sm mt-2">
+                    <span className="text-red-600">{t('product.deletePrompt')}</span>
+                    <button onClick={() => deleteProduct(product.id)} className="px-2 py-1 rounded-md bg-red-600 text-white hover:bg-red-700">{t('common.delete')}</button>
+                    <button onClick={() => setPendingDeleteProductId(null)} className="px-2 py-1 rounded-md border border-gray-300 hover:bg-gray-50">{t('common.keep')}</button>
+                  </div>
+                ) : (
+                  <div className="flex items-center justify-end space-x-1 mt-2">
+                    <button onClick={() => toggleProductAvailability(product)} disabled={isFallback} title={product.available === false ? t('product.markAvailable') : t('product.markSoldOut')} className="p-1.5 rounded-md text-gray-500 hover:text-amber-600 hover:bg-amber-50 disabled:opacity-50">
+                      {product.available === false ? <CheckCircle className="w-4 h-4" /> : <Ban className="w-4 h-4" />}
+                    </button>
+                    <button onClick={() => startEditingProduct(product)} disabled={isFallback} title={t('common.edit')} className="p-1.5 rounded-md text-gray-500 hover:text-indigo-600 hover:bg-indigo-50 disabled:opacity-50">
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => setPendingDeleteProductId(product.id)} disabled={isFallback} title={t('common.delete')} className="p-1.5 rounded-md text-gray-500 hover:text-red-600 hover:bg-red-50 disabled:opacity-50">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
               </div>
             </li>
           ))}
@@ -336,53 +573,243 @@ const App = () => {
       <div className="max-w-7xl mx-auto flex justify-between items-center">
         <div className="flex items-center space-x-2">
           <Package className="w-8 h-8 text-indigo-600" />
-          <h1 className="text-2xl font-extrabold text-gray-800">Fresh Eats Admin Panel</h1>
+          <h1 className="text-2xl font-extrabold text-gray-800">{t('app.title')}</h1>
+          {appConfig.orderingPaused && (
+            <button onClick={() => setActiveTab('settings')} className="flex items-center px-2 py-0.5 text-xs font-semibold rounded-full bg-amber-100 text-amber-800">
+              <PauseCircle className="w-3 h-3 mr-1" /> {t('app.orderingPaused')}
+            </button>
+          )}
         </div>
         <div className="text-sm text-gray-600 flex items-center space-x-2">
+          <label className="flex items-center mr-2">
+            <Languages className="w-4 h-4 mr-1 text-gray-500" />
+            <select value={locale} onChange={(e) => setLocale(e.target.value)} aria-label={t('app.language')} className="bg-transparent focus:outline-none">
+              {SUPPORTED_LOCALES.map(code => <option key={code} value={code}>{LOCALE_NAMES[code]}</option>)}
+            </select>
+          </label>
           <Users className="w-4 h-4 text-gray-500" />
-          <span>Admin User:</span>
+          <span>{t('app.adminUser')}</span>
           <span className="font-mono text-xs bg-gray-100 p-1 rounded break-all">
-            {userId || 'Mock ID...'}
+            {userEmail || userId || t('app.mockId')}
           </span>
+          {!isFallback && (
+            <button onClick={handleSignOut} title={t('app.signOut')} className="p-1 rounded-md text-gray-500 hover:text-red-600 hover:bg-red-50">
+              <LogOut className="w-4 h-4" />
+            </button>
+          )}
         </div>
       </div>
+      {!isOnline && (
+        <div className="max-w-7xl mx-auto mt-3 flex items-center px-3 py-2 text-sm text-white bg-gray-800 rounded-md">
+          <WifiOff className="w-4 h-4 mr-2 flex-shrink-0" />
+          {t('app.offline')}
+        </div>
+      )}
     </header>
   );
 
+  // Labels are in messages.js under tab.<id>.
+  const tabs = [
+    { id: 'menu', Icon: List },
+    { id: 'stores', Icon: Store },
+    { id: 'orders', Icon: ClipboardList },
+    { id: 'analytics', Icon: BarChart3 },
+    { id: 'reviews', Icon: MessageSquare },
+    { id: 'promotions', Icon: Tag },
+    { id: 'settings', Icon: Settings },
+    { id: 'audit', Icon: History },
+  ];
+
+  const renderTabs = () => (
+    <nav className="max-w-7xl mx-auto px-4 mb-6 flex space-x-2 border-b border-gray-200">
+      {tabs.map(({ id, Icon }) => (
+        <button
+          key={id}
+          onClick={() => setActiveTab(id)}
+          className={`flex items-center px-4 py-2 -mb-px text-sm font-medium border-b-2 transition duration-150 ${
+            activeTab === id ? 'border-indigo-600 text-indigo-600' : 'border-transparent text-gray-500 hover:text-gray-700'
+          }`}
+        >
+          <Icon className="w-4 h-4 mr-2" />
+          {t(`tab.${id}`)}
+        </button>
+      ))}
+    </nav>
+  );
+
   // --- Main Render ---
 
-  if (error && !isFallback) {
+  // Startup and listener failures come from @fresh-eats/shared as { kind, code, message }.
+  const appError = firebaseError?.message || dataError?.message || error;
+
+  if (appError && !isFallback) {
     return (
       <div className="min-h-screen flex items-center justify-center p-4 bg-red-50">
         <div className="bg-white p-6 rounded-lg shadow-xl border-l-4 border-red-500">
           <h2 className="flex items-center text-xl font-bold text-red-600 mb-2">
             <XCircle className="w-6 h-6 mr-2" />
-            Application Error
+            {t('app.errorTitle')}
           </h2>
-          <p className="text-gray-700">{error}</p>
+          <p className="text-gray-700">{appError}</p>
           <p className="text-sm mt-4 text-red-500">
-            If this error persists, there may be an issue with Firebase rules or service availability.
+            {t('app.errorHint')}
           </p>
         </div>
       </div>
     );
   }
 
+  if (!isAuthReady || (userId && !hasConsoleAccess && roleStatus === 'checking')) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 text-gray-500">
+        <Loader2 className="w-6 h-6 mr-2 animate-spin" />
+        {t('app.checkingAccess')}
+      </div>
+    );
+  }
+
+  if (!userId) {
+    return <AdminSignIn auth={auth} />;
+  }
+
+  if (!hasConsoleAccess) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-4 bg-gray-50">
+        <div className="bg-white p-6 rounded-lg shadow-xl border-l-4 border-amber-500 max-w-md">
+          <h2 className="flex items-center text-xl font-bold text-amber-600 mb-2">
+            <ShieldAlert className="w-6 h-6 mr-2" />
+            {t('access.deniedTitle')}
+          </h2>
+          <p className="text-gray-700">
+            {t('access.deniedFor', { user: userEmail || userId })} <span className="font-mono">{appId}</span>.
+          </p>
+          <p className="text-sm mt-4 text-gray-500">
+            {t('access.hint')}
+          </p>
+          <button onClick={handleSignOut} className="mt-4 flex items-center py-2 px-4 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50">
+            <LogOut className="w-4 h-4 mr-2" />
+            {t('app.signOut')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       {renderHeader()}
+      {renderTabs()}
       <main className="max-w-7xl mx-auto px-4 pb-12">
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
-          <div className="lg:col-span-1">
-            {renderProductForm()}
-          </div>
-          <div className="lg:col-span-2">
-            {renderProductList()}
+        {activeTab === 'stores' ? (
+          <StoreManager
+            db={db}
+            actor={actor}
+            storage={storage}
+            appId={appId}
+            userId={userId}
+            stores={stores}
+            categories={appConfig.storeCategories}
+            defaultCurrency={appConfig.currency}
+            loading={storesLoading}
+            isAuthReady={isAuthReady}
+            isFallback={isFallback}
+          />
+        ) : activeTab === 'orders' ? (
+          <OrderQueue
+            db={db}
+            actor={actor}
+            appId={appId}
+            userId={userId}
+            stores={stores}
+            currency={appConfig.currency}
+            isAuthReady={isAuthReady}
+            isFallback={isFallback}
+          />
+        ) : activeTab === 'analytics' ? (
+          <SalesDashboard
+            db={db}
+            appId={appId}
+            userId={userId}
+            currency={appConfig.currency}
+            isAuthReady={isAuthReady}
+          />
+        ) : activeTab === 'reviews' ? (
+          <ReviewManager
+            db={db}
+            appId={appId}
+            userId={userId}
+            actor={actor}
+            stores={stores}
+            isFallback={isFallback}
+          />
+        ) : activeTab === 'promotions' ? (
+          <PromotionManager
+            db={db}
+            appId={appId}
+            userId={userId}
+            stores={stores}
+            currency={appConfig.currency}
+            isFallback={isFallback}
+          />
+        ) : activeTab === 'audit' ? (
+          <AuditLog
+            db={db}
+            appId={appId}
+            userId={userId}
+            isAuthReady={isAuthReady}
+          />
+        ) : activeTab === 'settings' ? (
+          appConfigLoading ? (
+            <div className="flex items-center justify-center p-8 text-gray-500">
+              <Loader2 className="w-6 h-6 mr-2 animate-spin" /> {t('app.loadingSettings')}
+            </div>
+          ) : (
+            <SettingsManager
+              db={db}
+              actor={actor}
+              appId={appId}
+              userId={userId}
+              config={appConfig}
+              isFallback={isFallback}
+            />
+          )
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+            <div className="lg:col-span-1">
+              {renderProductForm()}
+              <MenuTransfer
+                db={db}
+                actor={actor}
+                appId={appId}
+                userId={userId}
+                products={products}
+                stores={stores}
+                categories={categories}
+                currency={appConfig.currency}
+                isFallback={isFallback}
+              />
+            </div>
+            <div className="lg:col-span-2">
+              {renderProductList()}
+            </div>
           </div>
-        </div>
+        )}
       </main>
     </div>
   );
 };
 
+const App = () => (
+  <FirebaseProvider
+    environment={firebaseEnvironment}
+    useEmulators={useEmulators}
+    emulatorHost={process.env.REACT_APP_FIREBASE_EMULATOR_HOST}
+    readOnlyPreview={isFallback}
+  >
+    <I18nProvider messages={MESSAGES}>
+      <AdminConsole />
+    </I18nProvider>
+  </FirebaseProvider>
+);
+
 export default App;
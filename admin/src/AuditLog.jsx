@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { collection, query, where, orderBy, onSnapshot } from 'firebase/firestore';
+import { History, Loader2, CalendarRange, Filter } from 'lucide-react';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, getAuditLogCollectionPath, useI18n } from '@fresh-eats/shared';
+import { toDay, daysAgo, startOfDay, getRangeError } from './dateRange';
+
+// ----------------------
+// AUDIT LOG SECTION
+// ----------------------
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  delete: 'bg-red-100 text-red-800',
+};
+
+const formatTimestamp = (timestamp, locale) =>
+  timestamp ? timestamp.toDate().toLocaleString(locale, { dateStyle: 'short', timeStyle: 'medium' }) : '—';
+
+// Changed values as short text; nested values (hours, option groups, images) as JSON.
+const formatValue = (value, locale) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value.toDate === 'function') return formatTimestamp(value, locale);
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Read-only list of the admin audit log (shared/audit.js) for a date range, newest first,
+// filtered by actor and entity in memory. Firestore rules keep the entries append-only.
+const AuditLog = ({ db, appId, userId, isAuthReady }) => {
+  const { t, locale } = useI18n();
+  const [range, setRange] = useState(() => ({ from: daysAgo(6), to: toDay(new Date()) }));
+  const [actorFilter, setActorFilter] = useState('all');
+  const [entityFilter, setEntityFilter] = useState('all');
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  const rangeError = getRangeError(range, t);
+
+  // --- Firestore Listener ---
+  useEffect(() => {
+    if (!isAuthReady || !db || !userId || rangeError) return;
+    setLoading(true);
+
+    const entriesQuery = query(
+      collection(db, getAuditLogCollectionPath(appId)),
+      where('createdAt', '>=', startOfDay(range.from)),
+      where('createdAt', '<', startOfDay(range.to, 1)),
+      orderBy('createdAt', 'desc'),
+    );
+    const unsubscribeSnapshot = onSnapshot(entriesQuery, (snapshot) => {
+      setEntries(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      setLoadError(null);
+      setLoading(false);
+    }, (e) => {
+      console.error("Audit log onSnapshot failed:", e);
+      setLoadError(e.message);
+      setLoading(false);
+    });
+
+    return () => unsubscribeSnapshot();
+  }, [db, appId, userId, isAuthReady, range.from, range.to, rangeError]);
+
+  // Everyone who changed something in the range, by email where known.
+  const actors = useMemo(() => {
+    const byId = new Map(entries.map(entry => [entry.actorId, entry.actorEmail || entry.actorId]));
+    return [...byId].sort((a, b) => a[1].localeCompare(b[1]));
+  }, [entries]);
+
+  const visibleEntries = entries.filter(entry =>
+    (actorFilter === 'all' || entry.actorId === actorFilter) &&
+    (entityFilter === 'all' || entry.entity === entityFilter)
+  );
+
+  const handleRangeChange = (e) => {
+    const { name, value } = e.target;
+    if (value) setRange(prev => ({ ...prev, [name]: value }));
+  };
+
+  // --- Render Functions ---
+
+  const entityLabel = (entity) => (AUDIT_ENTITIES[entity] ? t(`audit.entity.${entity}`) : entity);
+
+  const renderChanges = (changes) => {
+    const fields = Object.keys(changes || {}).sort();
+    if (fields.length === 0) return <p className="text-xs text-gray-500 italic">{t('audit.noChanges')}</p>;
+    return (
+      <table className="w-full text-xs mt-2 table-fixed">
+        <thead className="text-left text-gray-500">
+          <tr>
+            <th className="w-1/5 font-medium">{t('audit.field')}</th>
+            <th className="font-medium">{t('audit.before')}</th>
+            <th className="font-medium">{t('audit.after')}</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y">
+          {fields.map(field => (
+            <tr key={field} className="align-top">
+              <td className="py-1 pr-2 font-mono text-gray-700 break-words">{field}</td>
+              <td className="py-1 pr-2 text-red-700 break-words">{formatValue(changes[field].before, locale)}</td>
+              <td className="py-1 text-green-700 break-words">{formatValue(changes[field].after, locale)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  };
+
+  const renderEntry = (entry) => (
+    <li key={entry.id} className="p-4 border border-gray-100 rounded-lg">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold uppercase ${ACTION_STYLES[entry.action] || 'bg-gray-100 text-gray-700'}`}>
+          {AUDIT_ACTIONS.includes(entry.action) ? t(`audit.action.${entry.action}`) : entry.action}
+        </span>
+        <span className="font-semibold text-gray-800">{entityLabel(entry.entity)}</span>
+        <span className="font-mono text-xs text-gray-500 break-all">{entry.targetPath}</span>
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        {entry.actorEmail || entry.actorId} · {formatTimestamp(entry.createdAt, locale)}
+      </p>
+      {renderChanges(entry.changes)}
+    </li>
+  );
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-xl border border-gray-100">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-4 border-b pb-2 gap-2">
+        <h2 className="flex items-center text-xl font-bold text-gray-700">
+          <History className="w-5 h-5 mr-2 text-indigo-500" />
+          {t('audit.title', { count: visibleEntries.length })}
+        </h2>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <Filter className="w-4 h-4 text-gray-400" />
+          <select value={actorFilter} onChange={(e) => setActorFilter(e.target.value)} aria-label={t('audit.actor')} className="rounded-md border border-gray-300 p-1">
+            <option value="all">{t('audit.allActors')}</option>
+            {actors.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+          <select value={entityFilter} onChange={(e) => setEntityFilter(e.target.value)} aria-label={t('audit.entity')} className="rounded-md border border-gray-300 p-1">
+            <option value="all">{t('audit.allEntities')}</option>
+            {Object.keys(AUDIT_ENTITIES).map(id => <option key={id} value={id}>{entityLabel(id)}</option>)}
+          </select>
+          <CalendarRange className="w-4 h-4 text-gray-400" />
+          <input type="date" name="from" value={range.from} max={range.to} onChange={handleRangeChange} aria-label={t('common.from')} className="rounded-md border border-gray-300 p-1" />
+          <span className="text-gray-500">{t('common.to')}</span>
+          <input type="date" name="to" value={range.to} min={range.from} onChange={handleRangeChange} aria-label={t('common.toLabel')} className="rounded-md border border-gray-300 p-1" />
+        </div>
+      </div>
+      {rangeError || loadError ? (
+        <p className="text-sm text-red-600 p-2 bg-red-50 border border-red-200 rounded-md">{rangeError || t('audit.loadFailed', { message: loadError })}</p>
+      ) : loading ? (
+        <div className="flex items-center justify-center p-8 text-gray-500">
+          <Loader2 className="w-6 h-6 mr-2 animate-spin" /> {t('audit.loading')}
+        </div>
+      ) : visibleEntries.length === 0 ? (
+        <p className="text-gray-500 italic">{t('audit.empty')}</p>
+      ) : (
+        <ul className="space-y-3 max-h-[70vh] overflow-y-auto pr-2">
+          {visibleEntries.map(renderEntry)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,66 @@
+import React, { useEffect, useState } from 'react';
+import { ImagePlus, Trash2 } from 'lucide-react';
+import { IMAGE_CONTENT_TYPES, MAX_IMAGE_BYTES, getImageFileError, useI18n } from '@fresh-eats/shared';
+import LazyImage from './LazyImage';
+
+// ----------------------
+// IMAGE PICKER
+// ----------------------
+
+// Picks, previews and removes the image of a store or menu item form. `image` is the saved
+// image (null when there is none or it was removed) and `imageFile` a newly picked File;
+// both are form state, changed through `onChange({ image, imageFile })`. The file is only
+// uploaded when the form is saved (see images.js).
+const ImageField = ({ image, imageFile, onChange, disabled = false }) => {
+  const { t } = useI18n();
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const fileError = imageFile && getImageFileError(imageFile, t);
+
+  useEffect(() => {
+    if (!imageFile || fileError) {
+      setPreviewUrl(null);
+      return;
+    }
+    const url = URL.createObjectURL(imageFile);
+    setPreviewUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [imageFile, fileError]);
+
+  const handleFileChange = (e) => {
+    const [file] = e.target.files;
+    // Cleared so picking the same file again still fires a change.
+    e.target.value = '';
+    if (file) onChange({ image, imageFile: file });
+  };
+
+  const shownUrl = previewUrl || (!imageFile && (image?.thumbnailUrl || image?.url)) || null;
+
+  return (
+    <div>
+      <span className="block text-sm font-medium text-gray-700">{t('imageField.label')}</span>
+      <div className="mt-1 flex items-center space-x-3">
+        <LazyImage src={shownUrl} className="w-20 h-20 rounded-md flex-shrink-0 border border-gray-200" />
+        <div className="space-y-1">
+          <label className={`flex items-center px-3 py-1 rounded-md text-sm border border-gray-300 bg-white ${disabled ? 'opacity-50' : 'cursor-pointer hover:bg-gray-50'}`}>
+            <ImagePlus className="w-4 h-4 mr-1" />
+            {shownUrl || imageFile ? t('imageField.replace') : t('imageField.upload')}
+            <input type="file" accept={IMAGE_CONTENT_TYPES.join(',')} onChange={handleFileChange} disabled={disabled} className="sr-only" />
+          </label>
+          {(image || imageFile) && (
+            <button type="button" onClick={() => onChange({ image: null, imageFile: null })} disabled={disabled} className="flex items-center px-3 py-1 rounded-md text-sm text-gray-500 hover:text-red-600 hover:bg-red-50 disabled:opacity-50">
+              <Trash2 className="w-4 h-4 mr-1" />
+              {t('imageField.remove')}
+            </button>
+          )}
+        </div>
+      </div>
+      {fileError ? (
+        <p className="text-xs text-red-600 mt-1">{fileError}</p>
+      ) : (
+        <p className="text-xs text-gray-500 mt-1">{t('imageField.hint', { max: MAX_IMAGE_BYTES / (1024 * 1024) })}</p>
+      )}
+    </div>
+  );
+};
+
+export default ImageField;
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { collection, doc, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { Upload, Download, FileText, Loader2, CheckCircle, XCircle, X } from 'lucide-react';
+import { getProductCollectionPath, getStoreCurrency, useI18n } from '@fresh-eats/shared';
+import { MENU_COLUMNS, MAX_BATCH_SIZE, parseMenuFile, buildImportPreview, chunk, toCsv, toExportRecords } from './menuTransfer';
+import { downloadFile } from './downloads';
+import { addAuditEntry } from './audit';
+
+// ----------------------
+// BULK MENU IMPORT / EXPORT SECTION
+// ----------------------
+
+// Import shows a dry-run preview first; nothing is written until the admin confirms.
+// Rows are validated against the live menu `categories` from the app config. Each imported
+// item is recorded in the audit log as `actor`. Prices are in each row's store currency,
+// `currency` being the app default for stores without one.
+const MenuTransfer = ({ db, actor, appId, userId, products, stores, categories, currency, isFallback }) => {
+  const { t, formatPrice } = useI18n();
+  const [preview, setPreview] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [transferError, setTransferError] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importedCount, setImportedCount] = useState(null);
+
+  const validRows = preview ? preview.filter(row => !row.error) : [];
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setTransferError(null);
+    setImportedCount(null);
+    try {
+      const text = await file.text();
+      const rows = parseMenuFile(text, file.name, t);
+      const isJson = /\.json$/i.test(file.name);
+      setPreview(buildImportPreview(rows, stores, isJson ? 1 : 2, categories, t));
+      setFileName(file.name);
+    } catch (e) {
+      console.error("Menu file parse error:", e);
+      setPreview(null);
+      setTransferError(t('transfer.readFailed', { file: file.name, message: e.message }));
+    }
+  };
+
+  const handleImport = async () => {
+    if (!db || !userId || isFallback || isImporting || validRows.length === 0) return;
+    setIsImporting(true);
+    setTransferError(null);
+
+    let written = 0;
+    try {
+      const productsRef = collection(db, getProductCollectionPath(appId));
+      // Two writes per item: the product and its audit entry.
+      for (const rows of chunk(validRows, MAX_BATCH_SIZE / 2)) {
+        const batch = writeBatch(db);
+        rows.forEach(({ product }) => {
+          const productRef = doc(productsRef);
+          batch.set(productRef, {
+            ...product,
+            createdAt: serverTimestamp(),
+            createdBy: userId,
+          });
+          addAuditEntry(batch, db, appId, { actor, action: 'create', entity: 'product', targetPath: productRef.path, after: product });
+        });
+        await batch.commit();
+        written += rows.length;
+      }
+      setImportedCount(written);
+      setPreview(null);
+    } catch (e) {
+      console.error("Menu import error:", e);
+      // Earlier batches have already been committed; say how far we got.
+      setTransferError(t('transfer.importStopped', { written, count: validRows.length, message: e.message }));
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleExport = (format) => {
+    const records = toExportRecords(products, stores);
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'json') {
+      downloadFile(JSON.stringify({ appId, exportedAt: new Date().toISOString(), products: records }, null, 2), `menu-${appId}-${stamp}.json`, 'application/json');
+    } else {
+      downloadFile(toCsv(records, MENU_COLUMNS), `menu-${appId}-${stamp}.csv`, 'text/csv');
+    }
+  };
+
+  const renderPreview = () => (
+    <div className="mt-4">
+      <div className="flex justify-between items-center mb-2">
+        <p className="text-sm text-gray-700">
+          <span className="font-semibold">{fileName}</span>: {t('transfer.previewSummary', { valid: validRows.length, invalid: preview.length - validRows.length })}
+        </p>
+        <button onClick={() => setPreview(null)} title={t('transfer.discard')} className="p-1 text-gray-400 hover:text-gray-600">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      <ul className="max-h-64 overflow-y-auto border rounded-md divide-y text-sm">
+        {preview.map(({ rowNumber, product, error }) => (
+          <li key={rowNumber} className={`p-2 flex items-start ${error ? 'bg-red-50' : ''}`}>
+            {error
+              ? <XCircle className="w-4 h-4 mr-2 mt-0.5 text-red-500 flex-shrink-0" />
+              : <CheckCircle className="w-4 h-4 mr-2 mt-0.5 text-green-600 flex-shrink-0" />}
+            <div className="min-w-0">
+              <p className="text-gray-800">
+                <span className="text-gray-400 mr-1">{t('transfer.row', { row: rowNumber })}</span>
+                {product.name || <em>{t('transfer.unnamed')}</em>}
+                {!error && <span className="text-gray-500"> · {formatPrice(product.price, getStoreCurrency(stores.find(store => store.id === product.storeId), { currency }))} · {product.category}</span>}
+              </p>
+              {error && <p className="text-red-600">{error}</p>}
+            </div>
+          </li>
+        ))}
+      </ul>
+      <button
+        onClick={handleImport}
+        disabled={isImporting || isFallback || validRows.length === 0}
+        className="w-full mt-3 flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+      >
+        {isImporting ? (
+          <>
+            <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+            {t('transfer.importing')}
+          </>
+        ) : (
+          <>
+            <Upload className="w-5 h-5 mr-2" />
+            {t('transfer.import', { count: validRows.length })}
+          </>
+        )}
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-xl border border-gray-100 mt-8">
+      <h2 className="flex items-center text-xl font-bold text-gray-700 mb-4 border-b pb-2">
+        <FileText className="w-5 h-5 mr-2 text-indigo-500" />
+        {t('transfer.title')}
+      </h2>
+      <label className={`flex justify-center items-center py-2 px-4 border-2 border-dashed border-gray-300 rounded-md text-sm text-gray-600 ${isFallback ? 'opacity-50' : 'cursor-pointer hover:border-indigo-400 hover:text-indigo-600'}`}>
+        <Upload className="w-4 h-4 mr-2" />
+        {t('transfer.chooseFile')}
+        <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} disabled={isFallback} className="hidden" />
+      </label>
+      <p className="text-xs text-gray-500 mt-2">
+        {t('transfer.columns', { columns: MENU_COLUMNS.join(', ') })}
+      </p>
+      {transferError && (
+        <p className="text-sm text-red-600 p-2 mt-3 bg-red-50 border border-red-200 rounded-md">{transferError}</p>
+      )}
+      {importedCount !== null && (
+        <p className="text-sm text-green-700 p-2 mt-3 bg-green-50 border border-green-200 rounded-md">{t('transfer.imported', { count: importedCount })}</p>
+      )}
+      {preview && renderPreview()}
+      <div className="flex space-x-2 mt-4 pt-4 border-t">
+        <button onClick={() => handleExport('csv')} disabled={products.length === 0} className="flex-1 flex justify-center items-center py-2 px-4 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50">
+          <Download className="w-4 h-4 mr-2" />
+          {t('transfer.exportCsv')}
+        </button>
+        <button onClick={() => handleExport('json')} disabled={products.length === 0} className="flex-1 flex justify-center items-center py-2 px-4 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50">
+          <Download className="w-4 h-4 mr-2" />
+          {t('transfer.exportJson')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default MenuTransfer;
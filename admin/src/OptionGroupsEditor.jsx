@@ -0,0 +1,104 @@
+import React from 'react';
+import { PlusCircle, Trash2, X } from 'lucide-react';
+import { describeOptionGroupRule, useI18n } from '@fresh-eats/shared';
+import { createOption, createOptionGroup } from './products';
+
+// ----------------------
+// OPTION GROUP EDITOR
+// ----------------------
+
+const inputClassName = "rounded-md border-gray-300 shadow-sm p-1.5 border text-sm focus:ring-indigo-500 focus:border-indigo-500";
+
+// Edits a menu item's option groups (sizes, spice levels, add-ons) in place. Used by both
+// the "Add New Menu Item" form and the inline edit row; `groups` is form state and every
+// change is passed to `onChange` as a new array. Validation happens on save.
+const OptionGroupsEditor = ({ groups, onChange, currency }) => {
+  const { t } = useI18n();
+  const updateGroup = (groupId, changes) =>
+    onChange(groups.map(group => group.id === groupId ? { ...group, ...changes } : group));
+
+  const updateOption = (group, optionId, changes) =>
+    updateGroup(group.id, { options: group.options.map(option => option.id === optionId ? { ...option, ...changes } : option) });
+
+  const toNumber = (value) => parseFloat(value) || 0;
+
+  const renderGroup = (group) => (
+    <li key={group.id} className="p-3 border rounded-md bg-gray-50 space-y-2">
+      <div className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={group.name}
+          onChange={(e) => updateGroup(group.id, { name: e.target.value })}
+          placeholder={t('optionEditor.groupPlaceholder')}
+          aria-label={t('optionEditor.groupName')}
+          className={`flex-1 ${inputClassName}`}
+        />
+        <button type="button" onClick={() => onChange(groups.filter(g => g.id !== group.id))} title={t('optionEditor.removeGroup')} className="p-1.5 rounded-md text-gray-500 hover:text-red-600 hover:bg-red-50">
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+      <div className="flex items-center space-x-2 text-xs text-gray-600">
+        <label className="flex items-center">
+          {t('optionEditor.min')}
+          <input type="number" min="0" step="1" value={group.minSelections} onChange={(e) => updateGroup(group.id, { minSelections: Math.trunc(toNumber(e.target.value)) })} className={`ml-1 w-14 ${inputClassName}`} />
+        </label>
+        <label className="flex items-center">
+          {t('optionEditor.max')}
+          <input type="number" min="1" step="1" value={group.maxSelections} onChange={(e) => updateGroup(group.id, { maxSelections: Math.trunc(toNumber(e.target.value)) })} className={`ml-1 w-14 ${inputClassName}`} />
+        </label>
+        <span className="text-gray-500">{describeOptionGroupRule(group, t)}</span>
+      </div>
+      <ul className="space-y-1">
+        {group.options.map(option => (
+          <li key={option.id} className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={option.name}
+              onChange={(e) => updateOption(group, option.id, { name: e.target.value })}
+              placeholder={t('optionEditor.optionPlaceholder')}
+              aria-label={t('optionEditor.optionName')}
+              className={`flex-1 ${inputClassName}`}
+            />
+            <input
+              type="number"
+              value={option.priceDelta}
+              onChange={(e) => updateOption(group, option.id, { priceDelta: toNumber(e.target.value) })}
+              step="0.01"
+              min="0"
+              aria-label={t('optionEditor.priceChange', { currency })}
+              title={t('optionEditor.priceChange', { currency })}
+              className={`w-20 ${inputClassName}`}
+            />
+            <button
+              type="button"
+              onClick={() => updateGroup(group.id, { options: group.options.filter(o => o.id !== option.id) })}
+              disabled={group.options.length === 1}
+              title={t('optionEditor.removeOption')}
+              className="p-1 rounded-md text-gray-400 hover:text-red-600 disabled:opacity-30"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+      </ul>
+      <button type="button" onClick={() => updateGroup(group.id, { options: [...group.options, createOption()] })} className="flex items-center text-xs text-indigo-600 hover:text-indigo-800">
+        <PlusCircle className="w-3 h-3 mr-1" /> {t('optionEditor.addOption')}
+      </button>
+    </li>
+  );
+
+  return (
+    <fieldset className="space-y-2">
+      <legend className="text-sm font-medium text-gray-700">{t('optionEditor.legend')}</legend>
+      {groups.length === 0 && (
+        <p className="text-xs text-gray-500">{t('optionEditor.empty')}</p>
+      )}
+      <ul className="space-y-2">{groups.map(renderGroup)}</ul>
+      <button type="button" onClick={() => onChange([...groups, createOptionGroup()])} className="flex items-center text-sm text-indigo-600 hover:text-indigo-800">
+        <PlusCircle className="w-4 h-4 mr-1" /> {t('optionEditor.addGroup')}
+      </button>
+    </fieldset>
+  );
+};
+
+export default OptionGroupsEditor;
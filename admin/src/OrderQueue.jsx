@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from 'react';
+import { collectionGroup, query, where, orderBy, onSnapshot, doc, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { ClipboardList, Loader2, Check, X, ChevronRight, Ban, Filter } from 'lucide-react';
+import { ORDER_STATUSES, CANCELLED, REJECTED, assertTransition, canTransition, getNextStatus, isFinalStatus, isFailedStatus, formatSelectedOptions, useI18n } from '@fresh-eats/shared';
+import { addAuditEntry } from './audit';
+import { daysAgo, startOfDay } from './dateRange';
+
+// ----------------------
+// ORDER QUEUE SECTION
+// ----------------------
+
+const formatTimestamp = (timestamp, locale) =>
+  timestamp ? timestamp.toDate().toLocaleString(locale, { dateStyle: 'short', timeStyle: 'short' }) : '—';
+
+// The buttons an admin gets for an order in `status`; every target is checked against the shared transition table.
+const getActions = (status, t) => {
+  const next = getNextStatus(status);
+  return [
+    next && { to: next, label: status === 'placed' ? t('order.accept') : t('order.markAs', { status: t(`status.${next}`) }), Icon: status === 'placed' ? Check : ChevronRight, style: 'bg-indigo-600 text-white hover:bg-indigo-700' },
+    canTransition(status, REJECTED) && { to: REJECTED, label: t('order.reject'), Icon: X, style: 'border border-red-300 text-red-600 hover:bg-red-50' },
+    canTransition(status, CANCELLED) && { to: CANCELLED, label: t('common.cancel'), Icon: Ban, style: 'border border-gray-300 text-gray-600 hover:bg-gray-50' },
+  ].filter(Boolean);
+};
+
+// How far back the queue listens, in days; older orders are in the analytics tab.
+const QUEUE_WINDOWS = [1, 7, 30];
+
+const statusBadgeStyle = (status) =>
+  isFailedStatus(status) ? 'bg-red-100 text-red-800' :
+  status === 'delivered' ? 'bg-green-100 text-green-800' :
+  status === 'placed' ? 'bg-yellow-100 text-yellow-800' :
+  'bg-indigo-100 text-indigo-800';
+
+// Orders live under each customer's private path. The queue reads them with a
+// collection group query on 'orders', which firestore.rules opens to 'admin_user' role holders.
+// It only listens to orders placed in the picked window (the appId/createdAt index in
+// firestore.indexes.json), so the listener doesn't grow with every order ever placed.
+// Status changes are recorded in the audit log as `actor`. `currency` (the app default) is
+// only used for orders placed before orders recorded their own.
+const OrderQueue = ({ db, actor, appId, userId, stores, currency, isAuthReady, isFallback }) => {
+  const { t, locale, formatPrice } = useI18n();
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [queueError, setQueueError] = useState(null);
+  // The listener's error, kept untranslated so it follows language changes.
+  const [loadError, setLoadError] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [storeFilter, setStoreFilter] = useState('all');
+  const [windowDays, setWindowDays] = useState(7);
+  const [updatingId, setUpdatingId] = useState(null);
+
+  // --- Firestore Listener ---
+  useEffect(() => {
+    if (!isAuthReady || !db || !userId) return;
+    setLoading(true);
+
+    const ordersQuery = query(
+      collectionGroup(db, 'orders'),
+      where('appId', '==', appId),
+      where('createdAt', '>=', startOfDay(daysAgo(windowDays - 1))),
+      orderBy('createdAt'),
+    );
+    const unsubscribeSnapshot = onSnapshot(ordersQuery, (snapshot) => {
+      // Oldest first, so the queue is worked in the order customers placed them.
+      setOrders(snapshot.docs.map(doc => ({ id: doc.id, path: doc.ref.path, ...doc.data() })));
+      setLoadError(null);
+      setLoading(false);
+    }, (e) => {
+      console.error("Orders onSnapshot failed:", e);
+      setLoadError(e.message);
+      setLoading(false);
+    });
+
+    return () => unsubscribeSnapshot();
+  }, [db, appId, userId, isAuthReady, windowDays]);
+
+  // --- Data Handlers ---
+
+  const handleTransition = async (order, nextStatus) => {
+    if (!db || isFallback || updatingId) return;
+    setUpdatingId(order.id);
+    try {
+      assertTransition(order.status, nextStatus, t);
+      const changes = { status: nextStatus, ...(nextStatus === CANCELLED ? { cancelledBy: 'admin' } : {}) };
+      const batch = writeBatch(db);
+      batch.update(doc(db, order.path), {
+        ...changes,
+        [`statusHistory.${nextStatus}`]: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+        updatedBy: userId,
+      });
+      addAuditEntry(batch, db, appId, { actor, action: 'update', entity: 'order', targetPath: order.path, before: order, after: changes });
+      await batch.commit();
+      setQueueError(null);
+    } catch (e) {
+      console.error("Error updating order: ", e);
+      setQueueError(t('order.updateFailed', { message: e.message }));
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const visibleOrders = orders.filter(order =>
+    (statusFilter === 'all' || (statusFilter === 'active' ? !isFinalStatus(order.status) : order.status === statusFilter)) &&
+    (storeFilter === 'all' || order.storeId === storeFilter)
+  );
+
+  // --- Render Functions ---
+
+  const renderFilters = () => (
+    <div className="flex flex-wrap items-center gap-3 mb-4">
+      <Filter className="w-4 h-4 text-gray-400" />
+      <select
+        value={statusFilter}
+        onChange={(e) => setStatusFilter(e.target.value)}
+        aria-label={t('order.filterStatus')}
+        className="rounded-md border-gray-300 shadow-sm p-2 border text-sm focus:ring-indigo-500 focus:border-indigo-500"
+      >
+        <option value="active">{t('order.active')}</option>
+        <option value="all">{t('order.allStatuses')}</option>
+        {ORDER_STATUSES.map(status => (
+          <option key={status} value={status}>{t(`status.${status}`)}</option>
+        ))}
+      </select>
+      <select
+        value={storeFilter}
+        onChange={(e) => setStoreFilter(e.target.value)}
+        aria-label={t('common.filterStore')}
+        className="rounded-md border-gray-300 shadow-sm p-2 border text-sm focus:ring-indigo-500 focus:border-indigo-500"
+      >
+        <option value="all">{t('common.allStores')}</option>
+        {stores.map(store => (
+          <option key={store.id} value={store.id}>{store.name}</option>
+        ))}
+      </select>
+      <select
+        value={windowDays}
+        onChange={(e) => setWindowDays(Number(e.target.value))}
+        aria-label={t('order.window')}
+        className="rounded-md border-gray-300 shadow-sm p-2 border text-sm focus:ring-indigo-500 focus:border-indigo-500"
+      >
+        {QUEUE_WINDOWS.map(days => (
+          <option key={days} value={days}>{t('order.windowDays', { count: days })}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  const renderOrderRow = (order) => (
+    <li key={order.path} className="p-4 border rounded-md hover:bg-gray-50 transition duration-100">
+      <div className="flex justify-between items-start">
+        <div>
+          <p className="font-semibold text-gray-800">{order.storeName}</p>
+          <p className="text-xs text-gray-500 font-mono">{order.id} · {t('order.customer', { id: order.userId?.substring(0, 8) })}</p>
+          <p className="text-xs text-gray-500">{t('order.placedAt', { time: formatTimestamp(order.createdAt, locale) })}</p>
+        </div>
+        <div className="text-right">
+          <span className="font-bold text-lg text-indigo-600">{formatPrice(order.total, order.currency || currency)}</span>
+          {order.promoCode && (
+            <span className="block text-xs text-emerald-700 mt-1">
+              <span className="font-mono">{order.promoCode}</span> −{formatPrice(order.discount, order.currency || currency)}
+            </span>
+          )}
+          <span className={`block text-xs font-semibold px-2 py-0.5 rounded-full mt-1 ${statusBadgeStyle(order.status)}`}>
+            {t(`status.${order.status}`)}
+          </span>
+        </div>
+      </div>
+      <ul className="mt-2 text-sm text-gray-600">
+        {(order.items || []).map((item, index) => (
+          <li key={index}>
+            {item.quantity} × {item.name}
+            {item.options?.length > 0 && <span className="text-gray-500"> ({formatSelectedOptions(item.options)})</span>}
+          </li>
+        ))}
+      </ul>
+      {getActions(order.status, t).length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-3">
+          {getActions(order.status, t).map(({ to, label, Icon, style }) => (
+            <button
+              key={to}
+              onClick={() => handleTransition(order, to)}
+              disabled={isFallback || updatingId === order.id}
+              className={`flex items-center px-3 py-1 rounded-md text-sm font-medium disabled:opacity-50 ${style}`}
+            >
+              <Icon className="w-4 h-4 mr-1" />
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </li>
+  );
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-xl border border-gray-100">
+      <h2 className="flex items-center text-xl font-bold text-gray-700 mb-4 border-b pb-2">
+        <ClipboardList className="w-5 h-5 mr-2 text-emerald-500" />
+        {t('order.queueTitle', { count: visibleOrders.length })}
+      </h2>
+      {renderFilters()}
+      {(queueError || loadError) && (
+        <p className="text-sm text-red-600 p-2 mb-4 bg-red-50 border border-red-200 rounded-md">
+          {queueError || t('order.loadFailed', { message: loadError })}
+        </p>
+      )}
+      {loading ? (
+        <div className="text-center py-8 text-gray-500">
+          <Loader2 className="w-6 h-6 mx-auto mb-2 animate-spin" />
+          {t('order.loading')}
+        </div>
+      ) : visibleOrders.length === 0 ? (
+        <div className="text-center py-8 text-gray-500 border-2 border-dashed border-gray-200 rounded-md">
+          <ClipboardList className="w-8 h-8 mx-auto mb-2" />
+          {t('order.empty')}
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {visibleOrders.map(renderOrderRow)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OrderQueue;
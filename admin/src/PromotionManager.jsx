@@ -0,0 +1,334 @@
+import React, { useState, useMemo } from 'react';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
+import { Tag, PlusCircle, Save, Loader2, Pencil, Trash2, X, PauseCircle, PlayCircle, Store, CalendarClock } from 'lucide-react';
+import { useCollection, getPromotionCollectionPath, getPromotionDocPath, describePromotion, PROMOTION_TYPES, SUPPORTED_CURRENCIES, getStoreCurrency, useI18n } from '@fresh-eats/shared';
+import { EMPTY_PROMOTION, validatePromotion, toPromotionPayload, toPromotionForm } from './promotions';
+
+// ----------------------
+// PROMO CODE SECTION
+// ----------------------
+
+const formatDate = (timestamp, locale) => timestamp.toDate().toLocaleString(locale, { dateStyle: 'short', timeStyle: 'short' });
+
+// Create, edit, pause and delete promo codes. The code is the document id, so it can't be
+// changed once created. Usage is counted by checkout (see shared/promotions.js). The amount
+// off and minimum order are in the code's currency: its store's for a single-store code, or
+// the one picked (the app default `currency` until changed) for a code for every store,
+// which then only applies at stores in that currency.
+const PromotionManager = ({ db, appId, userId, stores, currency, isFallback }) => {
+  const { t, locale } = useI18n();
+  const promotionsResult = useCollection(getPromotionCollectionPath(appId));
+  const promotions = useMemo(
+    () => [...promotionsResult.docs].sort((a, b) => a.id.localeCompare(b.id)),
+    [promotionsResult.docs]
+  );
+  const [promotionForm, setPromotionForm] = useState(EMPTY_PROMOTION);
+  const [editingId, setEditingId] = useState(null);
+  const [pendingDeleteId, setPendingDeleteId] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const storeNames = useMemo(() => new Map(stores.map(store => [store.id, store.name])), [stores]);
+  const currencyOf = (storeId) => (storeId ? getStoreCurrency(stores.find(store => store.id === storeId), { currency }) : currency);
+  const formCurrency = promotionForm.storeId ? currencyOf(promotionForm.storeId) : promotionForm.currency || currency;
+
+  // --- Data Handlers ---
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setPromotionForm(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : type === 'number' ? parseFloat(value) || 0 : value
+    }));
+  };
+
+  const resetForm = () => {
+    setPromotionForm(EMPTY_PROMOTION);
+    setEditingId(null);
+    setFormError(null);
+  };
+
+  const startEditing = (promotion) => {
+    setPromotionForm(toPromotionForm(promotion));
+    setEditingId(promotion.id);
+    setFormError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSubmitting || !db || !userId || isFallback) return;
+
+    const form = { ...promotionForm, currency: formCurrency };
+    const validationError = validatePromotion(form, t);
+    if (validationError) {
+      setFormError(validationError);
+      return;
+    }
+    setFormError(null);
+    setIsSubmitting(true);
+
+    try {
+      const payload = toPromotionPayload(form);
+      const promotionRef = doc(db, getPromotionDocPath(appId, payload.code));
+      if (editingId) {
+        await updateDoc(promotionRef, { ...payload, updatedAt: serverTimestamp(), updatedBy: userId });
+      } else {
+        // setDoc would silently replace an existing code and reset its usage count.
+        if ((await getDoc(promotionRef)).exists()) {
+          setFormError(t('promotion.codeExists', { code: payload.code }));
+          return;
+        }
+        await setDoc(promotionRef, {
+          ...payload,
+          redemptionCount: 0,
+          createdAt: serverTimestamp(),
+          createdBy: userId,
+        });
+      }
+      resetForm();
+    } catch (e) {
+      console.error("Error saving promotion: ", e);
+      setFormError(t('promotion.saveFailed', { message: e.message }));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const toggleActive = async (promotion) => {
+    if (!db || isFallback) return;
+    try {
+      await updateDoc(doc(db, getPromotionDocPath(appId, promotion.id)), {
+        active: !promotion.active,
+        updatedAt: serverTimestamp(),
+        updatedBy: userId,
+      });
+    } catch (e) {
+      console.error("Error pausing promotion: ", e);
+      setFormError(t('promotion.updateFailed', { message: e.message }));
+    }
+  };
+
+  const handleDelete = async (promotionId) => {
+    if (!db || isFallback) return;
+    try {
+      await deleteDoc(doc(db, getPromotionDocPath(appId, promotionId)));
+      if (editingId === promotionId) resetForm();
+    } catch (e) {
+      console.error("Error deleting promotion: ", e);
+      setFormError(t('promotion.deleteFailed', { message: e.message }));
+    } finally {
+      setPendingDeleteId(null);
+    }
+  };
+
+  // --- Render Functions ---
+
+  const inputClassName = "mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500 disabled:bg-gray-100";
+
+  const renderPromotionForm = () => (
+    <div className="bg-white p-6 rounded-lg shadow-xl border border-gray-100">
+      <h2 className="flex items-center text-xl font-bold text-gray-700 mb-4 border-b pb-2">
+        {editingId ? <Pencil className="w-5 h-5 mr-2 text-indigo-500" /> : <PlusCircle className="w-5 h-5 mr-2 text-indigo-500" />}
+        {editingId ? t('promotion.editTitle', { code: editingId }) : t('promotion.addTitle')}
+      </h2>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="promotion-code" className="block text-sm font-medium text-gray-700">{t('promotion.code')}</label>
+          <input
+            type="text"
+            id="promotion-code"
+            name="code"
+            value={promotionForm.code}
+            onChange={handleInputChange}
+            placeholder={t('promotion.codePlaceholder')}
+            disabled={!!editingId}
+            required
+            className={`${inputClassName} font-mono uppercase`}
+          />
+        </div>
+        <div className="flex space-x-2">
+          <div className="flex-1">
+            <label htmlFor="promotion-type" className="block text-sm font-medium text-gray-700">{t('promotion.discount')}</label>
+            <select id="promotion-type" name="type" value={promotionForm.type} onChange={handleInputChange} className={inputClassName}>
+              {PROMOTION_TYPES.map(type => <option key={type} value={type}>{t(`promotion.type.${type}`)}</option>)}
+            </select>
+          </div>
+          <div className="flex-1">
+            <label htmlFor="promotion-value" className="block text-sm font-medium text-gray-700">
+              {promotionForm.type === 'percent' ? t('promotion.percent') : t('promotion.amount', { currency: formCurrency })}
+            </label>
+            <input type="number" id="promotion-value" name="value" value={promotionForm.value} onChange={handleInputChange} step="0.01" min="0" required className={inputClassName} />
+          </div>
+        </div>
+        <div className="flex space-x-2">
+          <div className="flex-1">
+            <label htmlFor="promotion-minSubtotal" className="block text-sm font-medium text-gray-700">{t('promotion.minimum', { currency: formCurrency })}</label>
+            <input type="number" id="promotion-minSubtotal" name="minSubtotal" value={promotionForm.minSubtotal} onChange={handleInputChange} step="0.01" min="0" className={inputClassName} />
+          </div>
+          <div className="flex-1">
+            <label htmlFor="promotion-storeId" className="block text-sm font-medium text-gray-700">{t('promotion.store')}</label>
+            <select id="promotion-storeId" name="storeId" value={promotionForm.storeId} onChange={handleInputChange} className={inputClassName}>
+              <option value="">{t('common.allStores')}</option>
+              {stores.map(store => <option key={store.id} value={store.id}>{store.name}</option>)}
+            </select>
+          </div>
+          <div className="flex-1">
+            <label htmlFor="promotion-currency" className="block text-sm font-medium text-gray-700">{t('promotion.currency')}</label>
+            <select id="promotion-currency" name="currency" value={formCurrency} onChange={handleInputChange} disabled={!!promotionForm.storeId} className={inputClassName}>
+              {SUPPORTED_CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+          </div>
+        </div>
+        <div className="flex space-x-2">
+          <div className="flex-1">
+            <label htmlFor="promotion-startsAt" className="block text-sm font-medium text-gray-700">{t('promotion.startsAt')}</label>
+            <input type="datetime-local" id="promotion-startsAt" name="startsAt" value={promotionForm.startsAt} onChange={handleInputChange} className={inputClassName} />
+          </div>
+          <div className="flex-1">
+            <label htmlFor="promotion-endsAt" className="block text-sm font-medium text-gray-700">{t('promotion.endsAt')}</label>
+            <input type="datetime-local" id="promotion-endsAt" name="endsAt" value={promotionForm.endsAt} onChange={handleInputChange} className={inputClassName} />
+          </div>
+        </div>
+        <div className="flex space-x-2">
+          <div className="flex-1">
+            <label htmlFor="promotion-maxRedemptions" className="block text-sm font-medium text-gray-700">{t('promotion.maxRedemptions')}</label>
+            <input type="text" inputMode="numeric" id="promotion-maxRedemptions" name="maxRedemptions" value={promotionForm.maxRedemptions} onChange={handleInputChange} placeholder={t('promotion.unlimited')} className={inputClassName} />
+          </div>
+          <div className="flex-1">
+            <label htmlFor="promotion-maxRedemptionsPerUser" className="block text-sm font-medium text-gray-700">{t('promotion.maxRedemptionsPerUser')}</label>
+            <input type="text" inputMode="numeric" id="promotion-maxRedemptionsPerUser" name="maxRedemptionsPerUser" value={promotionForm.maxRedemptionsPerUser} onChange={handleInputChange} placeholder={t('promotion.unlimited')} className={inputClassName} />
+          </div>
+        </div>
+        <label className="flex items-center text-sm text-gray-700">
+          <input type="checkbox" name="active" checked={promotionForm.active} onChange={handleInputChange} className="mr-2" />
+          {t('promotion.active')}
+        </label>
+        {formError && (
+          <p className="text-sm text-red-600 p-2 bg-red-50 border border-red-200 rounded-md">{formError}</p>
+        )}
+        <div className="flex space-x-2">
+          <button
+            type="submit"
+            disabled={isSubmitting || !userId || isFallback}
+            className="flex-1 flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition duration-150 ease-in-out disabled:opacity-50"
+          >
+            {isSubmitting ? (
+              <>
+                <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+                {t('common.saving')}
+              </>
+            ) : (
+              <>
+                {editingId ? <Save className="w-5 h-5 mr-2" /> : <PlusCircle className="w-5 h-5 mr-2" />}
+                {isFallback ? t('product.readOnly') : editingId ? t('common.saveChanges') : t('promotion.add')}
+              </>
+            )}
+          </button>
+          {editingId && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="flex items-center py-2 px-4 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              <X className="w-4 h-4 mr-1" />
+              {t('common.cancel')}
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+
+  const renderWindow = (promotion) => {
+    if (!promotion.startsAt && !promotion.endsAt) return null;
+    return (
+      <span className="flex items-center">
+        <CalendarClock className="w-3 h-3 mr-1" />
+        {promotion.startsAt ? formatDate(promotion.startsAt, locale) : t('promotion.now')} – {promotion.endsAt ? formatDate(promotion.endsAt, locale) : t('promotion.noEnd')}
+      </span>
+    );
+  };
+
+  const renderPromotionRow = (promotion) => (
+    <li key={promotion.id} className={`p-3 border rounded-md transition duration-100 flex justify-between items-center ${promotion.active ? 'hover:bg-gray-50' : 'bg-gray-100 opacity-70'}`}>
+      <div className="min-w-0">
+        <p className="font-semibold text-gray-800">
+          <span className="font-mono">{promotion.id}</span>
+          {!promotion.active && (
+            <span className="ml-2 text-xs font-medium text-gray-600 bg-gray-300 px-2 py-0.5 rounded-full">{t('promotion.paused')}</span>
+          )}
+        </p>
+        <p className="text-sm text-gray-600">{describePromotion(promotion, promotion.currency || currencyOf(promotion.storeId), t)}</p>
+        <p className="text-xs text-gray-500 mt-1 flex items-center space-x-3">
+          <span className="bg-gray-200 px-2 py-0.5 rounded-full">
+            {t('promotion.used', { count: promotion.redemptionCount || 0, max: promotion.maxRedemptions ?? '∞' })}
+          </span>
+          {promotion.maxRedemptionsPerUser !== null && <span>{t('promotion.perCustomer', { count: promotion.maxRedemptionsPerUser })}</span>}
+          <span className="flex items-center">
+            <Store className="w-3 h-3 mr-1" />
+            {promotion.storeId ? storeNames.get(promotion.storeId) || promotion.storeId : t('common.allStores')}
+          </span>
+          {renderWindow(promotion)}
+        </p>
+      </div>
+      {pendingDeleteId === promotion.id ? (
+        <div className="flex items-center space-x-2 text-sm">
+          <span className="text-red-600">{t('common.deletePermanently')}</span>
+          <button onClick={() => handleDelete(promotion.id)} className="px-2 py-1 rounded-md bg-red-600 text-white hover:bg-red-700">{t('common.delete')}</button>
+          <button onClick={() => setPendingDeleteId(null)} className="px-2 py-1 rounded-md border border-gray-300 hover:bg-gray-50">{t('common.keep')}</button>
+        </div>
+      ) : (
+        <div className="flex items-center space-x-1">
+          <button onClick={() => startEditing(promotion)} disabled={isFallback} title={t('common.edit')} className="p-2 rounded-md text-gray-500 hover:text-indigo-600 hover:bg-indigo-50 disabled:opacity-50">
+            <Pencil className="w-4 h-4" />
+          </button>
+          <button onClick={() => toggleActive(promotion)} disabled={isFallback} title={promotion.active ? t('promotion.pause') : t('promotion.activate')} className="p-2 rounded-md text-gray-500 hover:text-amber-600 hover:bg-amber-50 disabled:opacity-50">
+            {promotion.active ? <PauseCircle className="w-4 h-4" /> : <PlayCircle className="w-4 h-4" />}
+          </button>
+          <button onClick={() => setPendingDeleteId(promotion.id)} disabled={isFallback} title={t('common.delete')} className="p-2 rounded-md text-gray-500 hover:text-red-600 hover:bg-red-50 disabled:opacity-50">
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </li>
+  );
+
+  const renderPromotionList = () => (
+    <div className="bg-white p-6 rounded-lg shadow-xl border border-gray-100">
+      <h2 className="flex items-center text-xl font-bold text-gray-700 mb-4 border-b pb-2">
+        <Tag className="w-5 h-5 mr-2 text-emerald-500" />
+        {t('promotion.listTitle', { count: promotions.length })}
+      </h2>
+      {promotionsResult.error ? (
+        <p className="text-sm text-red-600">{t('promotion.loadFailed', { message: promotionsResult.error.message })}</p>
+      ) : promotionsResult.isLoading ? (
+        <div className="text-center py-8 text-gray-500">
+          <Loader2 className="w-6 h-6 mx-auto mb-2 animate-spin" />
+          {t('promotion.loading')}
+        </div>
+      ) : promotions.length === 0 ? (
+        <div className="text-center py-8 text-gray-500 border-2 border-dashed border-gray-200 rounded-md">
+          <Tag className="w-8 h-8 mx-auto mb-2" />
+          {t('promotion.empty')}
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {promotions.map(renderPromotionRow)}
+        </ul>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      <div className="lg:col-span-1">
+        {renderPromotionForm()}
+      </div>
+      <div className="lg:col-span-2">
+        {renderPromotionList()}
+      </div>
+    </div>
+  );
+};
+
+export default PromotionManager;
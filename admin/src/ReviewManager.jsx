@@ -0,0 +1,137 @@
+import React, { useState, useMemo } from 'react';
+import { doc, writeBatch, increment, serverTimestamp } from 'firebase/firestore';
+import { MessageSquare, Loader2, Star, EyeOff, Eye, Filter } from 'lucide-react';
+import { useCollection, getReviewCollectionPath, getStoreCollectionPath, useI18n } from '@fresh-eats/shared';
+import { addAuditEntry } from './audit';
+
+// ----------------------
+// REVIEW MODERATION SECTION
+// ----------------------
+
+const formatTimestamp = (timestamp, locale) =>
+  timestamp ? timestamp.toDate().toLocaleString(locale, { dateStyle: 'short', timeStyle: 'short' }) : '—';
+
+const VISIBILITY_FILTERS = ['all', 'visible', 'hidden'];
+
+// Lists every review of the app. Hiding a review removes it from the store page and from
+// the store's rating aggregate in one batch; restoring adds it back. The aggregate change is
+// audited as a store update.
+const ReviewManager = ({ db, appId, userId, actor, stores, isFallback }) => {
+  const { t, locale } = useI18n();
+  const reviewsResult = useCollection(getReviewCollectionPath(appId));
+  const reviews = useMemo(
+    () => [...reviewsResult.docs].sort((a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0)),
+    [reviewsResult.docs]
+  );
+  const [storeFilter, setStoreFilter] = useState('all');
+  const [visibilityFilter, setVisibilityFilter] = useState('all');
+  const [updatingId, setUpdatingId] = useState(null);
+  const [actionError, setActionError] = useState(null);
+
+  const storeNames = useMemo(() => new Map(stores.map(store => [store.id, store.name])), [stores]);
+
+  const visibleReviews = reviews.filter(review =>
+    (storeFilter === 'all' || review.storeId === storeFilter)
+    && (visibilityFilter === 'all' || (visibilityFilter === 'hidden') === review.hidden)
+  );
+
+  const setHidden = async (review, hidden) => {
+    if (!db || isFallback || updatingId) return;
+    setActionError(null);
+    setUpdatingId(review.id);
+    try {
+      const batch = writeBatch(db);
+      batch.update(doc(db, getReviewCollectionPath(appId), review.id), {
+        hidden,
+        hiddenAt: hidden ? serverTimestamp() : null,
+        hiddenBy: hidden ? userId : null,
+      });
+      const storeRef = doc(db, getStoreCollectionPath(appId), review.storeId);
+      batch.update(storeRef, {
+        ratingTotal: increment(hidden ? -review.rating : review.rating),
+        reviewCount: increment(hidden ? -1 : 1),
+        updatedAt: serverTimestamp(),
+        updatedBy: userId,
+      });
+      const store = stores.find(candidate => candidate.id === review.storeId);
+      const before = { ratingTotal: store?.ratingTotal || 0, reviewCount: store?.reviewCount || 0 };
+      const after = {
+        ratingTotal: before.ratingTotal + (hidden ? -review.rating : review.rating),
+        reviewCount: before.reviewCount + (hidden ? -1 : 1),
+      };
+      addAuditEntry(batch, db, appId, { actor, action: 'update', entity: 'store', targetPath: storeRef.path, before, after });
+      await batch.commit();
+    } catch (e) {
+      console.error("Error moderating review: ", e);
+      setActionError(t('review.updateFailed', { message: e.message }));
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const renderReview = (review) => (
+    <li key={review.id} className={`p-4 border rounded-md ${review.hidden ? 'bg-gray-100 opacity-70' : 'bg-white'}`}>
+      <div className="flex justify-between items-start">
+        <div className="min-w-0">
+          <p className="font-semibold text-gray-800">
+            {storeNames.get(review.storeId) || review.storeId}
+            {review.hidden && (
+              <span className="ml-2 text-xs font-medium text-gray-600 bg-gray-300 px-2 py-0.5 rounded-full">{t('review.hidden')}</span>
+            )}
+          </p>
+          <p className="flex items-center text-sm text-yellow-600 mt-1">
+            {Array.from({ length: review.rating }, (_, index) => <Star key={index} className="w-4 h-4 fill-yellow-400" />)}
+            <span className="ml-2 text-xs text-gray-500">{review.authorName} · {formatTimestamp(review.createdAt, locale)}</span>
+          </p>
+          {review.text && <p className="mt-2 text-sm text-gray-700 whitespace-pre-line">{review.text}</p>}
+          <p className="mt-1 text-xs text-gray-400 font-mono">{t('review.reference', { orderId: review.orderId, userId: review.userId })}</p>
+        </div>
+        <button
+          onClick={() => setHidden(review, !review.hidden)}
+          disabled={isFallback || updatingId === review.id}
+          className="flex items-center flex-shrink-0 ml-4 px-3 py-1 rounded-md text-sm border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+        >
+          {updatingId === review.id ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : review.hidden ? <Eye className="w-4 h-4 mr-1" /> : <EyeOff className="w-4 h-4 mr-1" />}
+          {review.hidden ? t('review.restore') : t('review.hide')}
+        </button>
+      </div>
+    </li>
+  );
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-xl border border-gray-100">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-4 border-b pb-2 gap-2">
+        <h2 className="flex items-center text-xl font-bold text-gray-700">
+          <MessageSquare className="w-5 h-5 mr-2 text-indigo-500" />
+          {t('review.title', { count: visibleReviews.length })}
+        </h2>
+        <div className="flex items-center space-x-2 text-sm">
+          <Filter className="w-4 h-4 text-gray-400" />
+          <select value={storeFilter} onChange={(e) => setStoreFilter(e.target.value)} aria-label={t('common.filterStore')} className="rounded-md border border-gray-300 p-1">
+            <option value="all">{t('common.allStores')}</option>
+            {stores.map(store => <option key={store.id} value={store.id}>{store.name}</option>)}
+          </select>
+          <select value={visibilityFilter} onChange={(e) => setVisibilityFilter(e.target.value)} aria-label={t('review.filterVisibility')} className="rounded-md border border-gray-300 p-1">
+            {VISIBILITY_FILTERS.map(id => <option key={id} value={id}>{t(`review.visibility.${id}`)}</option>)}
+          </select>
+        </div>
+      </div>
+      {actionError && (
+        <p className="text-sm text-red-600 p-2 mb-4 bg-red-50 border border-red-200 rounded-md">{actionError}</p>
+      )}
+      {reviewsResult.error ? (
+        <p className="text-sm text-red-600">{t('review.loadFailed', { message: reviewsResult.error.message })}</p>
+      ) : reviewsResult.isLoading ? (
+        <div className="flex items-center justify-center p-8 text-gray-500">
+          <Loader2 className="w-6 h-6 mr-2 animate-spin" /> {t('review.loading')}
+        </div>
+      ) : visibleReviews.length === 0 ? (
+        <p className="text-gray-500 italic">{t('review.empty')}</p>
+      ) : (
+        <ul className="space-y-3">{visibleReviews.map(renderReview)}</ul>
+      )}
+    </div>
+  );
+};
+
+export default ReviewManager;
@@ -0,0 +1,238 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { collectionGroup, query, where, onSnapshot } from 'firebase/firestore';
+import { BarChart3, Loader2, Download, CalendarRange } from 'lucide-react';
+import { buildSalesReport, getOrderCurrencies, filterOrdersByCurrency, useI18n } from '@fresh-eats/shared';
+import { toCsv } from './menuTransfer';
+import { downloadFile } from './downloads';
+import { BROWSER_TIME_ZONE, toDay, daysAgo, startOfDay, getRangeError } from './dateRange';
+
+// ----------------------
+// SALES ANALYTICS SECTION
+// ----------------------
+
+const formatPercent = (fraction, locale) =>
+  new Intl.NumberFormat(locale, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(fraction);
+
+// Orders, revenue, average order value, cancellation rate, and sales per day, store,
+// category and item for a date range, each table downloadable as CSV. The figures come
+// from the pure functions in shared/analytics.js; this component only loads the orders
+// placed in the range (a collection group query, like the order queue). Stores can price
+// in different currencies, so the figures cover one currency at a time; `currency` (the
+// app default) is picked first and stands in for orders that recorded none.
+const SalesDashboard = ({ db, appId, userId, currency, isAuthReady }) => {
+  const { t, locale, formatPrice } = useI18n();
+  const [range, setRange] = useState(() => ({ from: daysAgo(29), to: toDay(new Date()) }));
+  const [pickedCurrency, setPickedCurrency] = useState(null);
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  const rangeError = getRangeError(range, t);
+
+  // --- Firestore Listener ---
+  useEffect(() => {
+    if (!isAuthReady || !db || !userId || rangeError) return;
+    setLoading(true);
+
+    const ordersQuery = query(
+      collectionGroup(db, 'orders'),
+      where('appId', '==', appId),
+      where('createdAt', '>=', startOfDay(range.from)),
+      where('createdAt', '<', startOfDay(range.to, 1)),
+    );
+    const unsubscribeSnapshot = onSnapshot(ordersQuery, (snapshot) => {
+      setOrders(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      setLoadError(null);
+      setLoading(false);
+    }, (e) => {
+      console.error("Analytics onSnapshot failed:", e);
+      setLoadError(e.message);
+      setLoading(false);
+    });
+
+    return () => unsubscribeSnapshot();
+  }, [db, appId, userId, isAuthReady, range.from, range.to, rangeError]);
+
+  const currencies = useMemo(() => getOrderCurrencies(orders, currency), [orders, currency]);
+  const reportCurrency = currencies.includes(pickedCurrency) ? pickedCurrency
+    : currencies.includes(currency) ? currency : currencies[0] || currency;
+
+  const report = useMemo(
+    () => buildSalesReport(filterOrdersByCurrency(orders, reportCurrency, currency), { from: range.from, to: range.to, timeZone: BROWSER_TIME_ZONE }),
+    [orders, reportCurrency, currency, range.from, range.to]
+  );
+
+  const price = (amount) => formatPrice(amount, reportCurrency);
+
+  // One definition per table drives both the HTML table and its CSV export.
+  const tables = [
+    {
+      id: 'daily',
+      title: t('sales.perDay'),
+      rows: report.byDay,
+      columns: [
+        { key: 'date', label: t('sales.date') },
+        { key: 'orderCount', label: t('sales.orders') },
+        { key: 'revenue', label: t('sales.revenue'), format: price },
+      ],
+    },
+    {
+      id: 'stores',
+      title: t('sales.perStore'),
+      rows: report.byStore,
+      columns: [
+        { key: 'storeName', label: t('sales.store') },
+        { key: 'orderCount', label: t('sales.orders') },
+        { key: 'revenue', label: t('sales.revenue'), format: price },
+      ],
+    },
+    {
+      id: 'categories',
+      title: t('sales.perCategory'),
+      rows: report.byCategory,
+      columns: [
+        { key: 'category', label: t('sales.category') },
+        { key: 'quantity', label: t('sales.itemsSold') },
+        { key: 'revenue', label: t('sales.itemSales'), format: price },
+      ],
+    },
+    {
+      id: 'top-items',
+      title: t('sales.topItems'),
+      rows: report.topItems,
+      columns: [
+        { key: 'name', label: t('sales.item') },
+        { key: 'quantity', label: t('sales.sold') },
+        { key: 'revenue', label: t('sales.itemSales'), format: price },
+      ],
+    },
+  ];
+
+  const exportTable = ({ id, rows, columns }) => {
+    const records = rows.map(row => Object.fromEntries(columns.map(({ key, label }) => [label, row[key]])));
+    downloadFile(toCsv(records, columns.map(column => column.label)), `${id}-${appId}-${reportCurrency}-${range.from}-to-${range.to}.csv`, 'text/csv');
+  };
+
+  const handleRangeChange = (e) => {
+    const { name, value } = e.target;
+    if (value) setRange(prev => ({ ...prev, [name]: value }));
+  };
+
+  // --- Render Functions ---
+
+  const renderSummary = () => {
+    const { summary } = report;
+    const cards = [
+      { label: t('sales.orders'), value: summary.orderCount },
+      { label: t('sales.revenue'), value: price(summary.revenue) },
+      { label: t('sales.averageOrder'), value: price(summary.averageOrderValue) },
+      { label: t('sales.cancellationRate'), value: formatPercent(summary.cancellationRate, locale), detail: t('sales.failedCount', { count: summary.failedCount }) },
+    ];
+    return (
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+        {cards.map(({ label, value, detail }) => (
+          <div key={label} className="bg-white p-4 rounded-lg shadow border border-gray-100">
+            <p className="text-xs text-gray-500 uppercase tracking-wide">{label}</p>
+            <p className="text-2xl font-bold text-gray-800 mt-1">{value}</p>
+            {detail && <p className="text-xs text-gray-500 mt-1">{detail}</p>}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  // Revenue per day as bars scaled to the best day.
+  const renderDailyChart = () => {
+    const best = Math.max(...report.byDay.map(day => day.revenue), 0);
+    return (
+      <div className="flex items-end h-32 space-x-px mb-4" aria-hidden="true">
+        {report.byDay.map(day => (
+          <div
+            key={day.date}
+            title={t('sales.dayTooltip', { date: day.date, revenue: price(day.revenue), count: day.orderCount })}
+            className="flex-1 bg-indigo-400 hover:bg-indigo-600 rounded-t"
+            style={{ height: best > 0 ? `${Math.max(day.revenue / best * 100, day.revenue > 0 ? 2 : 0)}%` : 0 }}
+          />
+        ))}
+      </div>
+    );
+  };
+
+  const renderTable = (table) => (
+    <section key={table.id} className="bg-white p-6 rounded-lg shadow-xl border border-gray-100">
+      <div className="flex justify-between items-center mb-4 border-b pb-2">
+        <h3 className="text-lg font-bold text-gray-700">{table.title}</h3>
+        <button
+          onClick={() => exportTable(table)}
+          disabled={table.rows.length === 0}
+          className="flex items-center px-3 py-1 rounded-md text-sm border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <Download className="w-4 h-4 mr-1" /> CSV
+        </button>
+      </div>
+      {table.id === 'daily' && renderDailyChart()}
+      {table.rows.length === 0 ? (
+        <p className="text-sm text-gray-500 italic">{t('sales.empty')}</p>
+      ) : (
+        <div className="max-h-80 overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-gray-500">
+              <tr>
+                {table.columns.map(({ key, label }, index) => (
+                  <th key={key} className={`pb-2 font-medium ${index > 0 ? 'text-right' : ''}`}>{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {table.rows.map((row, rowIndex) => (
+                <tr key={rowIndex}>
+                  {table.columns.map(({ key, format }, index) => (
+                    <td key={key} className={`py-1 ${index > 0 ? 'text-right' : 'text-gray-800'}`}>{format ? format(row[key]) : row[key]}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6 gap-2">
+        <h2 className="flex items-center text-xl font-bold text-gray-700">
+          <BarChart3 className="w-5 h-5 mr-2 text-indigo-500" />
+          {t('sales.title')}
+        </h2>
+        <div className="flex items-center space-x-2 text-sm">
+          {currencies.length > 1 && (
+            <select value={reportCurrency} onChange={(e) => setPickedCurrency(e.target.value)} aria-label={t('sales.currency')} className="rounded-md border border-gray-300 p-1">
+              {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+          )}
+          <CalendarRange className="w-4 h-4 text-gray-400" />
+          <input type="date" name="from" value={range.from} max={range.to} onChange={handleRangeChange} aria-label={t('common.from')} className="rounded-md border border-gray-300 p-1" />
+          <span className="text-gray-500">{t('common.to')}</span>
+          <input type="date" name="to" value={range.to} min={range.from} onChange={handleRangeChange} aria-label={t('common.toLabel')} className="rounded-md border border-gray-300 p-1" />
+        </div>
+      </div>
+      {rangeError || loadError ? (
+        <p className="text-sm text-red-600 p-2 mb-4 bg-red-50 border border-red-200 rounded-md">{rangeError || t('sales.loadFailed', { message: loadError })}</p>
+      ) : loading ? (
+        <div className="flex items-center justify-center p-8 text-gray-500">
+          <Loader2 className="w-6 h-6 mr-2 animate-spin" /> {t('order.loading')}
+        </div>
+      ) : (
+        <>
+          {renderSummary()}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {tables.map(renderTable)}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SalesDashboard;
@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { doc, writeBatch, serverTimestamp, deleteField } from 'firebase/firestore';
+import { Settings, Save, Loader2, PauseCircle } from 'lucide-react';
+import { SUPPORTED_CURRENCIES, validateAppConfig, getAppConfigDocPath, roundCurrency, useI18n } from '@fresh-eats/shared';
+import { addAuditEntry } from './audit';
+
+// ----------------------
+// APP SETTINGS SECTION
+// ----------------------
+
+// Category lists are edited as one name per line.
+const toLines = (list) => list.join('\n');
+const fromLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+// Form state keeps raw text so typing a decimal point or a blank line is not fought by parsing.
+const toForm = (config) => ({
+  productCategories: toLines(config.productCategories),
+  storeCategories: toLines(config.storeCategories),
+  currency: config.currency,
+  deliveryFees: Object.fromEntries(SUPPORTED_CURRENCIES.map(code => [code, String(config.deliveryFees[code])])),
+  taxPercent: String(roundCurrency(config.taxRate * 100)),
+  orderingPaused: config.orderingPaused,
+  pausedMessage: config.pausedMessage,
+});
+
+const fromForm = (form) => ({
+  productCategories: fromLines(form.productCategories),
+  storeCategories: fromLines(form.storeCategories),
+  currency: form.currency,
+  deliveryFees: Object.fromEntries(SUPPORTED_CURRENCIES.map(code => [code, roundCurrency(parseFloat(form.deliveryFees[code]))])),
+  // Stored as a fraction, entered as a percentage.
+  taxRate: parseFloat(form.taxPercent) / 100,
+  orderingPaused: form.orderingPaused,
+  pausedMessage: form.pausedMessage.trim(),
+});
+
+// Edits the public config document both apps subscribe to, so changes apply without a redeploy.
+// `config` is the live, normalized app config from useAppConfig. Saves are recorded in the
+// audit log as `actor`.
+const SettingsManager = ({ db, actor, appId, userId, config, isFallback }) => {
+  const { t } = useI18n();
+  const [form, setForm] = useState(() => toForm(config));
+  const [formError, setFormError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    setNotice(null);
+  };
+
+  const handleFeeChange = (code, value) => {
+    setForm(prev => ({ ...prev, deliveryFees: { ...prev.deliveryFees, [code]: value } }));
+    setNotice(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSaving || !db || !userId || isFallback) return;
+
+    const settings = fromForm(form);
+    const validationError = validateAppConfig(settings, t);
+    if (validationError) {
+      setFormError(validationError);
+      return;
+    }
+    setFormError(null);
+    setIsSaving(true);
+    try {
+      const configRef = doc(db, getAppConfigDocPath(appId));
+      const batch = writeBatch(db);
+      batch.set(configRef, {
+        ...settings,
+        // Replaced by deliveryFees.
+        deliveryFee: deleteField(),
+        updatedAt: serverTimestamp(),
+        updatedBy: userId,
+      }, { merge: true });
+      addAuditEntry(batch, db, appId, { actor, action: 'update', entity: 'config', targetPath: configRef.path, before: config, after: settings });
+      await batch.commit();
+      setNotice(t('settings.saved'));
+    } catch (e) {
+      console.error("Error saving settings: ", e);
+      setFormError(t('settings.saveFailed', { message: e.message }));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = "mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500";
+
+  return (
+    <div className="max-w-3xl bg-white p-6 rounded-lg shadow-xl border border-gray-100">
+      <h2 className="flex items-center text-xl font-bold text-gray-700 mb-4 border-b pb-2">
+        <Settings className="w-5 h-5 mr-2 text-indigo-500" />
+        {t('settings.title')}
+      </h2>
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className={`p-4 rounded-md border ${form.orderingPaused ? 'bg-amber-50 border-amber-300' : 'bg-gray-50 border-gray-200'}`}>
+          <label className="flex items-center font-medium text-gray-800">
+            <input type="checkbox" name="orderingPaused" checked={form.orderingPaused} onChange={handleChange} className="mr-2 h-4 w-4" />
+            <PauseCircle className="w-4 h-4 mr-1 text-amber-600" />
+            {t('settings.pauseOrdering')}
+          </label>
+          <p className="text-xs text-gray-500 mt-1">{t('settings.pauseHint')}</p>
+          <input
+            type="text"
+            name="pausedMessage"
+            value={form.pausedMessage}
+            onChange={handleChange}
+            placeholder={t('settings.pausedMessagePlaceholder')}
+            aria-label={t('settings.pausedMessage')}
+            className={inputClass}
+          />
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="settings-currency" className="block text-sm font-medium text-gray-700">{t('settings.currency')}</label>
+            <select id="settings-currency" name="currency" value={form.currency} onChange={handleChange} className={inputClass}>
+              {SUPPORTED_CURRENCIES.map(code => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">{t('settings.currencyHint')}</p>
+          </div>
+          <div>
+            <label htmlFor="settings-tax" className="block text-sm font-medium text-gray-700">{t('settings.taxRate')}</label>
+            <input type="number" id="settings-tax" name="taxPercent" value={form.taxPercent} onChange={handleChange} step="0.01" min="0" max="99.99" required className={inputClass} />
+          </div>
+        </div>
+
+        <fieldset>
+          <legend className="block text-sm font-medium text-gray-700">{t('settings.deliveryFee')}</legend>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {SUPPORTED_CURRENCIES.map(code => (
+              <label key={code} className="block text-xs text-gray-500">
+                {code}
+                <input type="number" value={form.deliveryFees[code]} onChange={(e) => handleFeeChange(code, e.target.value)} step="0.01" min="0" required className={inputClass} />
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">{t('settings.deliveryFeeHint')}</p>
+        </fieldset>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="settings-product-categories" className="block text-sm font-medium text-gray-700">{t('settings.productCategories')}</label>
+            <textarea id="settings-product-categories" name="productCategories" value={form.productCategories} onChange={handleChange} rows="6" className={inputClass}></textarea>
+            <p className="text-xs text-gray-500 mt-1">{t('settings.productCategoriesHint')}</p>
+          </div>
+          <div>
+            <label htmlFor="settings-store-categories" className="block text-sm font-medium text-gray-700">{t('settings.storeCategories')}</label>
+            <textarea id="settings-store-categories" name="storeCategories" value={form.storeCategories} onChange={handleChange} rows="6" className={inputClass}></textarea>
+            <p className="text-xs text-gray-500 mt-1">{t('settings.storeCategoriesHint')}</p>
+          </div>
+        </div>
+        <p className="text-xs text-gray-500">
+          {t('settings.categoriesNote')}
+        </p>
+
+        {formError && (
+          <p className="text-sm text-red-600 p-2 bg-red-50 border border-red-200 rounded-md">{formError}</p>
+        )}
+        {notice && (
+          <p className="text-sm text-green-700 p-2 bg-green-50 border border-green-200 rounded-md">{notice}</p>
+        )}
+
+        <button
+          type="submit"
+          disabled={isSaving || isFallback}
+          className="flex items-center justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 transition duration-150 ease-in-out disabled:opacity-50"
+        >
+          {isSaving ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <Save className="w-5 h-5 mr-2" />}
+          {isFallback ? t('product.readOnly') : t('settings.save')}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default SettingsManager;
@@ -0,0 +1,534 @@
+import React, { useState } from 'react';
+import { collection, writeBatch, deleteField, doc, serverTimestamp } from 'firebase/firestore';
+import { Store, PlusCircle, Save, Loader2, Pencil, Archive, ArchiveRestore, Trash2, X, Star, Clock, PauseCircle, PlayCircle, CalendarX, MapPin, Search } from 'lucide-react';
+import {
+  getStoreCollectionPath, getStoreOpenState, describeStoreOpenState, useNow, WEEKDAYS,
+  MAX_DELIVERY_RADIUS_KM, DEFAULT_PREP_MINUTES, isValidLocation, geocodeAddress, formatStoreRating,
+  getStoreImagePath, getThumbnailUrl, SUPPORTED_CURRENCIES, getStoreCurrency, useI18n,
+} from '@fresh-eats/shared';
+import { EMPTY_STORE, validateStore, toStorePayload, toScheduleForm, toLocationForm } from './stores';
+import { saveWithImage, deleteUnusedImage } from './images';
+import { addAuditEntry } from './audit';
+import ImageField from './ImageField';
+import LazyImage from './LazyImage';
+
+// Offered as suggestions in the timezone field, when the browser can list them.
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+// ----------------------
+// STORE MANAGEMENT SECTION
+// ----------------------
+
+// Create, edit, archive and delete the stores shown in the client catalog.
+// Writes are only accepted by firestore.rules for users holding the 'admin_user' role.
+// The store list itself is owned by App, which also needs it for the product form's store picker.
+// `categories` and `defaultCurrency`, the currency new stores start with, come from the
+// live app config (Settings tab). Store images go to Cloud Storage through `storage`.
+// Every write is recorded in the audit log as `actor`.
+const StoreManager = ({ db, actor, storage, appId, userId, stores, categories, defaultCurrency, loading, isAuthReady, isFallback }) => {
+  const { t } = useI18n();
+  const [formError, setFormError] = useState(null);
+  const emptyStore = { ...EMPTY_STORE, category: categories[0], currency: defaultCurrency };
+  const [storeForm, setStoreForm] = useState(emptyStore);
+  const [editingId, setEditingId] = useState(null);
+  const [pendingDeleteId, setPendingDeleteId] = useState(null);
+  const [newHoliday, setNewHoliday] = useState('');
+  const [isLocating, setIsLocating] = useState(false);
+  const now = useNow();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // --- Data Handlers ---
+
+  const handleInputChange = (e) => {
+    const { name, value, type } = e.target;
+    setStoreForm(prev => ({
+      ...prev,
+      [name]: type === 'number' ? parseFloat(value) || 0 : value
+    }));
+  };
+
+  // Fills in the coordinates for the typed address (see shared/geocoding.js).
+  const lookUpAddress = async () => {
+    setIsLocating(true);
+    try {
+      const place = await geocodeAddress(storeForm.address);
+      if (place) {
+        setStoreForm(prev => ({ ...prev, latitude: String(place.lat), longitude: String(place.lng) }));
+        setFormError(null);
+      } else {
+        setFormError(t('store.addressNotFound'));
+      }
+    } finally {
+      setIsLocating(false);
+    }
+  };
+
+  const handleHoursChange = (day, field, value) => {
+    setStoreForm(prev => ({
+      ...prev,
+      hours: { ...prev.hours, [day]: { ...prev.hours[day], [field]: value } },
+    }));
+  };
+
+  const addHoliday = () => {
+    if (!newHoliday) return;
+    setStoreForm(prev => ({ ...prev, holidays: [...new Set([...prev.holidays, newHoliday])].sort() }));
+    setNewHoliday('');
+  };
+
+  const removeHoliday = (date) => {
+    setStoreForm(prev => ({ ...prev, holidays: prev.holidays.filter(holiday => holiday !== date) }));
+  };
+
+  const resetForm = () => {
+    setStoreForm(emptyStore);
+    setEditingId(null);
+    setFormError(null);
+  };
+
+  const startEditing = (store) => {
+    setStoreForm({
+      name: store.name || '',
+      category: store.category || emptyStore.category,
+      currency: getStoreCurrency(store, { currency: defaultCurrency }),
+      description: store.description || '',
+      prepTime: store.prepTime || EMPTY_STORE.prepTime,
+      ...toLocationForm(store),
+      ...toScheduleForm(store),
+      image: store.image || null,
+      imageFile: null,
+    });
+    setEditingId(store.id);
+    setFormError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSubmitting || !db || !userId || isFallback) return;
+
+    const validationError = validateStore(storeForm, { categories, t });
+    if (validationError) {
+      setFormError(validationError);
+      return;
+    }
+    setFormError(null);
+    setIsSubmitting(true);
+
+    try {
+      const payload = toStorePayload(storeForm);
+      // A new store's id is picked first so its image can be uploaded into its folder.
+      const storeRef = editingId ? doc(db, getStoreCollectionPath(appId), editingId) : doc(collection(db, getStoreCollectionPath(appId)));
+      const previous = editingId ? stores.find(store => store.id === editingId) : null;
+      const image = await saveWithImage(storage, (fileName) => getStoreImagePath(appId, storeRef.id, fileName), storeForm, async (image) => {
+        const batch = writeBatch(db);
+        if (editingId) {
+          batch.update(storeRef, {
+            ...payload,
+            image,
+            // Replaced by prepTime plus the distance-based estimate, and by the review aggregate.
+            deliveryTime: deleteField(),
+            rating: deleteField(),
+            updatedAt: serverTimestamp(),
+            updatedBy: userId,
+          });
+          addAuditEntry(batch, db, appId, { actor, action: 'update', entity: 'store', targetPath: storeRef.path, before: previous, after: { ...payload, image } });
+        } else {
+          const store = { ...payload, image, archived: false };
+          batch.set(storeRef, { ...store, createdAt: serverTimestamp(), createdBy: userId });
+          addAuditEntry(batch, db, appId, { actor, action: 'create', entity: 'store', targetPath: storeRef.path, after: store });
+        }
+        await batch.commit();
+        return image;
+      }, t);
+      if (previous) deleteUnusedImage(storage, previous.image, image);
+      resetForm();
+    } catch (e) {
+      console.error("Error saving store: ", e);
+      setFormError(t('store.saveFailed', { message: e.message }));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Writes `changes` to a listed store together with their audit entry.
+  const updateStore = async (store, changes) => {
+    const storeRef = doc(db, getStoreCollectionPath(appId), store.id);
+    const batch = writeBatch(db);
+    batch.update(storeRef, { ...changes, updatedAt: serverTimestamp(), updatedBy: userId });
+    addAuditEntry(batch, db, appId, { actor, action: 'update', entity: 'store', targetPath: storeRef.path, before: store, after: changes });
+    await batch.commit();
+  };
+
+  // The manual "pause orders" switch: closes the store in the client right away,
+  // whatever its opening hours say.
+  const togglePaused = async (store) => {
+    if (!db || isFallback) return;
+    try {
+      await updateStore(store, { ordersPaused: !store.ordersPaused });
+    } catch (e) {
+      console.error("Error pausing store: ", e);
+      setFormError(t('store.updateFailed', { message: e.message }));
+    }
+  };
+
+  const toggleArchived = async (store) => {
+    if (!db || isFallback) return;
+    try {
+      await updateStore(store, { archived: !store.archived });
+    } catch (e) {
+      console.error("Error archiving store: ", e);
+      setFormError(t('store.updateFailed', { message: e.message }));
+    }
+  };
+
+  const handleDelete = async (storeId) => {
+    if (!db || isFallback) return;
+    try {
+      const store = stores.find(item => item.id === storeId);
+      const storeRef = doc(db, getStoreCollectionPath(appId), storeId);
+      const batch = writeBatch(db);
+      batch.delete(storeRef);
+      addAuditEntry(batch, db, appId, { actor, action: 'delete', entity: 'store', targetPath: storeRef.path, before: store });
+      await batch.commit();
+      deleteUnusedImage(storage, store?.image);
+      if (editingId === storeId) resetForm();
+    } catch (e) {
+      console.error("Error deleting store: ", e);
+      setFormError(t('store.deleteFailed', { message: e.message }));
+    } finally {
+      setPendingDeleteId(null);
+    }
+  };
+
+  // --- Render Functions ---
+
+  const renderLocationFields = () => (
+    <fieldset className="space-y-3 border-t pt-4">
+      <legend className="text-sm font-medium text-gray-700">{t('store.locationLegend')}</legend>
+      <div>
+        <label htmlFor="store-address" className="block text-xs text-gray-500">{t('store.address')}</label>
+        <div className="mt-1 flex space-x-2">
+          <input
+            type="text"
+            id="store-address"
+            name="address"
+            value={storeForm.address}
+            onChange={handleInputChange}
+            placeholder={t('store.addressPlaceholder')}
+            className="block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <button type="button" onClick={lookUpAddress} disabled={isLocating || !storeForm.address.trim()} title={t('store.lookUpAddress')} className="px-3 rounded-md border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:opacity-50">
+            {isLocating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Search className="w-4 h-4" />}
+          </button>
+        </div>
+      </div>
+      <div className="flex space-x-2">
+        <div className="flex-1">
+          <label htmlFor="store-latitude" className="block text-xs text-gray-500">{t('store.latitude')}</label>
+          <input type="text" inputMode="decimal" id="store-latitude" name="latitude" value={storeForm.latitude} onChange={handleInputChange} required className="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500" />
+        </div>
+        <div className="flex-1">
+          <label htmlFor="store-longitude" className="block text-xs text-gray-500">{t('store.longitude')}</label>
+          <input type="text" inputMode="decimal" id="store-longitude" name="longitude" value={storeForm.longitude} onChange={handleInputChange} required className="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500" />
+        </div>
+        <div className="flex-1">
+          <label htmlFor="store-radius" className="block text-xs text-gray-500">{t('store.radius')}</label>
+          <input type="number" id="store-radius" name="deliveryRadiusKm" value={storeForm.deliveryRadiusKm} onChange={handleInputChange} step="0.5" min="0.5" max={MAX_DELIVERY_RADIUS_KM} required className="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500" />
+        </div>
+      </div>
+      <p className="text-xs text-gray-500">{t('store.radiusHint')}</p>
+    </fieldset>
+  );
+
+  const renderScheduleFields = () => (
+    <fieldset className="space-y-3 border-t pt-4">
+      <legend className="text-sm font-medium text-gray-700">{t('store.hoursLegend')}</legend>
+      <div>
+        <label htmlFor="store-timezone" className="block text-xs text-gray-500">{t('store.timezone')}</label>
+        <input
+          type="text"
+          id="store-timezone"
+          name="timezone"
+          list="store-timezones"
+          value={storeForm.timezone}
+          onChange={handleInputChange}
+          required
+          className="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <datalist id="store-timezones">
+          {TIME_ZONES.map(zone => <option key={zone} value={zone} />)}
+        </datalist>
+      </div>
+      <label className="flex items-center text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={storeForm.alwaysOpen}
+          onChange={(e) => setStoreForm(prev => ({ ...prev, alwaysOpen: e.target.checked }))}
+          className="mr-2"
+        />
+        {t('store.alwaysOpen')}
+      </label>
+      {!storeForm.alwaysOpen && (
+        <div className="space-y-1">
+          {WEEKDAYS.map(day => {
+            const hours = storeForm.hours[day];
+            return (
+              <div key={day} className="flex items-center space-x-2 text-sm">
+                <label className="flex items-center w-20">
+                  <input type="checkbox" checked={hours.isOpen} onChange={(e) => handleHoursChange(day, 'isOpen', e.target.checked)} className="mr-2" />
+                  {t(`weekday.${day}`)}
+                </label>
+                {hours.isOpen ? (
+                  <>
+                    <input type="time" value={hours.open} onChange={(e) => handleHoursChange(day, 'open', e.target.value)} aria-label={t('store.opens', { day: t(`weekday.${day}`) })} required className="rounded-md border border-gray-300 p-1" />
+                    <span className="text-gray-400">–</span>
+                    <input type="time" value={hours.close} onChange={(e) => handleHoursChange(day, 'close', e.target.value)} aria-label={t('store.closes', { day: t(`weekday.${day}`) })} required className="rounded-md border border-gray-300 p-1" />
+                  </>
+                ) : (
+                  <span className="text-gray-400 italic">{t('openState.closed')}</span>
+                )}
+              </div>
+            );
+          })}
+          <p className="text-xs text-gray-500">{t('store.overnightHint')}</p>
+        </div>
+      )}
+      <div>
+        <span className="block text-xs text-gray-500 mb-1">{t('store.holidays')}</span>
+        <div className="flex items-center space-x-2">
+          <input type="date" value={newHoliday} onChange={(e) => setNewHoliday(e.target.value)} aria-label={t('store.holidayDate')} className="rounded-md border border-gray-300 p-1 text-sm" />
+          <button type="button" onClick={addHoliday} disabled={!newHoliday} className="px-2 py-1 rounded-md border border-gray-300 text-sm hover:bg-gray-50 disabled:opacity-50">{t('store.addHoliday')}</button>
+        </div>
+        {storeForm.holidays.length > 0 && (
+          <ul className="flex flex-wrap gap-2 mt-2">
+            {storeForm.holidays.map(date => (
+              <li key={date} className="flex items-center text-xs bg-gray-100 px-2 py-1 rounded-full">
+                <CalendarX className="w-3 h-3 mr-1 text-gray-500" />
+                {date}
+                <button type="button" onClick={() => removeHoliday(date)} aria-label={t('store.removeHoliday', { date })} className="ml-1 text-gray-400 hover:text-red-600">
+                  <X className="w-3 h-3" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </fieldset>
+  );
+
+  const renderStoreForm = () => (
+    <div className="bg-white p-6 rounded-lg shadow-xl border border-gray-100">
+      <h2 className="flex items-center text-xl font-bold text-gray-700 mb-4 border-b pb-2">
+        {editingId ? <Pencil className="w-5 h-5 mr-2 text-indigo-500" /> : <PlusCircle className="w-5 h-5 mr-2 text-indigo-500" />}
+        {editingId ? t('store.editTitle') : t('store.addTitle')}
+      </h2>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="store-name" className="block text-sm font-medium text-gray-700">{t('store.name')}</label>
+          <input
+            type="text"
+            id="store-name"
+            name="name"
+            value={storeForm.name}
+            onChange={handleInputChange}
+            placeholder={t('store.namePlaceholder')}
+            required
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </div>
+        <div>
+          <label htmlFor="store-description" className="block text-sm font-medium text-gray-700">{t('store.description')}</label>
+          <textarea
+            id="store-description"
+            name="description"
+            value={storeForm.description}
+            onChange={handleInputChange}
+            rows="3"
+            placeholder={t('store.descriptionPlaceholder')}
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+          ></textarea>
+        </div>
+        <ImageField
+          image={storeForm.image}
+          imageFile={storeForm.imageFile}
+          onChange={(changes) => setStoreForm(prev => ({ ...prev, ...changes }))}
+          disabled={isFallback}
+        />
+        <div>
+          <label htmlFor="store-category" className="block text-sm font-medium text-gray-700">{t('store.category')}</label>
+          <select
+            id="store-category"
+            name="category"
+            value={storeForm.category}
+            onChange={handleInputChange}
+            required
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            {categories.map(cat => (
+              <option key={cat} value={cat}>{cat}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="store-currency" className="block text-sm font-medium text-gray-700">{t('store.currency')}</label>
+          <select
+            id="store-currency"
+            name="currency"
+            value={storeForm.currency}
+            onChange={handleInputChange}
+            required
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            {SUPPORTED_CURRENCIES.map(code => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">{t('store.currencyHint')}</p>
+        </div>
+        <div>
+          <label htmlFor="store-prepTime" className="block text-sm font-medium text-gray-700">{t('store.prepTime')}</label>
+          <input
+            type="number"
+            id="store-prepTime"
+            name="prepTime"
+            value={storeForm.prepTime}
+            onChange={handleInputChange}
+            step="1"
+            min="1"
+            required
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </div>
+        {renderLocationFields()}
+        {renderScheduleFields()}
+        {formError && (
+          <p className="text-sm text-red-600 p-2 bg-red-50 border border-red-200 rounded-md">{formError}</p>
+        )}
+        <div className="flex space-x-2">
+          <button
+            type="submit"
+            disabled={isSubmitting || !isAuthReady || !userId || isFallback}
+            className="flex-1 flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition duration-150 ease-in-out disabled:opacity-50"
+          >
+            {isSubmitting ? (
+              <>
+                <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+                {t('common.saving')}
+              </>
+            ) : (
+              <>
+                {editingId ? <Save className="w-5 h-5 mr-2" /> : <PlusCircle className="w-5 h-5 mr-2" />}
+                {isFallback ? t('product.readOnly') : editingId ? t('common.saveChanges') : t('store.add')}
+              </>
+            )}
+          </button>
+          {editingId && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="flex items-center py-2 px-4 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              <X className="w-4 h-4 mr-1" />
+              {t('common.cancel')}
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+
+  const renderOpenState = (store) => {
+    const state = getStoreOpenState(store, now);
+    return (
+      <span className={`px-2 py-0.5 rounded-full font-medium ${state.isOpen ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-700'}`}>
+        {state.reason === 'paused' ? t('store.paused') : describeStoreOpenState(state, t)}
+      </span>
+    );
+  };
+
+  const renderStoreRow = (store) => (
+    <li key={store.id} className={`p-3 border rounded-md transition duration-100 flex justify-between items-center ${store.archived ? 'bg-gray-100 opacity-70' : 'hover:bg-gray-50'}`}>
+      <LazyImage src={getThumbnailUrl(store)} alt="" className="w-16 h-16 rounded-md flex-shrink-0 mr-3" />
+      <div className="min-w-0 flex-1">
+        <p className="font-semibold text-gray-800">
+          {store.name}
+          {store.archived && (
+            <span className="ml-2 text-xs font-medium text-gray-600 bg-gray-300 px-2 py-0.5 rounded-full">{t('store.archived')}</span>
+          )}
+        </p>
+        <p className="text-sm text-gray-500 italic truncate">{store.description || t('product.noDescription')}</p>
+        <p className="text-xs text-gray-500 mt-1 flex items-center space-x-3">
+          {renderOpenState(store)}
+          <span className="flex items-center"><Star className="w-3 h-3 mr-1 text-yellow-500" />{formatStoreRating(store, t)}</span>
+          <span className="flex items-center"><Clock className="w-3 h-3 mr-1" />{t('store.prepMinutes', { minutes: store.prepTime ?? DEFAULT_PREP_MINUTES })}</span>
+          {isValidLocation(store.location) ? (
+            <span className="flex items-center"><MapPin className="w-3 h-3 mr-1" />{t('store.radiusKm', { km: store.deliveryRadiusKm })}</span>
+          ) : (
+            <span className="flex items-center text-red-600"><MapPin className="w-3 h-3 mr-1" />{t('store.noLocation')}</span>
+          )}
+          <span className="bg-gray-200 px-2 py-0.5 rounded-full">{store.category}</span>
+          <span className="font-mono">{getStoreCurrency(store, { currency: defaultCurrency })}</span>
+        </p>
+      </div>
+      {pendingDeleteId === store.id ? (
+        <div className="flex items-center space-x-2 text-sm">
+          <span className="text-red-600">{t('common.deletePermanently')}</span>
+          <button onClick={() => handleDelete(store.id)} className="px-2 py-1 rounded-md bg-red-600 text-white hover:bg-red-700">{t('common.delete')}</button>
+          <button onClick={() => setPendingDeleteId(null)} className="px-2 py-1 rounded-md border border-gray-300 hover:bg-gray-50">{t('common.keep')}</button>
+        </div>
+      ) : (
+        <div className="flex items-center space-x-1">
+          <button onClick={() => startEditing(store)} disabled={isFallback} title={t('common.edit')} className="p-2 rounded-md text-gray-500 hover:text-indigo-600 hover:bg-indigo-50 disabled:opacity-50">
+            <Pencil className="w-4 h-4" />
+          </button>
+          <button onClick={() => togglePaused(store)} disabled={isFallback} title={store.ordersPaused ? t('store.resumeOrders') : t('store.pauseOrders')} className="p-2 rounded-md text-gray-500 hover:text-amber-600 hover:bg-amber-50 disabled:opacity-50">
+            {store.ordersPaused ? <PlayCircle className="w-4 h-4" /> : <PauseCircle className="w-4 h-4" />}
+          </button>
+          <button onClick={() => toggleArchived(store)} disabled={isFallback} title={store.archived ? t('store.restore') : t('store.archive')} className="p-2 rounded-md text-gray-500 hover:text-amber-600 hover:bg-amber-50 disabled:opacity-50">
+            {store.archived ? <ArchiveRestore className="w-4 h-4" /> : <Archive className="w-4 h-4" />}
+          </button>
+          <button onClick={() => setPendingDeleteId(store.id)} disabled={isFallback} title={t('common.delete')} className="p-2 rounded-md text-gray-500 hover:text-red-600 hover:bg-red-50 disabled:opacity-50">
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </li>
+  );
+
+  const renderStoreList = () => (
+    <div className="bg-white p-6 rounded-lg shadow-xl border border-gray-100">
+      <h2 className="flex items-center text-xl font-bold text-gray-700 mb-4 border-b pb-2">
+        <Store className="w-5 h-5 mr-2 text-emerald-500" />
+        {t('store.listTitle', { count: stores.length })}
+      </h2>
+      {loading ? (
+        <div className="text-center py-8 text-gray-500">
+          <Loader2 className="w-6 h-6 mx-auto mb-2 animate-spin" />
+          {t('product.loadingStores')}
+        </div>
+      ) : stores.length === 0 ? (
+        <div className="text-center py-8 text-gray-500 border-2 border-dashed border-gray-200 rounded-md">
+          <Store className="w-8 h-8 mx-auto mb-2" />
+          {t('store.empty')}
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {stores.map(renderStoreRow)}
+        </ul>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      <div className="lg:col-span-1">
+        {renderStoreForm()}
+      </div>
+      <div className="lg:col-span-2">
+        {renderStoreList()}
+      </div>
+    </div>
+  );
+};
+
+export default StoreManager;
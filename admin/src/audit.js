@@ -0,0 +1,16 @@
+import { collection, doc, serverTimestamp } from 'firebase/firestore';
+import { toAuditEntry, getAuditLogCollectionPath } from '@fresh-eats/shared';
+
+// ----------------------
+// AUDIT LOG WRITES
+// ----------------------
+
+// Adds the audit entry for a change written in the same `batch`, so the change and its
+// record are saved together or not at all. `change` is what toAuditEntry takes
+// (shared/audit.js): { actor, action, entity, targetPath, before, after }.
+export const addAuditEntry = (batch, db, appId, change) => {
+  batch.set(doc(collection(db, getAuditLogCollectionPath(appId))), {
+    ...toAuditEntry(change),
+    createdAt: serverTimestamp(),
+  });
+};
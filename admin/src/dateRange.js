@@ -0,0 +1,34 @@
+import { getDaysInRange, getLocalTime } from '@fresh-eats/shared';
+import { translateAdmin } from './messages';
+
+// ----------------------
+// DATE RANGE FILTERS
+// ----------------------
+// The 'YYYY-MM-DD' from/to pickers of the analytics and audit log tabs.
+
+// Days are counted in the admin's own timezone.
+export const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+export const MAX_RANGE_DAYS = 366;
+
+export const toDay = (date) => getLocalTime(date, BROWSER_TIME_ZONE).date;
+
+export const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return toDay(date);
+};
+
+// Local midnight at the start of 'YYYY-MM-DD', `offsetDays` later.
+export const startOfDay = (day, offsetDays = 0) => {
+  const date = new Date(`${day}T00:00:00`);
+  date.setDate(date.getDate() + offsetDays);
+  return date;
+};
+
+// Why a { from, to } range can't be queried, or null, in the language of `t`.
+export const getRangeError = ({ from, to }, t = translateAdmin) => {
+  const dayCount = getDaysInRange(from, to).length;
+  return dayCount === 0
+    ? t('dateRange.reversed')
+    : dayCount > MAX_RANGE_DAYS ? t('dateRange.tooLong', { max: MAX_RANGE_DAYS }) : null;
+};
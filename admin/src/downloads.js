@@ -0,0 +1,13 @@
+// ----------------------
+// FILE DOWNLOADS
+// ----------------------
+
+// Saves `contents` as a file through a temporary link, for the menu and report exports.
+export const downloadFile = (contents, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
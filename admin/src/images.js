@@ -0,0 +1,92 @@
+import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { getImageFileError, fitWithin, IMAGE_MAX_SIZE, THUMBNAIL_MAX_SIZE, UPLOAD_CONTENT_TYPE } from '@fresh-eats/shared';
+import { translateAdmin } from './messages';
+
+// ----------------------
+// IMAGE UPLOADS
+// ----------------------
+// Store and menu item images (see shared/images.js). Files are scaled down and
+// re-encoded in the browser, so uploads stay small, then saved to Cloud Storage
+// next to a thumbnail. storage.rules only accepts them from admins.
+
+// Draws `bitmap` at most `maxSize` pixels on its longest side, as a JPEG Blob.
+// Transparent areas (PNG, WebP) are filled with white, since JPEG has no alpha.
+const toJpeg = (bitmap, maxSize, t) => {
+  const { width, height } = fitWithin(bitmap, maxSize);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(bitmap, 0, 0, width, height);
+  return new Promise((resolve, reject) => canvas.toBlob(
+    blob => (blob ? resolve(blob) : reject(new Error(t('imageField.processFailed')))),
+    UPLOAD_CONTENT_TYPE,
+    0.85
+  ));
+};
+
+// { image, thumbnail } Blobs for a picked file, checked with getImageFileError first.
+// Errors are thrown in the language of `t`.
+export const resizeImage = async (file, t = translateAdmin) => {
+  const fileError = getImageFileError(file, t);
+  if (fileError) throw new Error(fileError);
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch (e) {
+    throw new Error(t('imageField.unreadable'));
+  }
+  try {
+    const [image, thumbnail] = await Promise.all([toJpeg(bitmap, IMAGE_MAX_SIZE, t), toJpeg(bitmap, THUMBNAIL_MAX_SIZE, t)]);
+    return { image, thumbnail };
+  } finally {
+    bitmap.close();
+  }
+};
+
+const upload = async (storage, path, blob) => {
+  const snapshot = await uploadBytes(ref(storage, path), blob, { contentType: UPLOAD_CONTENT_TYPE });
+  return getDownloadURL(snapshot.ref);
+};
+
+// Uploads `file` and its thumbnail, and returns the `image` field to save on the document.
+// `pathFor(fileName)` places the files, e.g. (name) => getProductImagePath(appId, id, name).
+// Every upload gets new file names, so cached copies of a replaced image never show.
+export const uploadImage = async (storage, pathFor, file, t = translateAdmin) => {
+  const { image, thumbnail } = await resizeImage(file, t);
+  const name = crypto.randomUUID().slice(0, 8);
+  const path = pathFor(`${name}.jpg`);
+  const thumbnailPath = pathFor(`${name}-thumb.jpg`);
+  const [url, thumbnailUrl] = await Promise.all([upload(storage, path, image), upload(storage, thumbnailPath, thumbnail)]);
+  return { path, url, thumbnailPath, thumbnailUrl };
+};
+
+// The `image` to save from form state holding the current `image` (null once removed)
+// and maybe a newly picked `imageFile`, which is uploaded first.
+export const resolveImage = (storage, pathFor, { image, imageFile }, t = translateAdmin) =>
+  (imageFile ? uploadImage(storage, pathFor, imageFile, t) : Promise.resolve(image || null));
+
+// Deletes the files of an image a document no longer uses, once the document is saved.
+// Failures are only logged: a leftover file is harmless.
+export const deleteUnusedImage = async (storage, previous, current = null) => {
+  if (!previous || previous.path === current?.path) return;
+  await Promise.all([previous.path, previous.thumbnailPath].filter(Boolean).map(path =>
+    deleteObject(ref(storage, path)).catch((e) => {
+      if (e.code !== 'storage/object-not-found') console.warn(`Could not delete ${path}:`, e);
+    })
+  ));
+};
+
+// Resolves the image like resolveImage, then runs `save(image)`, which writes the document.
+// If that write fails, a file just uploaded for it is deleted again, as nothing points to it.
+export const saveWithImage = async (storage, pathFor, form, save, t = translateAdmin) => {
+  const image = await resolveImage(storage, pathFor, form, t);
+  try {
+    return await save(image);
+  } catch (e) {
+    if (form.imageFile) deleteUnusedImage(storage, image);
+    throw e;
+  }
+};
@@ -0,0 +1,154 @@
+import { validateProduct, roundPrice, toOptionGroupsPayload } from './products';
+import { translateAdmin } from './messages';
+
+// ----------------------
+// MENU IMPORT / EXPORT
+// ----------------------
+// Pure helpers behind the bulk import preview and the menu export. Exports carry
+// the store name next to the storeId so a menu can be moved to another appId,
+// where the store documents have different ids. Option groups are nested in JSON
+// files and written as a JSON string in the CSV 'optionGroups' column.
+
+export const MENU_COLUMNS = ['name', 'description', 'price', 'category', 'storeId', 'storeName', 'available', 'optionGroups'];
+
+// Firestore rejects batches with more than 500 writes.
+export const MAX_BATCH_SIZE = 500;
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and newlines inside quotes.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines, then turn the rest into objects keyed by the header row.
+  const [header, ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (!header) return [];
+  const keys = header.map(key => key.trim());
+  return records.map(cells => Object.fromEntries(keys.map((key, index) => [key, cells[index] ?? ''])));
+};
+
+const escapeCsvField = (value) => {
+  const text = value === undefined || value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (records, columns) =>
+  [columns, ...records.map(record => columns.map(column => record[column]))]
+    .map(cells => cells.map(escapeCsvField).join(','))
+    .join('\r\n');
+
+// Reads the raw file contents into plain row objects. Throws on malformed JSON, with a
+// message from `t` when the JSON is not a menu.
+export const parseMenuFile = (text, fileName, t = translateAdmin) => {
+  if (/\.json$/i.test(fileName)) {
+    const parsed = JSON.parse(text);
+    const rows = Array.isArray(parsed) ? parsed : parsed.products;
+    if (!Array.isArray(rows)) {
+      throw new Error(t('transfer.notAMenu'));
+    }
+    return rows;
+  }
+  return parseCsv(text);
+};
+
+const parseAvailable = (value) => {
+  if (value === undefined || value === null || value === '') return true;
+  if (typeof value === 'boolean') return value;
+  return !['false', '0', 'no', 'sold out'].includes(String(value).trim().toLowerCase());
+};
+
+// Returns the option groups of a row, or null when the CSV cell is not valid JSON.
+const parseOptionGroups = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+};
+
+// Validates every row with the same rules as the "Add New Menu Item" form.
+// Rows point at a store by storeId, falling back to an exact storeName match.
+// Returns [{ rowNumber, product, error }], where `product` is ready to write when `error` is null.
+// `firstRowNumber` is 2 for CSV (after the header line) and 1 for JSON; `categories`
+// are the live app config's productCategories; errors are in the language of `t`.
+export const buildImportPreview = (rows, stores, firstRowNumber = 1, categories, t = translateAdmin) =>
+  rows.map((row, index) => {
+    const store = stores.find(s => s.id === String(row.storeId || '').trim())
+      || stores.find(s => s.name === String(row.storeName || '').trim());
+    const optionGroups = parseOptionGroups(row.optionGroups);
+    const product = {
+      name: String(row.name || '').trim(),
+      description: String(row.description || '').trim(),
+      price: parseFloat(row.price),
+      category: String(row.category || '').trim(),
+      storeId: store ? store.id : '',
+      available: parseAvailable(row.available),
+      optionGroups: optionGroups || [],
+    };
+    const error = optionGroups === null
+      ? t('transfer.invalidOptionGroups')
+      : validateProduct(product, { storeIds: stores.map(s => s.id), categories, t });
+    return {
+      rowNumber: index + firstRowNumber,
+      product: error ? product : { ...product, price: roundPrice(product.price), optionGroups: toOptionGroupsPayload(product.optionGroups) },
+      error,
+    };
+  });
+
+// Splits `items` into chunks that fit in a single write batch.
+export const chunk = (items, size = MAX_BATCH_SIZE) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Export rows for the current product list, in MENU_COLUMNS shape.
+export const toExportRecords = (products, stores) => {
+  const storeNames = Object.fromEntries(stores.map(store => [store.id, store.name]));
+  return products.map(product => ({
+    name: product.name,
+    description: product.description || '',
+    price: product.price,
+    category: product.category,
+    storeId: product.storeId || '',
+    storeName: storeNames[product.storeId] || '',
+    available: product.available !== false,
+    optionGroups: product.optionGroups || [],
+  }));
+};
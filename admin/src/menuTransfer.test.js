@@ -0,0 +1,136 @@
+import { parseCsv, parseMenuFile, buildImportPreview, toCsv } from './menuTransfer';
+
+// These helpers never touch Firebase, but @fresh-eats/shared imports it, and the SDK's
+// Node build needs web globals Jest's environments lack.
+jest.mock('firebase/app', () => ({}));
+jest.mock('firebase/auth', () => ({}));
+jest.mock('firebase/firestore', () => ({}));
+jest.mock('firebase/storage', () => ({}));
+
+const STORES = [{ id: 'store-1', name: 'Pasta Place' }, { id: 'store-2', name: 'Taco Stand' }];
+const CATEGORIES = ['Main Dish', 'Dessert'];
+
+const SIZE_GROUP = {
+  id: 'size',
+  name: 'Size',
+  minSelections: 1,
+  maxSelections: 1,
+  options: [{ id: 'small', name: 'Small', priceDelta: 0 }, { id: 'large', name: 'Large', priceDelta: 2 }],
+};
+
+const row = (fields) => ({ name: 'Lasagna', price: '12.5', category: 'Main Dish', storeId: 'store-1', ...fields });
+
+describe('parseCsv', () => {
+  it('keys rows by the header', () => {
+    expect(parseCsv('name,price\nLasagna,12.5\nTiramisu,6')).toEqual([
+      { name: 'Lasagna', price: '12.5' },
+      { name: 'Tiramisu', price: '6' },
+    ]);
+  });
+
+  it('keeps commas and newlines inside quoted fields', () => {
+    expect(parseCsv('name,description\n"Soup, large","Hot\nand fresh"')).toEqual([
+      { name: 'Soup, large', description: 'Hot\nand fresh' },
+    ]);
+  });
+
+  it('unescapes doubled quotes', () => {
+    expect(parseCsv('name\n"The ""Big"" One"')).toEqual([{ name: 'The "Big" One' }]);
+  });
+
+  it('reads CRLF line endings and skips blank lines', () => {
+    expect(parseCsv('name,price\r\n\r\nLasagna,12.5\r\n,\r\n')).toEqual([{ name: 'Lasagna', price: '12.5' }]);
+  });
+
+  it('fills missing trailing cells with empty strings', () => {
+    expect(parseCsv('name,price,category\nLasagna,12.5')).toEqual([{ name: 'Lasagna', price: '12.5', category: '' }]);
+  });
+
+  it('returns no rows for an empty file', () => {
+    expect(parseCsv('\n\n')).toEqual([]);
+  });
+
+  it('reads back what toCsv writes', () => {
+    const records = [{ name: 'Soup, "large"', optionGroups: [SIZE_GROUP] }];
+    const [parsed] = parseCsv(toCsv(records, ['name', 'optionGroups']));
+    expect(parsed.name).toBe('Soup, "large"');
+    expect(JSON.parse(parsed.optionGroups)).toEqual([SIZE_GROUP]);
+  });
+});
+
+describe('parseMenuFile', () => {
+  it('reads a JSON export or a bare array', () => {
+    expect(parseMenuFile(JSON.stringify({ products: [row()] }), 'menu.json')).toEqual([row()]);
+    expect(parseMenuFile(JSON.stringify([row()]), 'menu.JSON')).toEqual([row()]);
+  });
+
+  it('rejects JSON that is not a menu', () => {
+    expect(() => parseMenuFile('{"items": []}', 'menu.json')).toThrow("'products' array");
+    expect(() => parseMenuFile('{', 'menu.json')).toThrow(SyntaxError);
+  });
+});
+
+describe('buildImportPreview', () => {
+  it('numbers rows from the first data line', () => {
+    const preview = buildImportPreview([row(), row()], STORES, 2, CATEGORIES);
+    expect(preview.map(({ rowNumber }) => rowNumber)).toEqual([2, 3]);
+    expect(buildImportPreview([row()], STORES, 1, CATEGORIES)[0].rowNumber).toBe(1);
+  });
+
+  it('prepares valid rows for writing', () => {
+    const [{ product, error }] = buildImportPreview([row({ price: '12.499', available: 'no' })], STORES, 1, CATEGORIES);
+    expect(error).toBeNull();
+    expect(product).toEqual({
+      name: 'Lasagna',
+      description: '',
+      price: 12.5,
+      category: 'Main Dish',
+      storeId: 'store-1',
+      available: false,
+      optionGroups: [],
+    });
+  });
+
+  it('matches a store by name when the id is unknown', () => {
+    const [{ product, error }] = buildImportPreview([row({ storeId: 'other-app-id', storeName: 'Taco Stand' })], STORES, 1, CATEGORIES);
+    expect(error).toBeNull();
+    expect(product.storeId).toBe('store-2');
+  });
+
+  it('flags rows for unknown stores', () => {
+    const [{ error }] = buildImportPreview([row({ storeId: 'nope', storeName: 'Nowhere' })], STORES, 1, CATEGORIES);
+    expect(error).toMatch(/store/);
+  });
+
+  it('flags rows in categories the app config does not have', () => {
+    const [{ error }] = buildImportPreview([row({ category: 'Soup' })], STORES, 1, CATEGORIES);
+    expect(error).toMatch(/Main Dish, Dessert/);
+  });
+
+  it('flags rows without a name or a positive price', () => {
+    const preview = buildImportPreview([row({ name: ' ' }), row({ price: '0' }), row({ price: 'free' })], STORES, 1, CATEGORIES);
+    expect(preview.every(({ error }) => error)).toBe(true);
+  });
+
+  it('reads option groups from a CSV cell or nested JSON', () => {
+    const preview = buildImportPreview(
+      [row({ optionGroups: JSON.stringify([SIZE_GROUP]) }), row({ optionGroups: [SIZE_GROUP] })],
+      STORES, 1, CATEGORIES
+    );
+    preview.forEach(({ product, error }) => {
+      expect(error).toBeNull();
+      expect(product.optionGroups).toEqual([SIZE_GROUP]);
+    });
+  });
+
+  it('flags option groups that are not valid JSON', () => {
+    const [{ error }] = buildImportPreview([row({ optionGroups: '[{"name": "Size"' })], STORES, 1, CATEGORIES);
+    expect(error).toMatch(/optionGroups/);
+  });
+
+  it('flags option groups that break the option rules', () => {
+    const invalid = { ...SIZE_GROUP, options: [{ id: 'small', name: 'Small', priceDelta: -1 }] };
+    const [{ error }] = buildImportPreview([row({ optionGroups: JSON.stringify([invalid]) })], STORES, 1, CATEGORIES);
+    expect(error).toMatch(/Size/);
+  });
+});
@@ -0,0 +1,618 @@
+import { SHARED_MESSAGES, mergeCatalogs, createTranslator } from '@fresh-eats/shared';
+
+// ----------------------
+// ADMIN CONSOLE MESSAGES
+// ----------------------
+// Every text of the console in each supported language (see shared/i18n.js), keyed by the
+// tab or component that shows it.
+
+const MESSAGES = {
+  en: {
+    'app.title': 'Fresh Eats Admin Panel',
+    'app.language': 'Language',
+    'app.orderingPaused': 'Ordering paused',
+    'app.adminUser': 'Admin User:',
+    'app.mockId': 'Mock ID...',
+    'app.signOut': 'Sign out',
+    'app.offline': "You're offline. You're seeing the data saved on this device, and changes finish saving once you're back online.",
+    'app.errorTitle': 'Application Error',
+    'app.errorHint': 'If this error persists, there may be an issue with Firebase rules or service availability.',
+    'app.checkingAccess': 'Checking access...',
+    'app.loadingSettings': 'Loading settings...',
+    'access.deniedTitle': 'Access Denied',
+    'access.deniedFor': '{user} does not have the admin role for',
+    'access.hint': 'Ask an existing administrator to grant it with the set-admin-role script, then sign in again.',
+    'tab.menu': 'Menu Items',
+    'tab.stores': 'Stores',
+    'tab.orders': 'Orders',
+    'tab.analytics': 'Analytics',
+    'tab.reviews': 'Reviews',
+    'tab.promotions': 'Promo Codes',
+    'tab.settings': 'Settings',
+    'tab.audit': 'Audit Log',
+    'common.cancel': 'Cancel',
+    'common.save': 'Save',
+    'common.saving': 'Saving...',
+    'common.edit': 'Edit',
+    'common.delete': 'Delete',
+    'common.keep': 'Keep',
+    'product.addTitle': 'Add New Menu Item',
+    'product.store': 'Store',
+    'product.loadingStores': 'Loading stores...',
+    'product.createStoreFirst': 'Create a store first',
+    'product.selectStore': 'Select a store',
+    'product.name': 'Name',
+    'product.namePlaceholder': 'e.g., Spicy Tuna Roll',
+    'product.description': 'Description',
+    'product.descriptionPlaceholder': 'A brief description of the dish.',
+    'product.price': 'Price ({currency})',
+    'product.category': 'Category',
+    'product.selectCategory': 'Select a category',
+    'product.add': 'Add Product',
+    'product.readOnly': 'Read-Only Mode',
+    'product.readOnlyNotice': 'This app is in **Read-Only Mode** because it is deployed outside of the Canvas environment. To add products, please use the application within Canvas.',
+    'product.writeDenied': 'Write operation denied: Cannot write to Firestore when using the external mock configuration. Data saving only works inside Canvas.',
+    'product.addFailed': 'Failed to add product: {message}. Check your Firebase rules.',
+    'product.updateFailed': 'Failed to update product: {message}. Check your Firebase rules.',
+    'product.availabilityFailed': 'Failed to update availability: {message}. Check your Firebase rules.',
+    'product.deleteFailed': 'Failed to delete product: {message}. Check your Firebase rules.',
+    'product.listTitle': 'Current Menu Items ({count})',
+    'product.loading': 'Loading products...',
+    'product.empty': 'No products added yet.',
+    'product.soldOut': 'Sold out',
+    'product.noDescription': 'No description provided.',
+    'product.options': 'Options: {groups}',
+    'product.noStore': 'No store assigned',
+    'product.deletePrompt': 'Delete?',
+    'product.markAvailable': 'Mark available',
+    'product.markSoldOut': 'Mark sold out',
+    'product.invalidNameOrPrice': 'Product name is required and price must be greater than 0.',
+    'product.invalidCategory': 'Category must be one of: {categories}.',
+    'product.storeRequired': 'Please choose the store this menu item belongs to.',
+    'store.nameRequired': 'Store name is required.',
+    'store.invalidCategory': 'Category must be one of: {categories}.',
+    'store.invalidCurrency': 'Currency must be one of: {currencies}.',
+    'store.invalidPrepTime': 'Prep time must be a whole number of minutes greater than 0.',
+    'store.invalidLocation': 'Set the store location: latitude between -90 and 90, longitude between -180 and 180.',
+    'store.invalidRadius': 'Delivery radius must be more than 0 and at most {max} km.',
+    'store.invalidTimezone': 'Timezone must be an IANA name such as America/Los_Angeles.',
+    'store.invalidHours': 'Opening hours must be times like 09:00.',
+    'store.invalidHolidays': 'Holiday closures must be dates.',
+    'promotion.invalidCode': "Code must be 3-20 letters, digits, '-' or '_'.",
+    'promotion.invalidType': 'Type must be one of: {types}.',
+    'promotion.invalidPercent': 'Percent off must be more than 0 and at most 100.',
+    'promotion.invalidAmount': 'Amount off must be more than 0.',
+    'promotion.invalidMinimum': "Minimum order can't be negative.",
+    'promotion.invalidCurrency': 'Currency must be one of: {currencies}.',
+    'promotion.invalidWindow': 'The end date must be after the start date.',
+    'promotion.invalidLimits': 'Usage limits must be whole numbers greater than 0, or empty for no limit.',
+    'dateRange.reversed': 'The start date must be on or before the end date.',
+    'dateRange.tooLong': 'Pick a range of at most {max} days.',
+    'transfer.notAMenu': "JSON menu must be an array of products or an object with a 'products' array.",
+    'transfer.invalidOptionGroups': 'optionGroups must be valid JSON.',
+    'signIn.title': 'Fresh Eats Admin',
+    'signIn.email': 'Email',
+    'signIn.password': 'Password',
+    'signIn.signingIn': 'Signing in...',
+    'signIn.signIn': 'Sign In',
+    'signIn.forgotPassword': 'Forgot your password?',
+    'signIn.incorrect': 'Incorrect email or password.',
+    'signIn.tooManyAttempts': 'Too many attempts. Please wait a moment and try again.',
+    'signIn.disabled': 'This account has been disabled.',
+    'signIn.failed': 'Sign-in failed: {message}',
+    'signIn.emailFirst': 'Enter your email address first.',
+    'signIn.resetSent': 'If an account exists for that email, a reset link is on its way.',
+    'imageField.label': 'Image',
+    'imageField.replace': 'Replace',
+    'imageField.upload': 'Upload',
+    'imageField.remove': 'Remove',
+    'imageField.hint': 'JPEG, PNG or WebP, up to {max} MB.',
+    'imageField.unreadable': 'This file could not be read as an image.',
+    'imageField.processFailed': 'This image could not be processed.',
+    'optionEditor.legend': 'Options',
+    'optionEditor.empty': 'No choices. Add a group for sizes, spice levels or add-ons.',
+    'optionEditor.groupName': 'Option group name',
+    'optionEditor.groupPlaceholder': 'Group name, e.g. Size',
+    'optionEditor.removeGroup': 'Remove group',
+    'optionEditor.min': 'Min',
+    'optionEditor.max': 'Max',
+    'optionEditor.optionName': 'Option name',
+    'optionEditor.optionPlaceholder': 'Option, e.g. Large',
+    'optionEditor.priceChange': 'Price change ({currency})',
+    'optionEditor.removeOption': 'Remove option',
+    'optionEditor.addOption': 'Add option',
+    'optionEditor.addGroup': 'Add option group',
+    'common.saveChanges': 'Save Changes',
+    'common.deletePermanently': 'Delete permanently?',
+    'store.addTitle': 'Add New Store',
+    'store.editTitle': 'Edit Store',
+    'store.name': 'Name',
+    'store.namePlaceholder': "e.g., Luigi's Trattoria",
+    'store.description': 'Description',
+    'store.descriptionPlaceholder': 'What customers can expect from this store.',
+    'store.category': 'Category',
+    'store.currency': 'Currency',
+    'store.currencyHint': "The store's menu prices, carts and orders use it. Changing it does not convert existing prices.",
+    'store.prepTime': 'Prep time (min)',
+    'store.locationLegend': 'Location and delivery area',
+    'store.address': 'Address',
+    'store.addressPlaceholder': 'e.g., 12 Main Street, Monroe 98272',
+    'store.lookUpAddress': 'Look up coordinates',
+    'store.addressNotFound': 'Address not recognised. Enter the coordinates instead.',
+    'store.latitude': 'Latitude',
+    'store.longitude': 'Longitude',
+    'store.radius': 'Radius (km)',
+    'store.radiusHint': 'Customers only see the store when their location is inside the delivery radius.',
+    'store.hoursLegend': 'Opening hours',
+    'store.timezone': 'Timezone',
+    'store.alwaysOpen': 'Always open (no weekly schedule)',
+    'store.opens': '{day} opens',
+    'store.closes': '{day} closes',
+    'store.overnightHint': 'A closing time before the opening time runs past midnight.',
+    'store.holidays': 'Holiday closures',
+    'store.holidayDate': 'Holiday date',
+    'store.addHoliday': 'Add',
+    'store.removeHoliday': 'Remove {date}',
+    'store.add': 'Add Store',
+    'store.saveFailed': 'Failed to save store: {message}. Check your Firebase rules.',
+    'store.updateFailed': 'Failed to update store: {message}. Check your Firebase rules.',
+    'store.deleteFailed': 'Failed to delete store: {message}. Check your Firebase rules.',
+    'store.listTitle': 'Stores ({count})',
+    'store.empty': 'No stores added yet. Customers will see an empty catalog.',
+    'store.paused': 'Paused',
+    'store.archived': 'Archived',
+    'store.prepMinutes': '{minutes} min prep',
+    'store.radiusKm': '{km} km radius',
+    'store.noLocation': 'No location',
+    'store.pauseOrders': 'Pause orders',
+    'store.resumeOrders': 'Resume orders',
+    'store.archive': 'Archive',
+    'store.restore': 'Restore',
+    'common.allStores': 'All stores',
+    'common.filterStore': 'Filter by store',
+    'order.queueTitle': 'Order Queue ({count})',
+    'order.loading': 'Loading orders...',
+    'order.empty': 'No orders match these filters.',
+    'order.loadFailed': 'Real-time data error: {message}. Please verify Firestore rules.',
+    'order.updateFailed': 'Failed to update order: {message}',
+    'order.filterStatus': 'Filter by status',
+    'order.active': 'Active orders',
+    'order.allStatuses': 'All statuses',
+    'order.customer': 'customer {id}…',
+    'order.placedAt': 'Placed {time}',
+    'order.accept': 'Accept',
+    'order.markAs': 'Mark {status}',
+    'order.reject': 'Reject',
+    'sales.title': 'Sales Analytics',
+    'sales.currency': 'Currency',
+    'common.from': 'From',
+    'common.to': 'to',
+    'common.toLabel': 'To',
+    'sales.loadFailed': 'Failed to load orders: {message}. Check the Firestore rules and indexes.',
+    'sales.orders': 'Orders',
+    'sales.revenue': 'Revenue',
+    'sales.averageOrder': 'Average order value',
+    'sales.cancellationRate': 'Cancellation rate',
+    'sales.failedCount': '{count} cancelled or rejected',
+    'sales.dayTooltip': { one: '{date}: {revenue}, {count} order', other: '{date}: {revenue}, {count} orders' },
+    'sales.empty': 'No sales in this range.',
+    'sales.perDay': 'Sales per day',
+    'sales.perStore': 'Sales per store',
+    'sales.perCategory': 'Sales per category',
+    'sales.topItems': 'Top-selling items',
+    'sales.date': 'Date',
+    'sales.store': 'Store',
+    'sales.category': 'Category',
+    'sales.item': 'Item',
+    'sales.itemsSold': 'Items sold',
+    'sales.sold': 'Sold',
+    'sales.itemSales': 'Item sales',
+    'promotion.addTitle': 'New Promo Code',
+    'promotion.editTitle': 'Edit {code}',
+    'promotion.code': 'Code',
+    'promotion.codePlaceholder': 'e.g., WELCOME10',
+    'promotion.discount': 'Discount',
+    'promotion.type.percent': 'Percent off',
+    'promotion.type.fixed': 'Amount off',
+    'promotion.percent': 'Percent',
+    'promotion.amount': 'Amount ({currency})',
+    'promotion.minimum': 'Minimum order ({currency})',
+    'promotion.store': 'Store',
+    'promotion.currency': 'Currency',
+    'promotion.startsAt': 'Starts',
+    'promotion.endsAt': 'Ends',
+    'promotion.maxRedemptions': 'Total uses',
+    'promotion.maxRedemptionsPerUser': 'Uses per customer',
+    'promotion.unlimited': 'Unlimited',
+    'promotion.active': 'Active',
+    'promotion.add': 'Add Promo Code',
+    'promotion.codeExists': 'The code {code} already exists.',
+    'promotion.saveFailed': 'Failed to save promo code: {message}. Check your Firebase rules.',
+    'promotion.updateFailed': 'Failed to update promo code: {message}. Check your Firebase rules.',
+    'promotion.deleteFailed': 'Failed to delete promo code: {message}. Check your Firebase rules.',
+    'promotion.now': 'Now',
+    'promotion.noEnd': 'No end',
+    'promotion.paused': 'Paused',
+    'promotion.used': '{count} / {max} used',
+    'promotion.perCustomer': '{count} per customer',
+    'promotion.pause': 'Pause',
+    'promotion.activate': 'Activate',
+    'promotion.listTitle': 'Promo Codes ({count})',
+    'promotion.loadFailed': 'Failed to load promo codes: {message}',
+    'promotion.loading': 'Loading promo codes...',
+    'promotion.empty': 'No promo codes yet.',
+    'settings.title': 'App Settings',
+    'settings.pauseOrdering': 'Pause all ordering',
+    'settings.pauseHint': 'Customers can still browse, but checkout is disabled for every store.',
+    'settings.pausedMessage': 'Paused message',
+    'settings.pausedMessagePlaceholder': 'Message shown to customers (optional)',
+    'settings.currency': 'Default currency',
+    'settings.currencyHint': 'For new stores and stores without their own.',
+    'settings.taxRate': 'Tax rate (%)',
+    'settings.deliveryFee': 'Delivery fee',
+    'settings.deliveryFeeHint': 'Each store charges the fee for its own currency.',
+    'settings.productCategories': 'Menu categories',
+    'settings.productCategoriesHint': 'One per line, in the order menus show them.',
+    'settings.storeCategories': 'Store categories',
+    'settings.storeCategoriesHint': 'One per line. These are the catalog filter chips.',
+    'settings.categoriesNote': 'Renaming or removing a category does not change existing stores or menu items; edit them to move them to a new category.',
+    'settings.save': 'Save Settings',
+    'settings.saved': 'Settings saved. Both apps pick them up immediately.',
+    'settings.saveFailed': 'Failed to save settings: {message}. Check your Firebase rules.',
+    'audit.title': 'Audit Log ({count})',
+    'audit.actor': 'Actor',
+    'audit.allActors': 'All admins',
+    'audit.entity': 'Entity',
+    'audit.allEntities': 'All changes',
+    'audit.entity.product': 'Menu item',
+    'audit.entity.store': 'Store',
+    'audit.entity.config': 'Settings',
+    'audit.entity.order': 'Order',
+    'audit.action.create': 'create',
+    'audit.action.update': 'update',
+    'audit.action.delete': 'delete',
+    'audit.field': 'Field',
+    'audit.before': 'Before',
+    'audit.after': 'After',
+    'audit.noChanges': 'No field changes.',
+    'audit.loadFailed': 'Failed to load the audit log: {message}. Check the Firestore rules.',
+    'audit.loading': 'Loading audit log...',
+    'audit.empty': 'No changes match these filters.',
+    'transfer.title': 'Import / Export Menu',
+    'transfer.chooseFile': 'Choose a CSV or JSON file',
+    'transfer.columns': 'Columns: {columns}. Rows are matched to stores by storeId, or by storeName when the id is unknown.',
+    'transfer.readFailed': 'Could not read {file}: {message}',
+    'transfer.importStopped': 'Import stopped after {written} of {count} items: {message}. Check your Firebase rules.',
+    'transfer.previewSummary': '{valid} valid, {invalid} with errors',
+    'transfer.discard': 'Discard preview',
+    'transfer.row': 'Row {row}:',
+    'transfer.unnamed': 'unnamed',
+    'transfer.importing': 'Importing...',
+    'transfer.import': { one: 'Import {count} valid item', other: 'Import {count} valid items' },
+    'transfer.imported': { one: 'Imported {count} menu item.', other: 'Imported {count} menu items.' },
+    'transfer.exportCsv': 'Export CSV',
+    'transfer.exportJson': 'Export JSON',
+    'review.title': 'Reviews ({count})',
+    'review.filterVisibility': 'Filter by visibility',
+    'review.visibility.all': 'All reviews',
+    'review.visibility.visible': 'Visible',
+    'review.visibility.hidden': 'Hidden',
+    'review.hidden': 'Hidden',
+    'review.reference': 'Order {orderId} · User {userId}',
+    'review.hide': 'Hide',
+    'review.restore': 'Restore',
+    'review.updateFailed': 'Failed to update the review: {message}. Check your Firebase rules.',
+    'review.loadFailed': 'Failed to load reviews: {message}',
+    'review.loading': 'Loading reviews...',
+    'review.empty': 'No reviews match these filters.',
+    'order.window': 'Placed in',
+    'order.windowDays': { one: 'Today', other: 'Last {count} days' },
+  },
+  es: {
+    'app.title': 'Panel de administración de Fresh Eats',
+    'app.language': 'Idioma',
+    'app.orderingPaused': 'Pedidos en pausa',
+    'app.adminUser': 'Administrador:',
+    'app.mockId': 'ID de prueba...',
+    'app.signOut': 'Cerrar sesión',
+    'app.offline': 'Estás sin conexión. Ves los datos guardados en este dispositivo, y los cambios terminarán de guardarse cuando vuelvas a tener conexión.',
+    'app.errorTitle': 'Error de la aplicación',
+    'app.errorHint': 'Si el error continúa, puede haber un problema con las reglas de Firebase o con la disponibilidad del servicio.',
+    'app.checkingAccess': 'Comprobando acceso...',
+    'app.loadingSettings': 'Cargando ajustes...',
+    'access.deniedTitle': 'Acceso denegado',
+    'access.deniedFor': '{user} no tiene el rol de administrador en',
+    'access.hint': 'Pide a un administrador que te lo conceda con el script set-admin-role y vuelve a iniciar sesión.',
+    'tab.menu': 'Menú',
+    'tab.stores': 'Tiendas',
+    'tab.orders': 'Pedidos',
+    'tab.analytics': 'Estadísticas',
+    'tab.reviews': 'Reseñas',
+    'tab.promotions': 'Códigos promocionales',
+    'tab.settings': 'Ajustes',
+    'tab.audit': 'Registro de cambios',
+    'common.cancel': 'Cancelar',
+    'common.save': 'Guardar',
+    'common.saving': 'Guardando...',
+    'common.edit': 'Editar',
+    'common.delete': 'Eliminar',
+    'common.keep': 'Conservar',
+    'product.addTitle': 'Añadir producto al menú',
+    'product.store': 'Tienda',
+    'product.loadingStores': 'Cargando tiendas...',
+    'product.createStoreFirst': 'Crea una tienda primero',
+    'product.selectStore': 'Elige una tienda',
+    'product.name': 'Nombre',
+    'product.namePlaceholder': 'p. ej., Rollo de atún picante',
+    'product.description': 'Descripción',
+    'product.descriptionPlaceholder': 'Una breve descripción del plato.',
+    'product.price': 'Precio ({currency})',
+    'product.category': 'Categoría',
+    'product.selectCategory': 'Elige una categoría',
+    'product.add': 'Añadir producto',
+    'product.readOnly': 'Modo de solo lectura',
+    'product.readOnlyNotice': 'Esta app está en **modo de solo lectura** porque se ha desplegado fuera del entorno de Canvas. Para añadir productos, usa la aplicación dentro de Canvas.',
+    'product.writeDenied': 'Escritura denegada: no se puede escribir en Firestore con la configuración de prueba externa. Los datos solo se guardan dentro de Canvas.',
+    'product.addFailed': 'No se pudo añadir el producto: {message}. Revisa las reglas de Firebase.',
+    'product.updateFailed': 'No se pudo actualizar el producto: {message}. Revisa las reglas de Firebase.',
+    'product.availabilityFailed': 'No se pudo actualizar la disponibilidad: {message}. Revisa las reglas de Firebase.',
+    'product.deleteFailed': 'No se pudo eliminar el producto: {message}. Revisa las reglas de Firebase.',
+    'product.listTitle': 'Productos del menú ({count})',
+    'product.loading': 'Cargando productos...',
+    'product.empty': 'Aún no hay productos.',
+    'product.soldOut': 'Agotado',
+    'product.noDescription': 'Sin descripción.',
+    'product.options': 'Opciones: {groups}',
+    'product.noStore': 'Sin tienda asignada',
+    'product.deletePrompt': '¿Eliminar?',
+    'product.markAvailable': 'Marcar como disponible',
+    'product.markSoldOut': 'Marcar como agotado',
+    'product.invalidNameOrPrice': 'El nombre del producto es obligatorio y el precio debe ser mayor que 0.',
+    'product.invalidCategory': 'La categoría debe ser una de: {categories}.',
+    'product.storeRequired': 'Elige la tienda a la que pertenece este producto.',
+    'store.nameRequired': 'El nombre de la tienda es obligatorio.',
+    'store.invalidCategory': 'La categoría debe ser una de: {categories}.',
+    'store.invalidCurrency': 'La moneda debe ser una de: {currencies}.',
+    'store.invalidPrepTime': 'El tiempo de preparación debe ser un número entero de minutos mayor que 0.',
+    'store.invalidLocation': 'Indica la ubicación de la tienda: latitud entre -90 y 90, longitud entre -180 y 180.',
+    'store.invalidRadius': 'El radio de entrega debe ser mayor que 0 y como máximo {max} km.',
+    'store.invalidTimezone': 'La zona horaria debe ser un nombre IANA como America/Mexico_City.',
+    'store.invalidHours': 'El horario debe tener horas como 09:00.',
+    'store.invalidHolidays': 'Los cierres por festivo deben ser fechas.',
+    'promotion.invalidCode': "El código debe tener de 3 a 20 letras, cifras, '-' o '_'.",
+    'promotion.invalidType': 'El tipo debe ser uno de: {types}.',
+    'promotion.invalidPercent': 'El porcentaje de descuento debe ser mayor que 0 y como máximo 100.',
+    'promotion.invalidAmount': 'El importe de descuento debe ser mayor que 0.',
+    'promotion.invalidMinimum': 'El pedido mínimo no puede ser negativo.',
+    'promotion.invalidCurrency': 'La moneda debe ser una de: {currencies}.',
+    'promotion.invalidWindow': 'La fecha de fin debe ser posterior a la de inicio.',
+    'promotion.invalidLimits': 'Los límites de uso deben ser números enteros mayores que 0, o quedar vacíos para no tener límite.',
+    'dateRange.reversed': 'La fecha de inicio debe ser igual o anterior a la de fin.',
+    'dateRange.tooLong': 'Elige un periodo de {max} días como máximo.',
+    'transfer.notAMenu': "El menú JSON debe ser una lista de productos o un objeto con una lista 'products'.",
+    'transfer.invalidOptionGroups': 'optionGroups debe ser JSON válido.',
+    'signIn.title': 'Fresh Eats Admin',
+    'signIn.email': 'Correo electrónico',
+    'signIn.password': 'Contraseña',
+    'signIn.signingIn': 'Iniciando sesión...',
+    'signIn.signIn': 'Iniciar sesión',
+    'signIn.forgotPassword': '¿Olvidaste tu contraseña?',
+    'signIn.incorrect': 'Correo electrónico o contraseña incorrectos.',
+    'signIn.tooManyAttempts': 'Demasiados intentos. Espera un momento y vuelve a intentarlo.',
+    'signIn.disabled': 'Esta cuenta está desactivada.',
+    'signIn.failed': 'No se pudo iniciar sesión: {message}',
+    'signIn.emailFirst': 'Escribe primero tu correo electrónico.',
+    'signIn.resetSent': 'Si existe una cuenta con ese correo, te llegará un enlace para restablecer la contraseña.',
+    'imageField.label': 'Imagen',
+    'imageField.replace': 'Cambiar',
+    'imageField.upload': 'Subir',
+    'imageField.remove': 'Quitar',
+    'imageField.hint': 'JPEG, PNG o WebP, de hasta {max} MB.',
+    'imageField.unreadable': 'No se pudo leer este archivo como imagen.',
+    'imageField.processFailed': 'No se pudo procesar esta imagen.',
+    'optionEditor.legend': 'Opciones',
+    'optionEditor.empty': 'Sin opciones. Añade un grupo para tamaños, niveles de picante o extras.',
+    'optionEditor.groupName': 'Nombre del grupo de opciones',
+    'optionEditor.groupPlaceholder': 'Nombre del grupo, p. ej. Tamaño',
+    'optionEditor.removeGroup': 'Quitar grupo',
+    'optionEditor.min': 'Mín.',
+    'optionEditor.max': 'Máx.',
+    'optionEditor.optionName': 'Nombre de la opción',
+    'optionEditor.optionPlaceholder': 'Opción, p. ej. Grande',
+    'optionEditor.priceChange': 'Cambio de precio ({currency})',
+    'optionEditor.removeOption': 'Quitar opción',
+    'optionEditor.addOption': 'Añadir opción',
+    'optionEditor.addGroup': 'Añadir grupo de opciones',
+    'common.saveChanges': 'Guardar cambios',
+    'common.deletePermanently': '¿Eliminar definitivamente?',
+    'store.addTitle': 'Añadir tienda',
+    'store.editTitle': 'Editar tienda',
+    'store.name': 'Nombre',
+    'store.namePlaceholder': 'p. ej., Trattoria de Luigi',
+    'store.description': 'Descripción',
+    'store.descriptionPlaceholder': 'Qué pueden esperar los clientes de esta tienda.',
+    'store.category': 'Categoría',
+    'store.currency': 'Moneda',
+    'store.currencyHint': 'La usan los precios del menú, los carritos y los pedidos de la tienda. Cambiarla no convierte los precios existentes.',
+    'store.prepTime': 'Tiempo de preparación (min)',
+    'store.locationLegend': 'Ubicación y zona de entrega',
+    'store.address': 'Dirección',
+    'store.addressPlaceholder': 'p. ej., 12 Main Street, Monroe 98272',
+    'store.lookUpAddress': 'Buscar coordenadas',
+    'store.addressNotFound': 'No se reconoce la dirección. Escribe las coordenadas.',
+    'store.latitude': 'Latitud',
+    'store.longitude': 'Longitud',
+    'store.radius': 'Radio (km)',
+    'store.radiusHint': 'Los clientes solo ven la tienda si su ubicación está dentro del radio de entrega.',
+    'store.hoursLegend': 'Horario',
+    'store.timezone': 'Zona horaria',
+    'store.alwaysOpen': 'Siempre abierta (sin horario semanal)',
+    'store.opens': '{day}: apertura',
+    'store.closes': '{day}: cierre',
+    'store.overnightHint': 'Una hora de cierre anterior a la de apertura pasa de la medianoche.',
+    'store.holidays': 'Cierres por festivo',
+    'store.holidayDate': 'Fecha del festivo',
+    'store.addHoliday': 'Añadir',
+    'store.removeHoliday': 'Quitar {date}',
+    'store.add': 'Añadir tienda',
+    'store.saveFailed': 'No se pudo guardar la tienda: {message}. Revisa las reglas de Firebase.',
+    'store.updateFailed': 'No se pudo actualizar la tienda: {message}. Revisa las reglas de Firebase.',
+    'store.deleteFailed': 'No se pudo eliminar la tienda: {message}. Revisa las reglas de Firebase.',
+    'store.listTitle': 'Tiendas ({count})',
+    'store.empty': 'Aún no hay tiendas. Los clientes verán un catálogo vacío.',
+    'store.paused': 'En pausa',
+    'store.archived': 'Archivada',
+    'store.prepMinutes': '{minutes} min de preparación',
+    'store.radiusKm': 'Radio de {km} km',
+    'store.noLocation': 'Sin ubicación',
+    'store.pauseOrders': 'Pausar pedidos',
+    'store.resumeOrders': 'Reanudar pedidos',
+    'store.archive': 'Archivar',
+    'store.restore': 'Restaurar',
+    'common.allStores': 'Todas las tiendas',
+    'common.filterStore': 'Filtrar por tienda',
+    'order.queueTitle': 'Cola de pedidos ({count})',
+    'order.loading': 'Cargando pedidos...',
+    'order.empty': 'Ningún pedido coincide con estos filtros.',
+    'order.loadFailed': 'Error de datos en tiempo real: {message}. Revisa las reglas de Firestore.',
+    'order.updateFailed': 'No se pudo actualizar el pedido: {message}',
+    'order.filterStatus': 'Filtrar por estado',
+    'order.active': 'Pedidos activos',
+    'order.allStatuses': 'Todos los estados',
+    'order.customer': 'cliente {id}…',
+    'order.placedAt': 'Realizado el {time}',
+    'order.accept': 'Aceptar',
+    'order.markAs': 'Marcar como {status}',
+    'order.reject': 'Rechazar',
+    'sales.title': 'Análisis de ventas',
+    'sales.currency': 'Moneda',
+    'common.from': 'Desde',
+    'common.to': 'a',
+    'common.toLabel': 'Hasta',
+    'sales.loadFailed': 'No se pudieron cargar los pedidos: {message}. Revisa las reglas e índices de Firestore.',
+    'sales.orders': 'Pedidos',
+    'sales.revenue': 'Ingresos',
+    'sales.averageOrder': 'Valor medio del pedido',
+    'sales.cancellationRate': 'Tasa de cancelación',
+    'sales.failedCount': { one: '{count} cancelado o rechazado', other: '{count} cancelados o rechazados' },
+    'sales.dayTooltip': { one: '{date}: {revenue}, {count} pedido', other: '{date}: {revenue}, {count} pedidos' },
+    'sales.empty': 'No hay ventas en este periodo.',
+    'sales.perDay': 'Ventas por día',
+    'sales.perStore': 'Ventas por tienda',
+    'sales.perCategory': 'Ventas por categoría',
+    'sales.topItems': 'Artículos más vendidos',
+    'sales.date': 'Fecha',
+    'sales.store': 'Tienda',
+    'sales.category': 'Categoría',
+    'sales.item': 'Artículo',
+    'sales.itemsSold': 'Artículos vendidos',
+    'sales.sold': 'Vendidos',
+    'sales.itemSales': 'Ventas de artículos',
+    'promotion.addTitle': 'Nuevo código promocional',
+    'promotion.editTitle': 'Editar {code}',
+    'promotion.code': 'Código',
+    'promotion.codePlaceholder': 'p. ej., WELCOME10',
+    'promotion.discount': 'Descuento',
+    'promotion.type.percent': 'Porcentaje de descuento',
+    'promotion.type.fixed': 'Importe de descuento',
+    'promotion.percent': 'Porcentaje',
+    'promotion.amount': 'Importe ({currency})',
+    'promotion.minimum': 'Pedido mínimo ({currency})',
+    'promotion.store': 'Tienda',
+    'promotion.currency': 'Moneda',
+    'promotion.startsAt': 'Empieza',
+    'promotion.endsAt': 'Termina',
+    'promotion.maxRedemptions': 'Usos totales',
+    'promotion.maxRedemptionsPerUser': 'Usos por cliente',
+    'promotion.unlimited': 'Ilimitados',
+    'promotion.active': 'Activo',
+    'promotion.add': 'Añadir código promocional',
+    'promotion.codeExists': 'El código {code} ya existe.',
+    'promotion.saveFailed': 'No se pudo guardar el código promocional: {message}. Revisa las reglas de Firebase.',
+    'promotion.updateFailed': 'No se pudo actualizar el código promocional: {message}. Revisa las reglas de Firebase.',
+    'promotion.deleteFailed': 'No se pudo eliminar el código promocional: {message}. Revisa las reglas de Firebase.',
+    'promotion.now': 'Ahora',
+    'promotion.noEnd': 'Sin fin',
+    'promotion.paused': 'En pausa',
+    'promotion.used': '{count} / {max} usados',
+    'promotion.perCustomer': '{count} por cliente',
+    'promotion.pause': 'Pausar',
+    'promotion.activate': 'Activar',
+    'promotion.listTitle': 'Códigos promocionales ({count})',
+    'promotion.loadFailed': 'No se pudieron cargar los códigos promocionales: {message}',
+    'promotion.loading': 'Cargando códigos promocionales...',
+    'promotion.empty': 'Aún no hay códigos promocionales.',
+    'settings.title': 'Ajustes de la app',
+    'settings.pauseOrdering': 'Pausar todos los pedidos',
+    'settings.pauseHint': 'Los clientes pueden seguir navegando, pero el pago queda desactivado en todas las tiendas.',
+    'settings.pausedMessage': 'Mensaje de pausa',
+    'settings.pausedMessagePlaceholder': 'Mensaje para los clientes (opcional)',
+    'settings.currency': 'Moneda predeterminada',
+    'settings.currencyHint': 'Para las tiendas nuevas y las que no tienen una propia.',
+    'settings.taxRate': 'Tipo de impuesto (%)',
+    'settings.deliveryFee': 'Gastos de envío',
+    'settings.deliveryFeeHint': 'Cada tienda cobra los gastos de envío de su propia moneda.',
+    'settings.productCategories': 'Categorías del menú',
+    'settings.productCategoriesHint': 'Una por línea, en el orden en que las muestran los menús.',
+    'settings.storeCategories': 'Categorías de tiendas',
+    'settings.storeCategoriesHint': 'Una por línea. Son los filtros del catálogo.',
+    'settings.categoriesNote': 'Renombrar o quitar una categoría no cambia las tiendas ni los productos existentes; edítalos para pasarlos a otra categoría.',
+    'settings.save': 'Guardar ajustes',
+    'settings.saved': 'Ajustes guardados. Ambas apps los aplican al instante.',
+    'settings.saveFailed': 'No se pudieron guardar los ajustes: {message}. Revisa las reglas de Firebase.',
+    'audit.title': 'Registro de auditoría ({count})',
+    'audit.actor': 'Autor',
+    'audit.allActors': 'Todos los administradores',
+    'audit.entity': 'Entidad',
+    'audit.allEntities': 'Todos los cambios',
+    'audit.entity.product': 'Producto',
+    'audit.entity.store': 'Tienda',
+    'audit.entity.config': 'Ajustes',
+    'audit.entity.order': 'Pedido',
+    'audit.action.create': 'creación',
+    'audit.action.update': 'cambio',
+    'audit.action.delete': 'eliminación',
+    'audit.field': 'Campo',
+    'audit.before': 'Antes',
+    'audit.after': 'Después',
+    'audit.noChanges': 'Sin cambios de campos.',
+    'audit.loadFailed': 'No se pudo cargar el registro de auditoría: {message}. Revisa las reglas de Firestore.',
+    'audit.loading': 'Cargando registro de auditoría...',
+    'audit.empty': 'Ningún cambio coincide con estos filtros.',
+    'transfer.title': 'Importar / exportar menú',
+    'transfer.chooseFile': 'Elige un archivo CSV o JSON',
+    'transfer.columns': 'Columnas: {columns}. Las filas se asignan a las tiendas por storeId, o por storeName si el id no existe.',
+    'transfer.readFailed': 'No se pudo leer {file}: {message}',
+    'transfer.importStopped': 'La importación se detuvo tras {written} de {count} productos: {message}. Revisa las reglas de Firebase.',
+    'transfer.previewSummary': '{valid} válidos, {invalid} con errores',
+    'transfer.discard': 'Descartar vista previa',
+    'transfer.row': 'Fila {row}:',
+    'transfer.unnamed': 'sin nombre',
+    'transfer.importing': 'Importando...',
+    'transfer.import': { one: 'Importar {count} producto válido', other: 'Importar {count} productos válidos' },
+    'transfer.imported': { one: '{count} producto importado.', other: '{count} productos importados.' },
+    'transfer.exportCsv': 'Exportar CSV',
+    'transfer.exportJson': 'Exportar JSON',
+    'review.title': 'Reseñas ({count})',
+    'review.filterVisibility': 'Filtrar por visibilidad',
+    'review.visibility.all': 'Todas las reseñas',
+    'review.visibility.visible': 'Visibles',
+    'review.visibility.hidden': 'Ocultas',
+    'review.hidden': 'Oculta',
+    'review.reference': 'Pedido {orderId} · Usuario {userId}',
+    'review.hide': 'Ocultar',
+    'review.restore': 'Restaurar',
+    'review.updateFailed': 'No se pudo actualizar la reseña: {message}. Revisa las reglas de Firebase.',
+    'review.loadFailed': 'No se pudieron cargar las reseñas: {message}',
+    'review.loading': 'Cargando reseñas...',
+    'review.empty': 'Ninguna reseña coincide con estos filtros.',
+    'order.window': 'Realizados en',
+    'order.windowDays': { one: 'Hoy', other: 'Últimos {count} días' },
+  },
+};
+
+// English console messages: the default `t` of the validators in products.js, stores.js,
+// promotions.js and dateRange.js, like translateShared for the shared helpers.
+export const translateAdmin = createTranslator(mergeCatalogs(SHARED_MESSAGES, MESSAGES));
+
+export default MESSAGES;
@@ -0,0 +1,50 @@
+import { DEFAULT_APP_CONFIG, validateOptionGroups, getImageFileError } from '@fresh-eats/shared';
+import { translateAdmin } from './messages';
+
+// ----------------------
+// MENU ITEM HELPERS
+// ----------------------
+
+// Returns a user-facing error message, or null when the product can be saved.
+// Pass `storeIds` to also require a link to an existing store, `categories`
+// with the live app config's productCategories, and the console's `t` (useI18n).
+export const validateProduct = (product, { storeIds, categories = DEFAULT_APP_CONFIG.productCategories, t = translateAdmin } = {}) => {
+  if (!product.name || !String(product.name).trim() || !(product.price > 0)) {
+    return t('product.invalidNameOrPrice');
+  }
+  if (!categories.includes(product.category)) {
+    return t('product.invalidCategory', { categories: categories.join(', ') });
+  }
+  if (storeIds && !storeIds.includes(product.storeId)) {
+    return t('product.storeRequired');
+  }
+  // A newly picked image (form state only; see ImageField).
+  const imageError = product.imageFile ? getImageFileError(product.imageFile, t) : null;
+  return imageError || validateOptionGroups(product.optionGroups, t);
+};
+
+// Prices are stored rounded to cents.
+export const roundPrice = (price) => parseFloat(Number(price).toFixed(2));
+
+// --- Option groups (see shared/productOptions.js) ---
+
+// Short ids, unique within a product, that keep cart lines stable when names change.
+const newOptionId = () => crypto.randomUUID().slice(0, 8);
+
+export const createOption = () => ({ id: newOptionId(), name: '', priceDelta: 0 });
+
+export const createOptionGroup = () => ({ id: newOptionId(), name: '', minSelections: 0, maxSelections: 1, options: [createOption()] });
+
+// Trims names and rounds price changes before saving. Groups and options from an imported
+// menu file may come without ids; they get new ones.
+export const toOptionGroupsPayload = (groups = []) => groups.map(group => ({
+  id: group.id ? String(group.id) : newOptionId(),
+  name: String(group.name).trim(),
+  minSelections: group.minSelections,
+  maxSelections: group.maxSelections,
+  options: group.options.map(option => ({
+    id: option.id ? String(option.id) : newOptionId(),
+    name: String(option.name).trim(),
+    priceDelta: roundPrice(option.priceDelta),
+  })),
+}));
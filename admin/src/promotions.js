@@ -0,0 +1,100 @@
+import { PROMOTION_TYPES, SUPPORTED_CURRENCIES, normalizePromoCode, isValidPromoCode, hasPromotionAmounts } from '@fresh-eats/shared';
+import { translateAdmin } from './messages';
+
+// ----------------------
+// PROMO CODE HELPERS
+// ----------------------
+
+// Limits and dates are kept as typed ('' = none) until saved. storeId '' means every store;
+// currency '' the app default.
+export const EMPTY_PROMOTION = {
+  code: '',
+  type: 'percent',
+  value: 10,
+  minSubtotal: 0,
+  storeId: '',
+  currency: '',
+  startsAt: '',
+  endsAt: '',
+  maxRedemptions: '',
+  maxRedemptionsPerUser: '1',
+  active: true,
+};
+
+// A Timestamp as the local 'YYYY-MM-DDTHH:mm' a datetime-local input expects.
+const toDateTimeInput = (timestamp) => {
+  if (!timestamp) return '';
+  const date = timestamp.toDate();
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000).toISOString().slice(0, 16);
+};
+
+const toLimitInput = (limit) => (limit === null || limit === undefined ? '' : String(limit));
+
+// Turns a promotion document into form state.
+export const toPromotionForm = (promotion) => ({
+  code: promotion.code || promotion.id,
+  type: promotion.type,
+  value: promotion.value,
+  minSubtotal: promotion.minSubtotal || 0,
+  storeId: promotion.storeId || '',
+  currency: promotion.currency || '',
+  startsAt: toDateTimeInput(promotion.startsAt),
+  endsAt: toDateTimeInput(promotion.endsAt),
+  maxRedemptions: toLimitInput(promotion.maxRedemptions),
+  maxRedemptionsPerUser: toLimitInput(promotion.maxRedemptionsPerUser),
+  active: promotion.active !== false,
+});
+
+const toLimit = (value) => (String(value).trim() === '' ? null : Number(value));
+
+const isValidLimit = (value) => {
+  const limit = toLimit(value);
+  return limit === null || (Number.isInteger(limit) && limit > 0);
+};
+
+// Returns a user-facing error message, or null when the promotion can be saved, in the
+// language of `t`.
+export const validatePromotion = (promotion, t = translateAdmin) => {
+  if (!isValidPromoCode(normalizePromoCode(promotion.code))) {
+    return t('promotion.invalidCode');
+  }
+  if (!PROMOTION_TYPES.includes(promotion.type)) {
+    return t('promotion.invalidType', { types: PROMOTION_TYPES.join(', ') });
+  }
+  if (!(promotion.value > 0) || (promotion.type === 'percent' && promotion.value > 100)) {
+    return promotion.type === 'percent'
+      ? t('promotion.invalidPercent')
+      : t('promotion.invalidAmount');
+  }
+  if (!(promotion.minSubtotal >= 0)) {
+    return t('promotion.invalidMinimum');
+  }
+  if (hasPromotionAmounts(promotion) && !SUPPORTED_CURRENCIES.includes(promotion.currency)) {
+    return t('promotion.invalidCurrency', { currencies: SUPPORTED_CURRENCIES.join(', ') });
+  }
+  if (promotion.startsAt && promotion.endsAt && new Date(promotion.startsAt) >= new Date(promotion.endsAt)) {
+    return t('promotion.invalidWindow');
+  }
+  if (!isValidLimit(promotion.maxRedemptions) || !isValidLimit(promotion.maxRedemptionsPerUser)) {
+    return t('promotion.invalidLimits');
+  }
+  return null;
+};
+
+// Normalizes form state into the fields described in shared/promotions.js. `currency` must
+// be set by then: the store's for a single-store code. Dates are saved
+// as Date objects, which Firestore stores as Timestamps. 'redemptionCount' is only set when
+// the code is created; checkout counts it from there.
+export const toPromotionPayload = (promotion) => ({
+  code: normalizePromoCode(promotion.code),
+  type: promotion.type,
+  value: promotion.value,
+  minSubtotal: promotion.minSubtotal,
+  storeId: promotion.storeId || null,
+  currency: hasPromotionAmounts(promotion) ? promotion.currency : null,
+  startsAt: promotion.startsAt ? new Date(promotion.startsAt) : null,
+  endsAt: promotion.endsAt ? new Date(promotion.endsAt) : null,
+  maxRedemptions: toLimit(promotion.maxRedemptions),
+  maxRedemptionsPerUser: toLimit(promotion.maxRedemptionsPerUser),
+  active: promotion.active,
+});
@@ -0,0 +1,126 @@
+import {
+  DEFAULT_APP_CONFIG, SUPPORTED_CURRENCIES, WEEKDAYS, isValidTime, isValidDate, isValidTimeZone,
+  DEFAULT_PREP_MINUTES, MAX_DELIVERY_RADIUS_KM, isValidLocation, encodeGeohash, getImageFileError,
+} from '@fresh-eats/shared';
+import { translateAdmin } from './messages';
+
+// ----------------------
+// STORE CATALOG HELPERS
+// ----------------------
+
+// The admin's own timezone is the most likely one for a new store.
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Form state for the weekly schedule: one row per weekday (see shared/storeHours.js).
+const DEFAULT_HOURS = Object.fromEntries(WEEKDAYS.map(day => [day, { isOpen: true, open: '09:00', close: '21:00' }]));
+
+export const EMPTY_STORE = {
+  name: '',
+  category: DEFAULT_APP_CONFIG.storeCategories[0],
+  // Menu prices, carts and orders of the store are in this currency (see getStoreCurrency).
+  currency: DEFAULT_APP_CONFIG.currency,
+  description: '',
+  prepTime: DEFAULT_PREP_MINUTES,
+  // Location fields (see shared/geo.js). Coordinates are kept as typed until saved.
+  address: '',
+  latitude: '',
+  longitude: '',
+  deliveryRadiusKm: 5,
+  timezone: BROWSER_TIME_ZONE,
+  // Stores saved before opening hours existed have no schedule and are always open.
+  alwaysOpen: false,
+  hours: DEFAULT_HOURS,
+  holidays: [],
+  // The saved image, and a newly picked File uploaded on save (see ImageField).
+  image: null,
+  imageFile: null,
+};
+
+// Turns a store document's schedule fields into form state.
+export const toScheduleForm = (store) => ({
+  timezone: store.timezone || BROWSER_TIME_ZONE,
+  alwaysOpen: !store.openingHours,
+  hours: store.openingHours
+    ? Object.fromEntries(WEEKDAYS.map(day => {
+        const hours = store.openingHours[day];
+        return [day, hours ? { isOpen: true, open: hours.open, close: hours.close } : { ...DEFAULT_HOURS[day], isOpen: false }];
+      }))
+    : DEFAULT_HOURS,
+  holidays: store.holidays || [],
+});
+
+// Turns a store document's location fields into form state.
+export const toLocationForm = (store) => ({
+  address: store.address || '',
+  latitude: isValidLocation(store.location) ? String(store.location.lat) : '',
+  longitude: isValidLocation(store.location) ? String(store.location.lng) : '',
+  deliveryRadiusKm: store.deliveryRadiusKm || EMPTY_STORE.deliveryRadiusKm,
+});
+
+const toLocation = (store) => ({ lat: parseFloat(store.latitude), lng: parseFloat(store.longitude) });
+
+// Returns a user-facing error message, or null when the store can be saved.
+// `categories` are the live app config's storeCategories; `t` is the console's (useI18n).
+export const validateStore = (store, { categories = DEFAULT_APP_CONFIG.storeCategories, t = translateAdmin } = {}) => {
+  if (!store.name || !store.name.trim()) {
+    return t('store.nameRequired');
+  }
+  if (!categories.includes(store.category)) {
+    return t('store.invalidCategory', { categories: categories.join(', ') });
+  }
+  if (!SUPPORTED_CURRENCIES.includes(store.currency)) {
+    return t('store.invalidCurrency', { currencies: SUPPORTED_CURRENCIES.join(', ') });
+  }
+  if (!Number.isInteger(store.prepTime) || store.prepTime <= 0) {
+    return t('store.invalidPrepTime');
+  }
+  if (!isValidLocation(toLocation(store))) {
+    return t('store.invalidLocation');
+  }
+  if (!(store.deliveryRadiusKm > 0) || store.deliveryRadiusKm > MAX_DELIVERY_RADIUS_KM) {
+    return t('store.invalidRadius', { max: MAX_DELIVERY_RADIUS_KM });
+  }
+  if (!isValidTimeZone(store.timezone)) {
+    return t('store.invalidTimezone');
+  }
+  if (!store.alwaysOpen) {
+    const openDays = WEEKDAYS.filter(day => store.hours[day].isOpen);
+    if (openDays.some(day => !isValidTime(store.hours[day].open) || !isValidTime(store.hours[day].close))) {
+      return t('store.invalidHours');
+    }
+  }
+  if (!store.holidays.every(isValidDate)) {
+    return t('store.invalidHolidays');
+  }
+  if (store.imageFile) {
+    return getImageFileError(store.imageFile, t);
+  }
+  return null;
+};
+
+// Normalizes form state into the fields StoreCard reads. Closed weekdays are left out of
+// openingHours. The 'ordersPaused' switch is toggled from the store list, not saved here,
+// and the rating aggregate is maintained by reviews (see shared/reviews.js). The image is
+// uploaded and saved separately (see images.js).
+// The geohash is derived from the location so nearby-store queries always match it.
+export const toStorePayload = (store) => {
+  const location = toLocation(store);
+  return {
+    name: store.name.trim(),
+    category: store.category,
+    currency: store.currency,
+    description: (store.description || '').trim(),
+    prepTime: store.prepTime,
+    address: store.address.trim(),
+    location,
+    geohash: encodeGeohash(location),
+    deliveryRadiusKm: store.deliveryRadiusKm,
+    timezone: store.timezone.trim(),
+    openingHours: store.alwaysOpen
+      ? null
+      : Object.fromEntries(WEEKDAYS
+          .filter(day => store.hours[day].isOpen)
+          .map(day => [day, { open: store.hours[day].open, close: store.hours[day].close }])),
+    holidays: [...new Set(store.holidays)].sort(),
+  };
+};
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// ----------------------
+// SALES REPORT FROM THE EMULATOR
+// ----------------------
+// Runs the admin Analytics tab's aggregations (shared/analytics.js) over the orders in
+// the Firestore emulator and prints them, e.g. to check them against the seed data.
+//
+// Usage (with `npm run emulators` running and the seed loaded):
+//   node scripts/sales-report.js [--app-id fresh-eats-dev] [--from 2024-06-01] [--to 2024-06-30] [--time-zone UTC]
+//
+// The range defaults to the last 30 days in the given timezone (UTC by default). Stores
+// can price in different currencies, so there is one report per currency.
+
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080';
+
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+
+// Must match DEMO_PROJECT_ID / DEV_APP_ID in shared/emulators.js.
+const PROJECT_ID = 'demo-fresh-eats';
+const DEFAULT_APP_ID = 'fresh-eats-dev';
+
+const readOption = (argv, name, fallback) => {
+  const index = argv.indexOf(name);
+  return index >= 0 && argv[index + 1] ? argv[index + 1] : fallback;
+};
+
+const main = async () => {
+  const { buildSalesReport, getOrderCurrencies, filterOrdersByCurrency } = await import('../../shared/analytics.js');
+  const { getLocalTime } = await import('../../shared/storeHours.js');
+  const { normalizeAppConfig } = await import('../../shared/appConfig.js');
+  const { getAppConfigDocPath } = await import('../../shared/paths.js');
+
+  const argv = process.argv.slice(2);
+  const timeZone = readOption(argv, '--time-zone', 'UTC');
+  const appId = readOption(argv, '--app-id', DEFAULT_APP_ID);
+  const to = readOption(argv, '--to', getLocalTime(new Date(), timeZone).date);
+  const from = readOption(argv, '--from', getLocalTime(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000), timeZone).date);
+
+  initializeApp({ projectId: process.env.GCLOUD_PROJECT || PROJECT_ID });
+  const db = getFirestore();
+  const [snapshot, configSnapshot] = await Promise.all([
+    db.collectionGroup('orders').where('appId', '==', appId).get(),
+    db.doc(getAppConfigDocPath(appId)).get(),
+  ]);
+  // Orders placed before orders recorded a currency were in the app default.
+  const { currency: defaultCurrency } = normalizeAppConfig(configSnapshot.data());
+  const orders = snapshot.docs.map(doc => doc.data());
+
+  for (const currency of getOrderCurrencies(orders, defaultCurrency)) {
+    const report = buildSalesReport(filterOrdersByCurrency(orders, currency, defaultCurrency), { from, to, timeZone });
+    console.log(`Sales in ${currency} for appId "${appId}" from ${from} to ${to} (${timeZone}):`);
+    console.table([report.summary]);
+    console.table(report.byDay.filter(day => day.orderCount > 0));
+    console.table(report.byStore);
+    console.table(report.byCategory);
+    console.table(report.topItems);
+  }
+};
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
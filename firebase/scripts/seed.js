@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+// ----------------------
+// LOCAL EMULATOR SEED DATA
+// ----------------------
+// Fills the Auth and Firestore emulators with sample stores, products, an admin
+// role, the app settings, orders and a review for one appId, so the whole flow can be run offline.
+//
+// Usage (with `npm run emulators` running in another terminal):
+//   node scripts/seed.js [--app-id fresh-eats-dev]
+//
+// Always talks to the emulators: the emulator hosts are set below before the
+// Admin SDK starts, so this script can never write to a real project.
+// Documents use fixed ids, so running it again resets the sample data.
+
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080';
+process.env.FIREBASE_AUTH_EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST || '127.0.0.1:9099';
+
+const { initializeApp } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+
+// Must match DEMO_PROJECT_ID / DEV_APP_ID in shared/emulators.js.
+const PROJECT_ID = 'demo-fresh-eats';
+const DEFAULT_APP_ID = 'fresh-eats-dev';
+
+const SEED_PASSWORD = 'password123';
+
+const USERS = [
+  { uid: 'seed-admin', email: 'admin@fresh-eats.test', displayName: 'Seed Admin' },
+  { uid: 'seed-customer', email: 'customer@fresh-eats.test', displayName: 'Seed Customer' },
+];
+
+const everyDay = (open, close, closedDays = []) => Object.fromEntries(
+  ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].filter(day => !closedDays.includes(day)).map(day => [day, { open, close }])
+);
+
+// Opening hours (see shared/storeHours.js): a regular schedule with a closed day and a
+// holiday, late-night hours past midnight, and a store without hours that is always open.
+// Locations (see shared/geo.js) are around Monroe, WA, which the local geocoding stand-in
+// knows, with delivery areas of different sizes; the geohash is added when writing.
+const STORES = [
+  {
+    id: 'luigis-trattoria', name: "Luigi's Trattoria", category: 'Food', description: 'Wood-fired pizza and fresh pasta made daily.', prepTime: 20,
+    address: '105 W Main St, Monroe 98272', location: { lat: 47.8557, lng: -121.9735 }, deliveryRadiusKm: 10,
+    timezone: 'America/Los_Angeles', openingHours: everyDay('11:00', '22:00', ['mon']), holidays: ['2025-12-25', '2026-12-25'],
+  },
+  {
+    id: 'sakura-sushi', name: 'Sakura Sushi', category: 'Food', description: 'Rolls, nigiri and bento boxes.', prepTime: 25,
+    address: '1st St, Snohomish 98290', location: { lat: 47.9120, lng: -122.0960 }, deliveryRadiusKm: 8,
+    timezone: 'America/Los_Angeles', openingHours: everyDay('17:00', '02:00'), holidays: [],
+  },
+  {
+    id: 'green-basket', name: 'Green Basket Market', category: 'Grocery', description: 'Local produce, dairy and pantry staples.', prepTime: 30,
+    address: 'Sultan 98294', location: { lat: 47.8626, lng: -121.8165 }, deliveryRadiusKm: 25, timezone: 'America/Los_Angeles',
+  },
+  {
+    id: 'closed-diner', name: 'Old Town Diner', category: 'Food', description: 'Archived sample store, hidden from customers.', prepTime: 15,
+    address: 'Monroe 98272', location: { lat: 47.8554, lng: -121.9710 }, deliveryRadiusKm: 5, archived: true,
+  },
+];
+
+const PRODUCTS = [
+  {
+    id: 'margherita', storeId: 'luigis-trattoria', name: 'Margherita Pizza', description: 'Tomato, mozzarella, basil.', price: 12.5, category: 'Main Dish',
+    optionGroups: [
+      { id: 'size', name: 'Size', minSelections: 1, maxSelections: 1, options: [{ id: 'medium', name: 'Medium (12")', priceDelta: 0 }, { id: 'large', name: 'Large (16")', priceDelta: 4 }] },
+      { id: 'toppings', name: 'Extra toppings', minSelections: 0, maxSelections: 3, options: [{ id: 'mushrooms', name: 'Mushrooms', priceDelta: 1.5 }, { id: 'olives', name: 'Olives', priceDelta: 1 }, { id: 'burrata', name: 'Burrata', priceDelta: 3 }] },
+    ],
+  },
+  { id: 'carbonara', storeId: 'luigis-trattoria', name: 'Spaghetti Carbonara', description: 'Guanciale, egg yolk, pecorino.', price: 14, category: 'Main Dish' },
+  { id: 'bruschetta', storeId: 'luigis-trattoria', name: 'Bruschetta', description: 'Grilled bread with tomatoes and garlic.', price: 7.25, category: 'Appetizer' },
+  { id: 'tiramisu', storeId: 'luigis-trattoria', name: 'Tiramisu', description: 'Espresso-soaked ladyfingers.', price: 6.5, category: 'Dessert' },
+  { id: 'limonata', storeId: 'luigis-trattoria', name: 'San Pellegrino Limonata', description: '', price: 2.75, category: 'Drink' },
+  {
+    id: 'spicy-tuna', storeId: 'sakura-sushi', name: 'Spicy Tuna Roll', description: 'Tuna, sriracha mayo, cucumber.', price: 9.5, category: 'Main Dish',
+    optionGroups: [
+      { id: 'spice', name: 'Spice level', minSelections: 1, maxSelections: 1, options: [{ id: 'mild', name: 'Mild', priceDelta: 0 }, { id: 'medium', name: 'Medium', priceDelta: 0 }, { id: 'hot', name: 'Hot', priceDelta: 0 }] },
+    ],
+  },
+  { id: 'salmon-nigiri', storeId: 'sakura-sushi', name: 'Salmon Nigiri (4 pc)', description: '', price: 8, category: 'Main Dish' },
+  { id: 'edamame', storeId: 'sakura-sushi', name: 'Edamame', description: 'Steamed and salted.', price: 4.5, category: 'Appetizer' },
+  { id: 'mochi', storeId: 'sakura-sushi', name: 'Mochi Ice Cream', description: 'Sold out sample item.', price: 5, category: 'Dessert', available: false },
+  { id: 'green-tea', storeId: 'sakura-sushi', name: 'Iced Green Tea', description: '', price: 3, category: 'Drink' },
+  { id: 'apples', storeId: 'green-basket', name: 'Honeycrisp Apples (1 kg)', description: '', price: 4.99, category: 'Main Dish' },
+  { id: 'sourdough', storeId: 'green-basket', name: 'Sourdough Loaf', description: 'Baked this morning.', price: 5.5, category: 'Main Dish' },
+  { id: 'oat-milk', storeId: 'green-basket', name: 'Oat Milk (1 L)', description: '', price: 3.25, category: 'Drink' },
+];
+
+const ADDRESS = { id: 'home', label: 'Home', line1: '12 Market Street', line2: 'Apt 4B', city: 'Monroe', postalCode: '98272', instructions: 'Ring twice.' };
+
+// status -> how far along the happy path the order got, with minutes-ago timestamps.
+// Items are [productId, quantity, selections], selections as in shared/productOptions.js.
+const ORDERS = [
+  { id: 'seed-order-placed', storeId: 'luigis-trattoria', items: [['margherita', 1, { size: ['large'], toppings: ['burrata'] }], ['tiramisu', 2]], history: { placed: 5 } },
+  { id: 'seed-order-preparing', storeId: 'sakura-sushi', items: [['spicy-tuna', 2, { spice: ['hot'] }], ['edamame', 1]], history: { placed: 40, accepted: 35, preparing: 25 }, promoCode: 'WELCOME10' },
+  { id: 'seed-order-delivered', storeId: 'green-basket', items: [['sourdough', 1], ['oat-milk', 2]], history: { placed: 1500, accepted: 1495, preparing: 1480, out_for_delivery: 1460, delivered: 1440 } },
+  { id: 'seed-order-cancelled', storeId: 'luigis-trattoria', items: [['carbonara', 1]], history: { placed: 3000, cancelled: 2995 }, cancelledBy: 'customer' },
+];
+
+// Promo codes (see shared/promotions.js); their usage counts are computed from ORDERS.
+const PROMOTIONS = [
+  { code: 'WELCOME10', type: 'percent', value: 10, minSubtotal: 15, storeId: null, maxRedemptions: 100, maxRedemptionsPerUser: 1 },
+  { code: 'PASTA5', type: 'fixed', value: 5, minSubtotal: 20, storeId: 'luigis-trattoria', maxRedemptions: null, maxRedemptionsPerUser: null },
+];
+
+// Reviews of delivered orders (see shared/reviews.js); the stores' rating aggregates are computed from them.
+const REVIEWS = [
+  { orderId: 'seed-order-delivered', rating: 5, text: 'Fresh bread and the oat milk arrived cold. Will order again.', authorName: 'Sam' },
+];
+
+const parseArgs = (argv) => {
+  const index = argv.indexOf('--app-id');
+  return { appId: index >= 0 && argv[index + 1] ? argv[index + 1] : DEFAULT_APP_ID };
+};
+
+const minutesAgo = (minutes) => Timestamp.fromMillis(Date.now() - minutes * 60 * 1000);
+
+// Creates the user, or resets its password if it already exists.
+const upsertUser = async (auth, { uid, email, displayName }) => {
+  try {
+    await auth.getUser(uid);
+    await auth.updateUser(uid, { email, displayName, password: SEED_PASSWORD });
+  } catch (e) {
+    if (e.code !== 'auth/user-not-found') throw e;
+    await auth.createUser({ uid, email, displayName, password: SEED_PASSWORD });
+  }
+};
+
+const main = async () => {
+  const { appId } = parseArgs(process.argv.slice(2));
+  // Order totals must be calculated exactly like the client checkout does.
+  const { calculateLineTotal, calculateOrderTotals } = await import('../../shared/pricing.js');
+  const { ORDER_STATUSES } = await import('../../shared/orderStatus.js');
+  const { DEFAULT_APP_CONFIG, getStoreCurrency, getPricingSettings } = await import('../../shared/appConfig.js');
+  const { encodeGeohash } = await import('../../shared/geo.js');
+  const { getReviewId } = await import('../../shared/reviews.js');
+  const { getSelectedOptions, calculateUnitPrice } = await import('../../shared/productOptions.js');
+
+  initializeApp({ projectId: process.env.GCLOUD_PROJECT || PROJECT_ID });
+  const auth = getAuth();
+  const db = getFirestore();
+  const root = `artifacts/${appId}`;
+  const [admin, customer] = USERS;
+
+  for (const user of USERS) {
+    await upsertUser(auth, user);
+  }
+
+  const batch = db.batch();
+  const seededAt = minutesAgo(60 * 24 * 7);
+
+  batch.set(db.doc(`${root}/users/${admin.uid}/roles/admin_user`), { role: 'admin_user', email: admin.email, grantedAt: seededAt });
+  batch.set(db.doc(`${root}/public/data/config/app`), { ...DEFAULT_APP_CONFIG, updatedAt: seededAt, updatedBy: admin.uid });
+
+  const reviewsOf = (storeId) => REVIEWS.filter(review => ORDERS.find(order => order.id === review.orderId).storeId === storeId);
+
+  STORES.forEach(({ id, ...store }) => {
+    batch.set(db.doc(`${root}/public/data/stores/${id}`), {
+      archived: false,
+      currency: DEFAULT_APP_CONFIG.currency,
+      ...store,
+      geohash: encodeGeohash(store.location),
+      ratingTotal: reviewsOf(id).reduce((sum, review) => sum + review.rating, 0),
+      reviewCount: reviewsOf(id).length,
+      createdAt: seededAt,
+      createdBy: admin.uid,
+    });
+  });
+
+  PRODUCTS.forEach(({ id, ...product }) => {
+    batch.set(db.doc(`${root}/public/data/products/${id}`), { available: true, optionGroups: [], ...product, createdAt: seededAt, createdBy: admin.uid });
+  });
+
+  const ordersWithCode = (code) => ORDERS.filter(order => order.promoCode === code);
+
+  PROMOTIONS.forEach((promotion) => {
+    batch.set(db.doc(`${root}/public/data/promotions/${promotion.code}`), {
+      ...promotion,
+      // Both codes have amounts, in the seed stores' currency.
+      currency: DEFAULT_APP_CONFIG.currency,
+      startsAt: null,
+      endsAt: null,
+      redemptionCount: ordersWithCode(promotion.code).length,
+      active: true,
+      createdAt: seededAt,
+      createdBy: admin.uid,
+    });
+    if (ordersWithCode(promotion.code).length > 0) {
+      batch.set(db.doc(`${root}/users/${customer.uid}/redemptions/${promotion.code}`), {
+        count: ordersWithCode(promotion.code).length,
+        lastOrderId: ordersWithCode(promotion.code).pop().id,
+        updatedAt: seededAt,
+      });
+    }
+  });
+
+  const { id: addressId, ...address } = ADDRESS;
+  batch.set(db.doc(`${root}/users/${customer.uid}/addresses/${addressId}`), { ...address, createdAt: seededAt });
+
+  ORDERS.forEach(({ id, storeId, items, history, cancelledBy, promoCode = null }) => {
+    const store = STORES.find(s => s.id === storeId);
+    const lines = items.map(([productId, quantity, selections = {}]) => {
+      const product = PRODUCTS.find(p => p.id === productId);
+      const options = getSelectedOptions(product, selections);
+      const unitPrice = calculateUnitPrice(product.price, options);
+      return {
+        productId,
+        name: product.name,
+        category: product.category,
+        basePrice: product.price,
+        options,
+        unitPrice,
+        quantity,
+        lineTotal: calculateLineTotal({ price: unitPrice, quantity }),
+      };
+    });
+    const statusHistory = Object.fromEntries(Object.entries(history).map(([status, minutes]) => [status, minutesAgo(minutes)]));
+    // The last status reached, following ORDER_STATUSES order.
+    const status = ORDER_STATUSES.filter(s => history[s] !== undefined).pop();
+
+    batch.set(db.doc(`${root}/users/${customer.uid}/orders/${id}`), {
+      appId,
+      userId: customer.uid,
+      storeId,
+      storeName: store.name,
+      items: lines,
+      ...calculateOrderTotals(lines.map(line => ({ price: line.unitPrice, quantity: line.quantity })), {
+        ...getPricingSettings(DEFAULT_APP_CONFIG, getStoreCurrency(store, DEFAULT_APP_CONFIG)),
+        promotion: PROMOTIONS.find(promotion => promotion.code === promoCode) || null,
+      }),
+      promoCode,
+      currency: getStoreCurrency(store, DEFAULT_APP_CONFIG),
+      deliveryAddress: address,
+      status,
+      statusHistory,
+      ...(cancelledBy ? { cancelledBy } : {}),
+      createdAt: statusHistory.placed,
+    });
+  });
+
+  REVIEWS.forEach(({ orderId, ...review }) => {
+    const order = ORDERS.find(o => o.id === orderId);
+    batch.set(db.doc(`${root}/public/data/reviews/${getReviewId(customer.uid, orderId)}`), {
+      ...review,
+      storeId: order.storeId,
+      orderId,
+      userId: customer.uid,
+      hidden: false,
+      createdAt: minutesAgo(1400),
+    });
+  });
+
+  await batch.commit();
+
+  console.log(`Seeded appId "${appId}" in project "${PROJECT_ID}":`);
+  console.log(`  ${STORES.length} stores, ${PRODUCTS.length} products, ${ORDERS.length} orders, ${REVIEWS.length} reviews, ${PROMOTIONS.length} promo codes`);
+  console.log(`  admin:    ${admin.email} / ${SEED_PASSWORD}`);
+  console.log(`  customer: ${customer.email} / ${SEED_PASSWORD}`);
+};
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+// ----------------------
+// GRANT / REVOKE THE ADMIN ROLE
+// ----------------------
+// firestore.rules only lets a trusted backend write
+// /artifacts/{appId}/users/{uid}/roles/admin_user, so this script uses the
+// Admin SDK, which bypasses the rules.
+//
+// Usage:
+//   node scripts/set-admin-role.js grant  <email|uid> --app-id <appId>
+//   node scripts/set-admin-role.js revoke <email|uid> --app-id <appId>
+//
+// Credentials come from GOOGLE_APPLICATION_CREDENTIALS (a service account key),
+// or from FIRESTORE_EMULATOR_HOST / FIREBASE_AUTH_EMULATOR_HOST when running locally.
+
+const { initializeApp, applicationDefault } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+const USAGE = 'Usage: node scripts/set-admin-role.js <grant|revoke> <email|uid> --app-id <appId> [--project <projectId>]';
+
+const parseArgs = (argv) => {
+  const [action, userRef, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    if (!rest[i].startsWith('--') || rest[i + 1] === undefined) {
+      throw new Error(`Unexpected argument "${rest[i]}".`);
+    }
+    options[rest[i].slice(2)] = rest[i + 1];
+  }
+  if (!['grant', 'revoke'].includes(action) || !userRef || !options['app-id']) {
+    throw new Error(USAGE);
+  }
+  return { action, userRef, appId: options['app-id'], projectId: options.project };
+};
+
+// Accepts either an email address or a uid.
+const resolveUser = async (auth, userRef) =>
+  userRef.includes('@') ? auth.getUserByEmail(userRef) : auth.getUser(userRef);
+
+const main = async () => {
+  const { action, userRef, appId, projectId } = parseArgs(process.argv.slice(2));
+
+  const usingEmulator = !!process.env.FIRESTORE_EMULATOR_HOST;
+  initializeApp({
+    ...(usingEmulator ? {} : { credential: applicationDefault() }),
+    ...(projectId || process.env.GCLOUD_PROJECT ? { projectId: projectId || process.env.GCLOUD_PROJECT } : {}),
+  });
+
+  const user = await resolveUser(getAuth(), userRef);
+  const roleRef = getFirestore().doc(`artifacts/${appId}/users/${user.uid}/roles/admin_user`);
+
+  if (action === 'grant') {
+    await roleRef.set({
+      role: 'admin_user',
+      email: user.email || null,
+      grantedAt: FieldValue.serverTimestamp(),
+    });
+    console.log(`Granted admin_user on "${appId}" to ${user.email || user.uid} (${user.uid}).`);
+  } else {
+    await roleRef.delete();
+    console.log(`Revoked admin_user on "${appId}" from ${user.email || user.uid} (${user.uid}).`);
+  }
+};
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -0,0 +1,487 @@
+// ----------------------
+// FIRESTORE SECURITY RULES TESTS
+// ----------------------
+// Runs against the Firestore emulator: `npm test` starts it with
+// `firebase emulators:exec` and runs this file with the Node test runner.
+
+const { readFileSync } = require('node:fs');
+const path = require('node:path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+
+const { FieldValue } = firebase.firestore;
+
+// Must match the demo project in .firebaserc: the emulators run in single-project mode.
+const PROJECT_ID = 'demo-fresh-eats';
+const APP_ID = 'rules-test-app';
+const ROOT = `artifacts/${APP_ID}`;
+
+const ADMIN = 'admin-uid';
+const ALICE = 'alice-uid';
+const BOB = 'bob-uid';
+
+let testEnv;
+
+const anonymousDb = () => testEnv.unauthenticatedContext().firestore();
+const userDb = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+// Writes fixture documents with the rules switched off.
+const seed = (writes) => testEnv.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore();
+  await Promise.all(Object.entries(writes).map(([docPath, data]) => db.doc(docPath).set(data)));
+});
+
+const placedOrder = (userId) => ({
+  appId: APP_ID,
+  userId,
+  storeId: 'store-1',
+  storeName: 'Test Store',
+  currency: 'USD',
+  items: [{ productId: 'product-1', name: 'Pizza', unitPrice: 10, quantity: 1, lineTotal: 10 }],
+  subtotal: 10,
+  tax: 0.8,
+  deliveryFee: 2.99,
+  total: 13.79,
+  status: 'placed',
+  statusHistory: {},
+});
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') },
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seed({
+    [`${ROOT}/users/${ADMIN}/roles/admin_user`]: { role: 'admin_user' },
+    [`${ROOT}/public/data/stores/store-1`]: { name: 'Test Store', category: 'Food' },
+    [`${ROOT}/public/data/products/product-1`]: { name: 'Pizza', price: 10, category: 'Main Dish', storeId: 'store-1', available: true },
+    [`${ROOT}/public/data/config/app`]: { currency: 'USD', orderingPaused: false },
+  });
+});
+
+describe('public config', () => {
+  it('is readable without signing in', async () => {
+    await assertSucceeds(anonymousDb().doc(`${ROOT}/public/data/config/app`).get());
+  });
+
+  it('can be updated by admins', async () => {
+    await assertSucceeds(userDb(ADMIN).doc(`${ROOT}/public/data/config/app`).set({ orderingPaused: true }, { merge: true }));
+  });
+
+  it('cannot be written by signed-in users without the admin role', async () => {
+    await assertFails(userDb(ALICE).doc(`${ROOT}/public/data/config/app`).set({ currency: 'EUR' }));
+    await assertFails(anonymousDb().doc(`${ROOT}/public/data/config/app`).set({ orderingPaused: true }));
+  });
+
+  it('cannot be deleted, even by admins', async () => {
+    await assertFails(userDb(ADMIN).doc(`${ROOT}/public/data/config/app`).delete());
+  });
+});
+
+describe('stores', () => {
+  it('are hidden from unauthenticated visitors', async () => {
+    await assertFails(anonymousDb().doc(`${ROOT}/public/data/stores/store-1`).get());
+    await assertFails(anonymousDb().collection(`${ROOT}/public/data/stores`).get());
+  });
+
+  it('are readable by any signed-in user', async () => {
+    await assertSucceeds(userDb(ALICE).collection(`${ROOT}/public/data/stores`).get());
+  });
+
+  it('can be created, updated and deleted by admins', async () => {
+    const stores = userDb(ADMIN).collection(`${ROOT}/public/data/stores`);
+    await assertSucceeds(stores.doc('store-2').set({ name: 'New Store', category: 'Grocery' }));
+    await assertSucceeds(stores.doc('store-1').update({ archived: true }));
+    await assertSucceeds(stores.doc('store-2').delete());
+  });
+
+  it('cannot be written by signed-in users without the admin role', async () => {
+    const stores = userDb(ALICE).collection(`${ROOT}/public/data/stores`);
+    await assertFails(stores.doc('store-2').set({ name: 'New Store', category: 'Grocery' }));
+    await assertFails(stores.doc('store-1').update({ rating: 5 }));
+    await assertFails(stores.doc('store-1').delete());
+  });
+
+  it('only honours the admin role of the same appId', async () => {
+    await seed({ [`artifacts/other-app/users/${BOB}/roles/admin_user`]: { role: 'admin_user' } });
+    await assertFails(userDb(BOB).doc(`${ROOT}/public/data/stores/store-1`).update({ rating: 1 }));
+  });
+});
+
+describe('products (admin menu items)', () => {
+  it('are hidden from unauthenticated visitors', async () => {
+    await assertFails(anonymousDb().doc(`${ROOT}/public/data/products/product-1`).get());
+  });
+
+  it('are readable by any signed-in user', async () => {
+    await assertSucceeds(userDb(ALICE).collection(`${ROOT}/public/data/products`).where('storeId', '==', 'store-1').get());
+  });
+
+  it('can be created, updated and deleted by admins', async () => {
+    const products = userDb(ADMIN).collection(`${ROOT}/public/data/products`);
+    await assertSucceeds(products.add({ name: 'Salad', price: 8, category: 'Appetizer', storeId: 'store-1', available: true, createdBy: ADMIN }));
+    await assertSucceeds(products.doc('product-1').update({ available: false, updatedBy: ADMIN }));
+    await assertSucceeds(products.doc('product-1').delete());
+  });
+
+  it('cannot be written by signed-in users without the admin role', async () => {
+    const products = userDb(ALICE).collection(`${ROOT}/public/data/products`);
+    await assertFails(products.add({ name: 'Salad', price: 8, category: 'Appetizer', storeId: 'store-1' }));
+    await assertFails(products.doc('product-1').update({ price: 0.01 }));
+    await assertFails(products.doc('product-1').delete());
+  });
+});
+
+describe('per-user data', () => {
+  it('is readable and writable by its owner', async () => {
+    const address = userDb(ALICE).doc(`${ROOT}/users/${ALICE}/addresses/home`);
+    await assertSucceeds(address.set({ line1: '1 Main St', city: 'Monroe', postalCode: '98272' }));
+    await assertSucceeds(address.get());
+  });
+
+  it("is blocked for other users, including admins", async () => {
+    await seed({ [`${ROOT}/users/${ALICE}/addresses/home`]: { line1: '1 Main St' } });
+    await assertFails(userDb(BOB).doc(`${ROOT}/users/${ALICE}/addresses/home`).get());
+    await assertFails(userDb(BOB).doc(`${ROOT}/users/${ALICE}/addresses/home`).set({ line1: 'Elsewhere' }));
+    await assertFails(userDb(ADMIN).doc(`${ROOT}/users/${ALICE}/addresses/home`).get());
+  });
+
+  it('is blocked for unauthenticated visitors', async () => {
+    await assertFails(anonymousDb().collection(`${ROOT}/users/${ALICE}/addresses`).get());
+  });
+});
+
+describe('roles', () => {
+  it('cannot be written by clients, not even for themselves', async () => {
+    await assertFails(userDb(ALICE).doc(`${ROOT}/users/${ALICE}/roles/admin_user`).set({ role: 'admin_user' }));
+    await assertFails(userDb(ALICE).doc(`${ROOT}/users/${BOB}/roles/admin_user`).set({ role: 'admin_user' }));
+  });
+
+  it('cannot be written or revoked by existing admins', async () => {
+    await assertFails(userDb(ADMIN).doc(`${ROOT}/users/${ALICE}/roles/admin_user`).set({ role: 'admin_user' }));
+    await assertFails(userDb(ADMIN).doc(`${ROOT}/users/${ADMIN}/roles/admin_user`).delete());
+  });
+
+  it('are readable by signed-in users so the admin panel can check access', async () => {
+    await assertSucceeds(userDb(ALICE).doc(`${ROOT}/users/${ALICE}/roles/admin_user`).get());
+    await assertFails(anonymousDb().doc(`${ROOT}/users/${ADMIN}/roles/admin_user`).get());
+  });
+});
+
+describe('orders', () => {
+  const orderPath = (userId, orderId = 'order-1') => `${ROOT}/users/${userId}/orders/${orderId}`;
+
+  it('can be placed by the customer in their own collection', async () => {
+    await assertSucceeds(userDb(ALICE).doc(orderPath(ALICE)).set(placedOrder(ALICE)));
+  });
+
+  it('cannot be placed in another status or for another user', async () => {
+    await assertFails(userDb(ALICE).doc(orderPath(ALICE)).set({ ...placedOrder(ALICE), status: 'delivered' }));
+    await assertFails(userDb(ALICE).doc(orderPath(BOB)).set(placedOrder(BOB)));
+    await assertFails(userDb(ALICE).doc(orderPath(ALICE)).set(placedOrder(BOB)));
+  });
+
+  it('can be cancelled by the customer only while placed', async () => {
+    await seed({
+      [orderPath(ALICE, 'placed')]: placedOrder(ALICE),
+      [orderPath(ALICE, 'accepted')]: { ...placedOrder(ALICE), status: 'accepted' },
+    });
+    await assertSucceeds(userDb(ALICE).doc(orderPath(ALICE, 'placed')).update({ status: 'cancelled', cancelledBy: 'customer' }));
+    await assertFails(userDb(ALICE).doc(orderPath(ALICE, 'accepted')).update({ status: 'cancelled', cancelledBy: 'customer' }));
+  });
+
+  it('cannot have prices or status changed by the customer', async () => {
+    await seed({ [orderPath(ALICE)]: placedOrder(ALICE) });
+    await assertFails(userDb(ALICE).doc(orderPath(ALICE)).update({ total: 0.01 }));
+    await assertFails(userDb(ALICE).doc(orderPath(ALICE)).update({ status: 'delivered' }));
+    await assertFails(userDb(ALICE).doc(orderPath(ALICE)).delete());
+  });
+
+  it('can be moved along allowed transitions by admins', async () => {
+    await seed({ [orderPath(ALICE)]: placedOrder(ALICE) });
+    await assertSucceeds(userDb(ADMIN).doc(orderPath(ALICE)).update({ status: 'accepted', updatedBy: ADMIN }));
+    await assertSucceeds(userDb(ADMIN).doc(orderPath(ALICE)).update({ status: 'preparing', updatedBy: ADMIN }));
+  });
+
+  it('cannot be moved backwards or out of a final status, even by admins', async () => {
+    await seed({ [orderPath(ALICE)]: { ...placedOrder(ALICE), status: 'delivered' } });
+    await assertFails(userDb(ADMIN).doc(orderPath(ALICE)).update({ status: 'preparing', updatedBy: ADMIN }));
+  });
+
+  it('are listed across users for admins only', async () => {
+    await seed({ [orderPath(ALICE)]: placedOrder(ALICE), [orderPath(BOB)]: placedOrder(BOB) });
+    const queueQuery = (db) => db.collectionGroup('orders').where('appId', '==', APP_ID).get();
+    await assertSucceeds(queueQuery(userDb(ADMIN)));
+    await assertFails(queueQuery(userDb(ALICE)));
+  });
+});
+
+describe('promo codes', () => {
+  const promotionPath = (code) => `${ROOT}/public/data/promotions/${code}`;
+  const redemptionPath = (userId, code) => `${ROOT}/users/${userId}/redemptions/${code}`;
+
+  const promotion = (fields = {}) => ({
+    code: 'SAVE5',
+    type: 'fixed',
+    value: 5,
+    minSubtotal: 0,
+    storeId: null,
+    currency: 'USD',
+    startsAt: null,
+    endsAt: null,
+    maxRedemptions: 2,
+    maxRedemptionsPerUser: 1,
+    redemptionCount: 0,
+    active: true,
+    ...fields,
+  });
+
+  // The order and both usage counters in one batch, the way checkout writes them.
+  const placeWithCode = (uid, orderId, { code = 'SAVE5', order = {}, counters = true } = {}) => {
+    const db = userDb(uid);
+    const batch = db.batch();
+    batch.set(db.doc(`${ROOT}/users/${uid}/orders/${orderId}`), { ...placedOrder(uid), promoCode: code, discount: 5, total: 8.79, ...order });
+    if (counters) {
+      batch.update(db.doc(promotionPath(code)), { redemptionCount: FieldValue.increment(1) });
+      batch.set(db.doc(redemptionPath(uid, code)), { count: FieldValue.increment(1), lastOrderId: orderId }, { merge: true });
+    }
+    return batch.commit();
+  };
+
+  beforeEach(async () => {
+    await seed({ [promotionPath('SAVE5')]: promotion() });
+  });
+
+  it('can be looked up by code but not listed by customers', async () => {
+    await assertSucceeds(userDb(ALICE).doc(promotionPath('SAVE5')).get());
+    await assertFails(userDb(ALICE).collection(`${ROOT}/public/data/promotions`).get());
+    await assertSucceeds(userDb(ADMIN).collection(`${ROOT}/public/data/promotions`).get());
+    await assertFails(anonymousDb().doc(promotionPath('SAVE5')).get());
+  });
+
+  it('are managed by admins only', async () => {
+    await assertSucceeds(userDb(ADMIN).doc(promotionPath('NEW10')).set(promotion({ code: 'NEW10' })));
+    await assertFails(userDb(ALICE).doc(promotionPath('MINE')).set(promotion({ code: 'MINE' })));
+    await assertFails(userDb(ALICE).doc(promotionPath('SAVE5')).update({ value: 50 }));
+  });
+
+  it('can be redeemed with an order that counts the use', async () => {
+    await assertSucceeds(placeWithCode(ALICE, 'order-1'));
+  });
+
+  it('cannot be redeemed without counting the use', async () => {
+    await assertFails(placeWithCode(ALICE, 'order-1', { counters: false }));
+    await assertFails(userDb(ALICE).doc(promotionPath('SAVE5')).update({ redemptionCount: FieldValue.increment(1) }));
+  });
+
+  it('cannot be used more often than the per-customer limit', async () => {
+    await assertSucceeds(placeWithCode(ALICE, 'order-1'));
+    await assertFails(placeWithCode(ALICE, 'order-2'));
+  });
+
+  it('cannot be used once the global limit is reached', async () => {
+    await seed({ [promotionPath('SAVE5')]: promotion({ redemptionCount: 2 }) });
+    await assertFails(placeWithCode(BOB, 'order-1'));
+  });
+
+  it('enforce the validity window, store, minimum and active switch', async () => {
+    const past = new Date(Date.now() - 60 * 60 * 1000);
+    const future = new Date(Date.now() + 60 * 60 * 1000);
+    await seed({
+      [promotionPath('EXPIRED')]: promotion({ code: 'EXPIRED', endsAt: past }),
+      [promotionPath('LATER')]: promotion({ code: 'LATER', startsAt: future }),
+      [promotionPath('OTHERSTORE')]: promotion({ code: 'OTHERSTORE', storeId: 'store-2' }),
+      [promotionPath('BIGORDERS')]: promotion({ code: 'BIGORDERS', minSubtotal: 50 }),
+      [promotionPath('OFF')]: promotion({ code: 'OFF', active: false }),
+    });
+    for (const code of ['EXPIRED', 'LATER', 'OTHERSTORE', 'BIGORDERS', 'OFF']) {
+      await assertFails(placeWithCode(ALICE, `order-${code}`, { code }));
+    }
+  });
+
+  it('reject a bigger discount than the code gives', async () => {
+    await seed({ [promotionPath('TENPERCENT')]: promotion({ code: 'TENPERCENT', type: 'percent', value: 10 }) });
+    await assertFails(placeWithCode(ALICE, 'order-1', { code: 'TENPERCENT', order: { discount: 10, total: 2.99 } }));
+    await assertSucceeds(placeWithCode(ALICE, 'order-2', { code: 'TENPERCENT', order: { discount: 1, total: 12.79 } }));
+    await assertFails(placeWithCode(BOB, 'order-1', { order: { discount: 6, total: 7.79 } }));
+  });
+
+  it('apply amounts only to orders in their currency', async () => {
+    await seed({
+      [promotionPath('EURO5')]: promotion({ code: 'EURO5', currency: 'EUR' }),
+      [promotionPath('ANYWHERE')]: promotion({ code: 'ANYWHERE', type: 'percent', value: 10, currency: null }),
+    });
+    await assertFails(placeWithCode(ALICE, 'order-1', { code: 'EURO5' }));
+    await assertSucceeds(placeWithCode(ALICE, 'order-2', { code: 'EURO5', order: { currency: 'EUR' } }));
+    await assertSucceeds(placeWithCode(BOB, 'order-1', { code: 'ANYWHERE', order: { currency: 'MXN', discount: 1, total: 12.79 } }));
+  });
+
+  it('do not allow a discount on orders without a code', async () => {
+    await assertFails(userDb(ALICE).doc(`${ROOT}/users/${ALICE}/orders/order-1`).set({ ...placedOrder(ALICE), discount: 5 }));
+  });
+
+  it('keep redemption counts out of the customer\'s hands', async () => {
+    await seed({ [redemptionPath(ALICE, 'SAVE5')]: { count: 1, lastOrderId: 'old-order' } });
+    await assertFails(userDb(ALICE).doc(redemptionPath(ALICE, 'SAVE5')).set({ count: 0, lastOrderId: 'old-order' }));
+    await assertFails(userDb(ALICE).doc(redemptionPath(ALICE, 'SAVE5')).delete());
+    await assertSucceeds(userDb(ALICE).doc(redemptionPath(ALICE, 'SAVE5')).get());
+  });
+});
+
+describe('reviews', () => {
+  const reviewsPath = `${ROOT}/public/data/reviews`;
+  const storePath = `${ROOT}/public/data/stores/store-1`;
+  const orderPath = (userId, orderId) => `${ROOT}/users/${userId}/orders/${orderId}`;
+
+  const review = (userId, orderId, fields = {}) => ({
+    storeId: 'store-1',
+    orderId,
+    userId,
+    authorName: 'Alice',
+    rating: 4,
+    text: 'Great pizza.',
+    hidden: false,
+    createdAt: FieldValue.serverTimestamp(),
+    ...fields,
+  });
+
+  // The review and the store aggregate in one batch, the way the storefront writes them.
+  const postReview = (uid, orderId, { fields = {}, aggregate } = {}) => {
+    const db = userDb(uid);
+    const data = review(uid, orderId, fields);
+    const reviewId = `${uid}_${orderId}`;
+    const batch = db.batch();
+    batch.set(db.doc(`${reviewsPath}/${reviewId}`), data);
+    batch.update(db.doc(storePath), aggregate || {
+      ratingTotal: FieldValue.increment(data.rating),
+      reviewCount: FieldValue.increment(1),
+      lastReviewId: reviewId,
+    });
+    return batch.commit();
+  };
+
+  beforeEach(async () => {
+    await seed({
+      [orderPath(ALICE, 'delivered')]: { ...placedOrder(ALICE), status: 'delivered' },
+      [orderPath(ALICE, 'placed')]: placedOrder(ALICE),
+    });
+  });
+
+  it('can be posted for a delivered order together with the store aggregate', async () => {
+    await assertSucceeds(postReview(ALICE, 'delivered'));
+  });
+
+  it('cannot be posted for orders that are not delivered or were never placed', async () => {
+    await assertFails(postReview(ALICE, 'placed'));
+    await assertFails(postReview(ALICE, 'missing'));
+    // Bob never ordered from the store; Alice's order id does not help him.
+    await assertFails(postReview(BOB, 'delivered'));
+  });
+
+  it("cannot be posted for another store than the order's", async () => {
+    await seed({ [`${ROOT}/public/data/stores/store-2`]: { name: 'Other Store', category: 'Food' } });
+    await assertFails(postReview(ALICE, 'delivered', { fields: { storeId: 'store-2' } }));
+  });
+
+  it('must be valid and match the aggregate change', async () => {
+    await assertFails(postReview(ALICE, 'delivered', { fields: { rating: 6 } }));
+    await assertFails(postReview(ALICE, 'delivered', { fields: { hidden: true } }));
+    await assertFails(postReview(ALICE, 'delivered', {
+      aggregate: { ratingTotal: FieldValue.increment(5), reviewCount: FieldValue.increment(1), lastReviewId: `${ALICE}_delivered` },
+    }));
+    await assertFails(userDb(ALICE).doc(`${reviewsPath}/${ALICE}_delivered`).set(review(ALICE, 'delivered')));
+  });
+
+  it('cannot be posted twice for the same order', async () => {
+    await assertSucceeds(postReview(ALICE, 'delivered'));
+    await assertFails(postReview(ALICE, 'delivered'));
+  });
+
+  it('do not let customers change the store aggregate on their own', async () => {
+    await assertFails(userDb(ALICE).doc(storePath).update({ ratingTotal: 50, reviewCount: 10, lastReviewId: 'made-up' }));
+  });
+
+  it('are hidden from other customers once hidden by an admin', async () => {
+    await seed({
+      [`${reviewsPath}/${ALICE}_delivered`]: { ...review(ALICE, 'delivered'), createdAt: new Date() },
+    });
+    await assertFails(userDb(ALICE).doc(`${reviewsPath}/${ALICE}_delivered`).update({ hidden: true }));
+    await assertSucceeds(userDb(ADMIN).doc(`${reviewsPath}/${ALICE}_delivered`).update({ hidden: true, hiddenBy: ADMIN }));
+    await assertFails(userDb(ADMIN).doc(`${reviewsPath}/${ALICE}_delivered`).update({ rating: 1 }));
+
+    await assertFails(userDb(BOB).doc(`${reviewsPath}/${ALICE}_delivered`).get());
+    await assertSucceeds(userDb(ALICE).doc(`${reviewsPath}/${ALICE}_delivered`).get());
+    await assertSucceeds(userDb(ADMIN).collection(reviewsPath).get());
+  });
+
+  it('can be listed by signed-in users only when filtered to visible reviews', async () => {
+    const reviews = userDb(BOB).collection(reviewsPath);
+    await assertSucceeds(reviews.where('storeId', '==', 'store-1').where('hidden', '==', false).get());
+    await assertFails(reviews.where('storeId', '==', 'store-1').get());
+    await assertFails(anonymousDb().collection(reviewsPath).where('hidden', '==', false).get());
+  });
+
+  it('are never deleted', async () => {
+    await seed({ [`${reviewsPath}/${ALICE}_delivered`]: { ...review(ALICE, 'delivered'), createdAt: new Date() } });
+    await assertFails(userDb(ADMIN).doc(`${reviewsPath}/${ALICE}_delivered`).delete());
+  });
+});
+
+describe('audit log', () => {
+  const auditPath = `${ROOT}/auditLog`;
+  const entry = (actorId = ADMIN) => ({
+    actorId,
+    actorEmail: 'admin@example.com',
+    action: 'update',
+    entity: 'product',
+    targetPath: `${ROOT}/public/data/products/product-1`,
+    changes: { price: { before: 10, after: 12 } },
+    createdAt: FieldValue.serverTimestamp(),
+  });
+
+  it('takes new entries from admins, in their own name', async () => {
+    await assertSucceeds(userDb(ADMIN).collection(auditPath).add(entry()));
+    await assertFails(userDb(ADMIN).collection(auditPath).add(entry(ALICE)));
+  });
+
+  it('must be well-formed', async () => {
+    const entries = userDb(ADMIN).collection(auditPath);
+    await assertFails(entries.add({ ...entry(), action: 'rename' }));
+    await assertFails(entries.add({ ...entry(), entity: 'review' }));
+    await assertFails(entries.add({ ...entry(), targetPath: 'artifacts/other-app/public/data/products/product-1' }));
+    await assertFails(entries.add({ ...entry(), createdAt: new Date('2020-01-01') }));
+    await assertFails(entries.add({ ...entry(), note: 'extra field' }));
+  });
+
+  it('is hidden from and closed to other users', async () => {
+    await seed({ [`${auditPath}/entry-1`]: { ...entry(), createdAt: new Date() } });
+    await assertFails(userDb(ALICE).doc(`${auditPath}/entry-1`).get());
+    await assertFails(userDb(ALICE).collection(auditPath).add(entry(ALICE)));
+    await assertSucceeds(userDb(ADMIN).collection(auditPath).get());
+  });
+
+  it('cannot be edited or deleted, even by admins', async () => {
+    await seed({ [`${auditPath}/entry-1`]: { ...entry(), createdAt: new Date() } });
+    await assertFails(userDb(ADMIN).doc(`${auditPath}/entry-1`).update({ actorEmail: 'someone@example.com' }));
+    await assertFails(userDb(ADMIN).doc(`${auditPath}/entry-1`).delete());
+  });
+});
+
+describe('default deny', () => {
+  it('blocks paths no rule mentions', async () => {
+    await assertFails(userDb(ADMIN).doc('somewhere/else').get());
+    await assertFails(userDb(ADMIN).doc('somewhere/else').set({ hello: 'world' }));
+    await assertFails(userDb(ALICE).doc(`${ROOT}/private/secrets`).get());
+    await assertFails(anonymousDb().doc(`${ROOT}/public/data/unknown/doc`).set({ x: 1 }));
+  });
+});
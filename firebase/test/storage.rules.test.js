@@ -0,0 +1,87 @@
+// ----------------------
+// STORAGE SECURITY RULES TESTS
+// ----------------------
+// Runs against the Storage emulator (and the Firestore emulator, which storage.rules
+// reads the admin role from): `npm test` starts both and runs this file after the
+// Firestore rules tests, since both clear the same Firestore data.
+
+const { readFileSync } = require('node:fs');
+const path = require('node:path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+require('firebase/compat/storage');
+
+// Must match the demo project in .firebaserc: the emulators run in single-project mode.
+const PROJECT_ID = 'demo-fresh-eats';
+const APP_ID = 'rules-test-app';
+const ROOT = `artifacts/${APP_ID}`;
+
+const ADMIN = 'admin-uid';
+const ALICE = 'alice-uid';
+
+const JPEG = { contentType: 'image/jpeg' };
+const smallImage = () => new Uint8Array(1024);
+
+let testEnv;
+
+const anonymousStorage = () => testEnv.unauthenticatedContext().storage();
+const userStorage = (uid) => testEnv.authenticatedContext(uid).storage();
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    storage: { rules: readFileSync(path.join(__dirname, '..', 'storage.rules'), 'utf8') },
+    firestore: { rules: readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') },
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearStorage();
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await context.firestore().doc(`${ROOT}/users/${ADMIN}/roles/admin_user`).set({ role: 'admin_user' });
+    await context.storage().ref(`${ROOT}/stores/store-1/photo.jpg`).put(smallImage(), JPEG);
+  });
+});
+
+describe('catalog images', () => {
+  it('can be uploaded, replaced and deleted by admins', async () => {
+    const storage = userStorage(ADMIN);
+    await assertSucceeds(storage.ref(`${ROOT}/products/product-1/photo.jpg`).put(smallImage(), JPEG));
+    await assertSucceeds(storage.ref(`${ROOT}/products/product-1/photo-thumb.png`).put(smallImage(), { contentType: 'image/png' }));
+    await assertSucceeds(storage.ref(`${ROOT}/stores/store-1/photo.jpg`).put(smallImage(), JPEG));
+    await assertSucceeds(storage.ref(`${ROOT}/stores/store-1/photo.jpg`).delete());
+  });
+
+  it('cannot be written by signed-in users without the admin role', async () => {
+    const storage = userStorage(ALICE);
+    await assertFails(storage.ref(`${ROOT}/products/product-1/photo.jpg`).put(smallImage(), JPEG));
+    await assertFails(storage.ref(`${ROOT}/stores/store-1/photo.jpg`).delete());
+    await assertFails(anonymousStorage().ref(`${ROOT}/products/product-1/photo.jpg`).put(smallImage(), JPEG));
+  });
+
+  it('only honours the admin role of the same appId', async () => {
+    await assertFails(userStorage(ADMIN).ref('artifacts/other-app/products/product-1/photo.jpg').put(smallImage(), JPEG));
+  });
+
+  it('must be images of at most 5 MB', async () => {
+    const storage = userStorage(ADMIN);
+    await assertFails(storage.ref(`${ROOT}/products/product-1/menu.pdf`).put(smallImage(), { contentType: 'application/pdf' }));
+    await assertFails(storage.ref(`${ROOT}/products/product-1/photo.gif`).put(smallImage(), { contentType: 'image/gif' }));
+    await assertFails(storage.ref(`${ROOT}/products/product-1/huge.jpg`).put(new Uint8Array(5 * 1024 * 1024 + 1), JPEG));
+  });
+
+  it('are readable by signed-in users only', async () => {
+    await assertSucceeds(userStorage(ALICE).ref(`${ROOT}/stores/store-1/photo.jpg`).getMetadata());
+    await assertFails(anonymousStorage().ref(`${ROOT}/stores/store-1/photo.jpg`).getMetadata());
+  });
+
+  it('can only go into the store and product folders', async () => {
+    await assertFails(userStorage(ADMIN).ref(`${ROOT}/orders/order-1/photo.jpg`).put(smallImage(), JPEG));
+    await assertFails(userStorage(ADMIN).ref(`${ROOT}/photo.jpg`).put(smallImage(), JPEG));
+  });
+});
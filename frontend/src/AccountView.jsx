@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import { EmailAuthProvider, linkWithCredential, signInWithEmailAndPassword } from 'firebase/auth';
+import { collection, doc, addDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
+import { ArrowLeft, UserCircle, MapPin, Plus, Trash2, Loader, LogOut } from 'lucide-react';
+import { getAddressCollectionPath, useI18n } from '@fresh-eats/shared';
+import { EMPTY_ADDRESS, validateAddress, formatAddress, useAddresses } from './addresses';
+
+const describeAuthError = (e, t) => {
+  switch (e.code) {
+    case 'auth/email-already-in-use':
+    case 'auth/credential-already-in-use':
+      return t('account.emailInUse');
+    case 'auth/weak-password':
+      return t('account.weakPassword');
+    case 'auth/invalid-email':
+      return t('account.invalidEmail');
+    case 'auth/invalid-credential':
+    case 'auth/user-not-found':
+    case 'auth/wrong-password':
+      return t('account.wrongCredentials');
+    default:
+      return e.message;
+  }
+};
+
+// Account page: upgrade a guest session to a real account and manage saved addresses.
+// `account` is { isAnonymous, email } for the signed-in user.
+const AccountView = ({ db, auth, appId, userId, account, onAccountChanged, onSignOut, onBack }) => {
+  const { t } = useI18n();
+  const { addresses, isLoading, error: addressError } = useAddresses(appId, userId);
+  // 'register' links credentials to the current guest; 'signin' switches to an existing account.
+  const [authMode, setAuthMode] = useState('register');
+  const [credentials, setCredentials] = useState({ email: '', password: '' });
+  const [authError, setAuthError] = useState(null);
+  const [isAuthenticating, setIsAuthenticating] = useState(false);
+  const [addressForm, setAddressForm] = useState(EMPTY_ADDRESS);
+  const [formError, setFormError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleCredentialChange = (e) => {
+    const { name, value } = e.target;
+    setCredentials(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAuthSubmit = async (e) => {
+    e.preventDefault();
+    if (isAuthenticating || !auth.currentUser) return;
+    setAuthError(null);
+    setIsAuthenticating(true);
+    try {
+      const email = credentials.email.trim();
+      if (authMode === 'register') {
+        // Linking keeps the anonymous uid, so orders, addresses and the cart carry over.
+        const credential = EmailAuthProvider.credential(email, credentials.password);
+        await linkWithCredential(auth.currentUser, credential);
+        // Linking does not fire onAuthStateChanged, so ask the provider to re-read the user.
+        onAccountChanged();
+      } else {
+        await signInWithEmailAndPassword(auth, email, credentials.password);
+      }
+      setCredentials({ email: '', password: '' });
+    } catch (e) {
+      console.error("Account Auth Error:", e);
+      setAuthError(describeAuthError(e, t));
+    } finally {
+      setIsAuthenticating(false);
+    }
+  };
+
+  const handleAddressChange = (e) => {
+    const { name, value } = e.target;
+    setAddressForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddressSubmit = async (e) => {
+    e.preventDefault();
+    if (isSaving || !db || !userId) return;
+    const validationError = validateAddress(addressForm, t);
+    if (validationError) {
+      setFormError(validationError);
+      return;
+    }
+    setFormError(null);
+    setIsSaving(true);
+    try {
+      const trimmed = Object.fromEntries(Object.entries(addressForm).map(([key, value]) => [key, value.trim()]));
+      await addDoc(collection(db, getAddressCollectionPath(appId, userId)), {
+        ...trimmed,
+        label: trimmed.label || t('addresses.defaultLabel'),
+        createdAt: serverTimestamp(),
+      });
+      setAddressForm(EMPTY_ADDRESS);
+    } catch (e) {
+      console.error("Address Save Error:", e);
+      setFormError(t('addresses.saveFailed', { message: e.message }));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddressDelete = async (addressId) => {
+    try {
+      await deleteDoc(doc(db, getAddressCollectionPath(appId, userId), addressId));
+    } catch (e) {
+      console.error("Address Delete Error:", e);
+      setFormError(t('addresses.deleteFailed', { message: e.message }));
+    }
+  };
+
+  const inputClass = "mt-1 block w-full rounded-lg border border-gray-300 p-2 focus:ring-indigo-500 focus:border-indigo-500";
+
+  const renderAccount = () => {
+    if (!account.isAnonymous) {
+      return (
+        <div className="flex items-center justify-between">
+          <p className="text-gray-700">{t('account.signedInAs')} <span className="font-semibold">{account.email}</span></p>
+          <button onClick={onSignOut} className="flex items-center text-sm font-medium text-gray-600 hover:text-red-600">
+            <LogOut className="w-4 h-4 mr-1" /> {t('account.signOut')}
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <p className="text-gray-600 mb-4">
+          {authMode === 'register' ? t('account.guestIntro') : t('account.signInIntro')}
+        </p>
+        <form onSubmit={handleAuthSubmit} className="space-y-3">
+          <div>
+            <label htmlFor="account-email" className="block text-sm font-medium text-gray-700">{t('account.email')}</label>
+            <input type="email" id="account-email" name="email" value={credentials.email} onChange={handleCredentialChange} autoComplete="email" required className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="account-password" className="block text-sm font-medium text-gray-700">{t('account.password')}</label>
+            <input type="password" id="account-password" name="password" value={credentials.password} onChange={handleCredentialChange} autoComplete={authMode === 'register' ? 'new-password' : 'current-password'} minLength={6} required className={inputClass} />
+          </div>
+          {authError && (
+            <p className="text-sm text-red-600 p-2 bg-red-50 border border-red-200 rounded-md">{authError}</p>
+          )}
+          <button type="submit" disabled={isAuthenticating} className="w-full flex justify-center items-center bg-indigo-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-indigo-700 transition duration-200 shadow-md disabled:opacity-50">
+            {isAuthenticating && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+            {authMode === 'register' ? t('account.createAccount') : t('account.signIn')}
+          </button>
+        </form>
+        <button
+          onClick={() => { setAuthMode(authMode === 'register' ? 'signin' : 'register'); setAuthError(null); }}
+          className="mt-3 text-sm text-indigo-600 hover:text-indigo-800"
+        >
+          {authMode === 'register' ? t('account.haveAccount') : t('account.newHere')}
+        </button>
+      </>
+    );
+  };
+
+  const renderAddresses = () => (
+    <>
+      {addressError && <p className="text-sm text-red-600 mb-3">{addressError}</p>}
+      {isLoading ? (
+        <div className="flex items-center text-gray-500 mb-4">
+          <Loader className="w-4 h-4 mr-2 animate-spin" /> {t('addresses.loading')}
+        </div>
+      ) : addresses.length === 0 ? (
+        <p className="text-gray-500 mb-4">{t('addresses.none')}</p>
+      ) : (
+        <ul className="divide-y mb-4">
+          {addresses.map((address) => (
+            <li key={address.id} className="py-3 flex justify-between items-start">
+              <div>
+                <p className="font-semibold text-gray-800">{address.label}</p>
+                <p className="text-sm text-gray-500">{formatAddress(address)}</p>
+                {address.instructions && <p className="text-xs text-gray-400 italic">{address.instructions}</p>}
+              </div>
+              <button onClick={() => handleAddressDelete(address.id)} className="p-2 text-gray-400 hover:text-red-600" aria-label={t('addresses.delete')}>
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={handleAddressSubmit} className="space-y-3 border-t pt-4">
+        <h4 className="font-semibold text-gray-700">{t('addresses.add')}</h4>
+        <input name="label" value={addressForm.label} onChange={handleAddressChange} placeholder={t('addresses.labelPlaceholder')} aria-label={t('addresses.label')} className={inputClass} />
+        <input name="line1" value={addressForm.line1} onChange={handleAddressChange} placeholder={t('addresses.line1')} aria-label={t('addresses.line1')} required className={inputClass} />
+        <input name="line2" value={addressForm.line2} onChange={handleAddressChange} placeholder={t('addresses.line2Placeholder')} aria-label={t('addresses.line2')} className={inputClass} />
+        <div className="flex space-x-3">
+          <input name="city" value={addressForm.city} onChange={handleAddressChange} placeholder={t('addresses.city')} aria-label={t('addresses.city')} required className={inputClass} />
+          <input name="postalCode" value={addressForm.postalCode} onChange={handleAddressChange} placeholder={t('addresses.postalCode')} aria-label={t('addresses.postalCode')} required className={inputClass} />
+        </div>
+        <input name="instructions" value={addressForm.instructions} onChange={handleAddressChange} placeholder={t('addresses.instructionsPlaceholder')} aria-label={t('addresses.instructions')} className={inputClass} />
+        {formError && (
+          <p className="text-sm text-red-600 p-2 bg-red-50 border border-red-200 rounded-md">{formError}</p>
+        )}
+        <button type="submit" disabled={isSaving} className="flex items-center bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-indigo-700 transition duration-200 shadow-md disabled:opacity-50">
+          <Plus className="w-4 h-4 mr-1" /> {t('addresses.save')}
+        </button>
+      </form>
+    </>
+  );
+
+  return (
+    <div className="max-w-2xl">
+      <button onClick={onBack} className="flex items-center text-sm text-indigo-600 hover:text-indigo-800 mb-4">
+        <ArrowLeft className="w-4 h-4 mr-1" /> {t('common.keepBrowsing')}
+      </button>
+      <h2 className="text-3xl font-bold text-gray-800 mb-6">{t('app.myAccount')}</h2>
+      <section className="bg-white p-6 rounded-xl shadow-lg border border-gray-100 mb-6">
+        <h3 className="flex items-center text-xl font-bold text-gray-800 mb-4">
+          <UserCircle className="w-5 h-5 mr-2 text-indigo-500" /> {t('account.section')}
+        </h3>
+        {renderAccount()}
+      </section>
+      <section className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+        <h3 className="flex items-center text-xl font-bold text-gray-800 mb-4">
+          <MapPin className="w-5 h-5 mr-2 text-red-500" /> {t('addresses.title')}
+        </h3>
+        {renderAddresses()}
+      </section>
+    </div>
+  );
+};
+
+export default AccountView;
@@ -1,101 +1,82 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInWithCustomToken, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, query, onSnapshot } from 'firebase/firestore';
-import { MapPin, ShoppingBag, Loader, AlertTriangle, User } from 'lucide-react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { signOut } from 'firebase/auth';
+import { MapPin, ShoppingBag, ShoppingCart, ClipboardList, Loader, AlertTriangle, User, Search, PauseCircle, Clock, LocateFixed, X, WifiOff, Languages, RotateCcw } from 'lucide-react';
+import StoreDetail from './StoreDetail';
+import LazyImage from './LazyImage';
+import CartView from './CartView';
+import OrdersView from './OrdersView';
+import AccountView from './AccountView';
+import useCart from './useCart';
+import useQueuedOrders from './queuedOrders';
+import MESSAGES from './messages';
+import useCustomerLocation, { getNearbyStoreQueries } from './location';
+import { SORT_OPTIONS, sortNeedsLocation, filterAndSortStores, withDeliveryEstimates, readFiltersFromUrl, writeFiltersToUrl } from './catalog';
+import {
+  EMULATOR_FIREBASE_CONFIG, DEV_APP_ID,
+  FirebaseProvider, readFirebaseEnvironment, useFirebase, useAuthUser, useCollection, useCollectionQueries, useAppConfig, getStoreCollectionPath,
+  useNow, useOnlineStatus, describeStoreOpenState, formatStoreRating, getThumbnailUrl,
+  I18nProvider, useI18n, SUPPORTED_LOCALES, LOCALE_NAMES,
+} from '@fresh-eats/shared';
 
 // --- Global Variable Access ---
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-const firebaseConfig = JSON.parse(typeof __firebase_config !== 'undefined' ? __firebase_config : '{}');
-const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// With REACT_APP_USE_FIREBASE_EMULATORS=true (`npm run start:emulators`) the app runs
+// against the local Auth and Firestore emulators started from firebase/.
+// Without an injected or emulator config, the shared provider reports a 'config' error.
+const useEmulators = process.env.REACT_APP_USE_FIREBASE_EMULATORS === 'true';
+const firebaseEnvironment = readFirebaseEnvironment({
+  defaultAppId: process.env.REACT_APP_APP_ID || (useEmulators ? DEV_APP_ID : 'default-app-id'),
+  localConfig: useEmulators ? EMULATOR_FIREBASE_CONFIG : null,
+});
 
 // The main application component
-const App = () => {
-  const [stores, setStores] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
+const Storefront = () => {
+  const { db, auth, appId, error: firebaseError } = useFirebase();
+  const { user, userId, isReady: authReady, refreshUser } = useAuthUser();
+  const { t, locale, setLocale, formatDistance } = useI18n();
+  // { isAnonymous, email } for the signed-in user; guests can upgrade from the account page.
+  const account = user || { isAnonymous: true, email: null };
   const [error, setError] = useState(null);
-  const [authReady, setAuthReady] = useState(false);
-  const [userId, setUserId] = useState(null);
+  const [selectedStoreId, setSelectedStoreId] = useState(null);
+  // 'catalog' shows the store grid (or the selected store), 'cart' shows checkout,
+  // 'orders' shows My Orders and 'account' the account and address page.
+  const [view, setView] = useState('catalog');
+  const cartState = useCart(appId);
+  // Where to deliver; narrows the catalog to stores whose delivery area covers it.
+  const { location, isLocating, locationError, locateAddress, locateBrowser, clearLocation } = useCustomerLocation(appId);
+  const [addressInput, setAddressInput] = useState('');
+  // Categories, currency, pricing and the ordering-paused switch, edited in the admin Settings tab.
+  const { config: appConfig } = useAppConfig();
+  // Search, category and sort for the store grid, mirrored in the URL.
+  const [filters, setFilters] = useState(() => readFiltersFromUrl(window.location.search));
+  // Ticks every minute so open/closed badges and checkout follow the stores' hours.
+  const now = useNow();
+  // Offline, the catalog and menus come from Firestore's persistent cache and orders are queued.
+  const isOnline = useOnlineStatus();
+  // Queued orders the server turned down once back online, with the carts they came from.
+  const { rejectedOrders, trackOrder, dismissOrder } = useQueuedOrders(db, appId, userId, isOnline);
 
-  // Use a ref to hold Firebase instances
-  const firebaseRef = useRef({ db: null, auth: null });
-
-  // 1. Initialize Firebase and Authenticate
-  useEffect(() => {
-    let unsubscribeAuth = () => {};
-
-    const initFirebase = async () => {
-      try {
-        if (Object.keys(firebaseConfig).length === 0) {
-          throw new Error("Firebase configuration is missing.");
-        }
-
-        const app = initializeApp(firebaseConfig);
-        const auth = getAuth(app);
-        const db = getFirestore(app);
-        firebaseRef.current = { db, auth };
-
-        // Set up Auth State Listener
-        unsubscribeAuth = onAuthStateChanged(auth, (user) => {
-          if (user) {
-            setUserId(user.uid);
-          } else {
-            setUserId(null);
-          }
-          setAuthReady(true);
-        });
-
-        // Sign in using provided token or anonymously
-        if (initialAuthToken) {
-          await signInWithCustomToken(auth, initialAuthToken);
-        } else {
-          await signInAnonymously(auth);
-        }
-
-      } catch (e) {
-        console.error("Firebase Initialization Error:", e);
-        setError(`Initialization Failed: ${e.message}`);
-        setIsLoading(false);
-        setAuthReady(true);
-      }
-    };
-
-    initFirebase();
-
-    return () => unsubscribeAuth();
-  }, []);
-
-  // 2. Fetch Data (Real-time listener)
-  useEffect(() => {
-    if (!authReady || !firebaseRef.current.db) return;
-
-    const db = firebaseRef.current.db;
-    const collectionPath = `artifacts/${appId}/public/data/stores`;
-    const q = query(collection(db, collectionPath));
-
-    // Listen for real-time updates
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const fetchedStores = [];
-      snapshot.forEach((doc) => {
-        fetchedStores.push({ id: doc.id, ...doc.data() });
-      });
-      // Sort in memory (as orderBy() can require indexes)
-      fetchedStores.sort((a, b) => (a.name || "").localeCompare(b.name || ""));
-      setStores(fetchedStores);
-      setIsLoading(false);
-    }, (e) => {
-      console.error("Firestore Fetch Error:", e);
-      // The most common error here is the Firestore Rule not allowing reads for unauthenticated users.
-      setError("Failed to fetch store catalog. Check Firestore Rules.");
-      setIsLoading(false);
-    });
-
-    // Cleanup listener on component unmount
-    return () => unsubscribe();
-  }, [authReady]);
+  // Live store catalog, once signed in (firestore.rules only allow authenticated reads).
+  // With a delivery location, only the stores in the geohash cells around it are read.
+  const storesPath = authReady && userId ? getStoreCollectionPath(appId) : null;
+  const nearbyQueries = useMemo(() => location && getNearbyStoreQueries(location), [location]);
+  const allStoresResult = useCollection(location ? null : storesPath);
+  const nearbyStoresResult = useCollectionQueries(location ? storesPath : null, { queries: nearbyQueries });
+  const storesResult = location ? nearbyStoresResult : allStoresResult;
+  // Archived stores are kept by the admin panel but hidden from customers. Sorting happens
+  // in memory in filterAndSortStores (as orderBy() can require indexes).
+  const stores = useMemo(
+    () => withDeliveryEstimates(storesResult.docs.filter(store => !store.archived), location),
+    [storesResult.docs, location]
+  );
+  // A startup failure ends loading too, so the error screen replaces the spinner.
+  const isLoading = storesResult.isLoading && !firebaseError;
+  const appError = firebaseError?.message
+    || (storesResult.error && t('catalog.loadFailed', { message: storesResult.error.message }))
+    || error;
 
-  const StoreCard = ({ name, category, description, rating, deliveryTime }) => (
-    <div className="bg-white p-5 rounded-xl shadow-lg hover:shadow-xl transition duration-300 border border-gray-100 flex flex-col justify-between h-full">
+  const StoreCard = ({ name, category, description, image, ratingTotal, reviewCount, distanceKm, deliveryMinutes, openState, onOpen }) => (
+    <div onClick={onOpen} className={`bg-white p-5 rounded-xl shadow-lg hover:shadow-xl transition duration-300 border border-gray-100 flex flex-col justify-between h-full cursor-pointer ${openState.isOpen ? '' : 'opacity-75'}`}>
+      <LazyImage src={getThumbnailUrl({ image })} alt={name} className="-mx-5 -mt-5 mb-4 h-36 rounded-t-xl" />
       <div className="flex justify-between items-start mb-3">
         <span className={`px-3 py-1 text-sm font-semibold rounded-full ${
           category === 'Food' ? 'bg-green-100 text-green-800' : 
@@ -105,31 +86,87 @@ const App = () => {
           {category}
         </span>
         <span className="text-yellow-500 font-bold flex items-center">
-          ⭐ {rating}
+          ⭐ {formatStoreRating({ ratingTotal, reviewCount }, t)}
         </span>
       </div>
       <h3 className="text-xl font-bold text-gray-800 mb-2 truncate">{name}</h3>
+      <p className={`text-sm font-medium mb-2 flex items-center ${openState.isOpen ? 'text-green-700' : 'text-red-600'}`}>
+        <Clock className="w-4 h-4 mr-1" />
+        {describeStoreOpenState(openState, t)}
+      </p>
       <p className="text-sm text-gray-500 mb-3 line-clamp-2">{description}</p>
       <div className="flex justify-between items-center text-sm text-gray-600 border-t pt-3 mt-auto">
         <div className="flex items-center">
           <MapPin className="w-4 h-4 mr-1 text-red-500" />
-          <span>{deliveryTime} min</span>
+          {deliveryMinutes !== undefined
+            ? <span>{t('catalog.deliveryEstimate', { minutes: deliveryMinutes, distance: formatDistance(distanceKm) })}</span>
+            : <span className="text-gray-400">{t('catalog.setLocation')}</span>}
         </div>
-        <button className="bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-indigo-700 transition duration-200 shadow-md">
-          Order Now
+        <button
+          onClick={(e) => { e.stopPropagation(); onOpen(); }}
+          className="bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-indigo-700 transition duration-200 shadow-md"
+        >
+          {openState.isOpen ? t('catalog.orderNow') : t('catalog.viewMenu')}
         </button>
       </div>
     </div>
   );
 
+  // 3. Keep the URL in sync with the catalog filters (replaceState, so typing doesn't flood history)
+  useEffect(() => {
+    const search = writeFiltersToUrl(window.location.search, filters);
+    if (search !== window.location.search) {
+      window.history.replaceState(null, '', `${window.location.pathname}${search}${window.location.hash}`);
+    }
+  }, [filters]);
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const restoreRejectedCart = (order) => {
+    cartState.restoreCart(order.cart);
+    dismissOrder(order.orderId);
+    setSelectedStoreId(null);
+    setView('cart');
+  };
+
+  // A new delivery location lists the nearest stores first; without one, the
+  // distance-based sorts have nothing to sort by.
+  useEffect(() => {
+    setFilters(prev => {
+      if (location && prev.sort === 'name') return { ...prev, sort: 'distance' };
+      if (!location && sortNeedsLocation(prev.sort)) return { ...prev, sort: 'name' };
+      return prev;
+    });
+  }, [location]);
+
+  const handleAddressSubmit = async (e) => {
+    e.preventDefault();
+    await locateAddress(addressInput);
+  };
+
+  // Signing out of a real account drops back to a fresh guest session
+  // (the provider signs in anonymously as soon as nobody is signed in).
+  const handleSignOut = async () => {
+    try {
+      await signOut(auth);
+      setView('catalog');
+    } catch (e) {
+      console.error("Sign-Out Error:", e);
+      setError(t('app.signOutFailed', { message: e.message }));
+    }
+  };
+
+  // The selected store may disappear (archived or deleted) while it is open.
+  const selectedStore = stores.find(store => store.id === selectedStoreId);
+
   const renderContent = () => {
-    if (error) {
+    if (appError) {
       return (
         <div className="text-center p-10 bg-red-50 rounded-lg border-red-300 border mt-10">
           <AlertTriangle className="w-8 h-8 mx-auto text-red-600 mb-3" />
-          <h2 className="text-xl font-semibold text-red-700 mb-2">Application Error</h2>
-          <p className="text-red-600">{error}</p>
-          {userId && <p className="text-xs text-red-500 mt-2">Current User ID: {userId}</p>}
+          <h2 className="text-xl font-semibold text-red-700 mb-2">{t('app.errorTitle')}</h2>
+          <p className="text-red-600">{appError}</p>
+          {userId && <p className="text-xs text-red-500 mt-2">{t('app.currentUserId', { userId })}</p>}
         </div>
       );
     }
@@ -138,50 +175,280 @@ const App = () => {
       return (
         <div className="flex flex-col items-center justify-center p-20">
           <Loader className="w-8 h-8 text-indigo-500 animate-spin" />
-          <p className="mt-4 text-gray-600">Loading delivery options...</p>
+          <p className="mt-4 text-gray-600">{t('catalog.loading')}</p>
         </div>
       );
     }
 
+    if (view === 'cart') {
+      return (
+        <CartView
+          db={db}
+          appId={appId}
+          userId={userId}
+          cartState={cartState}
+          appConfig={appConfig}
+          stores={stores}
+          now={now}
+          onBack={() => setView('catalog')}
+          onViewOrders={() => setView('orders')}
+          onManageAddresses={() => setView('account')}
+          onOrderQueued={trackOrder}
+        />
+      );
+    }
+
+    if (view === 'account') {
+      return (
+        <AccountView
+          db={db}
+          auth={auth}
+          appId={appId}
+          userId={userId}
+          account={account}
+          onAccountChanged={refreshUser}
+          onSignOut={handleSignOut}
+          onBack={() => setView('catalog')}
+        />
+      );
+    }
+
+    if (view === 'orders') {
+      return (
+        <OrdersView
+          db={db}
+          appId={appId}
+          userId={userId}
+          currency={appConfig.currency}
+          onBack={() => setView('catalog')}
+        />
+      );
+    }
+
+    if (selectedStore) {
+      return (
+        <StoreDetail
+          appId={appId}
+          store={selectedStore}
+          cartState={cartState}
+          appConfig={appConfig}
+          now={now}
+          onBack={() => setSelectedStoreId(null)}
+        />
+      );
+    }
+
+    if (stores.length === 0 && location) {
+      return (
+        <>
+          {renderLocationBar()}
+          <div className="text-center p-20 bg-gray-50 rounded-xl">
+            <MapPin className="w-10 h-10 mx-auto text-gray-400 mb-4" />
+            <h2 className="text-xl font-semibold text-gray-700">{t('catalog.noStoresNearby', { location: location.label })}</h2>
+            <p className="text-gray-500">{t('catalog.tryAnotherAddress')}</p>
+            <button onClick={clearLocation} className="mt-2 text-indigo-600 hover:text-indigo-800">
+              {t('catalog.showAllStores')}
+            </button>
+          </div>
+        </>
+      );
+    }
+
     if (stores.length === 0) {
       return (
         <div className="text-center p-20 bg-gray-50 rounded-xl mt-10">
           <ShoppingBag className="w-10 h-10 mx-auto text-gray-400 mb-4" />
-          <h2 className="text-xl font-semibold text-gray-700">No Stores Found</h2>
-          <p className="text-gray-500">The catalog is currently empty. The administrator needs to add stores.</p>
-          <p className="text-sm text-gray-400 mt-4">Current App ID: {appId}</p>
+          <h2 className="text-xl font-semibold text-gray-700">{t('catalog.emptyTitle')}</h2>
+          <p className="text-gray-500">
+            {isOnline ? t('catalog.empty') : t('catalog.emptyOffline')}
+          </p>
+          <p className="text-sm text-gray-400 mt-4">{t('catalog.appId', { appId })}</p>
         </div>
       );
     }
 
+    const visibleStores = filterAndSortStores(stores, filters, now);
+
     return (
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-        {stores.map((store) => (
-          <StoreCard key={store.id} {...store} />
-        ))}
-      </div>
+      <>
+        {renderLocationBar()}
+        {renderCatalogFilters()}
+        {visibleStores.length === 0 ? (
+          <div className="text-center p-20 bg-gray-50 rounded-xl">
+            <Search className="w-10 h-10 mx-auto text-gray-400 mb-4" />
+            <h2 className="text-xl font-semibold text-gray-700">{t('catalog.noMatches')}</h2>
+            <button onClick={() => setFilters(prev => ({ ...prev, search: '', category: 'all' }))} className="mt-2 text-indigo-600 hover:text-indigo-800">
+              {t('catalog.clearFilters')}
+            </button>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {visibleStores.map((store) => (
+              <StoreCard key={store.id} {...store} onOpen={() => setSelectedStoreId(store.id)} />
+            ))}
+          </div>
+        )}
+      </>
     );
   };
 
+  const renderLocationBar = () => (
+    <div className="mb-4">
+      {location ? (
+        <div className="flex items-center text-sm text-gray-700">
+          <MapPin className="w-4 h-4 mr-1 text-red-500" />
+          {t('location.deliveringTo')} <span className="font-semibold ml-1">{location.label}</span>
+          <button onClick={clearLocation} className="ml-2 flex items-center text-indigo-600 hover:text-indigo-800">
+            <X className="w-4 h-4 mr-0.5" /> {t('location.change')}
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleAddressSubmit} className="flex flex-col sm:flex-row sm:items-center gap-2">
+          <input
+            type="text"
+            value={addressInput}
+            onChange={(e) => setAddressInput(e.target.value)}
+            placeholder={t('location.placeholder')}
+            aria-label={t('location.addressLabel')}
+            className="flex-1 px-3 py-2 rounded-lg border border-gray-300 focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <button type="submit" disabled={isLocating || !addressInput.trim()} className="px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-medium hover:bg-indigo-700 disabled:opacity-50">
+            {t('location.find')}
+          </button>
+          <button type="button" onClick={locateBrowser} disabled={isLocating} className="flex items-center justify-center px-4 py-2 rounded-lg border border-gray-300 text-sm text-gray-700 hover:bg-white disabled:opacity-50">
+            {isLocating ? <Loader className="w-4 h-4 mr-1 animate-spin" /> : <LocateFixed className="w-4 h-4 mr-1" />}
+            {t('location.useMine')}
+          </button>
+        </form>
+      )}
+      {locationError && <p className="text-sm text-red-600 mt-2">{locationError}</p>}
+    </div>
+  );
+
+  const renderCatalogFilters = () => (
+    <div className="flex flex-col md:flex-row md:items-center gap-4 mb-6">
+      <div className="relative flex-1">
+        <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+        <input
+          type="search"
+          value={filters.search}
+          onChange={(e) => updateFilter('search', e.target.value)}
+          placeholder={t('catalog.searchPlaceholder')}
+          aria-label={t('catalog.searchLabel')}
+          className="w-full pl-9 pr-3 py-2 rounded-lg border border-gray-300 focus:ring-indigo-500 focus:border-indigo-500"
+        />
+      </div>
+      <div className="flex items-center space-x-2">
+        {['all', ...appConfig.storeCategories].map((category) => (
+          <button
+            key={category}
+            onClick={() => updateFilter('category', category)}
+            className={`px-3 py-1 text-sm font-semibold rounded-full border transition duration-200 ${
+              filters.category === category ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 border-gray-300 hover:border-indigo-400'
+            }`}
+          >
+            {category === 'all' ? t('catalog.allCategories') : category}
+          </button>
+        ))}
+      </div>
+      <select
+        value={filters.sort}
+        onChange={(e) => updateFilter('sort', e.target.value)}
+        aria-label={t('catalog.sortLabel')}
+        className="py-2 px-3 rounded-lg border border-gray-300 focus:ring-indigo-500 focus:border-indigo-500"
+      >
+        {SORT_OPTIONS.filter(option => location || !option.needsLocation).map(({ id }) => (
+          <option key={id} value={id}>{t(`sort.${id}`)}</option>
+        ))}
+      </select>
+    </div>
+  );
+
   return (
     <div className="min-h-screen bg-gray-50 font-sans">
       <header className="bg-white shadow-md p-5 sticky top-0 z-10">
         <div className="max-w-7xl mx-auto flex justify-between items-center">
-          <h1 className="text-2xl font-extrabold text-indigo-600">FreshEats (Client)</h1>
+          <h1 className="text-2xl font-extrabold text-indigo-600">{t('app.title')}</h1>
           <div className="flex items-center text-sm text-gray-500">
-            <MapPin className="w-4 h-4 mr-1" /> Delivery Service
+            <MapPin className="w-4 h-4 mr-1" /> {location ? location.label : t('app.deliveryService')}
           </div>
-          <div className="flex items-center space-x-2">
-            <User className="w-5 h-5 text-gray-500" />
-            <span className="text-gray-700 font-medium hidden sm:inline">User ID: {userId ? userId.substring(0, 8) + '...' : 'N/A'}</span>
+          <div className="flex items-center space-x-4">
+            <label className="flex items-center text-sm text-gray-600">
+              <Languages className="w-4 h-4 mr-1" />
+              <select value={locale} onChange={(e) => setLocale(e.target.value)} aria-label={t('app.language')} className="bg-transparent focus:outline-none">
+                {SUPPORTED_LOCALES.map(code => <option key={code} value={code}>{LOCALE_NAMES[code]}</option>)}
+              </select>
+            </label>
+            <button onClick={() => setView('account')} className="flex items-center space-x-2 hover:text-indigo-600" title={t('app.myAccount')}>
+              <User className="w-5 h-5 text-gray-500" />
+              <span className="text-gray-700 font-medium hidden sm:inline">
+                {!userId ? t('app.notAvailable') : account.isAnonymous ? t('app.guestSignUp') : account.email}
+              </span>
+            </button>
+            <button onClick={() => setView('orders')} className="flex items-center text-sm font-medium text-gray-600 hover:text-indigo-600">
+              <ClipboardList className="w-5 h-5 mr-1" />
+              <span className="hidden sm:inline">{t('app.myOrders')}</span>
+            </button>
+            <button onClick={() => setView('cart')} className="relative p-2 text-gray-600 hover:text-indigo-600" aria-label={t('app.openCart')}>
+              <ShoppingCart className="w-6 h-6" />
+              {cartState.itemCount > 0 && (
+                <span className="absolute -top-1 -right-1 bg-indigo-600 text-white text-xs font-bold rounded-full w-5 h-5 flex items-center justify-center">
+                  {cartState.itemCount}
+                </span>
+              )}
+            </button>
           </div>
         </div>
       </header>
       
+      {!isOnline && (
+        <div className="bg-gray-800 text-white text-sm">
+          <div className="max-w-7xl mx-auto px-6 py-2 flex items-center">
+            <WifiOff className="w-4 h-4 mr-2 flex-shrink-0" />
+            {t('app.offline')}
+          </div>
+        </div>
+      )}
+
+      {appConfig.orderingPaused && (
+        <div className="bg-amber-100 text-amber-900 text-sm">
+          <div className="max-w-7xl mx-auto px-6 py-2 flex items-center">
+            <PauseCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+            {appConfig.pausedMessage || t('app.orderingPaused')}
+          </div>
+        </div>
+      )}
+
       <main className="max-w-7xl mx-auto p-6">
-        <h2 className="text-3xl font-bold text-gray-800 mb-2">Explore Restaurants Near You</h2>
-        <p className="text-gray-500 mb-8">Fastest delivery and great quality food guaranteed.</p>
-        
+        {rejectedOrders.map(order => (
+          <div key={order.orderId} role="alert" className="mb-6 p-4 rounded-xl border border-red-200 bg-red-50 text-sm">
+            <p className="flex items-center font-semibold text-red-700">
+              <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+              {t('queuedOrder.rejectedTitle', { store: order.cart.storeName })}
+            </p>
+            <p className="text-gray-700 mt-1">
+              {t('queuedOrder.rejectedText')}
+              {cartState.itemCount > 0 && ` ${t('queuedOrder.replacesCart')}`}
+            </p>
+            <div className="flex space-x-2 mt-3">
+              <button onClick={() => restoreRejectedCart(order)} className="flex items-center bg-indigo-600 text-white px-3 py-1.5 rounded-lg font-medium hover:bg-indigo-700">
+                <RotateCcw className="w-4 h-4 mr-1" />
+                {t('queuedOrder.restore')}
+              </button>
+              <button onClick={() => dismissOrder(order.orderId)} className="px-3 py-1.5 rounded-lg font-medium border border-gray-300 text-gray-600 hover:bg-gray-50">
+                {t('queuedOrder.dismiss')}
+              </button>
+            </div>
+          </div>
+        ))}
+
+        {view === 'catalog' && !selectedStore && (
+          <>
+            <h2 className="text-3xl font-bold text-gray-800 mb-2">{t('catalog.heading')}</h2>
+            <p className="text-gray-500 mb-8">{t('catalog.subheading')}</p>
+          </>
+        )}
+
         {renderContent()}
 
       </main>
@@ -189,4 +456,17 @@ const App = () => {
   );
 };
 
+const App = () => (
+  <FirebaseProvider
+    environment={firebaseEnvironment}
+    useEmulators={useEmulators}
+    emulatorHost={process.env.REACT_APP_FIREBASE_EMULATOR_HOST}
+    anonymousSignIn
+  >
+    <I18nProvider messages={MESSAGES}>
+      <Storefront />
+    </I18nProvider>
+  </FirebaseProvider>
+);
+
 export default App;
@@ -0,0 +1,313 @@
+import React, { useState } from 'react';
+import { ArrowLeft, ShoppingCart, Minus, Plus, Trash2, Loader, CheckCircle, MapPin, PauseCircle, Clock, Tag, X, CloudOff } from 'lucide-react';
+import {
+  calculateLineTotal, calculateOrderTotals, getStoreOpenState, describeStoreOpenState, getStoreCurrency, getPricingSettings,
+  getPromotionError, describePromotion, formatSelectedOptions, useOnlineStatus, useI18n,
+} from '@fresh-eats/shared';
+import { placeOrder, lookUpPromotion } from './orders';
+import { useAddresses, formatAddress } from './addresses';
+
+// Cart review and checkout. `cartState` is the object returned by useCart; `appConfig`
+// is the live app config, which sets tax, delivery fee and the default currency and can
+// pause ordering. `stores` is the live catalog and `now` the current time, so checkout
+// follows the cart's store opening hours and prices show in the store's currency.
+// `onOrderQueued(orderId, cart)` gets an order placed offline with the cart it emptied, so
+// the cart can be given back if the server later rejects the order.
+const CartView = ({ db, appId, userId, cartState, appConfig, stores, now, onBack, onViewOrders, onManageAddresses, onOrderQueued }) => {
+  const { cart, updateQuantity, removeItem, clearCart } = cartState;
+  const { t, formatPrice } = useI18n();
+  const { addresses, isLoading: addressesLoading } = useAddresses(appId, userId);
+  const [selectedAddressId, setSelectedAddressId] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [checkoutError, setCheckoutError] = useState(null);
+  // { orderId, isQueued } from placeOrder once the order is placed.
+  const [placedOrder, setPlacedOrder] = useState(null);
+  // Offline, checkout works from the cached catalog and queues the order.
+  const isOnline = useOnlineStatus();
+  const [promoInput, setPromoInput] = useState('');
+  // { promotion, userRedemptionCount } from lookUpPromotion, once a code is applied.
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [promoLookupError, setPromoLookupError] = useState(null);
+  const [isApplyingPromo, setIsApplyingPromo] = useState(false);
+
+  // A store missing from the catalog (archived or deleted) is left to placeOrder to reject.
+  const cartStore = stores.find(store => store.id === cart.storeId);
+  const storeState = cartStore ? getStoreOpenState(cartStore, now) : null;
+  const isStoreClosed = !!storeState && !storeState.isOpen;
+  const currency = getStoreCurrency(cartStore, appConfig);
+  const pricing = getPricingSettings(appConfig, currency);
+
+  // The applied code is re-checked as the cart changes, so the discount appears once
+  // the minimum is reached and disappears if the customer drops below it.
+  const { subtotal } = calculateOrderTotals(cart.items, pricing);
+  const promoError = appliedPromo && getPromotionError(appliedPromo.promotion, {
+    storeId: cart.storeId,
+    subtotal,
+    userRedemptionCount: appliedPromo.userRedemptionCount,
+    now,
+    currency,
+    t,
+  });
+  const promotion = appliedPromo && !promoError ? appliedPromo.promotion : null;
+  const totals = calculateOrderTotals(cart.items, { ...pricing, promotion });
+  const price = (amount) => formatPrice(amount, currency);
+  // Default to the most recently saved address until the customer picks another.
+  const deliveryAddress = addresses.find(address => address.id === selectedAddressId) || addresses[0];
+
+  const applyPromo = async (e) => {
+    e.preventDefault();
+    if (isApplyingPromo || !db || !userId || !promoInput.trim()) return;
+    setPromoLookupError(null);
+    setIsApplyingPromo(true);
+    try {
+      const lookup = await lookUpPromotion(db, appId, userId, promoInput);
+      if (lookup.promotion) {
+        setAppliedPromo(lookup);
+        setPromoInput('');
+      } else {
+        setPromoLookupError(t('promo.invalid'));
+      }
+    } catch (e) {
+      console.error("Promo Code Error:", e);
+      setPromoLookupError(t('cart.promoCheckFailed'));
+    } finally {
+      setIsApplyingPromo(false);
+    }
+  };
+
+  const removePromo = () => {
+    setAppliedPromo(null);
+    setPromoLookupError(null);
+  };
+
+  const handleCheckout = async () => {
+    if (isSubmitting || !db || !userId || appConfig.orderingPaused || isStoreClosed) return;
+    setCheckoutError(null);
+    setIsSubmitting(true);
+    try {
+      const order = await placeOrder(db, appId, userId, cart, {
+        deliveryAddress,
+        promoCode: promotion ? promotion.id : null,
+        isOnline,
+        t,
+      });
+      if (order.isQueued) onOrderQueued(order.orderId, cart);
+      clearCart();
+      setAppliedPromo(null);
+      setPlacedOrder(order);
+    } catch (e) {
+      console.error("Checkout Error:", e);
+      // 'unavailable': offline, and something placeOrder re-reads is not in the local cache.
+      setCheckoutError(e.code === 'unavailable' ? t('checkout.notCached') : e.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const backLink = (
+    <button onClick={onBack} className="flex items-center text-sm text-indigo-600 hover:text-indigo-800 mb-4">
+      <ArrowLeft className="w-4 h-4 mr-1" /> {t('common.keepBrowsing')}
+    </button>
+  );
+
+  if (placedOrder) {
+    return (
+      <div>
+        {backLink}
+        <div className={`text-center p-10 rounded-xl border ${placedOrder.isQueued ? 'bg-amber-50 border-amber-200' : 'bg-green-50 border-green-200'}`}>
+          {placedOrder.isQueued ? (
+            <>
+              <CloudOff className="w-10 h-10 mx-auto text-amber-600 mb-4" />
+              <h2 className="text-2xl font-bold text-gray-800 mb-2">{t('checkout.savedTitle')}</h2>
+              <p className="text-gray-600">{t('checkout.savedText')}</p>
+            </>
+          ) : (
+            <>
+              <CheckCircle className="w-10 h-10 mx-auto text-green-600 mb-4" />
+              <h2 className="text-2xl font-bold text-gray-800 mb-2">{t('checkout.placedTitle')}</h2>
+              <p className="text-gray-600">{t('checkout.placedText')}</p>
+            </>
+          )}
+          <p className="text-xs text-gray-400 mt-4">{t('checkout.orderId', { orderId: placedOrder.orderId })}</p>
+          <button onClick={onViewOrders} className="mt-6 bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-indigo-700 transition duration-200 shadow-md">
+            {t('checkout.track')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (cart.items.length === 0) {
+    return (
+      <div>
+        {backLink}
+        <div className="text-center p-20 bg-gray-50 rounded-xl">
+          <ShoppingCart className="w-10 h-10 mx-auto text-gray-400 mb-4" />
+          <h2 className="text-xl font-semibold text-gray-700">{t('cart.emptyTitle')}</h2>
+          <p className="text-gray-500">{t('cart.emptyText')}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl">
+      {backLink}
+      <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+        <h2 className="text-2xl font-bold text-gray-800 mb-1">{t('cart.title')}</h2>
+        <p className="text-sm text-gray-500 mb-6">{t('cart.from', { store: cart.storeName })}</p>
+
+        <ul className="divide-y">
+          {cart.items.map((item) => (
+            <li key={item.lineId} className="py-3 flex items-center justify-between">
+              <div className="pr-4">
+                <p className="font-semibold text-gray-800">{item.name}</p>
+                {item.options.length > 0 && <p className="text-xs text-gray-500">{formatSelectedOptions(item.options)}</p>}
+                <p className="text-sm text-gray-500">{t('cart.each', { price: price(item.price) })}</p>
+              </div>
+              <div className="flex items-center space-x-3">
+                <div className="flex items-center border rounded-lg">
+                  <button onClick={() => updateQuantity(item.lineId, item.quantity - 1)} className="p-2 text-gray-600 hover:text-indigo-600" aria-label={t('common.decreaseQuantity')}>
+                    <Minus className="w-4 h-4" />
+                  </button>
+                  <span className="w-8 text-center font-medium">{item.quantity}</span>
+                  <button onClick={() => updateQuantity(item.lineId, item.quantity + 1)} className="p-2 text-gray-600 hover:text-indigo-600" aria-label={t('common.increaseQuantity')}>
+                    <Plus className="w-4 h-4" />
+                  </button>
+                </div>
+                <span className="w-20 text-right font-semibold text-gray-800">{price(calculateLineTotal(item))}</span>
+                <button onClick={() => removeItem(item.lineId)} className="p-2 text-gray-400 hover:text-red-600" aria-label={t('cart.removeItem')}>
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <div className="border-t mt-4 pt-4">
+          {appliedPromo ? (
+            <div className="flex items-center justify-between text-sm">
+              <span className="flex items-center text-gray-700">
+                <Tag className="w-4 h-4 mr-1 text-emerald-600" />
+                <span className="font-mono font-semibold mr-2">{appliedPromo.promotion.id}</span>
+                {describePromotion(appliedPromo.promotion, currency, t)}
+              </span>
+              <button onClick={removePromo} className="flex items-center text-gray-400 hover:text-red-600" aria-label={t('cart.removePromo')}>
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ) : (
+            <form onSubmit={applyPromo} className="flex space-x-2">
+              <input
+                type="text"
+                value={promoInput}
+                onChange={(e) => setPromoInput(e.target.value)}
+                placeholder={t('cart.promoPlaceholder')}
+                aria-label={t('cart.promoPlaceholder')}
+                className="flex-1 p-2 border border-gray-300 rounded-lg text-sm uppercase focus:ring-indigo-500 focus:border-indigo-500"
+              />
+              <button
+                type="submit"
+                disabled={isApplyingPromo || !promoInput.trim()}
+                className="px-4 py-2 rounded-lg text-sm font-medium border border-indigo-600 text-indigo-600 hover:bg-indigo-50 disabled:opacity-50"
+              >
+                {isApplyingPromo ? <Loader className="w-4 h-4 animate-spin" /> : t('cart.applyPromo')}
+              </button>
+            </form>
+          )}
+          {(promoError || promoLookupError) && (
+            <p className="text-sm text-amber-700 mt-2">{promoError || promoLookupError}</p>
+          )}
+        </div>
+
+        <dl className="border-t mt-4 pt-4 space-y-1 text-sm text-gray-600">
+          <div className="flex justify-between"><dt>{t('cart.subtotal')}</dt><dd>{price(totals.subtotal)}</dd></div>
+          {totals.discount > 0 && (
+            <div className="flex justify-between text-emerald-700"><dt>{t('cart.discount', { code: promotion.id })}</dt><dd>−{price(totals.discount)}</dd></div>
+          )}
+          <div className="flex justify-between"><dt>{t('cart.tax')}</dt><dd>{price(totals.tax)}</dd></div>
+          <div className="flex justify-between"><dt>{t('cart.deliveryFee')}</dt><dd>{price(totals.deliveryFee)}</dd></div>
+          <div className="flex justify-between text-lg font-bold text-gray-800 pt-2"><dt>{t('cart.total')}</dt><dd>{price(totals.total)}</dd></div>
+        </dl>
+
+        <div className="border-t mt-4 pt-4">
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="flex items-center font-semibold text-gray-800">
+              <MapPin className="w-4 h-4 mr-1 text-red-500" /> {t('cart.deliverTo')}
+            </h3>
+            <button onClick={onManageAddresses} className="text-sm text-indigo-600 hover:text-indigo-800">
+              {addresses.length === 0 ? t('cart.addAddress') : t('cart.manageAddresses')}
+            </button>
+          </div>
+          {addressesLoading ? (
+            <p className="text-sm text-gray-500">{t('addresses.loading')}</p>
+          ) : addresses.length === 0 ? (
+            <p className="text-sm text-gray-500">{t('cart.noAddresses')}</p>
+          ) : (
+            <div className="space-y-2">
+              {addresses.map((address) => (
+                <label key={address.id} className={`flex items-start p-3 border rounded-lg cursor-pointer ${deliveryAddress?.id === address.id ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200'}`}>
+                  <input
+                    type="radio"
+                    name="deliveryAddress"
+                    checked={deliveryAddress?.id === address.id}
+                    onChange={() => setSelectedAddressId(address.id)}
+                    className="mt-1 mr-3"
+                  />
+                  <span>
+                    <span className="block font-medium text-gray-800">{address.label}</span>
+                    <span className="block text-sm text-gray-500">{formatAddress(address)}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {appConfig.orderingPaused && (
+          <p className="flex items-center text-sm text-amber-800 p-2 mt-4 bg-amber-50 border border-amber-200 rounded-md">
+            <PauseCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+            {appConfig.pausedMessage || t('cart.orderingPaused')}
+          </p>
+        )}
+
+        {!appConfig.orderingPaused && isStoreClosed && (
+          <p className="flex items-center text-sm text-amber-800 p-2 mt-4 bg-amber-50 border border-amber-200 rounded-md">
+            <Clock className="w-4 h-4 mr-2 flex-shrink-0" />
+            {storeState.reason === 'paused'
+              ? t('cart.storePaused', { store: cart.storeName })
+              : t('cart.storeClosed', { store: cart.storeName, state: describeStoreOpenState(storeState, t) })}
+          </p>
+        )}
+
+        {!isOnline && (
+          <p className="flex items-center text-sm text-gray-700 p-2 mt-4 bg-gray-100 border border-gray-200 rounded-md">
+            <CloudOff className="w-4 h-4 mr-2 flex-shrink-0" />
+            {t('cart.offline')}
+          </p>
+        )}
+
+        {checkoutError && (
+          <p className="text-sm text-red-600 p-2 mt-4 bg-red-50 border border-red-200 rounded-md">{checkoutError}</p>
+        )}
+
+        <button
+          onClick={handleCheckout}
+          disabled={isSubmitting || !userId || !deliveryAddress || appConfig.orderingPaused || isStoreClosed}
+          className="w-full mt-6 flex justify-center items-center bg-indigo-600 text-white px-4 py-3 rounded-lg font-medium hover:bg-indigo-700 transition duration-200 shadow-md disabled:opacity-50"
+        >
+          {isSubmitting ? (
+            <>
+              <Loader className="w-5 h-5 mr-2 animate-spin" />
+              {isOnline ? t('checkout.placing') : t('checkout.saving')}
+            </>
+          ) : (
+            t('checkout.placeOrder', { total: price(totals.total) })
+          )}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CartView;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Minus, Plus, X } from 'lucide-react';
+import {
+  calculateLineTotal, calculateUnitPrice, getDefaultSelections, getSelectedOptions,
+  getSelectionError, describeOptionGroupRule, useI18n,
+} from '@fresh-eats/shared';
+
+// Choices for a menu item with option groups, shown in place of its card in the menu.
+// The price follows every pick; `onAdd(options, quantity)` receives the selected options
+// (see shared/productOptions.js) once every group's minimum and maximum are met.
+// `currency` is the store's (getStoreCurrency).
+const ItemOptionsForm = ({ item, currency, onAdd, onCancel }) => {
+  const [selections, setSelections] = useState(() => getDefaultSelections(item));
+  const [quantity, setQuantity] = useState(1);
+  const { t, formatPrice } = useI18n();
+
+  const options = getSelectedOptions(item, selections);
+  const unitPrice = calculateUnitPrice(item.price, options);
+  const selectionError = getSelectionError(item, selections, t);
+  const price = (amount) => formatPrice(amount, currency);
+
+  // A group with room for one choice behaves like radio buttons: picking another option
+  // replaces the current one, and an optional choice can be cleared by picking it again.
+  const toggleOption = (group, optionId) => {
+    setSelections(prev => {
+      const picked = prev[group.id] || [];
+      if (picked.includes(optionId)) {
+        return group.maxSelections === 1 && group.minSelections === 1
+          ? prev
+          : { ...prev, [group.id]: picked.filter(id => id !== optionId) };
+      }
+      if (group.maxSelections === 1) return { ...prev, [group.id]: [optionId] };
+      return picked.length < group.maxSelections ? { ...prev, [group.id]: [...picked, optionId] } : prev;
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (selectionError) return;
+    onAdd(options, quantity);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="flex justify-between items-start">
+        <div className="pr-4">
+          <p className="font-semibold text-gray-800">{item.name}</p>
+          <p className="text-sm text-gray-500">{item.description}</p>
+        </div>
+        <button type="button" onClick={onCancel} className="p-1 text-gray-400 hover:text-gray-600" aria-label={t('itemOptions.close')}>
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+      {item.optionGroups.map(group => {
+        const picked = selections[group.id] || [];
+        const isFull = group.maxSelections > 1 && picked.length >= group.maxSelections;
+        return (
+          <fieldset key={group.id}>
+            <legend className="flex justify-between w-full text-sm font-semibold text-gray-700 mb-1">
+              <span>{group.name}</span>
+              <span className="font-normal text-xs text-gray-500">{describeOptionGroupRule(group, t)}</span>
+            </legend>
+            <div className="space-y-1">
+              {group.options.map(option => {
+                const isPicked = picked.includes(option.id);
+                return (
+                  <label key={option.id} className={`flex items-center justify-between p-2 border rounded-lg text-sm cursor-pointer ${isPicked ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200'} ${isFull && !isPicked ? 'opacity-50' : ''}`}>
+                    <span className="flex items-center">
+                      <input
+                        type={group.minSelections === 1 && group.maxSelections === 1 ? 'radio' : 'checkbox'}
+                        name={`${item.id}-${group.id}`}
+                        checked={isPicked}
+                        disabled={isFull && !isPicked}
+                        onChange={() => toggleOption(group, option.id)}
+                        className="mr-2"
+                      />
+                      {option.name}
+                    </span>
+                    {option.priceDelta > 0 && <span className="text-gray-500">+{price(option.priceDelta)}</span>}
+                  </label>
+                );
+              })}
+            </div>
+          </fieldset>
+        );
+      })}
+      {selectionError && <p className="text-sm text-amber-700">{selectionError}</p>}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center border rounded-lg">
+          <button type="button" onClick={() => setQuantity(q => Math.max(1, q - 1))} className="p-2 text-gray-600 hover:text-indigo-600" aria-label={t('common.decreaseQuantity')}>
+            <Minus className="w-4 h-4" />
+          </button>
+          <span className="w-8 text-center font-medium">{quantity}</span>
+          <button type="button" onClick={() => setQuantity(q => q + 1)} className="p-2 text-gray-600 hover:text-indigo-600" aria-label={t('common.increaseQuantity')}>
+            <Plus className="w-4 h-4" />
+          </button>
+        </div>
+        <button
+          type="submit"
+          disabled={!!selectionError}
+          className="bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-indigo-700 transition duration-200 shadow-md disabled:opacity-50"
+        >
+          {t('itemOptions.addToCart', { price: price(calculateLineTotal({ price: unitPrice, quantity })) })}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ItemOptionsForm;
@@ -0,0 +1,34 @@
+import React, { useState } from 'react';
+import { Image as ImageIcon, ImageOff } from 'lucide-react';
+
+// An image that is only fetched when it scrolls into view, with a grey placeholder while
+// it loads and in place of a missing or broken image. `className` sizes the box.
+const LazyImage = ({ src, alt = '', className = '' }) => {
+  // The src that has loaded or failed; anything else is still loading.
+  const [loaded, setLoaded] = useState(null);
+  const [failed, setFailed] = useState(null);
+  const showImage = src && failed !== src;
+
+  return (
+    <div className={`relative overflow-hidden bg-gray-100 ${className}`}>
+      {loaded !== src && (
+        <div className={`absolute inset-0 flex items-center justify-center text-gray-300 ${showImage ? 'animate-pulse' : ''}`}>
+          {showImage ? <ImageIcon className="w-1/3 h-1/3 max-w-8 max-h-8" /> : <ImageOff className="w-1/3 h-1/3 max-w-8 max-h-8" />}
+        </div>
+      )}
+      {showImage && (
+        <img
+          src={src}
+          alt={alt}
+          loading="lazy"
+          decoding="async"
+          onLoad={() => setLoaded(src)}
+          onError={() => setFailed(src)}
+          className={`w-full h-full object-cover transition-opacity duration-300 ${loaded === src ? 'opacity-100' : 'opacity-0'}`}
+        />
+      )}
+    </div>
+  );
+};
+
+export default LazyImage;
@@ -0,0 +1,243 @@
+import React, { useState, useMemo } from 'react';
+import { doc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { ArrowLeft, ClipboardList, Loader, AlertTriangle, CheckCircle, Circle, XCircle, Star, CloudUpload } from 'lucide-react';
+import { ORDER_FLOW, CANCELLED, assertTransition, canCustomerCancel, isFailedStatus, useCollection, getOrderCollectionPath, formatSelectedOptions, useOnlineStatus, useI18n } from '@fresh-eats/shared';
+import ReviewForm, { StarRating } from './ReviewForm';
+import { useMyReviews } from './reviews';
+
+// 'estimate' fills in pending serverTimestamp() values so a fresh order shows a time immediately.
+const ESTIMATE_TIMESTAMPS = { serverTimestamps: 'estimate' };
+
+const formatTimestamp = (timestamp, locale) =>
+  timestamp ? timestamp.toDate().toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' }) : '';
+
+// Steps to draw for an order. A cancelled or rejected order shows the steps
+// it actually reached followed by the status that ended it.
+const getTimelineSteps = (order) => {
+  const history = order.statusHistory || {};
+  if (isFailedStatus(order.status)) {
+    return [...ORDER_FLOW.filter(status => history[status]), order.status];
+  }
+  return ORDER_FLOW;
+};
+
+const OrderTimeline = ({ order }) => {
+  const history = order.statusHistory || {};
+  const currentIndex = ORDER_FLOW.indexOf(order.status);
+  const { t, locale } = useI18n();
+
+  return (
+    <ol className="mt-4 space-y-2">
+      {getTimelineSteps(order).map((status, index) => {
+        const failed = isFailedStatus(status);
+        const reached = failed || !!history[status] || index <= currentIndex;
+        const Icon = failed ? XCircle : reached ? CheckCircle : Circle;
+        return (
+          <li key={status} className="flex items-center text-sm">
+            <Icon className={`w-4 h-4 mr-2 ${failed ? 'text-red-500' : reached ? 'text-green-600' : 'text-gray-300'}`} />
+            <span className={`w-36 ${reached ? 'text-gray-800 font-medium' : 'text-gray-400'}`}>{t(`status.${status}`)}</span>
+            <span className="text-gray-500 text-xs">{formatTimestamp(history[status], locale)}</span>
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+// "My Orders": the signed-in customer's orders, kept live with useCollection.
+// Orders (or cancellations) made offline are marked "Pending sync" until the server has them.
+// `currency` (from the app config) is only used for orders placed before orders recorded their own.
+const OrdersView = ({ db, appId, userId, currency, onBack }) => {
+  const { t, locale, formatPrice } = useI18n();
+  const ordersResult = useCollection(userId ? getOrderCollectionPath(appId, userId) : null, {
+    snapshotOptions: ESTIMATE_TIMESTAMPS,
+    trackPendingWrites: true,
+  });
+  const orders = useMemo(
+    () => [...ordersResult.docs].sort((a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0)),
+    [ordersResult.docs]
+  );
+  const isLoading = ordersResult.isLoading;
+  const error = ordersResult.error?.message;
+  // Shown above the list until the next cancel or review, without hiding the orders.
+  const [cancelError, setCancelError] = useState(null);
+  const [cancellingId, setCancellingId] = useState(null);
+  // Delivered orders can be reviewed once; the form is open for at most one order.
+  const { reviewsByOrder } = useMyReviews(appId, userId);
+  const [reviewingId, setReviewingId] = useState(null);
+  const isOnline = useOnlineStatus();
+
+  // Offline, the write only settles once the server has it, so it is not awaited: the
+  // local cache shows the order as cancelled and "Pending sync" (hasPendingWrites) at once.
+  // If the server then rejects it, Firestore puts the old status back and we say why.
+  const handleCancel = async (order) => {
+    if (!canCustomerCancel(order) || cancellingId) return;
+    setCancelError(null);
+    setCancellingId(order.id);
+    try {
+      assertTransition(order.status, CANCELLED, t);
+      const write = updateDoc(doc(db, getOrderCollectionPath(appId, userId), order.id), {
+        status: CANCELLED,
+        [`statusHistory.${CANCELLED}`]: serverTimestamp(),
+        cancelledBy: 'customer',
+      });
+      if (!isOnline) {
+        write.catch((e) => {
+          console.error("Queued cancellation was rejected:", e);
+          setCancelError(t('orders.cancelRejected', { store: order.storeName }));
+        });
+        return;
+      }
+      await write;
+    } catch (e) {
+      console.error("Order Cancel Error:", e);
+      setCancelError(t('orders.cancelFailed', { message: e.message }));
+    } finally {
+      setCancellingId(null);
+    }
+  };
+
+  const renderReview = (order) => {
+    const review = reviewsByOrder.get(order.id);
+    if (review) {
+      return (
+        <p className="mt-4 flex items-center text-sm text-gray-600">
+          {t('orders.yourReview')} <span className="ml-2"><StarRating rating={review.rating} /></span>
+          {review.hidden && <span className="ml-2 text-xs text-gray-400">{t('orders.reviewHidden')}</span>}
+        </p>
+      );
+    }
+    if (reviewingId === order.id) {
+      return (
+        <ReviewForm
+          db={db}
+          appId={appId}
+          userId={userId}
+          order={order}
+          onPosted={() => setReviewingId(null)}
+          onCancel={() => setReviewingId(null)}
+        />
+      );
+    }
+    return (
+      <button
+        onClick={() => { setCancelError(null); setReviewingId(order.id); }}
+        className="mt-4 flex items-center px-4 py-2 rounded-lg text-sm font-medium border border-indigo-300 text-indigo-600 hover:bg-indigo-50"
+      >
+        <Star className="w-4 h-4 mr-2" />
+        {t('orders.rate')}
+      </button>
+    );
+  };
+
+  const renderOrders = () => {
+    if (error) {
+      return (
+        <div className="text-center p-10 bg-red-50 rounded-lg border-red-300 border">
+          <AlertTriangle className="w-8 h-8 mx-auto text-red-600 mb-3" />
+          <p className="text-red-600">{error}</p>
+        </div>
+      );
+    }
+
+    if (isLoading) {
+      return (
+        <div className="flex flex-col items-center justify-center p-20">
+          <Loader className="w-8 h-8 text-indigo-500 animate-spin" />
+          <p className="mt-4 text-gray-600">{t('orders.loading')}</p>
+        </div>
+      );
+    }
+
+    if (orders.length === 0) {
+      return (
+        <div className="text-center p-20 bg-gray-50 rounded-xl">
+          <ClipboardList className="w-10 h-10 mx-auto text-gray-400 mb-4" />
+          <h3 className="text-xl font-semibold text-gray-700">{t('orders.emptyTitle')}</h3>
+          <p className="text-gray-500">{t('orders.emptyText')}</p>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {cancelError && (
+          <p className="flex items-center text-sm text-red-600 p-3 mb-4 bg-red-50 border border-red-200 rounded-lg">
+            <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+            {cancelError}
+          </p>
+        )}
+        <ul className="space-y-6">
+          {orders.map((order) => (
+            <li key={order.id} className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+              <div className="flex justify-between items-start">
+                <div>
+                  <h3 className="text-lg font-bold text-gray-800">{order.storeName}</h3>
+                  <p className="text-xs text-gray-400">{t('orders.meta', { orderId: order.id, date: formatTimestamp(order.createdAt, locale) })}</p>
+                </div>
+                <div className="flex flex-col items-end space-y-1">
+                  <span className={`px-3 py-1 text-sm font-semibold rounded-full ${
+                    isFailedStatus(order.status) ? 'bg-red-100 text-red-800' :
+                    order.status === 'delivered' ? 'bg-green-100 text-green-800' :
+                    'bg-indigo-100 text-indigo-800'
+                  }`}>
+                    {t(`status.${order.status}`)}
+                  </span>
+                  {order.hasPendingWrites && (
+                    <span className="flex items-center px-2 py-0.5 text-xs font-semibold rounded-full bg-amber-100 text-amber-800" title={t('orders.pendingSyncHint')}>
+                      <CloudUpload className="w-3 h-3 mr-1" /> {t('orders.pendingSync')}
+                    </span>
+                  )}
+                </div>
+              </div>
+              <ul className="mt-3 text-sm text-gray-600">
+                {(order.items || []).map((item, index) => (
+                  <li key={index} className="flex justify-between">
+                    <span>
+                      {item.quantity} × {item.name}
+                      {item.options?.length > 0 && <span className="block text-xs text-gray-500">{formatSelectedOptions(item.options)}</span>}
+                    </span>
+                    <span>{formatPrice(item.lineTotal, order.currency || currency)}</span>
+                  </li>
+                ))}
+              </ul>
+              {order.discount > 0 && (
+                <p className="flex justify-between text-sm text-emerald-700 border-t mt-2 pt-2">
+                  <span>{t('orders.promoCode', { code: order.promoCode })}</span>
+                  <span>−{formatPrice(order.discount, order.currency || currency)}</span>
+                </p>
+              )}
+              <p className="flex justify-between text-sm font-bold text-gray-800 border-t mt-2 pt-2">
+                <span>{t('cart.total')}</span>
+                <span>{formatPrice(order.total, order.currency || currency)}</span>
+              </p>
+              <OrderTimeline order={order} />
+              {order.status === 'delivered' && renderReview(order)}
+              {canCustomerCancel(order) && (
+                <button
+                  onClick={() => handleCancel(order)}
+                  disabled={cancellingId === order.id}
+                  className="mt-4 px-4 py-2 rounded-lg text-sm font-medium border border-red-300 text-red-600 hover:bg-red-50 disabled:opacity-50"
+                >
+                  {cancellingId === order.id ? t('orders.cancelling') : t('orders.cancel')}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </>
+    );
+  };
+
+  return (
+    <div className="max-w-3xl">
+      <button onClick={onBack} className="flex items-center text-sm text-indigo-600 hover:text-indigo-800 mb-4">
+        <ArrowLeft className="w-4 h-4 mr-1" /> {t('common.keepBrowsing')}
+      </button>
+      <h2 className="text-3xl font-bold text-gray-800 mb-6">{t('app.myOrders')}</h2>
+      {renderOrders()}
+    </div>
+  );
+};
+
+export default OrdersView;
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { Star, Loader } from 'lucide-react';
+import { MAX_RATING, REVIEW_TEXT_MAX_LENGTH, REVIEW_AUTHOR_MAX_LENGTH, useI18n } from '@fresh-eats/shared';
+import { postReview } from './reviews';
+
+const STARS = Array.from({ length: MAX_RATING }, (_, index) => index + 1);
+
+// Read-only stars for `rating` (1-5).
+export const StarRating = ({ rating, size = 'w-4 h-4' }) => {
+  const { t } = useI18n();
+  return (
+    <span className="inline-flex" aria-label={t('reviewForm.stars', { rating, max: MAX_RATING })}>
+      {STARS.map(star => (
+        <Star key={star} className={`${size} ${star <= rating ? 'text-yellow-500 fill-yellow-400' : 'text-gray-300'}`} />
+      ))}
+    </span>
+  );
+};
+
+// Star rating and review for the store of a delivered `order`. `onPosted` runs after saving.
+const ReviewForm = ({ db, appId, userId, order, onPosted, onCancel }) => {
+  const { t } = useI18n();
+  const [rating, setRating] = useState(0);
+  const [text, setText] = useState('');
+  const [authorName, setAuthorName] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSubmitting || !db || !userId) return;
+    setFormError(null);
+    setIsSubmitting(true);
+    try {
+      await postReview(db, appId, userId, order, { rating, text, authorName }, t);
+      onPosted();
+    } catch (e) {
+      console.error("Review Error:", e);
+      setFormError(e.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+      <p className="text-sm font-medium text-gray-800">{t('reviewForm.prompt', { store: order.storeName })}</p>
+      <div className="flex space-x-1">
+        {STARS.map(star => (
+          <button key={star} type="button" onClick={() => setRating(star)} aria-label={t('reviewForm.starButton', { count: star })}>
+            <Star className={`w-7 h-7 ${star <= rating ? 'text-yellow-500 fill-yellow-400' : 'text-gray-300 hover:text-yellow-400'}`} />
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        maxLength={REVIEW_TEXT_MAX_LENGTH}
+        rows="3"
+        placeholder={t('reviewForm.textPlaceholder')}
+        aria-label={t('reviewForm.textLabel')}
+        className="w-full px-3 py-2 rounded-lg border border-gray-300 text-sm focus:ring-indigo-500 focus:border-indigo-500"
+      />
+      <input
+        type="text"
+        value={authorName}
+        onChange={(e) => setAuthorName(e.target.value)}
+        maxLength={REVIEW_AUTHOR_MAX_LENGTH}
+        placeholder={t('reviewForm.namePlaceholder')}
+        aria-label={t('reviewForm.nameLabel')}
+        className="w-full px-3 py-2 rounded-lg border border-gray-300 text-sm focus:ring-indigo-500 focus:border-indigo-500"
+      />
+      {formError && <p className="text-sm text-red-600">{formError}</p>}
+      <div className="flex space-x-2">
+        <button
+          type="submit"
+          disabled={isSubmitting || rating === 0}
+          className="flex items-center px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {isSubmitting && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+          {t('reviewForm.post')}
+        </button>
+        <button type="button" onClick={onCancel} className="px-4 py-2 rounded-lg text-sm font-medium border border-gray-300 hover:bg-white">
+          {t('reviewForm.notNow')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ReviewForm;
@@ -0,0 +1,228 @@
+import React, { useState, useMemo } from 'react';
+import { where } from 'firebase/firestore';
+import { ArrowLeft, MapPin, Loader, AlertTriangle, UtensilsCrossed, Plus, Clock, MessageSquare } from 'lucide-react';
+import {
+  useCollection, getProductCollectionPath, getStoreOpenState, describeStoreOpenState,
+  formatStoreRating, getStartingPrice, getThumbnailUrl, getStoreCurrency, useI18n,
+} from '@fresh-eats/shared';
+import { StarRating } from './ReviewForm';
+import ItemOptionsForm from './ItemOptionsForm';
+import LazyImage from './LazyImage';
+import { useStoreReviews } from './reviews';
+
+// Groups menu items by category, keeping the order of the app config's menu
+// categories and putting anything with an unknown category into a trailing section
+// titled `otherLabel`.
+const groupByCategory = (items, categories, otherLabel) => {
+  const sections = categories.map(category => ({
+    category,
+    items: items.filter(item => item.category === category),
+  }));
+  const other = items.filter(item => !categories.includes(item.category));
+  if (other.length > 0) sections.push({ category: otherLabel, items: other });
+  return sections.filter(section => section.items.length > 0);
+};
+
+// Store detail page: header for the selected store plus its live menu. `store` carries
+// distanceKm and deliveryMinutes when the customer has set a delivery location.
+// `cartState` is the object returned by useCart; `appConfig` the live app config;
+// `now` the current time from useNow, for the open/closed state.
+const StoreDetail = ({ appId, store, cartState, appConfig, now, onBack }) => {
+  const { cart, isFromOtherStore, addItem } = cartState;
+  const { t, locale, formatPrice, formatDistance } = useI18n();
+  const currency = getStoreCurrency(store, appConfig);
+  const openState = getStoreOpenState(store, now);
+  // { item, options, quantity } waiting for the user to confirm replacing a cart from another store.
+  const [pendingItem, setPendingItem] = useState(null);
+  // Id of the menu item whose options are being chosen.
+  const [configuringId, setConfiguringId] = useState(null);
+
+  // Only items the admin has not marked as sold out.
+  const menuConstraints = useMemo(() => [
+    where('storeId', '==', store.id),
+    where('available', '==', true),
+  ], [store.id]);
+  const menuResult = useCollection(getProductCollectionPath(appId), { constraints: menuConstraints });
+  const menuItems = useMemo(
+    () => [...menuResult.docs].sort((a, b) => (a.name || "").localeCompare(b.name || "")),
+    [menuResult.docs]
+  );
+  const isLoading = menuResult.isLoading;
+  const reviewsResult = useStoreReviews(appId, store.id);
+  const error = menuResult.error && t('store.menuLoadFailed', { message: menuResult.error.message });
+
+  const requestAdd = (item, options = [], quantity = 1) => {
+    setConfiguringId(null);
+    if (isFromOtherStore(store.id)) {
+      setPendingItem({ item, options, quantity });
+      return;
+    }
+    addItem(store, item, { options, quantity });
+  };
+
+  // Items with options open their choices first.
+  const handleAdd = (item) => {
+    if (item.optionGroups?.length > 0) {
+      setConfiguringId(item.id);
+      return;
+    }
+    requestAdd(item);
+  };
+
+  const confirmReplaceCart = () => {
+    addItem(store, pendingItem.item, { options: pendingItem.options, quantity: pendingItem.quantity, replace: true });
+    setPendingItem(null);
+  };
+
+  // Across every line of the product, whatever options they have.
+  const quantityInCart = (productId) => cart.storeId === store.id
+    ? cart.items.filter(item => item.productId === productId).reduce((count, item) => count + item.quantity, 0)
+    : 0;
+
+  const renderMenu = () => {
+    if (error) {
+      return (
+        <div className="text-center p-10 bg-red-50 rounded-lg border-red-300 border">
+          <AlertTriangle className="w-8 h-8 mx-auto text-red-600 mb-3" />
+          <p className="text-red-600">{error}</p>
+        </div>
+      );
+    }
+
+    if (isLoading) {
+      return (
+        <div className="flex flex-col items-center justify-center p-20">
+          <Loader className="w-8 h-8 text-indigo-500 animate-spin" />
+          <p className="mt-4 text-gray-600">{t('store.loadingMenu')}</p>
+        </div>
+      );
+    }
+
+    if (menuItems.length === 0) {
+      return (
+        <div className="text-center p-20 bg-gray-50 rounded-xl">
+          <UtensilsCrossed className="w-10 h-10 mx-auto text-gray-400 mb-4" />
+          <h3 className="text-xl font-semibold text-gray-700">{t('store.emptyMenuTitle')}</h3>
+          <p className="text-gray-500">{t('store.emptyMenu')}</p>
+        </div>
+      );
+    }
+
+    return groupByCategory(menuItems, appConfig.productCategories, t('store.otherCategory')).map(({ category, items }) => (
+      <section key={category} className="mb-8">
+        <h3 className="text-xl font-bold text-gray-800 mb-4 border-b pb-2">{category}</h3>
+        <ul className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {items.map((item) => item.id === configuringId ? (
+            <li key={item.id} className="md:col-span-2 bg-white p-4 rounded-xl shadow border-2 border-indigo-200">
+              <ItemOptionsForm
+                item={item}
+                currency={currency}
+                onAdd={(options, quantity) => requestAdd(item, options, quantity)}
+                onCancel={() => setConfiguringId(null)}
+              />
+            </li>
+          ) : (
+            <li key={item.id} className="bg-white p-4 rounded-xl shadow border border-gray-100 flex justify-between items-start">
+              {item.image && <LazyImage src={getThumbnailUrl(item)} alt={item.name} className="w-20 h-20 rounded-lg flex-shrink-0 mr-4" />}
+              <div className="pr-4 flex-1 min-w-0">
+                <p className="font-semibold text-gray-800">{item.name}</p>
+                <p className="text-sm text-gray-500 line-clamp-2">{item.description}</p>
+              </div>
+              <div className="flex flex-col items-end space-y-2">
+                <span className="font-bold text-indigo-600 whitespace-nowrap">
+                  {item.optionGroups?.length > 0
+                    ? t('store.fromPrice', { price: formatPrice(getStartingPrice(item), currency) })
+                    : formatPrice(getStartingPrice(item), currency)}
+                </span>
+                <button
+                  onClick={() => handleAdd(item)}
+                  className="flex items-center bg-indigo-600 text-white px-3 py-1 rounded-lg text-sm font-medium hover:bg-indigo-700 transition duration-200 shadow-md"
+                >
+                  <Plus className="w-4 h-4 mr-1" />
+                  {quantityInCart(item.id) > 0 ? t('store.addMore', { count: quantityInCart(item.id) }) : t('store.add')}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </section>
+    ));
+  };
+
+  const renderReviews = () => (
+    <section className="mt-10">
+      <h3 className="flex items-center text-xl font-bold text-gray-800 mb-4 border-b pb-2">
+        <MessageSquare className="w-5 h-5 mr-2 text-indigo-500" />
+        {t('store.reviews')}
+      </h3>
+      {reviewsResult.error ? (
+        <p className="text-sm text-red-600">{t('store.reviewsLoadFailed', { message: reviewsResult.error.message })}</p>
+      ) : reviewsResult.isLoading ? (
+        <p className="flex items-center text-sm text-gray-500"><Loader className="w-4 h-4 mr-2 animate-spin" /> {t('store.loadingReviews')}</p>
+      ) : reviewsResult.reviews.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('store.noReviews')}</p>
+      ) : (
+        <ul className="space-y-4">
+          {reviewsResult.reviews.map(review => (
+            <li key={review.id} className="bg-white p-4 rounded-xl shadow border border-gray-100">
+              <div className="flex items-center justify-between">
+                <StarRating rating={review.rating} />
+                <span className="text-xs text-gray-400">{review.createdAt?.toDate().toLocaleDateString(locale)}</span>
+              </div>
+              {review.text && <p className="mt-2 text-sm text-gray-700 whitespace-pre-line">{review.text}</p>}
+              <p className="mt-1 text-xs text-gray-500">{review.authorName}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+
+  return (
+    <div>
+      <button onClick={onBack} className="flex items-center text-sm text-indigo-600 hover:text-indigo-800 mb-4">
+        <ArrowLeft className="w-4 h-4 mr-1" /> {t('store.allStores')}
+      </button>
+      <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100 mb-8">
+        {store.image && <LazyImage src={store.image.url} alt={store.name} className="-mx-6 -mt-6 mb-6 h-48 md:h-64 rounded-t-xl" />}
+        <div className="flex justify-between items-start">
+          <h2 className="text-3xl font-bold text-gray-800 mb-2">{store.name}</h2>
+          <span className="text-yellow-500 font-bold flex items-center">⭐ {formatStoreRating(store, t)}</span>
+        </div>
+        <p className="text-gray-500 mb-3">{store.description}</p>
+        <div className="flex items-center text-sm text-gray-600 space-x-4">
+          <span className="flex items-center">
+            <MapPin className="w-4 h-4 mr-1 text-red-500" />
+            {store.deliveryMinutes !== undefined
+              ? t('catalog.deliveryEstimate', { minutes: store.deliveryMinutes, distance: formatDistance(store.distanceKm) })
+              : store.address || t('store.setLocationForEstimate')}
+          </span>
+          <span className={`flex items-center font-medium ${openState.isOpen ? 'text-green-700' : 'text-red-600'}`}>
+            <Clock className="w-4 h-4 mr-1" />
+            {openState.isOpen && openState.closesAt ? t('store.openUntil', { time: openState.closesAt }) : describeStoreOpenState(openState, t)}
+          </span>
+        </div>
+      </div>
+      {!openState.isOpen && (
+        <p className="mb-6 p-3 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">
+          {openState.reason === 'paused' ? t('store.pausedNotice') : t('store.closedNotice')}
+        </p>
+      )}
+      {pendingItem && (
+        <div className="mb-6 p-4 bg-yellow-50 border border-yellow-300 rounded-lg flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <p className="text-sm text-yellow-800 mb-2 sm:mb-0">
+            {t('store.replaceCartPrompt', { store: cart.storeName, item: pendingItem.item.name })}
+          </p>
+          <div className="flex space-x-2">
+            <button onClick={confirmReplaceCart} className="px-3 py-1 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700">{t('store.startNewCart')}</button>
+            <button onClick={() => setPendingItem(null)} className="px-3 py-1 rounded-lg text-sm font-medium border border-gray-300 bg-white hover:bg-gray-50">{t('store.keepCart')}</button>
+          </div>
+        </div>
+      )}
+      {renderMenu()}
+      {renderReviews()}
+    </div>
+  );
+};
+
+export default StoreDetail;
@@ -0,0 +1,38 @@
+import { useMemo } from 'react';
+import { useCollection, getAddressCollectionPath, useI18n } from '@fresh-eats/shared';
+
+// ----------------------
+// SAVED DELIVERY ADDRESSES
+// ----------------------
+
+// Stored under the customer's private path (getAddressCollectionPath), so they follow the
+// account when an anonymous session is upgraded (the uid does not change when linking).
+
+export const EMPTY_ADDRESS = { label: '', line1: '', line2: '', city: '', postalCode: '', instructions: '' };
+
+// Returns a user-facing error message from `t`, or null when the address can be saved.
+export const validateAddress = (address, t) => {
+  if (!address.line1.trim() || !address.city.trim() || !address.postalCode.trim()) {
+    return t('addresses.required');
+  }
+  return null;
+};
+
+export const formatAddress = (address) =>
+  [address.line1, address.line2, `${address.city} ${address.postalCode}`.trim()].filter(Boolean).join(', ');
+
+const ESTIMATE_TIMESTAMPS = { serverTimestamps: 'estimate' };
+
+// Live list of the user's saved addresses, newest first.
+export const useAddresses = (appId, userId) => {
+  const { t } = useI18n();
+  const { docs, isLoading, error } = useCollection(userId ? getAddressCollectionPath(appId, userId) : null, {
+    snapshotOptions: ESTIMATE_TIMESTAMPS,
+  });
+  const addresses = useMemo(
+    () => [...docs].sort((a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0)),
+    [docs]
+  );
+
+  return { addresses, isLoading, error: error && t('addresses.loadFailed', { message: error.message }) };
+};
@@ -0,0 +1,89 @@
+// ----------------------
+// STORE CATALOG FILTERS
+// ----------------------
+// Search, category and sort state for the store grid. The state round-trips
+// through the URL query string (?q=&category=&sort=) so filtered views can be shared.
+
+import { getStoreOpenState, getStoreDistanceKm, deliversTo, estimateDeliveryMinutes, getStoreRating } from '@fresh-eats/shared';
+
+// Sorts marked needsLocation use the distances withDeliveryEstimates adds, so they are
+// only offered once the customer has set a delivery location. Labels are in messages.js
+// under sort.<id>.
+export const SORT_OPTIONS = [
+  { id: 'name' },
+  { id: 'rating' },
+  { id: 'distance', needsLocation: true },
+  { id: 'deliveryTime', needsLocation: true },
+];
+
+export const sortNeedsLocation = (sort) => !!SORT_OPTIONS.find(option => option.id === sort)?.needsLocation;
+
+export const DEFAULT_FILTERS = { search: '', category: 'all', sort: 'name' };
+
+const byName = (a, b) => (a.name || "").localeCompare(b.name || "");
+
+const COMPARATORS = {
+  name: byName,
+  // Highest average review rating first; stores without reviews go last and ties
+  // fall back to name so the order is stable.
+  rating: (a, b) => (getStoreRating(b).average ?? 0) - (getStoreRating(a).average ?? 0) || byName(a, b),
+  // Stores without a distance or estimate (no customer location) go last.
+  distance: (a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity) || byName(a, b),
+  deliveryTime: (a, b) => (a.deliveryMinutes ?? Infinity) - (b.deliveryMinutes ?? Infinity) || byName(a, b),
+};
+
+// Keeps the stores that deliver to `location` and adds their distanceKm and the
+// distance-based deliveryMinutes. Without a location every store is kept, unchanged.
+export const withDeliveryEstimates = (stores, location) => {
+  if (!location) return stores;
+  return stores
+    .filter(store => deliversTo(store, location))
+    .map(store => {
+      const distanceKm = getStoreDistanceKm(store, location);
+      return { ...store, distanceKm, deliveryMinutes: estimateDeliveryMinutes(store, distanceKm) };
+    });
+};
+
+// Closed stores always go after open ones; `sort` orders each group.
+export const filterAndSortStores = (stores, { search, category, sort }, now = new Date()) => {
+  const term = search.trim().toLowerCase();
+  const compare = COMPARATORS[sort] || byName;
+  return stores
+    .filter(store => category === 'all' || store.category === category)
+    .filter(store => !term
+      || (store.name || '').toLowerCase().includes(term)
+      || (store.description || '').toLowerCase().includes(term))
+    .map(store => ({ ...store, openState: getStoreOpenState(store, now) }))
+    .sort((a, b) => Number(b.openState.isOpen) - Number(a.openState.isOpen) || compare(a, b));
+};
+
+// Unknown sort values in the URL fall back to the defaults. Categories come from the
+// live app config, so any name is accepted; one that no longer exists shows the
+// "no stores match" state with its "Clear filters" button.
+export const readFiltersFromUrl = (queryString) => {
+  const params = new URLSearchParams(queryString);
+  const category = params.get('category');
+  const sort = params.get('sort');
+  return {
+    search: params.get('q') || DEFAULT_FILTERS.search,
+    category: category || DEFAULT_FILTERS.category,
+    sort: SORT_OPTIONS.some(option => option.id === sort) ? sort : DEFAULT_FILTERS.sort,
+  };
+};
+
+// Returns the query string for `filters`, leaving out defaults to keep links short.
+// Parameters owned by other features in `queryString` are preserved.
+export const writeFiltersToUrl = (queryString, filters) => {
+  const params = new URLSearchParams(queryString);
+  const entries = { q: filters.search.trim(), category: filters.category, sort: filters.sort };
+  const defaults = { q: DEFAULT_FILTERS.search, category: DEFAULT_FILTERS.category, sort: DEFAULT_FILTERS.sort };
+  Object.entries(entries).forEach(([key, value]) => {
+    if (value && value !== defaults[key]) {
+      params.set(key, value);
+    } else {
+      params.delete(key);
+    }
+  });
+  const result = params.toString();
+  return result ? `?${result}` : '';
+};
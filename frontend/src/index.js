@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css'; // Assuming you have a basic CSS file for Tailwind imports
 import App from './App'; // This assumes your main component is in App.js or App.jsx
+import { registerServiceWorker } from '@fresh-eats/shared';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -9,3 +10,6 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Caches the app shell (public/service-worker.js) so the app opens offline; production builds only.
+registerServiceWorker(`${process.env.PUBLIC_URL}/service-worker.js`, { enabled: process.env.NODE_ENV === 'production' });
@@ -0,0 +1,88 @@
+import { useState, useEffect, useCallback } from 'react';
+import { orderBy, startAt, endAt } from 'firebase/firestore';
+import { geocodeAddress, getGeohashRanges, isValidLocation, MAX_DELIVERY_RADIUS_KM, useI18n } from '@fresh-eats/shared';
+
+// ----------------------
+// CUSTOMER DELIVERY LOCATION
+// ----------------------
+// Where the customer wants delivery, as { label, lat, lng }, from a typed address
+// (resolved by the local geocoding stand-in) or the browser's location. Persisted to
+// localStorage like the cart, so the catalog remembers it between visits.
+
+const getStorageKey = (appId) => `fresh-eats-location-${appId}`;
+
+const loadLocation = (appId) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(getStorageKey(appId)));
+    if (isValidLocation(saved)) return saved;
+  } catch (e) {
+    console.warn("Ignoring unreadable saved location:", e);
+  }
+  return null;
+};
+
+// Query constraints for stores that may deliver to `location`: one geohash range query per
+// cell around it, covering the largest delivery radius. Callers still filter with deliversTo.
+export const getNearbyStoreQueries = (location) =>
+  getGeohashRanges(location, MAX_DELIVERY_RADIUS_KM).map(([start, end]) => [orderBy('geohash'), startAt(start), endAt(end)]);
+
+const useCustomerLocation = (appId) => {
+  const [location, setLocation] = useState(() => loadLocation(appId));
+  const [isLocating, setIsLocating] = useState(false);
+  // A message key, so the error follows language changes.
+  const [locationError, setLocationError] = useState(null);
+  const { t } = useI18n();
+
+  useEffect(() => {
+    try {
+      if (location) {
+        window.localStorage.setItem(getStorageKey(appId), JSON.stringify(location));
+      } else {
+        window.localStorage.removeItem(getStorageKey(appId));
+      }
+    } catch (e) {
+      console.warn("Could not persist location:", e);
+    }
+  }, [appId, location]);
+
+  const locateAddress = useCallback(async (address) => {
+    setLocationError(null);
+    setIsLocating(true);
+    try {
+      const place = await geocodeAddress(address);
+      if (place) {
+        setLocation(place);
+      } else {
+        setLocationError('location.notFound');
+      }
+    } finally {
+      setIsLocating(false);
+    }
+  }, []);
+
+  const locateBrowser = useCallback(() => {
+    if (!navigator.geolocation) {
+      setLocationError('location.unsupported');
+      return;
+    }
+    setLocationError(null);
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition((position) => {
+      setLocation({ label: t('location.current'), lat: position.coords.latitude, lng: position.coords.longitude });
+      setIsLocating(false);
+    }, (e) => {
+      console.warn("Geolocation Error:", e);
+      setLocationError('location.denied');
+      setIsLocating(false);
+    }, { maximumAge: 5 * 60 * 1000, timeout: 10 * 1000 });
+  }, [t]);
+
+  const clearLocation = useCallback(() => {
+    setLocation(null);
+    setLocationError(null);
+  }, []);
+
+  return { location, isLocating, locationError: locationError && t(locationError), locateAddress, locateBrowser, clearLocation };
+};
+
+export default useCustomerLocation;
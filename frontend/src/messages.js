@@ -0,0 +1,374 @@
+// ----------------------
+// STOREFRONT MESSAGES
+// ----------------------
+// The customer app's texts in every supported language (see shared/i18n.js). Keys are
+// grouped by screen; order statuses, opening hours, option rules, promo codes and review
+// checks come from SHARED_MESSAGES. Store, menu and category names are the admin's data
+// and are shown as entered.
+
+const MESSAGES = {
+  en: {
+    'app.title': 'FreshEats (Client)',
+    'app.deliveryService': 'Delivery Service',
+    'app.language': 'Language',
+    'app.myAccount': 'My Account',
+    'app.guestSignUp': 'Guest · Sign up',
+    'app.notAvailable': 'N/A',
+    'app.myOrders': 'My Orders',
+    'app.openCart': 'Open cart',
+    'app.offline': "You're offline. You're seeing the stores and menus saved on this device, and orders you place will be sent once you're back online.",
+    'app.orderingPaused': 'Ordering is paused right now. You can keep browsing and fill your cart.',
+    'app.errorTitle': 'Application Error',
+    'app.currentUserId': 'Current User ID: {userId}',
+    'app.signOutFailed': 'Sign-out failed: {message}',
+    'common.keepBrowsing': 'Keep browsing',
+    'common.decreaseQuantity': 'Decrease quantity',
+    'common.increaseQuantity': 'Increase quantity',
+    'catalog.heading': 'Explore Restaurants Near You',
+    'catalog.subheading': 'Fastest delivery and great quality food guaranteed.',
+    'catalog.loading': 'Loading delivery options...',
+    'catalog.loadFailed': 'Failed to fetch store catalog. {message}',
+    'catalog.deliveryEstimate': '{minutes} min · {distance}',
+    'catalog.setLocation': 'Set your location',
+    'catalog.orderNow': 'Order Now',
+    'catalog.viewMenu': 'View Menu',
+    'catalog.noStoresNearby': 'No stores deliver to {location} yet',
+    'catalog.tryAnotherAddress': 'Try another address, or browse every store.',
+    'catalog.showAllStores': 'Show all stores',
+    'catalog.emptyTitle': 'No Stores Found',
+    'catalog.empty': 'The catalog is currently empty. The administrator needs to add stores.',
+    'catalog.emptyOffline': "You're offline and no stores are saved on this device yet. They will appear once you're back online.",
+    'catalog.appId': 'Current App ID: {appId}',
+    'catalog.noMatches': 'No stores match your search',
+    'catalog.clearFilters': 'Clear filters',
+    'catalog.searchPlaceholder': 'Search restaurants and stores',
+    'catalog.searchLabel': 'Search stores',
+    'catalog.allCategories': 'All',
+    'catalog.sortLabel': 'Sort stores',
+    'sort.name': 'Name (A–Z)',
+    'sort.rating': 'Top rated',
+    'sort.distance': 'Nearest',
+    'sort.deliveryTime': 'Fastest delivery',
+    'location.deliveringTo': 'Delivering to',
+    'location.change': 'Change',
+    'location.placeholder': 'Delivery address or postal code',
+    'location.addressLabel': 'Delivery address',
+    'location.find': 'Find stores',
+    'location.useMine': 'Use my location',
+    'location.current': 'Current location',
+    'location.notFound': "We couldn't find that address. Try a city name or postal code.",
+    'location.unsupported': "Your browser can't share its location. Enter an address instead.",
+    'location.denied': 'Location access was denied or unavailable. Enter an address instead.',
+    'store.allStores': 'All stores',
+    'store.setLocationForEstimate': 'Set your location for a delivery estimate',
+    'store.openUntil': 'Open until {time}',
+    'store.pausedNotice': 'This store has paused new orders. You can still browse the menu and fill your cart.',
+    'store.closedNotice': 'This store is closed right now. You can still browse the menu and fill your cart, and check out once it opens.',
+    'store.replaceCartPrompt': 'Your cart has items from {store}. Start a new cart with {item}?',
+    'store.startNewCart': 'Start new cart',
+    'store.keepCart': 'Keep current cart',
+    'store.menuLoadFailed': 'Failed to fetch the menu. {message}',
+    'store.loadingMenu': 'Loading menu...',
+    'store.emptyMenuTitle': 'Nothing on the menu right now',
+    'store.emptyMenu': 'Please check back later.',
+    'store.otherCategory': 'Other',
+    'store.fromPrice': 'from {price}',
+    'store.add': 'Add',
+    'store.addMore': 'Add ({count})',
+    'store.reviews': 'Reviews',
+    'store.reviewsLoadFailed': 'Failed to load reviews. {message}',
+    'store.loadingReviews': 'Loading reviews...',
+    'store.noReviews': 'No reviews yet. Customers can rate the store after a delivered order.',
+    'itemOptions.close': 'Close options',
+    'itemOptions.addToCart': 'Add to cart · {price}',
+    'cart.title': 'Your Cart',
+    'cart.from': 'From {store}',
+    'cart.each': '{price} each',
+    'cart.removeItem': 'Remove item',
+    'cart.emptyTitle': 'Your cart is empty',
+    'cart.emptyText': 'Open a store and add something tasty.',
+    'cart.promoPlaceholder': 'Promo code',
+    'cart.applyPromo': 'Apply',
+    'cart.removePromo': 'Remove promo code',
+    'cart.promoCheckFailed': "We couldn't check this promo code. Please try again.",
+    'cart.subtotal': 'Subtotal',
+    'cart.discount': 'Discount ({code})',
+    'cart.tax': 'Tax',
+    'cart.deliveryFee': 'Delivery fee',
+    'cart.total': 'Total',
+    'cart.deliverTo': 'Deliver to',
+    'cart.addAddress': 'Add an address',
+    'cart.manageAddresses': 'Manage addresses',
+    'cart.noAddresses': 'You have no saved addresses yet.',
+    'cart.orderingPaused': 'Ordering is paused right now. Your cart is saved, so please try again soon.',
+    'cart.storePaused': '{store} has paused new orders. Your cart is saved, so please try again soon.',
+    'cart.storeClosed': '{store} is closed right now ({state}). Your cart is saved until then.',
+    'cart.offline': "You're offline. You can still place your order; it will be sent once you're back online.",
+    'checkout.placeOrder': 'Place Order · {total}',
+    'checkout.placing': 'Placing order...',
+    'checkout.saving': 'Saving order...',
+    'checkout.notCached': "Some details of this order aren't saved on this device yet. Please try again once you're back online.",
+    'checkout.savedTitle': 'Order saved',
+    'checkout.savedText': "You're offline, so it will be sent to the store as soon as you're back online.",
+    'checkout.placedTitle': 'Order placed!',
+    'queuedOrder.rejectedTitle': 'Your order from {store} was not accepted',
+    'queuedOrder.rejectedText': 'It was saved while you were offline, but the server turned it down once you were back online, so the store never got it.',
+    'queuedOrder.replacesCart': 'Restoring it replaces the items now in your cart.',
+    'queuedOrder.restore': 'Restore cart',
+    'queuedOrder.dismiss': 'Dismiss',
+    'checkout.placedText': 'The store has received your order.',
+    'checkout.orderId': 'Order ID: {orderId}',
+    'checkout.track': 'Track your order',
+    'checkout.emptyCart': 'Your cart is empty.',
+    'checkout.noAddress': 'Please choose a delivery address.',
+    'checkout.promoOffline': "Promo codes can only be used while you're online. Remove it to order now, or try again once you're back online.",
+    'checkout.paused': 'Ordering is paused right now. Please try again soon.',
+    'checkout.storeGone': '{store} is no longer taking orders.',
+    'checkout.storeClosed': '{store} is closed right now. Your cart is saved, so please try again once it opens.',
+    'checkout.itemGone': '"{item}" is no longer available. Please remove it from your cart.',
+    'checkout.choicesChanged': 'The choices for "{item}" have changed. Please remove it and add it again.',
+    'checkout.promoRejected': 'The promo code {code} could not be applied. It may have just run out; remove it and try again.',
+    'orders.loading': 'Loading your orders...',
+    'orders.emptyTitle': 'No orders yet',
+    'orders.emptyText': 'Orders you place will show up here.',
+    'orders.meta': 'Order {orderId} · {date}',
+    'orders.pendingSync': 'Pending sync',
+    'orders.pendingSyncHint': "Saved on this device; it will be sent once you're back online.",
+    'orders.promoCode': 'Promo code {code}',
+    'orders.cancel': 'Cancel order',
+    'orders.cancelling': 'Cancelling...',
+    'orders.cancelFailed': 'Could not cancel the order: {message}',
+    'orders.cancelRejected': 'Your cancellation of the order from {store} was not accepted once you were back online, probably because the store had already accepted it.',
+    'orders.yourReview': 'Your review:',
+    'orders.reviewHidden': '(hidden by a moderator)',
+    'orders.rate': 'Rate this order',
+    'reviewForm.prompt': 'How was {store}?',
+    'reviewForm.stars': '{rating} out of {max} stars',
+    'reviewForm.starButton': { one: '{count} star', other: '{count} stars' },
+    'reviewForm.textPlaceholder': 'Tell other customers about your order (optional)',
+    'reviewForm.textLabel': 'Review',
+    'reviewForm.namePlaceholder': 'Name shown with your review (optional)',
+    'reviewForm.nameLabel': 'Your name',
+    'reviewForm.defaultAuthor': 'Customer',
+    'reviewForm.post': 'Post review',
+    'reviewForm.notNow': 'Not now',
+    'account.section': 'Account',
+    'account.signedInAs': 'Signed in as',
+    'account.signOut': 'Sign out',
+    'account.guestIntro': "You're ordering as a guest. Create an account to keep your orders and addresses on any device.",
+    'account.signInIntro': 'Sign in to an existing account. Orders placed in this guest session stay with the guest session.',
+    'account.email': 'Email',
+    'account.password': 'Password',
+    'account.createAccount': 'Create account',
+    'account.signIn': 'Sign in',
+    'account.haveAccount': 'Already have an account? Sign in',
+    'account.newHere': 'New here? Create an account',
+    'account.emailInUse': 'An account already exists for this email. Sign in instead.',
+    'account.weakPassword': 'Please choose a password with at least 6 characters.',
+    'account.invalidEmail': 'Please enter a valid email address.',
+    'account.wrongCredentials': 'Incorrect email or password.',
+    'addresses.title': 'Delivery Addresses',
+    'addresses.loading': 'Loading addresses...',
+    'addresses.loadFailed': 'Failed to load your saved addresses. {message}',
+    'addresses.none': 'No saved addresses yet.',
+    'addresses.delete': 'Delete address',
+    'addresses.add': 'Add an address',
+    'addresses.label': 'Label',
+    'addresses.labelPlaceholder': 'Label (e.g., Home, Work)',
+    'addresses.defaultLabel': 'Home',
+    'addresses.line1': 'Street address',
+    'addresses.line2': 'Apartment, suite',
+    'addresses.line2Placeholder': 'Apartment, suite (optional)',
+    'addresses.city': 'City',
+    'addresses.postalCode': 'Postal code',
+    'addresses.instructions': 'Delivery instructions',
+    'addresses.instructionsPlaceholder': 'Delivery instructions (optional)',
+    'addresses.required': 'Street address, city and postal code are required.',
+    'addresses.save': 'Save address',
+    'addresses.saveFailed': 'Could not save the address: {message}',
+    'addresses.deleteFailed': 'Could not delete the address: {message}',
+  },
+  es: {
+    'app.title': 'FreshEats (Cliente)',
+    'app.deliveryService': 'Servicio a domicilio',
+    'app.language': 'Idioma',
+    'app.myAccount': 'Mi cuenta',
+    'app.guestSignUp': 'Invitado · Regístrate',
+    'app.notAvailable': 'N/D',
+    'app.myOrders': 'Mis pedidos',
+    'app.openCart': 'Abrir carrito',
+    'app.offline': 'Estás sin conexión. Ves las tiendas y los menús guardados en este dispositivo, y los pedidos que hagas se enviarán cuando vuelvas a tener conexión.',
+    'app.orderingPaused': 'Los pedidos están en pausa en este momento. Puedes seguir navegando y llenar tu carrito.',
+    'app.errorTitle': 'Error de la aplicación',
+    'app.currentUserId': 'ID de usuario actual: {userId}',
+    'app.signOutFailed': 'No se pudo cerrar la sesión: {message}',
+    'common.keepBrowsing': 'Seguir navegando',
+    'common.decreaseQuantity': 'Reducir cantidad',
+    'common.increaseQuantity': 'Aumentar cantidad',
+    'catalog.heading': 'Descubre restaurantes cerca de ti',
+    'catalog.subheading': 'Entrega más rápida y comida de gran calidad garantizada.',
+    'catalog.loading': 'Cargando opciones de entrega...',
+    'catalog.loadFailed': 'No se pudo cargar el catálogo de tiendas. {message}',
+    'catalog.deliveryEstimate': '{minutes} min · {distance}',
+    'catalog.setLocation': 'Indica tu ubicación',
+    'catalog.orderNow': 'Pedir ahora',
+    'catalog.viewMenu': 'Ver menú',
+    'catalog.noStoresNearby': 'Todavía no hay tiendas que entreguen en {location}',
+    'catalog.tryAnotherAddress': 'Prueba otra dirección o explora todas las tiendas.',
+    'catalog.showAllStores': 'Ver todas las tiendas',
+    'catalog.emptyTitle': 'No se encontraron tiendas',
+    'catalog.empty': 'El catálogo está vacío por ahora. El administrador tiene que añadir tiendas.',
+    'catalog.emptyOffline': 'Estás sin conexión y aún no hay tiendas guardadas en este dispositivo. Aparecerán cuando vuelvas a tener conexión.',
+    'catalog.appId': 'ID de la app actual: {appId}',
+    'catalog.noMatches': 'Ninguna tienda coincide con tu búsqueda',
+    'catalog.clearFilters': 'Borrar filtros',
+    'catalog.searchPlaceholder': 'Busca restaurantes y tiendas',
+    'catalog.searchLabel': 'Buscar tiendas',
+    'catalog.allCategories': 'Todas',
+    'catalog.sortLabel': 'Ordenar tiendas',
+    'sort.name': 'Nombre (A–Z)',
+    'sort.rating': 'Mejor valoradas',
+    'sort.distance': 'Más cercanas',
+    'sort.deliveryTime': 'Entrega más rápida',
+    'location.deliveringTo': 'Entrega en',
+    'location.change': 'Cambiar',
+    'location.placeholder': 'Dirección de entrega o código postal',
+    'location.addressLabel': 'Dirección de entrega',
+    'location.find': 'Buscar tiendas',
+    'location.useMine': 'Usar mi ubicación',
+    'location.current': 'Ubicación actual',
+    'location.notFound': 'No encontramos esa dirección. Prueba con el nombre de una ciudad o un código postal.',
+    'location.unsupported': 'Tu navegador no puede compartir tu ubicación. Escribe una dirección.',
+    'location.denied': 'El acceso a la ubicación se denegó o no está disponible. Escribe una dirección.',
+    'store.allStores': 'Todas las tiendas',
+    'store.setLocationForEstimate': 'Indica tu ubicación para calcular la entrega',
+    'store.openUntil': 'Abierto hasta las {time}',
+    'store.pausedNotice': 'Esta tienda ha pausado los pedidos nuevos. Puedes seguir viendo el menú y llenar tu carrito.',
+    'store.closedNotice': 'Esta tienda está cerrada ahora. Puedes seguir viendo el menú y llenar tu carrito, y pagar cuando abra.',
+    'store.replaceCartPrompt': 'Tu carrito tiene productos de {store}. ¿Empezar un carrito nuevo con {item}?',
+    'store.startNewCart': 'Empezar carrito nuevo',
+    'store.keepCart': 'Mantener el carrito actual',
+    'store.menuLoadFailed': 'No se pudo cargar el menú. {message}',
+    'store.loadingMenu': 'Cargando menú...',
+    'store.emptyMenuTitle': 'No hay nada en el menú ahora',
+    'store.emptyMenu': 'Vuelve a consultarlo más tarde.',
+    'store.otherCategory': 'Otros',
+    'store.fromPrice': 'desde {price}',
+    'store.add': 'Añadir',
+    'store.addMore': 'Añadir ({count})',
+    'store.reviews': 'Reseñas',
+    'store.reviewsLoadFailed': 'No se pudieron cargar las reseñas. {message}',
+    'store.loadingReviews': 'Cargando reseñas...',
+    'store.noReviews': 'Aún no hay reseñas. Los clientes pueden valorar la tienda después de un pedido entregado.',
+    'itemOptions.close': 'Cerrar opciones',
+    'itemOptions.addToCart': 'Añadir al carrito · {price}',
+    'cart.title': 'Tu carrito',
+    'cart.from': 'De {store}',
+    'cart.each': '{price} c/u',
+    'cart.removeItem': 'Quitar producto',
+    'cart.emptyTitle': 'Tu carrito está vacío',
+    'cart.emptyText': 'Abre una tienda y añade algo rico.',
+    'cart.promoPlaceholder': 'Código promocional',
+    'cart.applyPromo': 'Aplicar',
+    'cart.removePromo': 'Quitar código promocional',
+    'cart.promoCheckFailed': 'No pudimos comprobar este código promocional. Inténtalo de nuevo.',
+    'cart.subtotal': 'Subtotal',
+    'cart.discount': 'Descuento ({code})',
+    'cart.tax': 'Impuestos',
+    'cart.deliveryFee': 'Costo de envío',
+    'cart.total': 'Total',
+    'cart.deliverTo': 'Entregar en',
+    'cart.addAddress': 'Añadir una dirección',
+    'cart.manageAddresses': 'Administrar direcciones',
+    'cart.noAddresses': 'Aún no tienes direcciones guardadas.',
+    'cart.orderingPaused': 'Los pedidos están en pausa en este momento. Tu carrito está guardado; inténtalo de nuevo pronto.',
+    'cart.storePaused': '{store} ha pausado los pedidos nuevos. Tu carrito está guardado; inténtalo de nuevo pronto.',
+    'cart.storeClosed': '{store} está cerrada ahora ({state}). Tu carrito queda guardado hasta entonces.',
+    'cart.offline': 'Estás sin conexión. Aun así puedes hacer tu pedido; se enviará cuando vuelvas a tener conexión.',
+    'checkout.placeOrder': 'Hacer pedido · {total}',
+    'checkout.placing': 'Enviando pedido...',
+    'checkout.saving': 'Guardando pedido...',
+    'checkout.notCached': 'Algunos datos de este pedido aún no están guardados en este dispositivo. Inténtalo de nuevo cuando vuelvas a tener conexión.',
+    'checkout.savedTitle': 'Pedido guardado',
+    'checkout.savedText': 'Estás sin conexión, así que se enviará a la tienda en cuanto vuelvas a tener conexión.',
+    'checkout.placedTitle': '¡Pedido realizado!',
+    'queuedOrder.rejectedTitle': 'Tu pedido de {store} no se aceptó',
+    'queuedOrder.rejectedText': 'Se guardó mientras estabas sin conexión, pero el servidor lo rechazó al volver la conexión, así que la tienda nunca lo recibió.',
+    'queuedOrder.replacesCart': 'Al restaurarlo se sustituyen los productos que hay ahora en tu carrito.',
+    'queuedOrder.restore': 'Restaurar carrito',
+    'queuedOrder.dismiss': 'Descartar',
+    'checkout.placedText': 'La tienda ha recibido tu pedido.',
+    'checkout.orderId': 'ID del pedido: {orderId}',
+    'checkout.track': 'Seguir tu pedido',
+    'checkout.emptyCart': 'Tu carrito está vacío.',
+    'checkout.noAddress': 'Elige una dirección de entrega.',
+    'checkout.promoOffline': 'Los códigos promocionales solo se pueden usar con conexión. Quítalo para pedir ahora o inténtalo de nuevo cuando vuelvas a tener conexión.',
+    'checkout.paused': 'Los pedidos están en pausa en este momento. Inténtalo de nuevo pronto.',
+    'checkout.storeGone': '{store} ya no acepta pedidos.',
+    'checkout.storeClosed': '{store} está cerrada ahora. Tu carrito está guardado; inténtalo de nuevo cuando abra.',
+    'checkout.itemGone': '"{item}" ya no está disponible. Quítalo de tu carrito.',
+    'checkout.choicesChanged': 'Las opciones de "{item}" han cambiado. Quítalo y vuelve a añadirlo.',
+    'checkout.promoRejected': 'No se pudo aplicar el código promocional {code}. Puede que se acabe de agotar; quítalo e inténtalo de nuevo.',
+    'orders.loading': 'Cargando tus pedidos...',
+    'orders.emptyTitle': 'Aún no tienes pedidos',
+    'orders.emptyText': 'Los pedidos que hagas aparecerán aquí.',
+    'orders.meta': 'Pedido {orderId} · {date}',
+    'orders.pendingSync': 'Pendiente de enviar',
+    'orders.pendingSyncHint': 'Guardado en este dispositivo; se enviará cuando vuelvas a tener conexión.',
+    'orders.promoCode': 'Código promocional {code}',
+    'orders.cancel': 'Cancelar pedido',
+    'orders.cancelling': 'Cancelando...',
+    'orders.cancelFailed': 'No se pudo cancelar el pedido: {message}',
+    'orders.cancelRejected': 'La cancelación del pedido de {store} no se aceptó al volver a tener conexión, seguramente porque la tienda ya lo había aceptado.',
+    'orders.yourReview': 'Tu reseña:',
+    'orders.reviewHidden': '(ocultada por un moderador)',
+    'orders.rate': 'Valorar este pedido',
+    'reviewForm.prompt': '¿Qué tal {store}?',
+    'reviewForm.stars': '{rating} de {max} estrellas',
+    'reviewForm.starButton': { one: '{count} estrella', other: '{count} estrellas' },
+    'reviewForm.textPlaceholder': 'Cuéntales a otros clientes sobre tu pedido (opcional)',
+    'reviewForm.textLabel': 'Reseña',
+    'reviewForm.namePlaceholder': 'Nombre que se muestra con tu reseña (opcional)',
+    'reviewForm.nameLabel': 'Tu nombre',
+    'reviewForm.defaultAuthor': 'Cliente',
+    'reviewForm.post': 'Publicar reseña',
+    'reviewForm.notNow': 'Ahora no',
+    'account.section': 'Cuenta',
+    'account.signedInAs': 'Sesión iniciada como',
+    'account.signOut': 'Cerrar sesión',
+    'account.guestIntro': 'Estás pidiendo como invitado. Crea una cuenta para conservar tus pedidos y direcciones en cualquier dispositivo.',
+    'account.signInIntro': 'Inicia sesión en una cuenta existente. Los pedidos hechos en esta sesión de invitado se quedan en la sesión de invitado.',
+    'account.email': 'Correo electrónico',
+    'account.password': 'Contraseña',
+    'account.createAccount': 'Crear cuenta',
+    'account.signIn': 'Iniciar sesión',
+    'account.haveAccount': '¿Ya tienes una cuenta? Inicia sesión',
+    'account.newHere': '¿Eres nuevo? Crea una cuenta',
+    'account.emailInUse': 'Ya existe una cuenta con este correo. Inicia sesión.',
+    'account.weakPassword': 'Elige una contraseña de al menos 6 caracteres.',
+    'account.invalidEmail': 'Escribe un correo electrónico válido.',
+    'account.wrongCredentials': 'Correo o contraseña incorrectos.',
+    'addresses.title': 'Direcciones de entrega',
+    'addresses.loading': 'Cargando direcciones...',
+    'addresses.loadFailed': 'No se pudieron cargar tus direcciones guardadas. {message}',
+    'addresses.none': 'Aún no hay direcciones guardadas.',
+    'addresses.delete': 'Eliminar dirección',
+    'addresses.add': 'Añadir una dirección',
+    'addresses.label': 'Nombre',
+    'addresses.labelPlaceholder': 'Nombre (p. ej., Casa, Trabajo)',
+    'addresses.defaultLabel': 'Casa',
+    'addresses.line1': 'Calle y número',
+    'addresses.line2': 'Departamento, interior',
+    'addresses.line2Placeholder': 'Departamento, interior (opcional)',
+    'addresses.city': 'Ciudad',
+    'addresses.postalCode': 'Código postal',
+    'addresses.instructions': 'Instrucciones de entrega',
+    'addresses.instructionsPlaceholder': 'Instrucciones de entrega (opcional)',
+    'addresses.required': 'La calle, la ciudad y el código postal son obligatorios.',
+    'addresses.save': 'Guardar dirección',
+    'addresses.saveFailed': 'No se pudo guardar la dirección: {message}',
+    'addresses.deleteFailed': 'No se pudo eliminar la dirección: {message}',
+  },
+};
+
+export default MESSAGES;
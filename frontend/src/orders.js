@@ -0,0 +1,166 @@
+import { collection, doc, getDoc, writeBatch, increment, serverTimestamp } from 'firebase/firestore';
+import {
+  calculateLineTotal, calculateOrderTotals, normalizeAppConfig, getPricingSettings, getStoreOpenState, getPromotionError,
+  normalizePromoCode, isValidPromoCode, getSelectionError, getSelectedOptions, toSelections, calculateUnitPrice,
+  getOrderCollectionPath, getProductCollectionPath, getStoreCollectionPath,
+  getAppConfigDocPath, getPromotionDocPath, getRedemptionDocPath, getStoreCurrency,
+} from '@fresh-eats/shared';
+
+// ----------------------
+// ORDER PLACEMENT
+// ----------------------
+
+// Reads the promo code `code` and how often this customer has used it, as
+// { promotion, userRedemptionCount }. `promotion` is null for unknown codes.
+export const lookUpPromotion = async (db, appId, userId, code) => {
+  const promoCode = normalizePromoCode(code);
+  if (!isValidPromoCode(promoCode)) return { promotion: null, userRedemptionCount: 0 };
+  const [promotionSnapshot, redemptionSnapshot] = await Promise.all([
+    getDoc(doc(db, getPromotionDocPath(appId, promoCode))),
+    getDoc(doc(db, getRedemptionDocPath(appId, userId, promoCode))),
+  ]);
+  return {
+    promotion: promotionSnapshot.exists() ? { id: promotionSnapshot.id, ...promotionSnapshot.data() } : null,
+    userRedemptionCount: redemptionSnapshot.exists() ? redemptionSnapshot.data().count : 0,
+  };
+};
+
+// Writes an order for the current cart and returns the new order id.
+// Each product is re-read so the order records the price at purchase time,
+// not whatever was on screen when the item went into the cart, and the line's options
+// are looked up again in the product's current option groups. The app config is
+// re-read for the same reason (tax, the store currency's delivery fee, ordering paused), and the store to check
+// it is open right now in its own timezone and to record its currency. The delivery
+// address is copied too, so later edits to saved addresses don't rewrite history.
+// A `promoCode` is re-checked against the fresh subtotal, and its use is counted on the
+// promotion and for the customer in the same batch as the order (see firestore.rules).
+// Returns { orderId, isQueued }: with `isOnline` false, the reads come from the local cache
+// and the order is queued there until the connection returns (see below).
+// Errors are thrown with messages from `t`, the storefront translator (useI18n).
+export const placeOrder = async (db, appId, userId, cart, { deliveryAddress, promoCode = null, isOnline = true, t }) => {
+  if (!cart.storeId || cart.items.length === 0) {
+    throw new Error(t('checkout.emptyCart'));
+  }
+  if (!deliveryAddress) {
+    throw new Error(t('checkout.noAddress'));
+  }
+  // Usage limits can only be checked against the server's counts.
+  if (promoCode && !isOnline) {
+    throw new Error(t('checkout.promoOffline'));
+  }
+
+  const configSnapshot = await getDoc(doc(db, getAppConfigDocPath(appId)));
+  const config = normalizeAppConfig(configSnapshot.exists() ? configSnapshot.data() : null);
+  if (config.orderingPaused) {
+    throw new Error(config.pausedMessage || t('checkout.paused'));
+  }
+
+  const storeSnapshot = await getDoc(doc(db, getStoreCollectionPath(appId), cart.storeId));
+  const store = storeSnapshot.exists() ? storeSnapshot.data() : null;
+  if (!store || store.archived) {
+    throw new Error(t('checkout.storeGone', { store: cart.storeName }));
+  }
+  if (!getStoreOpenState(store).isOpen) {
+    throw new Error(t('checkout.storeClosed', { store: cart.storeName }));
+  }
+  const currency = getStoreCurrency(store, config);
+
+  const items = await Promise.all(cart.items.map(async (cartItem) => {
+    const snapshot = await getDoc(doc(db, getProductCollectionPath(appId), cartItem.productId));
+    const product = snapshot.exists() ? snapshot.data() : null;
+    if (!product || product.storeId !== cart.storeId || !product.available) {
+      throw new Error(t('checkout.itemGone', { item: cartItem.name }));
+    }
+    const selections = toSelections(cartItem.options);
+    if (getSelectionError(product, selections)) {
+      throw new Error(t('checkout.choicesChanged', { item: cartItem.name }));
+    }
+    const options = getSelectedOptions(product, selections);
+    const unitPrice = calculateUnitPrice(product.price, options);
+    return {
+      productId: cartItem.productId,
+      name: product.name,
+      category: product.category,
+      basePrice: product.price,
+      options,
+      unitPrice,
+      quantity: cartItem.quantity,
+      lineTotal: calculateLineTotal({ price: unitPrice, quantity: cartItem.quantity }),
+    };
+  }));
+
+  const lines = items.map(item => ({ price: item.unitPrice, quantity: item.quantity }));
+  const pricing = getPricingSettings(config, currency);
+  let promotion = null;
+  if (promoCode) {
+    const { subtotal } = calculateOrderTotals(lines, pricing);
+    const lookup = await lookUpPromotion(db, appId, userId, promoCode);
+    const promotionError = getPromotionError(lookup.promotion, {
+      storeId: cart.storeId,
+      subtotal,
+      userRedemptionCount: lookup.userRedemptionCount,
+      currency,
+      t,
+    });
+    if (promotionError) {
+      throw new Error(promotionError);
+    }
+    promotion = lookup.promotion;
+  }
+  const totals = calculateOrderTotals(lines, { ...pricing, promotion });
+
+  const orderRef = doc(collection(db, getOrderCollectionPath(appId, userId)));
+  const batch = writeBatch(db);
+  batch.set(orderRef, {
+    // appId and userId let the admin order queue find this order with a collection group query.
+    appId,
+    userId,
+    storeId: cart.storeId,
+    storeName: cart.storeName,
+    items,
+    ...totals,
+    promoCode: promotion ? promotion.id : null,
+    currency,
+    deliveryAddress: {
+      label: deliveryAddress.label || '',
+      line1: deliveryAddress.line1,
+      line2: deliveryAddress.line2 || '',
+      city: deliveryAddress.city,
+      postalCode: deliveryAddress.postalCode,
+      instructions: deliveryAddress.instructions || '',
+    },
+    status: 'placed',
+    // One timestamp per status reached, used for the customer's order timeline.
+    statusHistory: { placed: serverTimestamp() },
+    createdAt: serverTimestamp(),
+  });
+  if (promotion) {
+    batch.update(doc(db, getPromotionDocPath(appId, promotion.id)), { redemptionCount: increment(1) });
+    batch.set(doc(db, getRedemptionDocPath(appId, userId, promotion.id)), {
+      count: increment(1),
+      lastOrderId: orderRef.id,
+      updatedAt: serverTimestamp(),
+    }, { merge: true });
+  }
+
+  const commit = batch.commit().catch((e) => {
+    // The rules reject the batch when another order used the last redemption first.
+    if (promotion && e.code === 'permission-denied') {
+      throw new Error(t('checkout.promoRejected', { code: promotion.id }));
+    }
+    throw e;
+  });
+
+  // Offline, the batch is applied to the local cache at once, but commit() only settles once
+  // the server has it. The persistent cache keeps the write (across reloads too) and
+  // Firestore sends it when the connection returns, so the order is reported as queued and
+  // My Orders marks it as pending sync until then. The rules can still reject it; the
+  // caller hands queued orders to useQueuedOrders (queuedOrders.js), which notices that
+  // even after a reload and lets the customer restore the cart.
+  if (!isOnline) {
+    commit.catch(e => console.error("Queued order was rejected:", e));
+    return { orderId: orderRef.id, isQueued: true };
+  }
+  await commit;
+  return { orderId: orderRef.id, isQueued: false };
+};
@@ -0,0 +1,81 @@
+import { useState, useEffect, useCallback } from 'react';
+import { doc, getDoc, waitForPendingWrites } from 'firebase/firestore';
+import { getOrderCollectionPath } from '@fresh-eats/shared';
+
+// ----------------------
+// ORDERS QUEUED OFFLINE
+// ----------------------
+// An order placed offline lives only in Firestore's local cache until the connection
+// returns, and the rules can still reject it then (say the promo code reached its limit in
+// the meantime). Firestore rolls the order back without telling anyone, and the cart has
+// already been emptied. So each queued order is kept here with the cart it came
+// from, persisted to localStorage like the cart, because the queued write survives reloads
+// too. Once the write has settled, an order the server has is dropped; one it doesn't have
+// was rejected, and is kept so the customer can be told and get the cart back:
+//   { orderId, userId, cart, rejected }
+
+const getStorageKey = (appId) => `fresh-eats-queued-orders-${appId}`;
+
+const loadQueuedOrders = (appId) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(getStorageKey(appId)));
+    if (Array.isArray(saved)) return saved;
+  } catch (e) {
+    console.warn("Ignoring unreadable queued orders:", e);
+  }
+  return [];
+};
+
+const useQueuedOrders = (db, appId, userId, isOnline) => {
+  const [queuedOrders, setQueuedOrders] = useState(() => loadQueuedOrders(appId));
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(getStorageKey(appId), JSON.stringify(queuedOrders));
+    } catch (e) {
+      console.warn("Could not persist queued orders:", e);
+    }
+  }, [appId, queuedOrders]);
+
+  // Called by checkout for an order placeOrder reported as queued, with the cart it emptied.
+  const trackOrder = useCallback((orderId, cart) => {
+    setQueuedOrders(prev => [...prev, { orderId, userId, cart, rejected: false }]);
+  }, [userId]);
+
+  const dismissOrder = useCallback((orderId) => {
+    setQueuedOrders(prev => prev.filter(order => order.orderId !== orderId));
+  }, []);
+
+  // Only the signed-in customer's orders can be read back.
+  const mine = queuedOrders.filter(order => order.userId === userId);
+  const pendingIds = mine.filter(order => !order.rejected).map(order => order.orderId).join(',');
+
+  useEffect(() => {
+    if (!db || !userId || !isOnline || !pendingIds) return;
+    let isCurrent = true;
+    // Settles once the server has taken or refused every write queued so far, including
+    // those from before a reload. A refused order is gone from the cache by then.
+    waitForPendingWrites(db)
+      .then(() => Promise.all(pendingIds.split(',').map(async (orderId) => {
+        const snapshot = await getDoc(doc(db, getOrderCollectionPath(appId, userId), orderId));
+        return [orderId, snapshot.exists()];
+      })))
+      .then((results) => {
+        if (!isCurrent) return;
+        const synced = new Map(results);
+        setQueuedOrders(prev => prev.flatMap((order) => {
+          if (order.userId !== userId || !synced.has(order.orderId)) return [order];
+          return synced.get(order.orderId) ? [] : [{ ...order, rejected: true }];
+        }));
+      })
+      .catch((e) => {
+        // Offline again or unreadable for now; checked again on the next change.
+        console.warn("Could not check queued orders:", e);
+      });
+    return () => { isCurrent = false; };
+  }, [db, appId, userId, isOnline, pendingIds]);
+
+  return { rejectedOrders: mine.filter(order => order.rejected), trackOrder, dismissOrder };
+};
+
+export default useQueuedOrders;
@@ -0,0 +1,60 @@
+import { useMemo } from 'react';
+import { doc, where, writeBatch, increment, serverTimestamp } from 'firebase/firestore';
+import {
+  useCollection, validateReview, getReviewId, getReviewCollectionPath, getStoreCollectionPath,
+} from '@fresh-eats/shared';
+
+// ----------------------
+// STORE REVIEWS
+// ----------------------
+
+const byNewestFirst = (a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0);
+
+// 'estimate' fills in the pending createdAt, so a fresh review shows up immediately.
+const ESTIMATE_TIMESTAMPS = { serverTimestamps: 'estimate' };
+
+// Posts the review for a delivered `order` and adds it to the store's rating aggregate in
+// the same batch; firestore.rules rejects either half on its own. `t` is the storefront
+// translator, for the default author name and validation messages.
+export const postReview = async (db, appId, userId, order, { rating, text, authorName }, t) => {
+  const review = { rating, text: text.trim(), authorName: authorName.trim() || t('reviewForm.defaultAuthor') };
+  const validationError = validateReview(review, t);
+  if (validationError) {
+    throw new Error(validationError);
+  }
+  const reviewId = getReviewId(userId, order.id);
+  const batch = writeBatch(db);
+  batch.set(doc(db, getReviewCollectionPath(appId), reviewId), {
+    ...review,
+    storeId: order.storeId,
+    orderId: order.id,
+    userId,
+    hidden: false,
+    createdAt: serverTimestamp(),
+  });
+  batch.update(doc(db, getStoreCollectionPath(appId), order.storeId), {
+    ratingTotal: increment(rating),
+    reviewCount: increment(1),
+    lastReviewId: reviewId,
+  });
+  await batch.commit();
+};
+
+// The customer's own reviews, by order id, so My Orders knows which orders are reviewed.
+export const useMyReviews = (appId, userId) => {
+  const constraints = useMemo(() => [where('userId', '==', userId)], [userId]);
+  const { docs, isLoading } = useCollection(userId ? getReviewCollectionPath(appId) : null, {
+    constraints,
+    snapshotOptions: ESTIMATE_TIMESTAMPS,
+  });
+  const reviewsByOrder = useMemo(() => new Map(docs.map(review => [review.orderId, review])), [docs]);
+  return { reviewsByOrder, isLoading };
+};
+
+// Visible reviews of a store, newest first. Sorted in memory, so no composite index is needed.
+export const useStoreReviews = (appId, storeId) => {
+  const constraints = useMemo(() => [where('storeId', '==', storeId), where('hidden', '==', false)], [storeId]);
+  const { docs, isLoading, error } = useCollection(getReviewCollectionPath(appId), { constraints });
+  const reviews = useMemo(() => [...docs].sort(byNewestFirst), [docs]);
+  return { reviews, isLoading, error };
+};
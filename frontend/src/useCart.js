@@ -0,0 +1,98 @@
+import { useState, useEffect, useCallback } from 'react';
+import { calculateUnitPrice, getCartLineId } from '@fresh-eats/shared';
+
+// ----------------------
+// SHOPPING CART STATE
+// ----------------------
+// A cart holds items from a single store and is persisted to localStorage,
+// so it survives page reloads. Prices kept here are only for display; the
+// checkout re-reads them from Firestore before writing the order.
+// Each line is one product with one choice of options (see shared/productOptions.js):
+//   { lineId, productId, name, category, options, price, quantity }
+// where `price` is the unit price including the options.
+
+const EMPTY_CART = { storeId: null, storeName: '', items: [] };
+
+const getStorageKey = (appId) => `fresh-eats-cart-${appId}`;
+
+const loadCart = (appId) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(getStorageKey(appId)));
+    if (saved && Array.isArray(saved.items)) {
+      // Carts saved before options existed have one line per product.
+      return { ...saved, items: saved.items.map(item => ({ lineId: item.productId, options: [], ...item })) };
+    }
+  } catch (e) {
+    console.warn("Ignoring unreadable saved cart:", e);
+  }
+  return EMPTY_CART;
+};
+
+const useCart = (appId) => {
+  const [cart, setCart] = useState(() => loadCart(appId));
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(getStorageKey(appId), JSON.stringify(cart));
+    } catch (e) {
+      // Private browsing or a full quota; the cart still works for this session.
+      console.warn("Could not persist cart:", e);
+    }
+  }, [appId, cart]);
+
+  // True when adding from `storeId` would mix stores in one cart.
+  const isFromOtherStore = useCallback(
+    (storeId) => cart.items.length > 0 && cart.storeId !== storeId,
+    [cart]
+  );
+
+  // Adds `quantity` units of `product` with the selected `options`. Callers must confirm
+  // with the user before passing { replace: true }, which discards a cart from another store.
+  const addItem = useCallback((store, product, { options = [], quantity = 1, replace = false } = {}) => {
+    setCart(prev => {
+      const base = prev.items.length > 0 && prev.storeId !== store.id
+        ? (replace ? EMPTY_CART : null)
+        : prev;
+      if (!base) return prev;
+
+      const lineId = getCartLineId(product.id, options);
+      const existing = base.items.find(item => item.lineId === lineId);
+      const items = existing
+        ? base.items.map(item => item.lineId === lineId ? { ...item, quantity: item.quantity + quantity } : item)
+        : [...base.items, {
+            lineId,
+            productId: product.id,
+            name: product.name,
+            category: product.category,
+            options,
+            price: calculateUnitPrice(product.price, options),
+            quantity,
+          }];
+      return { storeId: store.id, storeName: store.name, items };
+    });
+  }, []);
+
+  // Sets the quantity of a line; zero or less removes it.
+  const updateQuantity = useCallback((lineId, quantity) => {
+    setCart(prev => {
+      const items = quantity > 0
+        ? prev.items.map(item => item.lineId === lineId ? { ...item, quantity } : item)
+        : prev.items.filter(item => item.lineId !== lineId);
+      return items.length > 0 ? { ...prev, items } : EMPTY_CART;
+    });
+  }, []);
+
+  const removeItem = useCallback((lineId) => updateQuantity(lineId, 0), [updateQuantity]);
+
+  const clearCart = useCallback(() => setCart(EMPTY_CART), []);
+
+  // Puts back a cart saved earlier, e.g. of an order the server rejected (see queuedOrders.js).
+  // It replaces the current cart, so callers must tell the user first when that isn't empty.
+  const restoreCart = useCallback((savedCart) => setCart(savedCart), []);
+
+  const itemCount = cart.items.reduce((count, item) => count + item.quantity, 0);
+
+  return { cart, itemCount, isFromOtherStore, addItem, updateQuantity, removeItem, clearCart, restoreCart };
+};
+
+export default useCart;
@@ -0,0 +1,122 @@
+import { roundCurrency } from './pricing.js';
+import { isFailedStatus } from './orderStatus.js';
+import { getLocalTime, isValidDate } from './storeHours.js';
+
+// ----------------------
+// SALES ANALYTICS
+// ----------------------
+// Pure aggregations over order documents for the admin Analytics tab. They take orders
+// as read from Firestore (createdAt as a Timestamp) or as plain objects with Dates, so
+// they also run in Node against the emulator seed data.
+// Days are calendar days in `timeZone`. Revenue is what customers paid (order totals,
+// after discounts, with tax and delivery fees) for orders that were not cancelled or
+// rejected; category and item figures use line totals before order-level discounts.
+
+const toDate = (timestamp) => (typeof timestamp?.toDate === 'function' ? timestamp.toDate() : new Date(timestamp));
+
+// 'YYYY-MM-DD' the order was placed on in `timeZone`, or null while it has no timestamp.
+export const getOrderDay = (order, timeZone) => (order.createdAt ? getLocalTime(toDate(order.createdAt), timeZone).date : null);
+
+// Every 'YYYY-MM-DD' from `from` to `to`, both included.
+export const getDaysInRange = (from, to) => {
+  if (!isValidDate(from) || !isValidDate(to) || from > to) return [];
+  const days = [];
+  for (let day = new Date(`${from}T00:00:00Z`); day.toISOString().slice(0, 10) <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+    days.push(day.toISOString().slice(0, 10));
+  }
+  return days;
+};
+
+// Orders placed from `from` to `to` (inclusive days in `timeZone`).
+export const filterOrdersByDay = (orders, { from, to, timeZone }) => orders.filter((order) => {
+  const day = getOrderDay(order, timeZone);
+  return day !== null && day >= from && day <= to;
+});
+
+const isCounted = (order) => !isFailedStatus(order.status);
+
+const sumTotals = (orders) => roundCurrency(orders.reduce((sum, order) => sum + (order.total || 0), 0));
+
+// { orderCount, failedCount, cancellationRate, revenue, averageOrderValue }.
+// The cancellation rate counts cancelled and rejected orders, as a fraction of all orders.
+export const summarizeOrders = (orders) => {
+  const counted = orders.filter(isCounted);
+  const revenue = sumTotals(counted);
+  return {
+    orderCount: orders.length,
+    failedCount: orders.length - counted.length,
+    cancellationRate: orders.length ? (orders.length - counted.length) / orders.length : 0,
+    revenue,
+    averageOrderValue: counted.length ? roundCurrency(revenue / counted.length) : 0,
+  };
+};
+
+// [{ date, orderCount, revenue }] for every day of the range, including days without orders.
+export const getSalesByDay = (orders, { from, to, timeZone }) => {
+  const byDay = new Map(getDaysInRange(from, to).map(date => [date, []]));
+  orders.filter(isCounted).forEach((order) => byDay.get(getOrderDay(order, timeZone))?.push(order));
+  return [...byDay].map(([date, dayOrders]) => ({ date, orderCount: dayOrders.length, revenue: sumTotals(dayOrders) }));
+};
+
+// [{ storeId, storeName, orderCount, revenue }], highest revenue first.
+export const getSalesByStore = (orders) => {
+  const byStore = new Map();
+  orders.filter(isCounted).forEach((order) => {
+    const entry = byStore.get(order.storeId) || { storeId: order.storeId, storeName: order.storeName || order.storeId, orderCount: 0, revenue: 0 };
+    entry.orderCount += 1;
+    entry.revenue = roundCurrency(entry.revenue + (order.total || 0));
+    byStore.set(order.storeId, entry);
+  });
+  return [...byStore.values()].sort((a, b) => b.revenue - a.revenue);
+};
+
+const linesOf = (orders) => orders.filter(isCounted).flatMap(order => order.items || []);
+
+// [{ category, quantity, revenue }] from the order lines, highest revenue first.
+export const getSalesByCategory = (orders) => {
+  const byCategory = new Map();
+  linesOf(orders).forEach((line) => {
+    const category = line.category || 'Other';
+    const entry = byCategory.get(category) || { category, quantity: 0, revenue: 0 };
+    entry.quantity += line.quantity;
+    entry.revenue = roundCurrency(entry.revenue + line.lineTotal);
+    byCategory.set(category, entry);
+  });
+  return [...byCategory.values()].sort((a, b) => b.revenue - a.revenue);
+};
+
+// [{ productId, name, quantity, revenue }] for the `limit` best-selling products by units
+// sold, whatever their options. Ties go to the higher revenue.
+export const getTopItems = (orders, limit = 10) => {
+  const byProduct = new Map();
+  linesOf(orders).forEach((line) => {
+    const entry = byProduct.get(line.productId) || { productId: line.productId, name: line.name, quantity: 0, revenue: 0 };
+    entry.quantity += line.quantity;
+    entry.revenue = roundCurrency(entry.revenue + line.lineTotal);
+    byProduct.set(line.productId, entry);
+  });
+  return [...byProduct.values()].sort((a, b) => b.quantity - a.quantity || b.revenue - a.revenue).slice(0, limit);
+};
+
+// The currencies of `orders`, sorted. Orders recorded without one count as `fallback`
+// (the app currency). Amounts in different currencies are never added up together, so
+// the dashboard reports one currency at a time.
+export const getOrderCurrencies = (orders, fallback) =>
+  [...new Set(orders.map(order => order.currency || fallback))].sort();
+
+export const filterOrdersByCurrency = (orders, currency, fallback) =>
+  orders.filter(order => (order.currency || fallback) === currency);
+
+// Everything the dashboard shows for the orders placed in the range.
+export const buildSalesReport = (orders, { from, to, timeZone, topItemsLimit = 10 }) => {
+  const inRange = filterOrdersByDay(orders, { from, to, timeZone });
+  return {
+    from,
+    to,
+    summary: summarizeOrders(inRange),
+    byDay: getSalesByDay(inRange, { from, to, timeZone }),
+    byStore: getSalesByStore(inRange),
+    byCategory: getSalesByCategory(inRange),
+    topItems: getTopItems(inRange, topItemsLimit),
+  };
+};
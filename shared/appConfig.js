@@ -0,0 +1,84 @@
+import { TAX_RATE, DELIVERY_FEE } from './pricing.js';
+import { translateShared } from './i18n.js';
+
+// ----------------------
+// RUNTIME APP CONFIGURATION
+// ----------------------
+// Settings admins edit in the Settings tab and both apps subscribe to live, stored in
+// the public config document (getAppConfigDocPath). Anything missing or malformed in
+// the document falls back to these defaults, so the apps work before it is first saved.
+// Kept free of React so Node scripts can import it; the useAppConfig hook lives in firebase.js.
+
+export const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'MXN'];
+
+export const DEFAULT_APP_CONFIG = {
+  productCategories: ['Main Dish', 'Appetizer', 'Dessert', 'Drink'],
+  storeCategories: ['Food', 'Grocery'],
+  // The default for new stores, and for stores saved before stores had their own currency.
+  currency: 'USD',
+  // Per currency, so each store charges the fee set for its own currency.
+  deliveryFees: Object.fromEntries(SUPPORTED_CURRENCIES.map(code => [code, DELIVERY_FEE])),
+  taxRate: TAX_RATE,
+  // Stops checkout in the client for every store, e.g. during an outage.
+  orderingPaused: false,
+  pausedMessage: '',
+};
+
+const isCategoryList = (value) => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.trim());
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Documents saved before fees were per currency have a single `deliveryFee`, which was
+// charged in the default currency.
+const normalizeDeliveryFees = (config) => Object.fromEntries(SUPPORTED_CURRENCIES.map((code) => {
+  const fee = config.deliveryFees?.[code];
+  if (isAmount(fee)) return [code, fee];
+  if (code === config.currency && isAmount(config.deliveryFee)) return [code, config.deliveryFee];
+  return [code, DEFAULT_APP_CONFIG.deliveryFees[code]];
+}));
+
+// Merges a config document over the defaults, field by field.
+export const normalizeAppConfig = (data) => {
+  const config = data || {};
+  return {
+    productCategories: isCategoryList(config.productCategories) ? config.productCategories : DEFAULT_APP_CONFIG.productCategories,
+    storeCategories: isCategoryList(config.storeCategories) ? config.storeCategories : DEFAULT_APP_CONFIG.storeCategories,
+    currency: SUPPORTED_CURRENCIES.includes(config.currency) ? config.currency : DEFAULT_APP_CONFIG.currency,
+    deliveryFees: normalizeDeliveryFees(config),
+    taxRate: isAmount(config.taxRate) && config.taxRate < 1 ? config.taxRate : DEFAULT_APP_CONFIG.taxRate,
+    orderingPaused: config.orderingPaused === true,
+    pausedMessage: typeof config.pausedMessage === 'string' ? config.pausedMessage : DEFAULT_APP_CONFIG.pausedMessage,
+  };
+};
+
+// The currency a store's menu, carts and orders are priced in: its own `currency`, or
+// the app config's for stores saved without one.
+export const getStoreCurrency = (store, config = DEFAULT_APP_CONFIG) =>
+  SUPPORTED_CURRENCIES.includes(store?.currency) ? store.currency : config.currency;
+
+// The { taxRate, deliveryFee } calculateOrderTotals takes for an order in `currency`.
+export const getPricingSettings = (config, currency) => ({
+  taxRate: config.taxRate,
+  deliveryFee: config.deliveryFees[currency],
+});
+
+// Returns a user-facing error message, or null when the settings can be saved. `t` picks
+// the language (see i18n.js).
+export const validateAppConfig = (config, t = translateShared) => {
+  if (!isCategoryList(config.productCategories) || !isCategoryList(config.storeCategories)) {
+    return t('config.categoriesRequired');
+  }
+  const duplicates = (list) => new Set(list.map(item => item.toLowerCase())).size !== list.length;
+  if (duplicates(config.productCategories) || duplicates(config.storeCategories)) {
+    return t('config.categoriesUnique');
+  }
+  if (!SUPPORTED_CURRENCIES.includes(config.currency)) {
+    return t('config.currency', { currencies: SUPPORTED_CURRENCIES.join(', ') });
+  }
+  if (!SUPPORTED_CURRENCIES.every(code => isAmount(config.deliveryFees?.[code]))) {
+    return t('config.deliveryFees');
+  }
+  if (!isAmount(config.taxRate) || config.taxRate >= 1) {
+    return t('config.taxRate');
+  }
+  return null;
+};
@@ -0,0 +1,70 @@
+// ----------------------
+// ADMIN AUDIT LOG
+// ----------------------
+// Every admin write to products, stores, the app config and order status adds an entry
+// to the audit log in the same batch (see getAuditLogCollectionPath). Entries are
+// append-only, which firestore.rules enforces:
+//   { actorId, actorEmail, action, entity, targetPath, changes, createdAt }
+// `changes` maps each changed top-level field to { before, after }, null meaning unset.
+
+export const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+
+// Entity types and their English names (the admin console translates them). Must match firestore.rules.
+export const AUDIT_ENTITIES = {
+  product: 'Menu item',
+  store: 'Store',
+  config: 'Settings',
+  order: 'Order',
+};
+
+// Bookkeeping fields that change on every write and say nothing new, and the document
+// id useCollection adds to listed documents.
+const IGNORED_FIELDS = ['id', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Deep equality for document values; Timestamps (and Dates) compare by time.
+export const isSameValue = (a, b) => {
+  if (a === b) return true;
+  if (a == null || b == null) return a == null && b == null;
+  if (typeof a.toMillis === 'function' && typeof b.toMillis === 'function') return a.toMillis() === b.toMillis();
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => isSameValue(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => isSameValue(a[key], b[key]));
+  }
+  return false;
+};
+
+// { field: { before, after } } for the top-level fields that differ. An update only
+// compares the fields it writes (`after`); a create (`before` null) or delete (`after` null)
+// lists every field. `after` must hold plain values, not serverTimestamp() and the like.
+export const diffFields = (before, after) => {
+  const fields = Object.keys(after || before || {}).filter(field => !IGNORED_FIELDS.includes(field));
+  const changes = {};
+  fields.forEach((field) => {
+    const previous = before?.[field] ?? null;
+    const next = after?.[field] ?? null;
+    if (!isSameValue(previous, next)) changes[field] = { before: previous, after: next };
+  });
+  return changes;
+};
+
+// The entry to save for a change, without its createdAt (a server timestamp). `actor` is
+// the signed-in admin as { uid, email }; `targetPath` the changed document's path.
+export const toAuditEntry = ({ actor, action, entity, targetPath, before = null, after = null }) => {
+  if (!AUDIT_ACTIONS.includes(action) || !AUDIT_ENTITIES[entity]) {
+    throw new Error(`Unknown audit action or entity: ${action} ${entity}`);
+  }
+  return {
+    actorId: actor.uid,
+    actorEmail: actor.email || null,
+    action,
+    entity,
+    targetPath,
+    changes: diffFields(before, after),
+  };
+};
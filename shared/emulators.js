@@ -0,0 +1,39 @@
+import { connectAuthEmulator } from 'firebase/auth';
+import { connectFirestoreEmulator } from 'firebase/firestore';
+import { connectStorageEmulator } from 'firebase/storage';
+
+// ----------------------
+// LOCAL FIREBASE EMULATORS
+// ----------------------
+// Used by both apps when REACT_APP_USE_FIREBASE_EMULATORS=true. Ports must match
+// the "emulators" block of firebase/firebase.json.
+
+// A "demo-" project id keeps the emulators fully offline: they never try to reach a real project.
+export const DEMO_PROJECT_ID = 'demo-fresh-eats';
+
+// The appId both apps and firebase/scripts/seed.js use by default in local development.
+export const DEV_APP_ID = 'fresh-eats-dev';
+
+export const EMULATOR_PORTS = { auth: 9099, firestore: 8080, storage: 9199 };
+
+export const EMULATOR_FIREBASE_CONFIG = {
+  apiKey: 'demo-api-key',
+  authDomain: `${DEMO_PROJECT_ID}.firebaseapp.com`,
+  projectId: DEMO_PROJECT_ID,
+  storageBucket: `${DEMO_PROJECT_ID}.appspot.com`,
+  messagingSenderId: 'demo-sender-id',
+  appId: 'demo-app-id',
+};
+
+const connectedInstances = new WeakSet();
+
+// Points Auth, Firestore and Storage at the local emulators. Safe to call more than
+// once (React StrictMode runs effects twice in development), since connecting the
+// same Firestore instance twice throws.
+export const connectToEmulators = ({ auth, db, storage }, host = '127.0.0.1') => {
+  if (connectedInstances.has(db)) return;
+  connectAuthEmulator(auth, `http://${host}:${EMULATOR_PORTS.auth}`, { disableWarnings: true });
+  connectFirestoreEmulator(db, host, EMULATOR_PORTS.firestore);
+  connectStorageEmulator(storage, host, EMULATOR_PORTS.storage);
+  connectedInstances.add(db);
+};
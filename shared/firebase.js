@@ -0,0 +1,311 @@
+/* global __app_id, __firebase_config, __initial_auth_token */
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { initializeApp, getApps, getApp } from 'firebase/app';
+import { getAuth, onAuthStateChanged, signInAnonymously, signInWithCustomToken } from 'firebase/auth';
+import {
+  getFirestore, initializeFirestore, persistentLocalCache, persistentMultipleTabManager, collection, doc, query, onSnapshot,
+} from 'firebase/firestore';
+import { getStorage } from 'firebase/storage';
+import { connectToEmulators } from './emulators.js';
+import { getAppConfigDocPath } from './paths.js';
+import { normalizeAppConfig } from './appConfig.js';
+
+// ----------------------
+// SHARED FIREBASE BOOTSTRAP
+// ----------------------
+// One provider for both apps: reads the injected environment, initializes Firebase,
+// runs the sign-in flow and exposes everything through hooks. This file is plain JS
+// (no JSX) because the apps compile it as a dependency.
+
+// --- Error states ---
+// Everything the provider and hooks report has the same shape, { kind, code, message },
+// where kind is 'config', 'init', 'auth' or 'data'.
+
+export const describeFirebaseError = (e) => {
+  switch (e?.code) {
+    case 'permission-denied':
+      return "You don't have access to this data. Check the Firestore rules and your role.";
+    case 'unavailable':
+    case 'auth/network-request-failed':
+      return "Firebase can't be reached right now. Check your connection and try again.";
+    case 'unauthenticated':
+      return "Your session has expired. Please sign in again.";
+    default:
+      return e?.message || String(e);
+  }
+};
+
+export const toFirebaseError = (kind, e) => ({ kind, code: e?.code || kind, message: describeFirebaseError(e) });
+
+// --- Environment ---
+
+// Reads the values a hosting page may inject (__app_id, __firebase_config, __initial_auth_token).
+// `localConfig` is used when no config is injected (or it is not valid JSON); without one,
+// the missing config is reported as a 'config' error instead of throwing.
+export const readFirebaseEnvironment = ({ defaultAppId, localConfig = null }) => {
+  const appId = typeof __app_id !== 'undefined' && __app_id ? __app_id : defaultAppId;
+  const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+
+  let firebaseConfig = localConfig;
+  if (typeof __firebase_config !== 'undefined' && __firebase_config) {
+    try {
+      firebaseConfig = JSON.parse(__firebase_config);
+    } catch (e) {
+      console.warn("Ignoring an injected Firebase config that is not valid JSON:", e);
+    }
+  }
+
+  const configError = firebaseConfig && firebaseConfig.projectId
+    ? null
+    : toFirebaseError('config', { message: "Firebase configuration is missing or invalid." });
+
+  return { appId, firebaseConfig, initialAuthToken, configError };
+};
+
+// Only the fields the apps use, copied so a linked account produces a new object.
+const toAuthUser = (user) => user && { uid: user.uid, email: user.email, isAnonymous: user.isAnonymous };
+
+// --- Provider ---
+
+const cachedApps = new WeakSet();
+
+// Firestore with its persistent (IndexedDB) cache, shared by every open tab: the last-seen
+// documents load without waiting for the network, and writes made offline are kept until
+// they can be sent. initializeFirestore may only run once per app, so the StrictMode
+// rerun gets the same instance from getFirestore. Where IndexedDB is unavailable (some
+// private windows), the SDK falls back to a memory cache by itself.
+const openFirestore = (app, persistentCache) => {
+  if (!persistentCache || cachedApps.has(app)) return getFirestore(app);
+  cachedApps.add(app);
+  return initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+};
+
+const FirebaseContext = createContext(null);
+
+// Props:
+//   environment      result of readFirebaseEnvironment()
+//   useEmulators     connect to the local Auth/Firestore/Storage emulators
+//   emulatorHost     emulator host (defaults to 127.0.0.1)
+//   anonymousSignIn  sign in anonymously whenever nobody is signed in (storefront guests)
+//   readOnlyPreview  the config is a placeholder that cannot authenticate: skip sign-in
+//                    and use a random local uid so the UI can still render
+//   persistentCache  keep Firestore data and pending writes in IndexedDB (default true)
+export const FirebaseProvider = ({ environment, useEmulators = false, emulatorHost, anonymousSignIn = false, readOnlyPreview = false, persistentCache = true, children }) => {
+  const [services, setServices] = useState({ app: null, auth: null, db: null, storage: null });
+  const [user, setUser] = useState(null);
+  const [authReady, setAuthReady] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const { firebaseConfig, initialAuthToken, configError } = environment;
+    if (configError) {
+      setError(configError);
+      setAuthReady(true);
+      return;
+    }
+
+    let unsubscribeAuth = () => {};
+    try {
+      // Reuse the app when the effect runs twice (React StrictMode in development).
+      const app = getApps().length ? getApp() : initializeApp(firebaseConfig);
+      const auth = getAuth(app);
+      const db = openFirestore(app, persistentCache);
+      const storage = getStorage(app);
+      if (useEmulators) {
+        connectToEmulators({ auth, db, storage }, emulatorHost);
+      }
+      setServices({ app, auth, db, storage });
+
+      // The injected custom token is only tried once, so signing out does not
+      // silently sign the same user back in.
+      let triedCustomToken = false;
+
+      unsubscribeAuth = onAuthStateChanged(auth, async (nextUser) => {
+        if (nextUser) {
+          setUser(toAuthUser(nextUser));
+          setAuthReady(true);
+          return;
+        }
+        if (readOnlyPreview) {
+          console.warn("Using a local preview user because the Firebase config cannot authenticate.");
+          setUser({ uid: crypto.randomUUID(), email: null, isAnonymous: true });
+          setAuthReady(true);
+          return;
+        }
+        if (initialAuthToken && !triedCustomToken) {
+          triedCustomToken = true;
+          try {
+            await signInWithCustomToken(auth, initialAuthToken);
+            // onAuthStateChanged fires again with the signed-in user.
+            return;
+          } catch (e) {
+            console.error("Firebase Auth Error:", e);
+          }
+        }
+        if (anonymousSignIn) {
+          try {
+            await signInAnonymously(auth);
+            return;
+          } catch (e) {
+            console.error("Anonymous Sign-In Error:", e);
+            setError(toFirebaseError('auth', e));
+          }
+        }
+        setUser(null);
+        setAuthReady(true);
+      });
+    } catch (e) {
+      console.error("Firebase Init Error:", e);
+      setError(toFirebaseError('init', e));
+      setAuthReady(true);
+    }
+
+    return () => unsubscribeAuth();
+  }, [environment, useEmulators, emulatorHost, anonymousSignIn, readOnlyPreview, persistentCache]);
+
+  // Linking credentials to a guest does not fire onAuthStateChanged; call this afterwards.
+  const refreshUser = useCallback(() => {
+    if (services.auth) setUser(toAuthUser(services.auth.currentUser));
+  }, [services.auth]);
+
+  const value = useMemo(() => ({
+    ...services,
+    appId: environment.appId,
+    user,
+    authReady,
+    error,
+    isPreview: readOnlyPreview,
+    refreshUser,
+  }), [services, environment.appId, user, authReady, error, readOnlyPreview, refreshUser]);
+
+  return React.createElement(FirebaseContext.Provider, { value }, children);
+};
+
+// --- Hooks ---
+
+// { app, auth, db, storage, appId, user, authReady, error, isPreview, refreshUser }
+export const useFirebase = () => {
+  const context = useContext(FirebaseContext);
+  if (!context) {
+    throw new Error("useFirebase must be used inside <FirebaseProvider>.");
+  }
+  return context;
+};
+
+// The signed-in user as { uid, email, isAnonymous }, or null. `isReady` turns true once
+// the first auth state (or a startup error) is known.
+export const useAuthUser = () => {
+  const { user, authReady, error, refreshUser } = useFirebase();
+  return { user, userId: user ? user.uid : null, isReady: authReady, error, refreshUser };
+};
+
+const NO_CONSTRAINTS = [];
+const NO_DOCS = [];
+
+// Live documents of the collection at `path`, as [{ id, ...data }].
+// Pass a null path to wait (e.g. until the user is known). `constraints` (where, orderBy, ...)
+// and `snapshotOptions` must be stable between renders: memoize them or define them outside
+// the component, or the listener restarts on every render.
+// Results are tagged with the query they were read for, so changing the path or constraints
+// never shows the previous query's documents.
+// With `trackPendingWrites`, each document also carries `hasPendingWrites`: true while a
+// local change to it (e.g. an order placed offline) has not reached the server yet.
+export const useCollection = (path, { constraints = NO_CONSTRAINTS, snapshotOptions, trackPendingWrites = false } = {}) => {
+  const { db } = useFirebase();
+  const [result, setResult] = useState({ path: null, constraints: null, docs: NO_DOCS, error: null });
+
+  useEffect(() => {
+    if (!db || !path) return;
+    const listenOptions = { includeMetadataChanges: trackPendingWrites };
+    const unsubscribe = onSnapshot(query(collection(db, path), ...constraints), listenOptions, (snapshot) => {
+      const docs = snapshot.docs.map(d => ({
+        id: d.id,
+        ...d.data(snapshotOptions),
+        ...(trackPendingWrites && { hasPendingWrites: d.metadata.hasPendingWrites }),
+      }));
+      setResult({ path, constraints, docs, error: null });
+    }, (e) => {
+      console.error(`Listener for ${path} failed:`, e);
+      setResult({ path, constraints, docs: NO_DOCS, error: toFirebaseError('data', e) });
+    });
+    return () => unsubscribe();
+  }, [db, path, constraints, snapshotOptions, trackPendingWrites]);
+
+  const isCurrent = !!path && result.path === path && result.constraints === constraints;
+  return {
+    docs: isCurrent ? result.docs : NO_DOCS,
+    isLoading: !isCurrent,
+    error: isCurrent ? result.error : null,
+  };
+};
+
+// Like useCollection, for several queries on the same collection at once (e.g. one per
+// geohash range): `queries` is a list of constraint lists, and the documents of all of
+// them are merged, each id once. Loading lasts until every query has answered; the first
+// error is reported. A null path or null `queries` waits. `queries` must be stable too.
+export const useCollectionQueries = (path, { queries, snapshotOptions } = {}) => {
+  const { db } = useFirebase();
+  const [result, setResult] = useState({ path: null, queries: null, snapshots: [], error: null });
+
+  useEffect(() => {
+    if (!db || !path || !queries) return;
+    const snapshots = queries.map(() => null);
+    const unsubscribes = queries.map((constraints, index) => onSnapshot(query(collection(db, path), ...constraints), (snapshot) => {
+      snapshots[index] = snapshot.docs.map(d => ({ id: d.id, ...d.data(snapshotOptions) }));
+      setResult(prev => ({ path, queries, snapshots: [...snapshots], error: prev.queries === queries ? prev.error : null }));
+    }, (e) => {
+      console.error(`Listener for ${path} failed:`, e);
+      setResult({ path, queries, snapshots: [...snapshots], error: toFirebaseError('data', e) });
+    }));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [db, path, queries, snapshotOptions]);
+
+  const isCurrent = !!path && !!queries && result.path === path && result.queries === queries;
+  const isComplete = isCurrent && result.snapshots.length === queries.length && result.snapshots.every(Boolean);
+  const docs = useMemo(() => {
+    if (!isComplete) return NO_DOCS;
+    const byId = new Map();
+    result.snapshots.forEach(snapshotDocs => snapshotDocs.forEach(d => byId.set(d.id, d)));
+    return [...byId.values()];
+  }, [isComplete, result.snapshots]);
+  return {
+    docs,
+    isLoading: !isComplete && !(isCurrent && result.error),
+    error: isCurrent ? result.error : null,
+  };
+};
+
+// Live document at `path` as { id, ...data }, or null when it does not exist.
+// Same waiting and tagging rules as useCollection.
+export const useDocument = (path, { snapshotOptions } = {}) => {
+  const { db } = useFirebase();
+  const [result, setResult] = useState({ path: null, data: null, error: null });
+
+  useEffect(() => {
+    if (!db || !path) return;
+    const unsubscribe = onSnapshot(doc(db, path), (snapshot) => {
+      const data = snapshot.exists() ? { id: snapshot.id, ...snapshot.data(snapshotOptions) } : null;
+      setResult({ path, data, error: null });
+    }, (e) => {
+      console.error(`Listener for ${path} failed:`, e);
+      setResult({ path, data: null, error: toFirebaseError('data', e) });
+    });
+    return () => unsubscribe();
+  }, [db, path, snapshotOptions]);
+
+  const isCurrent = !!path && result.path === path;
+  return {
+    data: isCurrent ? result.data : null,
+    isLoading: !isCurrent,
+    error: isCurrent ? result.error : null,
+  };
+};
+
+// Live app configuration: { config, isLoading, error }. `config` is always usable
+// (defaults until the document loads, or if it cannot be read).
+export const useAppConfig = () => {
+  const { appId } = useFirebase();
+  const { data, isLoading, error } = useDocument(getAppConfigDocPath(appId));
+  const config = useMemo(() => normalizeAppConfig(data), [data]);
+  return { config, isLoading, error };
+};
@@ -0,0 +1,139 @@
+import { DEFAULT_LOCALE } from './i18n.js';
+
+// ----------------------
+// STORE LOCATIONS AND DELIVERY AREAS
+// ----------------------
+// Pure helpers for location-based store discovery. Store fields:
+//   location          { lat, lng } in degrees
+//   geohash           encodeGeohash(location), kept next to it so the catalog can find
+//                     nearby stores with range queries on one indexed field
+//   deliveryRadiusKm  how far from `location` the store delivers
+//   prepTime          minutes to get an order ready, the base of the delivery estimate
+// Stores without a location (saved before locations existed) never match a customer location.
+
+// Customer locations are matched against stores within this distance; no store can
+// deliver further than this.
+export const MAX_DELIVERY_RADIUS_KM = 50;
+
+export const DEFAULT_PREP_MINUTES = 15;
+
+// Average courier speed used for delivery estimates.
+export const COURIER_SPEED_KMH = 25;
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 110.574;
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+const GEOHASH_PRECISION = 9;
+
+export const isValidLocation = (location) => !!location
+  && typeof location.lat === 'number' && Number.isFinite(location.lat) && Math.abs(location.lat) <= 90
+  && typeof location.lng === 'number' && Number.isFinite(location.lng) && Math.abs(location.lng) <= 180;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle (haversine) distance between two { lat, lng } points, in km.
+export const distanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+export const encodeGeohash = ({ lat, lng }, precision = GEOHASH_PRECISION) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  // Bits alternate between longitude and latitude, starting with longitude.
+  for (let bit = 0; hash.length < precision; bit++) {
+    const range = bit % 2 === 0 ? lngRange : latRange;
+    const coordinate = bit % 2 === 0 ? lng : lat;
+    const middle = (range[0] + range[1]) / 2;
+    value <<= 1;
+    if (coordinate >= middle) {
+      value |= 1;
+      range[0] = middle;
+    } else {
+      range[1] = middle;
+    }
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+};
+
+// Size of a geohash cell of `precision` characters, in km, at latitude `lat`.
+const cellSizeKm = (precision, lat) => {
+  const lngBits = Math.ceil(precision * 5 / 2);
+  const latBits = Math.floor(precision * 5 / 2);
+  return {
+    height: 180 / 2 ** latBits * KM_PER_DEGREE_LAT,
+    width: 360 / 2 ** lngBits * KM_PER_DEGREE_LAT * Math.cos(toRadians(lat)),
+  };
+};
+
+// Geohash ranges [start, end] that together cover every point within `radiusKm` of
+// `center`. Query each with orderBy('geohash'), startAt(start), endAt(end) and drop the
+// results that are further away than wanted: the cells overshoot the circle.
+// The cells are as small as possible while still being at least `radiusKm` across,
+// so the circle's bounding box is covered by the cells of its center, edges and corners.
+export const getGeohashRanges = (center, radiusKm) => {
+  // Cells narrow towards the poles, so size them at the circle's edge furthest from the equator.
+  const widestLat = Math.min(89.9, Math.abs(center.lat) + radiusKm / KM_PER_DEGREE_LAT);
+  let precision = 1;
+  while (precision < GEOHASH_PRECISION) {
+    const { width, height } = cellSizeKm(precision + 1, widestLat);
+    if (width < radiusKm || height < radiusKm) break;
+    precision++;
+  }
+  const dLat = radiusKm / KM_PER_DEGREE_LAT;
+  const dLng = radiusKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos(toRadians(center.lat)), 0.01));
+  const clamp = (value, limit) => Math.max(-limit, Math.min(limit, value));
+  const prefixes = new Set();
+  [-1, 0, 1].forEach(latStep => [-1, 0, 1].forEach(lngStep => {
+    prefixes.add(encodeGeohash({
+      lat: clamp(center.lat + latStep * dLat, 90),
+      lng: clamp(center.lng + lngStep * dLng, 180),
+    }, precision));
+  }));
+  // '~' sorts after every geohash character, so the range holds all hashes with the prefix.
+  return [...prefixes].sort().map(prefix => [prefix, `${prefix}~`]);
+};
+
+// Distance from `location` to the store, or null when the store has no location.
+export const getStoreDistanceKm = (store, location) =>
+  isValidLocation(store.location) ? distanceKm(location, store.location) : null;
+
+export const deliversTo = (store, location) => {
+  const distance = getStoreDistanceKm(store, location);
+  return distance !== null && distance <= (store.deliveryRadiusKm || 0);
+};
+
+// Estimated minutes from checkout to the door: the store's prep time plus the ride,
+// rounded up to 5 minutes so the estimate doesn't look more precise than it is.
+export const estimateDeliveryMinutes = (store, distance) => {
+  const prepTime = Number.isFinite(store.prepTime) ? store.prepTime : DEFAULT_PREP_MINUTES;
+  const rideMinutes = distance / COURIER_SPEED_KMH * 60;
+  return Math.ceil((prepTime + rideMinutes) / 5) * 5;
+};
+
+const distanceFormats = {};
+
+// `distance` in km, written the way `locale` writes it: whole meters under 1 km, km to one
+// decimal above ('250 m', '2.5 km', '2,5 km').
+export const formatDistance = (distance, locale = DEFAULT_LOCALE) => {
+  const unit = distance < 1 ? 'meter' : 'kilometer';
+  const key = `${locale}:${unit}`;
+  if (!distanceFormats[key]) {
+    const digits = unit === 'meter' ? 0 : 1;
+    distanceFormats[key] = new Intl.NumberFormat(locale, {
+      style: 'unit', unit, minimumFractionDigits: digits, maximumFractionDigits: digits,
+    });
+  }
+  return distanceFormats[key].format(unit === 'meter' ? Math.round(distance * 1000) : distance);
+};
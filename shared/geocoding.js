@@ -0,0 +1,33 @@
+// ----------------------
+// LOCAL GEOCODING STAND-IN
+// ----------------------
+// Turns an address typed by a customer (or an admin placing a store) into coordinates
+// without calling an external service, so discovery works offline and against the
+// emulators. It only knows the places below, matched by postal code first, then by
+// city name. To use a real geocoder, replace geocodeAddress and keep its signature.
+
+export const KNOWN_PLACES = [
+  { city: 'Monroe', postalCode: '98272', lat: 47.8554, lng: -121.9710 },
+  { city: 'Snohomish', postalCode: '98290', lat: 47.9129, lng: -122.0982 },
+  { city: 'Sultan', postalCode: '98294', lat: 47.8626, lng: -121.8165 },
+  { city: 'Duvall', postalCode: '98019', lat: 47.7423, lng: -121.9857 },
+  { city: 'Lake Stevens', postalCode: '98258', lat: 48.0151, lng: -122.0637 },
+  { city: 'Woodinville', postalCode: '98072', lat: 47.7543, lng: -122.1635 },
+  { city: 'Bothell', postalCode: '98011', lat: 47.7601, lng: -122.2054 },
+  { city: 'Everett', postalCode: '98201', lat: 47.9790, lng: -122.2021 },
+  { city: 'Redmond', postalCode: '98052', lat: 47.6740, lng: -122.1215 },
+  { city: 'Seattle', postalCode: '98101', lat: 47.6101, lng: -122.3421 },
+];
+
+const POSTAL_CODE_PATTERN = /\b(\d{5})\b/;
+
+// Resolves to { label, lat, lng }, or null when the address is not recognised.
+// Async like a real geocoder, so callers don't change when one is plugged in.
+export const geocodeAddress = async (address) => {
+  const text = (address || '').trim().toLowerCase();
+  if (!text) return null;
+  const postalCode = text.match(POSTAL_CODE_PATTERN)?.[1];
+  const place = (postalCode && KNOWN_PLACES.find(p => p.postalCode === postalCode))
+    || KNOWN_PLACES.find(p => text.includes(p.city.toLowerCase()));
+  return place ? { label: `${place.city} ${place.postalCode}`, lat: place.lat, lng: place.lng } : null;
+};
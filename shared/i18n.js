@@ -0,0 +1,177 @@
+// ----------------------
+// TRANSLATIONS
+// ----------------------
+// Message catalogs map a key to its text in each supported locale:
+//   { en: { 'cart.title': 'Your Cart', ... }, es: { 'cart.title': 'Tu carrito', ... } }
+// Texts may hold {name} placeholders, filled from the params of t(key, params). A text that
+// depends on a count is an object of Intl plural categories ({ one, other }), picked with
+// params.count. Keys missing in a locale fall back to English, then to the key itself.
+// Each app keeps its own catalog; SHARED_MESSAGES holds the texts of the shared helpers
+// (order statuses, opening hours, option rules, promo codes, reviews, image and settings
+// checks), which take an optional `t` and speak English without one. Kept free of React
+// like appConfig.js; the provider and useI18n hook live in useI18n.js.
+
+export const SUPPORTED_LOCALES = ['en', 'es'];
+
+export const DEFAULT_LOCALE = 'en';
+
+// Each language in its own words, for the language switcher.
+export const LOCALE_NAMES = { en: 'English', es: 'Español' };
+
+export const SHARED_MESSAGES = {
+  en: {
+    'status.placed': 'Placed',
+    'status.accepted': 'Accepted',
+    'status.preparing': 'Preparing',
+    'status.out_for_delivery': 'Out for delivery',
+    'status.delivered': 'Delivered',
+    'status.rejected': 'Rejected',
+    'status.cancelled': 'Cancelled',
+    'status.invalidTransition': 'An order cannot move from "{from}" to "{to}".',
+    'weekday.sun': 'Sun',
+    'weekday.mon': 'Mon',
+    'weekday.tue': 'Tue',
+    'weekday.wed': 'Wed',
+    'weekday.thu': 'Thu',
+    'weekday.fri': 'Fri',
+    'weekday.sat': 'Sat',
+    'openState.open': 'Open',
+    'openState.closed': 'Closed',
+    'openState.opensToday': 'Opens at {time}',
+    'openState.opensTomorrow': 'Opens tomorrow at {time}',
+    'openState.opensOn': 'Opens {weekday} at {time}',
+    'rating.new': 'New',
+    'options.optional': 'Optional',
+    'options.optionalUpTo': 'Optional, up to {max}',
+    'options.choose': 'Choose {min}',
+    'options.chooseBetween': 'Choose {min}-{max}',
+    'selection.choiceUnavailable': 'A choice for {group} is no longer available.',
+    'selection.chooseOne': 'Choose {group}.',
+    'selection.chooseAtLeast': 'Choose at least {min} for {group}.',
+    'selection.chooseAtMost': 'Choose at most {max} for {group}.',
+    'selection.choicesUnavailable': 'Some choices are no longer available.',
+    'promo.invalid': 'This promo code is not valid.',
+    'promo.notStarted': 'This promo code is not active yet.',
+    'promo.expired': 'This promo code has expired.',
+    'promo.otherStore': "This promo code doesn't apply to this store.",
+    'promo.otherCurrency': "This promo code doesn't apply to orders in this currency.",
+    'promo.soldOut': 'This promo code has run out.',
+    'promo.alreadyUsed': "You've already used this promo code.",
+    'promo.belowMinimum': 'Add {amount} more to use this promo code.',
+    'promo.off': '{amount} off',
+    'promo.offWithMinimum': '{amount} off orders over {minimum}',
+    'review.ratingRange': 'Choose a rating from {min} to {max} stars.',
+    'review.textTooLong': 'Reviews can be at most {max} characters.',
+    'review.authorTooLong': 'Your name can be at most {max} characters.',
+    'optionGroups.tooMany': 'A menu item can have at most {max} option groups.',
+    'optionGroups.nameRequired': 'Every option group needs a name.',
+    'optionGroups.optionCount': '{group} needs between 1 and {max} options.',
+    'optionGroups.optionNameRequired': 'Every option in {group} needs a name.',
+    'optionGroups.negativePrice': 'Price changes in {group} must be 0 or more. Use the cheapest choice as the base price.',
+    'optionGroups.selectionRange': '{group}: choose a minimum of 0 or more and a maximum of at least 1, no more than its {count} options.',
+    'image.required': 'Choose an image.',
+    'image.wrongType': 'Images must be JPEG, PNG or WebP files.',
+    'image.tooLarge': 'Images must be {max} MB or smaller.',
+    'config.categoriesRequired': 'Add at least one menu category and one store category.',
+    'config.categoriesUnique': 'Category names must be unique.',
+    'config.currency': 'Currency must be one of: {currencies}.',
+    'config.deliveryFees': 'Delivery fees must be 0 or more.',
+    'config.taxRate': 'Tax rate must be between 0% and 100%.',
+  },
+  es: {
+    'status.placed': 'Realizado',
+    'status.accepted': 'Aceptado',
+    'status.preparing': 'En preparación',
+    'status.out_for_delivery': 'En camino',
+    'status.delivered': 'Entregado',
+    'status.rejected': 'Rechazado',
+    'status.cancelled': 'Cancelado',
+    'status.invalidTransition': 'Un pedido no puede pasar de "{from}" a "{to}".',
+    'weekday.sun': 'dom',
+    'weekday.mon': 'lun',
+    'weekday.tue': 'mar',
+    'weekday.wed': 'mié',
+    'weekday.thu': 'jue',
+    'weekday.fri': 'vie',
+    'weekday.sat': 'sáb',
+    'openState.open': 'Abierto',
+    'openState.closed': 'Cerrado',
+    'openState.opensToday': 'Abre a las {time}',
+    'openState.opensTomorrow': 'Abre mañana a las {time}',
+    'openState.opensOn': 'Abre el {weekday} a las {time}',
+    'rating.new': 'Nuevo',
+    'options.optional': 'Opcional',
+    'options.optionalUpTo': 'Opcional, hasta {max}',
+    'options.choose': 'Elige {min}',
+    'options.chooseBetween': 'Elige de {min} a {max}',
+    'selection.choiceUnavailable': 'Una opción de {group} ya no está disponible.',
+    'selection.chooseOne': 'Elige {group}.',
+    'selection.chooseAtLeast': 'Elige al menos {min} en {group}.',
+    'selection.chooseAtMost': 'Elige como máximo {max} en {group}.',
+    'selection.choicesUnavailable': 'Algunas opciones ya no están disponibles.',
+    'promo.invalid': 'Este código promocional no es válido.',
+    'promo.notStarted': 'Este código promocional aún no está activo.',
+    'promo.expired': 'Este código promocional ha caducado.',
+    'promo.otherStore': 'Este código promocional no es válido en esta tienda.',
+    'promo.otherCurrency': 'Este código promocional no es válido para pedidos en esta moneda.',
+    'promo.soldOut': 'Este código promocional se ha agotado.',
+    'promo.alreadyUsed': 'Ya has usado este código promocional.',
+    'promo.belowMinimum': 'Añade {amount} más para usar este código promocional.',
+    'promo.off': '{amount} de descuento',
+    'promo.offWithMinimum': '{amount} de descuento en pedidos de más de {minimum}',
+    'review.ratingRange': 'Elige una puntuación de {min} a {max} estrellas.',
+    'review.textTooLong': 'Las reseñas pueden tener como máximo {max} caracteres.',
+    'review.authorTooLong': 'Tu nombre puede tener como máximo {max} caracteres.',
+    'optionGroups.tooMany': 'Un producto puede tener como máximo {max} grupos de opciones.',
+    'optionGroups.nameRequired': 'Cada grupo de opciones necesita un nombre.',
+    'optionGroups.optionCount': '{group} necesita entre 1 y {max} opciones.',
+    'optionGroups.optionNameRequired': 'Cada opción de {group} necesita un nombre.',
+    'optionGroups.negativePrice': 'Los cambios de precio de {group} deben ser 0 o más. Usa la opción más barata como precio base.',
+    'optionGroups.selectionRange': '{group}: elige un mínimo de 0 o más y un máximo de al menos 1, sin pasar de sus {count} opciones.',
+    'image.required': 'Elige una imagen.',
+    'image.wrongType': 'Las imágenes deben ser archivos JPEG, PNG o WebP.',
+    'image.tooLarge': 'Las imágenes deben ocupar {max} MB o menos.',
+    'config.categoriesRequired': 'Añade al menos una categoría de menú y una categoría de tienda.',
+    'config.categoriesUnique': 'Los nombres de categoría no pueden repetirse.',
+    'config.currency': 'La moneda debe ser una de: {currencies}.',
+    'config.deliveryFees': 'Los costos de envío deben ser 0 o más.',
+    'config.taxRate': 'El impuesto debe estar entre el 0 % y el 100 %.',
+  },
+};
+
+// 'es-MX' -> 'es'; null for languages without a catalog.
+export const normalizeLocale = (locale) => {
+  const language = typeof locale === 'string' ? locale.toLowerCase().split(/[-_]/)[0] : '';
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+};
+
+// The first supported locale among the browser's preferred languages (navigator.languages).
+export const pickLocale = (languages = []) => languages.map(normalizeLocale).find(Boolean) || DEFAULT_LOCALE;
+
+// One catalog from several, later ones winning, e.g. an app's messages over SHARED_MESSAGES.
+export const mergeCatalogs = (...catalogs) => Object.fromEntries(SUPPORTED_LOCALES.map(locale => [
+  locale,
+  Object.assign({}, ...catalogs.map(catalog => catalog[locale])),
+]));
+
+const pluralRules = {};
+
+const interpolate = (text, params) =>
+  text.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] === undefined ? placeholder : String(params[name])));
+
+// t(key, params) for `locale`. The function also carries its `locale`, so helpers given a
+// `t` can format numbers and prices to match.
+export const createTranslator = (catalogs, locale = DEFAULT_LOCALE) => {
+  const t = (key, params = {}) => {
+    const message = catalogs[locale]?.[key] ?? catalogs[DEFAULT_LOCALE]?.[key];
+    if (message === undefined) return key;
+    if (typeof message === 'string') return interpolate(message, params);
+    if (!pluralRules[locale]) pluralRules[locale] = new Intl.PluralRules(locale);
+    return interpolate(message[pluralRules[locale].select(params.count)] ?? message.other, params);
+  };
+  t.locale = locale;
+  return t;
+};
+
+// English shared messages: the default `t` of the shared helpers.
+export const translateShared = createTranslator(SHARED_MESSAGES);
@@ -0,0 +1,43 @@
+import { translateShared } from './i18n.js';
+
+// ----------------------
+// STORE AND MENU ITEM IMAGES
+// ----------------------
+// Images are uploaded from the admin panel to Cloud Storage, scaled down in the browser
+// first, next to a small thumbnail for lists and cards. Documents keep them as
+//   image: { path, url, thumbnailPath, thumbnailUrl }
+// (null or missing when there is no image). The limits below must match storage.rules.
+
+export const IMAGE_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Longest side, in pixels, of the uploaded image and of its thumbnail.
+export const IMAGE_MAX_SIZE = 1600;
+export const THUMBNAIL_MAX_SIZE = 400;
+
+// Both are re-encoded as JPEG, which every browser can produce from a canvas.
+export const UPLOAD_CONTENT_TYPE = 'image/jpeg';
+
+// Returns a user-facing error for a picked File (or Blob), or null when it can be uploaded.
+// `t` picks the language (see i18n.js).
+export const getImageFileError = (file, t = translateShared) => {
+  if (!file) return t('image.required');
+  if (!IMAGE_CONTENT_TYPES.includes(file.type)) {
+    return t('image.wrongType');
+  }
+  if (file.size > MAX_IMAGE_BYTES) {
+    return t('image.tooLarge', { max: MAX_IMAGE_BYTES / (1024 * 1024) });
+  }
+  return null;
+};
+
+// { width, height } scaled down to fit `maxSize` on the longest side, keeping the aspect
+// ratio. Smaller images keep their size.
+export const fitWithin = ({ width, height }, maxSize) => {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+};
+
+// The smallest version of a document's image to show, or null.
+export const getThumbnailUrl = (item) => item?.image?.thumbnailUrl || item?.image?.url || null;
@@ -0,0 +1,20 @@
+export * from './orderStatus.js';
+export * from './pricing.js';
+export * from './emulators.js';
+export * from './paths.js';
+export * from './firebase.js';
+export * from './appConfig.js';
+export * from './storeHours.js';
+export * from './useNow.js';
+export * from './useOnlineStatus.js';
+export * from './serviceWorker.js';
+export * from './geo.js';
+export * from './geocoding.js';
+export * from './reviews.js';
+export * from './promotions.js';
+export * from './productOptions.js';
+export * from './analytics.js';
+export * from './images.js';
+export * from './audit.js';
+export * from './i18n.js';
+export * from './useI18n.js';
@@ -0,0 +1,51 @@
+import { translateShared } from './i18n.js';
+
+// ----------------------
+// ORDER STATUS
+// ----------------------
+// The single source of truth for order states and the moves allowed between
+// them. firestore.rules mirrors ORDER_TRANSITIONS, so keep the two in sync.
+// Statuses are named by the `status.*` keys of the message catalogs (see i18n.js).
+
+// The happy path an order moves through, in order.
+export const ORDER_FLOW = ['placed', 'accepted', 'preparing', 'out_for_delivery', 'delivered'];
+
+export const CANCELLED = 'cancelled';
+export const REJECTED = 'rejected';
+
+export const ORDER_STATUSES = [...ORDER_FLOW, REJECTED, CANCELLED];
+
+// status -> statuses it may move to. Final statuses have no way out.
+export const ORDER_TRANSITIONS = {
+  placed: ['accepted', REJECTED, CANCELLED],
+  accepted: ['preparing', CANCELLED],
+  preparing: ['out_for_delivery', CANCELLED],
+  out_for_delivery: ['delivered'],
+  delivered: [],
+  rejected: [],
+  cancelled: [],
+};
+
+export const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+// Throws when `from -> to` is not an allowed move, so callers cannot write it.
+// The message is in the language of `t`.
+export const assertTransition = (from, to, t = translateShared) => {
+  if (!canTransition(from, to)) {
+    const name = status => (ORDER_STATUSES.includes(status) ? t(`status.${status}`) : status);
+    throw new Error(t('status.invalidTransition', { from: name(from), to: name(to) }));
+  }
+};
+
+// The next step on the happy path, or null when there is none.
+export const getNextStatus = (status) => {
+  const next = ORDER_FLOW[ORDER_FLOW.indexOf(status) + 1];
+  return next && canTransition(status, next) ? next : null;
+};
+
+export const isFinalStatus = (status) => (ORDER_TRANSITIONS[status] || []).length === 0;
+
+export const isFailedStatus = (status) => status === CANCELLED || status === REJECTED;
+
+// Customers may only cancel before the store has accepted the order.
+export const canCustomerCancel = (order) => order.status === 'placed' && canTransition(order.status, CANCELLED);
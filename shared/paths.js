@@ -0,0 +1,60 @@
+// ----------------------
+// FIRESTORE PATH BUILDERS
+// ----------------------
+// The single source of truth for where both apps read and write. firestore.rules
+// (and storage.rules, for the Cloud Storage paths at the end) match on these exact
+// layouts, so change them together.
+
+// The role document firestore.rules checks before allowing catalog writes.
+export const ADMIN_ROLE = 'admin_user';
+
+// Path segments are checked, so a missing appId or uid fails loudly instead of
+// reading from ".../users/undefined/...".
+const segment = (name, value) => {
+  if (typeof value !== 'string' || value === '' || value.includes('/')) {
+    throw new TypeError(`Invalid ${name} for a path: ${JSON.stringify(value)}`);
+  }
+  return value;
+};
+
+const publicData = (appId) => `artifacts/${segment('appId', appId)}/public/data`;
+const userData = (appId, userId) => `artifacts/${segment('appId', appId)}/users/${segment('userId', userId)}`;
+
+export const getStoreCollectionPath = (appId) => `${publicData(appId)}/stores`;
+
+export const getProductCollectionPath = (appId) => `${publicData(appId)}/products`;
+
+export const getConfigCollectionPath = (appId) => `${publicData(appId)}/config`;
+
+// Runtime settings both apps subscribe to (see appConfig.js). Publicly readable.
+export const getAppConfigDocPath = (appId) => `${getConfigCollectionPath(appId)}/app`;
+
+export const getUserRoleDocPath = (appId, userId, role = ADMIN_ROLE) => `${userData(appId, userId)}/roles/${segment('role', role)}`;
+
+export const getOrderCollectionPath = (appId, userId) => `${userData(appId, userId)}/orders`;
+
+export const getAddressCollectionPath = (appId, userId) => `${userData(appId, userId)}/addresses`;
+
+// Customer reviews of stores (see reviews.js). Readable by signed-in users unless hidden.
+export const getReviewCollectionPath = (appId) => `${publicData(appId)}/reviews`;
+
+// Promo codes (see promotions.js), one document per code. Customers can only read one
+// by its code; listing them is limited to admins.
+export const getPromotionCollectionPath = (appId) => `${publicData(appId)}/promotions`;
+
+export const getPromotionDocPath = (appId, code) => `${getPromotionCollectionPath(appId)}/${segment('code', code)}`;
+
+// How often a customer has used a promo code, counted at checkout.
+export const getRedemptionDocPath = (appId, userId, code) => `${userData(appId, userId)}/redemptions/${segment('code', code)}`;
+
+// Append-only record of admin changes (see audit.js). Only admins can read or add entries.
+export const getAuditLogCollectionPath = (appId) => `artifacts/${segment('appId', appId)}/auditLog`;
+
+// --- Cloud Storage ---
+
+// Store and menu item images (see images.js), one folder per document.
+export const getStoreImagePath = (appId, storeId, fileName) =>
+  `artifacts/${segment('appId', appId)}/stores/${segment('storeId', storeId)}/${segment('fileName', fileName)}`;
+
+export const getProductImagePath = (appId, productId, fileName) =>
+  `artifacts/${segment('appId', appId)}/products/${segment('productId', productId)}/${segment('fileName', fileName)}`;
@@ -0,0 +1,49 @@
+import { DEFAULT_LOCALE } from './i18n.js';
+
+// ----------------------
+// ORDER PRICING
+// ----------------------
+// The single place where cart and order amounts are calculated. Components
+// should render the values returned here instead of doing arithmetic in JSX.
+
+// Defaults; the live values come from the app config document (see appConfig.js).
+export const TAX_RATE = 0.08;
+export const DELIVERY_FEE = 2.99;
+
+// Rounds to whole cents, avoiding the usual floating point drift (e.g. 0.1 + 0.2).
+export const roundCurrency = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+const currencyFormats = {};
+
+// `amount` in `currency`, written the way `locale` writes prices ('$5.00', '5,00 US$').
+export const formatPrice = (amount, currency = 'USD', locale = DEFAULT_LOCALE) => {
+  const key = `${locale}:${currency}`;
+  if (!currencyFormats[key]) {
+    currencyFormats[key] = new Intl.NumberFormat(locale, { style: 'currency', currency });
+  }
+  return currencyFormats[key].format(amount || 0);
+};
+
+export const calculateLineTotal = ({ price, quantity }) => roundCurrency(price * quantity);
+
+// Amount a promotion takes off `subtotal`: `value` percent for 'percent' promotions, `value`
+// itself for 'fixed' ones, never more than the subtotal. Eligibility (dates, minimum,
+// store, limits) is checked separately by getPromotionError in promotions.js.
+export const calculateDiscount = (promotion, subtotal) => {
+  if (!promotion || subtotal <= 0) return 0;
+  const amount = promotion.type === 'percent' ? subtotal * promotion.value / 100 : promotion.value;
+  return roundCurrency(Math.min(Math.max(amount, 0), subtotal));
+};
+
+// items: [{ price, quantity }] -> { subtotal, discount, tax, deliveryFee, total }
+// Pass getPricingSettings(config, currency) to price with the live settings, and an
+// eligible `promotion` to apply its discount. Tax is charged on the discounted subtotal.
+export const calculateOrderTotals = (items, { taxRate = TAX_RATE, deliveryFee: fee = DELIVERY_FEE, promotion = null } = {}) => {
+  const subtotal = roundCurrency(items.reduce((sum, item) => sum + calculateLineTotal(item), 0));
+  const discount = calculateDiscount(promotion, subtotal);
+  const tax = roundCurrency((subtotal - discount) * taxRate);
+  // An empty cart has nothing to deliver.
+  const deliveryFee = subtotal > 0 ? fee : 0;
+  const total = roundCurrency(subtotal - discount + tax + deliveryFee);
+  return { subtotal, discount, tax, deliveryFee, total };
+};
@@ -0,0 +1,115 @@
+import { roundCurrency } from './pricing.js';
+import { translateShared } from './i18n.js';
+
+// ----------------------
+// PRODUCT OPTIONS
+// ----------------------
+// A product may offer choices in `optionGroups`, edited in the admin menu form:
+//   [{ id, name, minSelections, maxSelections, options: [{ id, name, priceDelta }] }]
+// e.g. a required size (min 1, max 1) where Large adds 3.00, or optional toppings
+// (min 0, max 3). Group and option ids only need to be unique within the product.
+// The customer's picks are kept as selections, { [groupId]: [optionId] },
+// and copied onto cart and order lines as "selected options":
+//   [{ groupId, groupName, optionId, name, priceDelta }]
+// so an order keeps the names and prices it was placed with.
+
+export const MAX_OPTION_GROUPS = 10;
+export const MAX_OPTIONS_PER_GROUP = 20;
+
+// Returns a user-facing error message, or null when the groups can be saved.
+export const validateOptionGroups = (groups = [], t = translateShared) => {
+  if (!Array.isArray(groups) || groups.length > MAX_OPTION_GROUPS) {
+    return t('optionGroups.tooMany', { max: MAX_OPTION_GROUPS });
+  }
+  for (const group of groups) {
+    const name = String(group.name || '').trim();
+    if (!name) {
+      return t('optionGroups.nameRequired');
+    }
+    if (!Array.isArray(group.options) || group.options.length === 0 || group.options.length > MAX_OPTIONS_PER_GROUP) {
+      return t('optionGroups.optionCount', { group: name, max: MAX_OPTIONS_PER_GROUP });
+    }
+    if (group.options.some(option => !String(option.name || '').trim())) {
+      return t('optionGroups.optionNameRequired', { group: name });
+    }
+    // The base price is the cheapest choice, so a line can never cost less than it.
+    if (group.options.some(option => typeof option.priceDelta !== 'number' || !(option.priceDelta >= 0))) {
+      return t('optionGroups.negativePrice', { group: name });
+    }
+    const { minSelections: min, maxSelections: max } = group;
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < 1 || min > max || max > group.options.length) {
+      return t('optionGroups.selectionRange', { group: name, count: group.options.length });
+    }
+  }
+  return null;
+};
+
+// 'Choose 1', 'Choose 2-3', 'Optional, up to 3' or 'Optional', in the language of `t`.
+export const describeOptionGroupRule = ({ minSelections: min, maxSelections: max }, t = translateShared) => {
+  if (min === 0) return max === 1 ? t('options.optional') : t('options.optionalUpTo', { max });
+  return min === max ? t('options.choose', { min }) : t('options.chooseBetween', { min, max });
+};
+
+// Selections a product starts with: the first option of every group that needs exactly
+// one pick (such as a size), nothing elsewhere.
+export const getDefaultSelections = (product) => Object.fromEntries((product.optionGroups || []).map(group => [
+  group.id,
+  group.minSelections === 1 && group.maxSelections === 1 ? [group.options[0].id] : [],
+]));
+
+// Returns a customer-facing reason the selections can't be ordered, or null. Also used at
+// checkout to catch choices the admin has since removed.
+export const getSelectionError = (product, selections = {}, t = translateShared) => {
+  for (const group of product.optionGroups || []) {
+    const picked = selections[group.id] || [];
+    if (picked.some(optionId => !group.options.some(option => option.id === optionId))) {
+      return t('selection.choiceUnavailable', { group: group.name });
+    }
+    if (picked.length < group.minSelections) {
+      return group.minSelections === 1
+        ? t('selection.chooseOne', { group: group.name })
+        : t('selection.chooseAtLeast', { min: group.minSelections, group: group.name });
+    }
+    if (picked.length > group.maxSelections) {
+      return t('selection.chooseAtMost', { max: group.maxSelections, group: group.name });
+    }
+  }
+  const groupIds = (product.optionGroups || []).map(group => group.id);
+  if (Object.keys(selections).some(groupId => !groupIds.includes(groupId) && selections[groupId].length > 0)) {
+    return t('selection.choicesUnavailable');
+  }
+  return null;
+};
+
+// Selected options for valid `selections`, in the product's group and option order.
+export const getSelectedOptions = (product, selections = {}) => (product.optionGroups || []).flatMap(group =>
+  group.options
+    .filter(option => (selections[group.id] || []).includes(option.id))
+    .map(option => ({ groupId: group.id, groupName: group.name, optionId: option.id, name: option.name, priceDelta: option.priceDelta }))
+);
+
+// The selections that produced a list of selected options, e.g. from a cart line.
+export const toSelections = (selectedOptions = []) => selectedOptions.reduce((selections, option) => ({
+  ...selections,
+  [option.groupId]: [...(selections[option.groupId] || []), option.optionId],
+}), {});
+
+// Base price plus every selected option's price change.
+export const calculateUnitPrice = (basePrice, selectedOptions = []) =>
+  roundCurrency(selectedOptions.reduce((sum, option) => sum + option.priceDelta, basePrice));
+
+// The lowest price the product can be ordered at: the base price plus the cheapest
+// options of every group that requires a choice. Menus show it as 'from $X'.
+export const getStartingPrice = (product) => roundCurrency((product.optionGroups || []).reduce((sum, group) =>
+  sum + group.options.map(option => option.priceDelta).sort((a, b) => a - b).slice(0, group.minSelections).reduce((a, b) => a + b, 0),
+product.price));
+
+// Cart lines are per product and choice of options, so a Large and a Small pizza are
+// separate lines while adding the same choices again raises the quantity.
+export const getCartLineId = (productId, selectedOptions = []) =>
+  selectedOptions.length === 0
+    ? productId
+    : `${productId}:${selectedOptions.map(option => `${option.groupId}.${option.optionId}`).join(',')}`;
+
+// 'Large, Extra cheese' for showing under an item name.
+export const formatSelectedOptions = (selectedOptions = []) => selectedOptions.map(option => option.name).join(', ');
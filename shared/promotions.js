@@ -0,0 +1,80 @@
+import { formatPrice } from './pricing.js';
+import { translateShared } from './i18n.js';
+
+// ----------------------
+// PROMO CODES
+// ----------------------
+// Promotions are created in the admin Promotions tab and stored in the promotions
+// collection under their code (getPromotionDocPath). Fields:
+//   code                   upper-case code customers type, also the document id
+//   type                   'percent' or 'fixed'
+//   value                  percent off (1-100) or amount off in `currency`
+//   minSubtotal            smallest subtotal the code applies to, in `currency`
+//   currency               what the amounts are in; the code only applies to orders in it.
+//                          null for a percent code without a minimum, which applies anywhere
+//   storeId                the one store it applies to, or null for every store
+//   startsAt, endsAt       validity window (Timestamps, either may be null)
+//   maxRedemptions         total uses allowed, or null for unlimited
+//   maxRedemptionsPerUser  uses allowed per customer, or null for unlimited
+//   redemptionCount        uses so far, counted by checkout
+//   active                 switch to stop a code early
+// Each use is counted on the promotion and in the customer's redemption document
+// (getRedemptionDocPath) in the same batch as the order; firestore.rules enforces both limits.
+
+export const PROMOTION_TYPES = ['percent', 'fixed'];
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,20}$/;
+
+export const normalizePromoCode = (code) => (code || '').trim().toUpperCase();
+
+export const isValidPromoCode = (code) => CODE_PATTERN.test(code);
+
+// Whether the promotion has amounts, and so a currency (see above).
+export const hasPromotionAmounts = (promotion) => promotion.type === 'fixed' || promotion.minSubtotal > 0;
+
+const toMillis = (timestamp) => {
+  if (timestamp === null || timestamp === undefined) return null;
+  return typeof timestamp.toMillis === 'function' ? timestamp.toMillis() : new Date(timestamp).getTime();
+};
+
+// Returns a customer-facing reason the promotion cannot be used, or null when it applies.
+// `userRedemptionCount` is how often this customer has already used it; `currency` is the
+// order's; `t` picks the language (see i18n.js).
+export const getPromotionError = (promotion, { storeId, subtotal, userRedemptionCount = 0, now = new Date(), currency = 'USD', t = translateShared }) => {
+  if (!promotion || !promotion.active) {
+    return t('promo.invalid');
+  }
+  const time = now.getTime();
+  const startsAt = toMillis(promotion.startsAt);
+  const endsAt = toMillis(promotion.endsAt);
+  if (startsAt !== null && time < startsAt) {
+    return t('promo.notStarted');
+  }
+  if (endsAt !== null && time >= endsAt) {
+    return t('promo.expired');
+  }
+  if (promotion.storeId && promotion.storeId !== storeId) {
+    return t('promo.otherStore');
+  }
+  if (hasPromotionAmounts(promotion) && promotion.currency !== currency) {
+    return t('promo.otherCurrency');
+  }
+  if (promotion.maxRedemptions !== null && promotion.redemptionCount >= promotion.maxRedemptions) {
+    return t('promo.soldOut');
+  }
+  if (promotion.maxRedemptionsPerUser !== null && userRedemptionCount >= promotion.maxRedemptionsPerUser) {
+    return t('promo.alreadyUsed');
+  }
+  if (subtotal < promotion.minSubtotal) {
+    return t('promo.belowMinimum', { amount: formatPrice(promotion.minSubtotal - subtotal, currency, t.locale) });
+  }
+  return null;
+};
+
+// '10% off' or '$5.00 off', plus the minimum when there is one, in the language of `t`.
+export const describePromotion = (promotion, currency = 'USD', t = translateShared) => {
+  const amount = promotion.type === 'percent' ? `${promotion.value}%` : formatPrice(promotion.value, currency, t.locale);
+  return promotion.minSubtotal > 0
+    ? t('promo.offWithMinimum', { amount, minimum: formatPrice(promotion.minSubtotal, currency, t.locale) })
+    : t('promo.off', { amount });
+};
@@ -0,0 +1,100 @@
+// ----------------------
+// APP SHELL SERVICE WORKER
+// ----------------------
+// Registered by each app's src/index.js in production builds (see shared/serviceWorker.js).
+// It only caches the app shell, so the app opens without a connection; Firestore data comes
+// from the SDK's own persistent cache. scripts/copy-service-worker.js copies this file into
+// admin/public and frontend/public before each start and build.
+//
+// - Install: index.html and every /static/ file listed in the build's asset-manifest.json.
+//   The worker registers after the page has loaded, so it can't count on catching the
+//   page's own requests for the bundles.
+// - Page loads: network first, falling back to the cached index.html offline. A fresh
+//   index.html may come from a new deploy, so the build's files are cached again after it,
+//   and /static/ files of older builds are dropped.
+// - /static/ files: cache first (their names carry a content hash).
+// - Everything else (Firebase APIs, other origins) is left to the network.
+// Bump CACHE_VERSION to drop every cached file.
+
+const CACHE_VERSION = 'v1';
+const CACHE_NAME = `app-shell-${CACHE_VERSION}`;
+const INDEX_URL = new URL('index.html', self.registration.scope).href;
+const MANIFEST_URL = new URL('asset-manifest.json', self.registration.scope).href;
+const STATIC_PATH = new URL('static/', self.registration.scope).pathname;
+
+const isStaticFile = (url) => new URL(url).pathname.startsWith(STATIC_PATH);
+
+// Caches the current build's /static/ files that are not cached yet (source maps aside)
+// and deletes cached ones the build no longer lists, so the cache holds one build.
+const cacheBuildFiles = async () => {
+  const response = await fetch(MANIFEST_URL, { cache: 'no-store' });
+  if (!response.ok) throw new Error(`Could not load ${MANIFEST_URL}: ${response.status}`);
+  const { files } = await response.json();
+  const buildUrls = new Set(Object.values(files)
+    .map(file => new URL(file, self.registration.scope).href)
+    .filter(url => isStaticFile(url) && !url.endsWith('.map')));
+
+  const cache = await caches.open(CACHE_NAME);
+  const cachedRequests = await cache.keys();
+  const cachedUrls = new Set(cachedRequests.map(request => request.url));
+  await cache.addAll([...buildUrls].filter(url => !cachedUrls.has(url)));
+  await Promise.all(cachedRequests
+    .filter(request => isStaticFile(request.url) && !buildUrls.has(request.url))
+    .map(request => cache.delete(request)));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.add(INDEX_URL))
+      .then(cacheBuildFiles)
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => name.startsWith('app-shell-') && name !== CACHE_NAME).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const putInCache = async (request, response) => {
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+const handleNavigation = async (event) => {
+  try {
+    const response = await putInCache(INDEX_URL, await fetch(event.request));
+    event.waitUntil(cacheBuildFiles().catch((e) => {
+      console.warn("Could not update the cached app shell:", e);
+    }));
+    return response;
+  } catch (e) {
+    const cached = await caches.match(INDEX_URL);
+    if (cached) return cached;
+    throw e;
+  }
+};
+
+const handleStaticFile = async (request) => {
+  const cached = await caches.match(request);
+  return cached || putInCache(request, await fetch(request));
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(event));
+  } else if (isStaticFile(request.url)) {
+    event.respondWith(handleStaticFile(request));
+  }
+});
@@ -0,0 +1,49 @@
+import { translateShared } from './i18n.js';
+
+// ----------------------
+// STORE REVIEWS
+// ----------------------
+// A customer can review the store of each of their delivered orders once. Reviews live in
+// the public reviews collection under getReviewId(userId, orderId), and every store keeps a
+// running aggregate next to its other fields:
+//   ratingTotal  sum of the star ratings of its visible reviews
+//   reviewCount  number of visible reviews
+// The review and the aggregate change in one batched write (firestore.rules checks both),
+// both when a customer posts a review and when an admin hides or restores one.
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+export const REVIEW_TEXT_MAX_LENGTH = 1000;
+export const REVIEW_AUTHOR_MAX_LENGTH = 50;
+
+// One review per order: the id is derived from the author and the order, so a second
+// attempt targets the same document and firestore.rules can tie the review to the order.
+export const getReviewId = (userId, orderId) => `${userId}_${orderId}`;
+
+// { average, count } from a store's aggregate; average is null until the first review.
+export const getStoreRating = (store) => {
+  const count = store.reviewCount > 0 ? store.reviewCount : 0;
+  return { average: count ? Math.round(store.ratingTotal / count * 10) / 10 : null, count };
+};
+
+// '4.5 (12)' or 'New' for stores without reviews, in the language of `t` (see i18n.js).
+export const formatStoreRating = (store, t = translateShared) => {
+  const { average, count } = getStoreRating(store);
+  if (average === null) return t('rating.new');
+  const format = new Intl.NumberFormat(t.locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  return `${format.format(average)} (${count})`;
+};
+
+// Returns a user-facing error message, or null when the review can be posted.
+export const validateReview = ({ rating, text, authorName }, t = translateShared) => {
+  if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+    return t('review.ratingRange', { min: MIN_RATING, max: MAX_RATING });
+  }
+  if (text.length > REVIEW_TEXT_MAX_LENGTH) {
+    return t('review.textTooLong', { max: REVIEW_TEXT_MAX_LENGTH });
+  }
+  if (authorName.length > REVIEW_AUTHOR_MAX_LENGTH) {
+    return t('review.authorTooLong', { max: REVIEW_AUTHOR_MAX_LENGTH });
+  }
+  return null;
+};
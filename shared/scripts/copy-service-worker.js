@@ -0,0 +1,19 @@
+// ----------------------
+// SERVICE WORKER COPY
+// ----------------------
+// Copies public/service-worker.js into an app's public folder, so both apps serve the same
+// worker from one source. Run from the app's prestart and prebuild scripts:
+//   node ../shared/scripts/copy-service-worker.js public
+
+import { copyFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const [targetDir] = process.argv.slice(2);
+if (!targetDir) {
+  console.error("Usage: node copy-service-worker.js <public dir>");
+  process.exit(1);
+}
+
+const source = fileURLToPath(new URL('../public/service-worker.js', import.meta.url));
+copyFileSync(source, path.join(targetDir, 'service-worker.js'));
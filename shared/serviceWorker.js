@@ -0,0 +1,17 @@
+// ----------------------
+// SERVICE WORKER REGISTRATION
+// ----------------------
+// Both apps ship public/service-worker.js (copied from shared/public before each start and
+// build), which caches the app shell so it opens without a connection. Only production
+// builds register it: the development server rebuilds files under the same names, and a
+// cached shell would hide changes. It registers once the page has loaded, after the
+// bundles were fetched, so the worker precaches them itself from asset-manifest.json.
+
+export const registerServiceWorker = (scriptUrl, { enabled = true } = {}) => {
+  if (!enabled || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(scriptUrl).catch((e) => {
+      console.warn("Service worker registration failed:", e);
+    });
+  });
+};
@@ -0,0 +1,135 @@
+import { translateShared } from './i18n.js';
+
+// ----------------------
+// STORE OPENING HOURS
+// ----------------------
+// Pure helpers deciding whether a store is open, evaluated in the store's own timezone.
+// Store fields (all optional, so stores saved before opening hours existed stay open):
+//   timezone      IANA name, e.g. 'America/Los_Angeles' (UTC when missing or unknown)
+//   openingHours  { sun: { open: 'HH:MM', close: 'HH:MM' }, mon: ..., ... }; a missing
+//                 day is closed. A close time at or before the open time runs past
+//                 midnight into the next day (e.g. 18:00-02:00).
+//   holidays      ['YYYY-MM-DD', ...] store-local dates closed all day. A holiday closes
+//                 that day's own opening; the previous night's hours past midnight still apply.
+//   ordersPaused  manual switch; closes the store until it is turned off again.
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const WEEKDAY_LABELS = { sun: 'Sun', mon: 'Mon', tue: 'Tue', wed: 'Wed', thu: 'Thu', fri: 'Fri', sat: 'Sat' };
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const isValidTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+export const isValidDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value);
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string' && timeZone.length > 0;
+  } catch (e) {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+const localFormats = {};
+
+// The store-local calendar date, weekday index (0 = Sunday) and minutes since midnight at `now`.
+export const getLocalTime = (now, timeZone) => {
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  if (!localFormats[zone]) {
+    localFormats[zone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    });
+  }
+  const parts = Object.fromEntries(localFormats[zone].formatToParts(now).map(({ type, value }) => [type, value]));
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date,
+    weekday: new Date(`${date}T00:00:00Z`).getUTCDay(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+// 'YYYY-MM-DD' shifted by whole days, without touching timezones.
+const addDays = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+};
+
+// The hours for a weekday as minutes, with `close` past 24h when they run past midnight.
+const getRange = (openingHours, weekday) => {
+  const hours = openingHours[WEEKDAYS[(weekday + 7) % 7]];
+  if (!hours || !isValidTime(hours.open) || !isValidTime(hours.close)) return null;
+  const open = toMinutes(hours.open);
+  const close = toMinutes(hours.close);
+  return { open, close: close <= open ? close + 24 * 60 : close, openTime: hours.open, closeTime: hours.close };
+};
+
+// Returns { isOpen, reason, closesAt, opensAt }:
+//   reason    'open', 'paused', 'holiday' or 'closed'
+//   closesAt  'HH:MM' store-local closing time while open (null when there is no schedule)
+//   opensAt   { time: 'HH:MM', dayOffset, weekday } for the next opening within a week while
+//             closed (dayOffset 0 = later today, in store-local days), or null when the
+//             store is paused or has no upcoming hours
+export const getStoreOpenState = (store, now = new Date()) => {
+  if (store.ordersPaused) {
+    return { isOpen: false, reason: 'paused', closesAt: null, opensAt: null };
+  }
+  const openingHours = store.openingHours;
+  if (!openingHours) {
+    return { isOpen: true, reason: 'open', closesAt: null, opensAt: null };
+  }
+
+  const holidays = new Set((store.holidays || []).filter(isValidDate));
+  const { date, weekday, minutes } = getLocalTime(now, store.timezone);
+
+  // Last night's hours that run past midnight.
+  const yesterday = getRange(openingHours, weekday - 1);
+  if (yesterday && yesterday.close > 24 * 60 && minutes < yesterday.close - 24 * 60 && !holidays.has(addDays(date, -1))) {
+    return { isOpen: true, reason: 'open', closesAt: yesterday.closeTime, opensAt: null };
+  }
+
+  const isHoliday = holidays.has(date);
+  const today = getRange(openingHours, weekday);
+  if (today && !isHoliday && minutes >= today.open && minutes < today.close) {
+    return { isOpen: true, reason: 'open', closesAt: today.closeTime, opensAt: null };
+  }
+
+  let opensAt = null;
+  if (today && !isHoliday && minutes < today.open) {
+    opensAt = { time: today.openTime, dayOffset: 0, weekday: WEEKDAYS[weekday] };
+  } else {
+    for (let dayOffset = 1; dayOffset <= 7 && !opensAt; dayOffset++) {
+      const range = getRange(openingHours, weekday + dayOffset);
+      if (range && !holidays.has(addDays(date, dayOffset))) {
+        opensAt = { time: range.openTime, dayOffset, weekday: WEEKDAYS[(weekday + dayOffset) % 7] };
+      }
+    }
+  }
+  return { isOpen: false, reason: isHoliday ? 'holiday' : 'closed', closesAt: null, opensAt };
+};
+
+// Short label for store cards: 'Open', 'Opens at 09:00', 'Opens tomorrow at 09:00',
+// 'Opens Tue at 09:00' or 'Closed', in the language of `t` (see i18n.js).
+export const describeStoreOpenState = (state, t = translateShared) => {
+  if (state.isOpen) return t('openState.open');
+  if (!state.opensAt) return t('openState.closed');
+  const { time, dayOffset, weekday } = state.opensAt;
+  if (dayOffset === 0) return t('openState.opensToday', { time });
+  if (dayOffset === 1) return t('openState.opensTomorrow', { time });
+  return t('openState.opensOn', { weekday: t(`weekday.${weekday}`), time });
+};
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getOrderDay, getDaysInRange, filterOrdersByDay, summarizeOrders, getSalesByDay, getSalesByStore,
+  getSalesByCategory, getTopItems, buildSalesReport, getOrderCurrencies, filterOrdersByCurrency,
+} from '../analytics.js';
+
+const line = (productId, category, quantity, lineTotal) => ({ productId, name: productId, category, quantity, lineTotal });
+const orders = [
+  { storeId: 'pizza', storeName: 'Pizza Place', status: 'delivered', total: 20, createdAt: new Date('2024-06-01T10:00:00Z'), items: [line('margherita', 'Pizza', 2, 18)] },
+  { storeId: 'pizza', storeName: 'Pizza Place', status: 'placed', total: 10, createdAt: new Date('2024-06-02T23:30:00Z'), items: [line('margherita', 'Pizza', 1, 9)] },
+  { storeId: 'sushi', storeName: 'Sushi Bar', status: 'delivered', total: 30.5, createdAt: new Date('2024-06-02T12:00:00Z'), items: [line('roll', 'Sushi', 3, 27), line('soup', 'Soup', 1, 2)] },
+  { storeId: 'sushi', storeName: 'Sushi Bar', status: 'cancelled', total: 50, createdAt: new Date('2024-06-03T12:00:00Z'), items: [line('roll', 'Sushi', 5, 45)] },
+];
+
+describe('days', () => {
+  it('are calendar days in the given timezone', () => {
+    assert.equal(getOrderDay(orders[1], 'UTC'), '2024-06-02');
+    assert.equal(getOrderDay(orders[1], 'Europe/Madrid'), '2024-06-03');
+    assert.equal(getOrderDay({ createdAt: { toDate: () => new Date('2024-06-01T00:00:00Z') } }, 'UTC'), '2024-06-01');
+    assert.equal(getOrderDay({ createdAt: null }, 'UTC'), null);
+  });
+
+  it('cover the whole range, both ends included', () => {
+    assert.deepEqual(getDaysInRange('2024-02-28', '2024-03-01'), ['2024-02-28', '2024-02-29', '2024-03-01']);
+    assert.deepEqual(getDaysInRange('2024-03-02', '2024-03-01'), []);
+    assert.deepEqual(getDaysInRange('not a day', '2024-03-01'), []);
+  });
+
+  it('select the orders placed in the range', () => {
+    assert.equal(filterOrdersByDay(orders, { from: '2024-06-02', to: '2024-06-02', timeZone: 'UTC' }).length, 2);
+    assert.equal(filterOrdersByDay(orders, { from: '2024-06-02', to: '2024-06-02', timeZone: 'Europe/Madrid' }).length, 1);
+  });
+});
+
+describe('summarizeOrders', () => {
+  it('leaves cancelled and rejected orders out of revenue', () => {
+    assert.deepEqual(summarizeOrders(orders), {
+      orderCount: 4, failedCount: 1, cancellationRate: 0.25, revenue: 60.5, averageOrderValue: 20.17,
+    });
+  });
+
+  it('handles no orders', () => {
+    assert.deepEqual(summarizeOrders([]), { orderCount: 0, failedCount: 0, cancellationRate: 0, revenue: 0, averageOrderValue: 0 });
+  });
+});
+
+describe('breakdowns', () => {
+  it('fill in days without sales', () => {
+    assert.deepEqual(getSalesByDay(orders, { from: '2024-05-31', to: '2024-06-03', timeZone: 'UTC' }), [
+      { date: '2024-05-31', orderCount: 0, revenue: 0 },
+      { date: '2024-06-01', orderCount: 1, revenue: 20 },
+      { date: '2024-06-02', orderCount: 2, revenue: 40.5 },
+      { date: '2024-06-03', orderCount: 0, revenue: 0 },
+    ]);
+  });
+
+  it('rank stores and categories by revenue', () => {
+    assert.deepEqual(getSalesByStore(orders), [
+      { storeId: 'sushi', storeName: 'Sushi Bar', orderCount: 1, revenue: 30.5 },
+      { storeId: 'pizza', storeName: 'Pizza Place', orderCount: 2, revenue: 30 },
+    ]);
+    assert.deepEqual(getSalesByCategory(orders).map(entry => entry.category), ['Pizza', 'Sushi', 'Soup']);
+  });
+
+  it('rank items by units sold', () => {
+    assert.deepEqual(getTopItems(orders), [
+      { productId: 'margherita', name: 'margherita', quantity: 3, revenue: 27 },
+      { productId: 'roll', name: 'roll', quantity: 3, revenue: 27 },
+      { productId: 'soup', name: 'soup', quantity: 1, revenue: 2 },
+    ]);
+    assert.equal(getTopItems(orders, 1).length, 1);
+  });
+});
+
+describe('buildSalesReport', () => {
+  it('only uses the orders in the range', () => {
+    const report = buildSalesReport(orders, { from: '2024-06-02', to: '2024-06-03', timeZone: 'UTC' });
+    assert.equal(report.summary.orderCount, 3);
+    assert.equal(report.summary.revenue, 40.5);
+    assert.equal(report.byDay.length, 2);
+    assert.deepEqual(report.topItems.map(item => item.productId), ['roll', 'margherita', 'soup']);
+  });
+});
+
+describe('order currencies', () => {
+  const mixed = [{ currency: 'MXN', total: 100 }, { total: 5 }, { currency: 'USD', total: 10 }];
+
+  it('lists each currency once, counting orders without one in the fallback', () => {
+    assert.deepEqual(getOrderCurrencies(mixed, 'USD'), ['MXN', 'USD']);
+    assert.deepEqual(getOrderCurrencies(mixed, 'EUR'), ['EUR', 'MXN', 'USD']);
+  });
+
+  it('keeps the orders in one currency', () => {
+    assert.deepEqual(filterOrdersByCurrency(mixed, 'USD', 'USD').map(order => order.total), [5, 10]);
+    assert.deepEqual(filterOrdersByCurrency(mixed, 'MXN', 'USD').map(order => order.total), [100]);
+  });
+});
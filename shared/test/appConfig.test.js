@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_APP_CONFIG, normalizeAppConfig, validateAppConfig, getPricingSettings } from '../appConfig.js';
+import { calculateOrderTotals } from '../pricing.js';
+
+describe('delivery fees', () => {
+  it('keeps a fee for each currency', () => {
+    const config = normalizeAppConfig({ deliveryFees: { USD: 3, EUR: 2.5 } });
+    assert.equal(config.deliveryFees.USD, 3);
+    assert.equal(config.deliveryFees.EUR, 2.5);
+    assert.equal(config.deliveryFees.MXN, DEFAULT_APP_CONFIG.deliveryFees.MXN);
+  });
+
+  it('reads the old single fee as the default currency fee', () => {
+    const config = normalizeAppConfig({ currency: 'EUR', deliveryFee: 4 });
+    assert.equal(config.deliveryFees.EUR, 4);
+    assert.equal(config.deliveryFees.USD, DEFAULT_APP_CONFIG.deliveryFees.USD);
+  });
+
+  it("prices an order with the fee for the order's currency", () => {
+    const config = normalizeAppConfig({ taxRate: 0.1, deliveryFees: { USD: 3, MXN: 40 } });
+    const items = [{ price: 100, quantity: 1 }];
+    assert.equal(calculateOrderTotals(items, getPricingSettings(config, 'USD')).total, 113);
+    assert.equal(calculateOrderTotals(items, getPricingSettings(config, 'MXN')).total, 150);
+  });
+
+  it('rejects a missing or negative fee', () => {
+    assert.equal(validateAppConfig(DEFAULT_APP_CONFIG), null);
+    const deliveryFees = { ...DEFAULT_APP_CONFIG.deliveryFees, GBP: -1 };
+    assert.match(validateAppConfig({ ...DEFAULT_APP_CONFIG, deliveryFees }), /Delivery fees/);
+    assert.match(validateAppConfig({ ...DEFAULT_APP_CONFIG, deliveryFees: { USD: 1 } }), /Delivery fees/);
+  });
+});
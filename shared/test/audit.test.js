@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSameValue, diffFields, toAuditEntry } from '../audit.js';
+
+const timestamp = (millis) => ({ toMillis: () => millis });
+const actor = { uid: 'admin-1', email: 'admin@fresh-eats.test' };
+
+describe('isSameValue', () => {
+  it('compares nested objects and arrays deeply', () => {
+    assert.equal(isSameValue({ hours: [{ open: '09:00' }] }, { hours: [{ open: '09:00' }] }), true);
+    assert.equal(isSameValue({ hours: [{ open: '09:00' }] }, { hours: [{ open: '10:00' }] }), false);
+    assert.equal(isSameValue([1, 2], [1, 2, 3]), false);
+  });
+
+  it('compares timestamps by time and treats null and undefined alike', () => {
+    assert.equal(isSameValue(timestamp(1000), timestamp(1000)), true);
+    assert.equal(isSameValue(timestamp(1000), timestamp(2000)), false);
+    assert.equal(isSameValue(null, undefined), true);
+    assert.equal(isSameValue(0, null), false);
+  });
+});
+
+describe('diffFields', () => {
+  it('lists only the written fields that changed on an update', () => {
+    const before = { name: 'Pizza', price: 10, category: 'Mains', updatedAt: timestamp(1) };
+    assert.deepEqual(diffFields(before, { name: 'Pizza', price: 12 }), { price: { before: 10, after: 12 } });
+  });
+
+  it('lists every field on a create or delete, without bookkeeping fields', () => {
+    assert.deepEqual(diffFields(null, { name: 'Pizza', createdBy: 'admin-1' }), { name: { before: null, after: 'Pizza' } });
+    assert.deepEqual(diffFields({ id: 'p1', name: 'Pizza' }, null), { name: { before: 'Pizza', after: null } });
+  });
+});
+
+describe('toAuditEntry', () => {
+  it('records the actor, action, target and changes', () => {
+    assert.deepEqual(toAuditEntry({
+      actor,
+      action: 'update',
+      entity: 'order',
+      targetPath: 'artifacts/app/users/u1/orders/o1',
+      before: { status: 'pending' },
+      after: { status: 'accepted' },
+    }), {
+      actorId: 'admin-1',
+      actorEmail: 'admin@fresh-eats.test',
+      action: 'update',
+      entity: 'order',
+      targetPath: 'artifacts/app/users/u1/orders/o1',
+      changes: { status: { before: 'pending', after: 'accepted' } },
+    });
+  });
+
+  it('rejects unknown actions and entities', () => {
+    assert.throws(() => toAuditEntry({ actor, action: 'archive', entity: 'store', targetPath: 'x' }), /Unknown audit/);
+    assert.throws(() => toAuditEntry({ actor, action: 'create', entity: 'review', targetPath: 'x' }), /Unknown audit/);
+  });
+});
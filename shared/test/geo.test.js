@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { distanceKm, encodeGeohash, getGeohashRanges, deliversTo, estimateDeliveryMinutes, formatDistance } from '../geo.js';
+import { geocodeAddress } from '../geocoding.js';
+
+const monroe = { lat: 47.8554, lng: -121.9710 };
+const seattle = { lat: 47.6101, lng: -122.3421 };
+
+// Whether `hash` falls in one of the [start, end] ranges, compared like Firestore strings.
+const inRanges = (hash, ranges) => ranges.some(([start, end]) => hash >= start && hash <= end);
+
+describe('distanceKm', () => {
+  it('is zero for the same point and symmetric', () => {
+    assert.equal(distanceKm(monroe, monroe), 0);
+    assert.equal(distanceKm(monroe, seattle), distanceKm(seattle, monroe));
+  });
+
+  it('matches the known distance between two cities', () => {
+    // Monroe to downtown Seattle is about 39 km in a straight line.
+    assert.ok(Math.abs(distanceKm(monroe, seattle) - 38.9) < 0.5);
+  });
+});
+
+describe('encodeGeohash', () => {
+  it('encodes known points', () => {
+    assert.equal(encodeGeohash({ lat: 57.64911, lng: 10.40744 }, 11), 'u4pruydqqvj');
+    assert.equal(encodeGeohash({ lat: 0, lng: 0 }, 5), 's0000');
+  });
+
+  it('shares a prefix between nearby points', () => {
+    assert.equal(encodeGeohash(monroe, 4), encodeGeohash({ lat: 47.8560, lng: -121.9700 }, 4));
+  });
+});
+
+describe('getGeohashRanges', () => {
+  it('covers every point on and inside the circle', () => {
+    const radiusKm = 20;
+    const ranges = getGeohashRanges(monroe, radiusKm);
+    for (let bearing = 0; bearing < 360; bearing += 15) {
+      for (const fraction of [0, 0.5, 0.99]) {
+        const angle = bearing * Math.PI / 180;
+        const dLat = radiusKm * fraction * Math.cos(angle) / 110.574;
+        const dLng = radiusKm * fraction * Math.sin(angle) / (110.574 * Math.cos(monroe.lat * Math.PI / 180));
+        const point = { lat: monroe.lat + dLat, lng: monroe.lng + dLng };
+        assert.ok(inRanges(encodeGeohash(point), ranges), `missed ${JSON.stringify(point)}`);
+      }
+    }
+  });
+
+  it('uses at most nine ranges and excludes far away places', () => {
+    const ranges = getGeohashRanges(monroe, 5);
+    assert.ok(ranges.length >= 1 && ranges.length <= 9);
+    assert.equal(inRanges(encodeGeohash({ lat: 40.7128, lng: -74.0060 }), ranges), false);
+  });
+});
+
+describe('deliversTo', () => {
+  const store = { location: monroe, deliveryRadiusKm: 12 };
+
+  it('accepts locations inside the radius only', () => {
+    // Sultan is about 11.5 km away.
+    assert.equal(deliversTo(store, { lat: 47.8626, lng: -121.8165 }), true);
+    assert.equal(deliversTo(store, seattle), false);
+  });
+
+  it('never matches stores without a location', () => {
+    assert.equal(deliversTo({ deliveryRadiusKm: 10 }, monroe), false);
+  });
+});
+
+describe('estimateDeliveryMinutes', () => {
+  it('adds the ride to the prep time, rounded up to 5 minutes', () => {
+    // 10 km at 25 km/h is 24 minutes.
+    assert.equal(estimateDeliveryMinutes({ prepTime: 20 }, 10), 45);
+    assert.equal(estimateDeliveryMinutes({ prepTime: 20 }, 0), 20);
+  });
+
+  it('uses the default prep time for stores without one', () => {
+    assert.equal(estimateDeliveryMinutes({}, 0), 15);
+  });
+});
+
+describe('formatDistance', () => {
+  it('writes whole meters under 1 km and km to one decimal above', () => {
+    assert.equal(formatDistance(0.25), '250 m');
+    assert.equal(formatDistance(2.5), '2.5 km');
+    assert.equal(formatDistance(12), '12.0 km');
+  });
+
+  it('uses the decimal separator of the locale', () => {
+    assert.equal(formatDistance(2.5, 'es'), '2,5 km');
+    assert.equal(formatDistance(0.25, 'es'), '250 m');
+  });
+});
+
+describe('geocodeAddress', () => {
+  it('finds places by postal code, then by city name', async () => {
+    assert.deepEqual(await geocodeAddress('12 Market Street, 98272'), { label: 'Monroe 98272', ...monroe });
+    assert.equal((await geocodeAddress('somewhere in seattle')).label, 'Seattle 98101');
+  });
+
+  it('returns null for unknown or empty addresses', async () => {
+    assert.equal(await geocodeAddress('1 Infinite Loop, Cupertino'), null);
+    assert.equal(await geocodeAddress('  '), null);
+  });
+});
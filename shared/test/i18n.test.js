@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTranslator, mergeCatalogs, normalizeLocale, pickLocale, SHARED_MESSAGES } from '../i18n.js';
+import { formatPrice } from '../pricing.js';
+import { getStoreCurrency, DEFAULT_APP_CONFIG } from '../appConfig.js';
+import { describeStoreOpenState } from '../storeHours.js';
+import { describePromotion } from '../promotions.js';
+
+const catalogs = {
+  en: { greeting: 'Hello, {name}!', items: { one: '{count} item', other: '{count} items' }, onlyEnglish: 'Fallback' },
+  es: { greeting: '¡Hola, {name}!', items: { one: '{count} artículo', other: '{count} artículos' } },
+};
+
+describe('createTranslator', () => {
+  it('fills in placeholders in the chosen language', () => {
+    assert.equal(createTranslator(catalogs, 'en')('greeting', { name: 'Ana' }), 'Hello, Ana!');
+    assert.equal(createTranslator(catalogs, 'es')('greeting', { name: 'Ana' }), '¡Hola, Ana!');
+  });
+
+  it('picks plural forms by count', () => {
+    const t = createTranslator(catalogs, 'es');
+    assert.equal(t('items', { count: 1 }), '1 artículo');
+    assert.equal(t('items', { count: 3 }), '3 artículos');
+  });
+
+  it('falls back to English, then to the key', () => {
+    const t = createTranslator(catalogs, 'es');
+    assert.equal(t('onlyEnglish'), 'Fallback');
+    assert.equal(t('missing.key'), 'missing.key');
+    assert.equal(t.locale, 'es');
+  });
+
+  it('lets app catalogs override shared messages', () => {
+    const merged = mergeCatalogs(SHARED_MESSAGES, { en: { 'rating.new': 'Brand new' }, es: {} });
+    assert.equal(createTranslator(merged, 'en')('rating.new'), 'Brand new');
+    assert.equal(createTranslator(merged, 'es')('rating.new'), 'Nuevo');
+  });
+});
+
+describe('locale detection', () => {
+  it('maps regional tags to supported languages', () => {
+    assert.equal(normalizeLocale('es-MX'), 'es');
+    assert.equal(normalizeLocale('fr'), null);
+    assert.equal(pickLocale(['fr-FR', 'es-US', 'en']), 'es');
+    assert.equal(pickLocale(['de']), 'en');
+  });
+});
+
+describe('localized prices', () => {
+  it('formats amounts per locale and currency', () => {
+    assert.equal(formatPrice(5, 'USD'), '$5.00');
+    assert.equal(formatPrice(1234.5, 'EUR', 'es').replace(/\s/g, ' '), '1234,50 €');
+    assert.match(formatPrice(5, 'MXN', 'en'), /MX\$5\.00/);
+  });
+
+  it('uses the locale in shared descriptions', () => {
+    const t = createTranslator(SHARED_MESSAGES, 'es');
+    assert.equal(describeStoreOpenState({ isOpen: false, opensAt: { time: '09:00', dayOffset: 2, weekday: 'mon' } }, t), 'Abre el lun a las 09:00');
+    assert.equal(describePromotion({ type: 'fixed', value: 5, minSubtotal: 0 }, 'EUR', t).replace(/\s/g, ' '), '5,00 € de descuento');
+  });
+});
+
+describe('getStoreCurrency', () => {
+  it("uses the store's currency, or the app default for stores without one", () => {
+    assert.equal(getStoreCurrency({ currency: 'MXN' }, { currency: 'USD' }), 'MXN');
+    assert.equal(getStoreCurrency({}, { currency: 'EUR' }), 'EUR');
+    assert.equal(getStoreCurrency({ currency: 'XYZ' }), DEFAULT_APP_CONFIG.currency);
+  });
+});
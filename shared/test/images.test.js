@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getImageFileError, fitWithin, getThumbnailUrl, MAX_IMAGE_BYTES } from '../images.js';
+import { getProductImagePath, getStoreImagePath } from '../paths.js';
+
+describe('getImageFileError', () => {
+  it('accepts JPEG, PNG and WebP files up to the size limit', () => {
+    assert.equal(getImageFileError({ type: 'image/jpeg', size: 1024 }), null);
+    assert.equal(getImageFileError({ type: 'image/webp', size: MAX_IMAGE_BYTES }), null);
+  });
+
+  it('rejects other types, large files and no file', () => {
+    assert.match(getImageFileError({ type: 'image/gif', size: 1024 }), /JPEG, PNG or WebP/);
+    assert.match(getImageFileError({ type: 'image/png', size: MAX_IMAGE_BYTES + 1 }), /5 MB or smaller/);
+    assert.equal(getImageFileError(null), "Choose an image.");
+  });
+});
+
+describe('fitWithin', () => {
+  it('scales the longest side down and keeps the aspect ratio', () => {
+    assert.deepEqual(fitWithin({ width: 4000, height: 3000 }, 400), { width: 400, height: 300 });
+    assert.deepEqual(fitWithin({ width: 1000, height: 2000 }, 400), { width: 200, height: 400 });
+    assert.deepEqual(fitWithin({ width: 4000, height: 1 }, 400), { width: 400, height: 1 });
+  });
+
+  it('never scales up', () => {
+    assert.deepEqual(fitWithin({ width: 300, height: 200 }, 400), { width: 300, height: 200 });
+  });
+});
+
+describe('image locations', () => {
+  it('prefer the thumbnail', () => {
+    assert.equal(getThumbnailUrl({ image: { url: 'full', thumbnailUrl: 'thumb' } }), 'thumb');
+    assert.equal(getThumbnailUrl({ image: { url: 'full' } }), 'full');
+    assert.equal(getThumbnailUrl({ image: null }), null);
+  });
+
+  it('live in one Storage folder per document', () => {
+    assert.equal(getProductImagePath('app', 'p1', 'a.jpg'), 'artifacts/app/products/p1/a.jpg');
+    assert.equal(getStoreImagePath('app', 's1', 'a.jpg'), 'artifacts/app/stores/s1/a.jpg');
+    assert.throws(() => getStoreImagePath('app', 's1', 'nested/a.jpg'), TypeError);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTranslator, SHARED_MESSAGES } from '../i18n.js';
+import {
+  ORDER_FLOW, ORDER_STATUSES, CANCELLED, REJECTED, canTransition, assertTransition, getNextStatus,
+  isFinalStatus, canCustomerCancel,
+} from '../orderStatus.js';
+
+describe('order transitions', () => {
+  it('allows each step of the happy path', () => {
+    for (let index = 1; index < ORDER_FLOW.length; index += 1) {
+      assert.equal(canTransition(ORDER_FLOW[index - 1], ORDER_FLOW[index]), true);
+      assert.doesNotThrow(() => assertTransition(ORDER_FLOW[index - 1], ORDER_FLOW[index]));
+    }
+  });
+
+  it('allows rejecting only a placed order', () => {
+    assert.equal(canTransition('placed', REJECTED), true);
+    assert.equal(canTransition('accepted', REJECTED), false);
+  });
+
+  it('allows cancelling until the order is out for delivery', () => {
+    assert.equal(canTransition('placed', CANCELLED), true);
+    assert.equal(canTransition('preparing', CANCELLED), true);
+    assert.equal(canTransition('out_for_delivery', CANCELLED), false);
+  });
+
+  it('rejects going back or skipping steps', () => {
+    assert.throws(() => assertTransition('delivered', 'preparing'));
+    assert.throws(() => assertTransition('preparing', 'accepted'));
+    assert.throws(() => assertTransition('placed', 'delivered'));
+  });
+
+  it('lets nothing leave a final status', () => {
+    for (const from of ['delivered', CANCELLED, REJECTED]) {
+      assert.equal(isFinalStatus(from), true);
+      assert.equal(getNextStatus(from), null);
+      for (const to of ORDER_STATUSES) {
+        assert.throws(() => assertTransition(from, to), `${from} -> ${to}`);
+      }
+    }
+  });
+
+  it('names the statuses of a refused move in the language of `t`', () => {
+    assert.throws(() => assertTransition('delivered', 'preparing'), { message: 'An order cannot move from "Delivered" to "Preparing".' });
+    const t = createTranslator(SHARED_MESSAGES, 'es');
+    assert.throws(() => assertTransition('delivered', 'preparing', t), { message: 'Un pedido no puede pasar de "Entregado" a "En preparación".' });
+  });
+
+  it('rejects unknown statuses', () => {
+    assert.equal(canTransition('lost', 'placed'), false);
+    assert.throws(() => assertTransition('placed', 'lost'));
+  });
+
+  it('finds the next step on the happy path', () => {
+    assert.equal(getNextStatus('placed'), 'accepted');
+    assert.equal(getNextStatus('out_for_delivery'), 'delivered');
+  });
+});
+
+describe('canCustomerCancel', () => {
+  it('lets customers cancel only before the store accepts', () => {
+    assert.equal(canCustomerCancel({ status: 'placed' }), true);
+    for (const status of ['accepted', 'preparing', 'out_for_delivery', 'delivered', CANCELLED, REJECTED]) {
+      assert.equal(canCustomerCancel({ status }), false, status);
+    }
+  });
+});
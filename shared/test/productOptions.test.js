@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateOptionGroups, describeOptionGroupRule, getDefaultSelections, getSelectionError, getSelectedOptions,
+  toSelections, calculateUnitPrice, getCartLineId, getStartingPrice, formatSelectedOptions,
+} from '../productOptions.js';
+
+const size = {
+  id: 'size', name: 'Size', minSelections: 1, maxSelections: 1,
+  options: [{ id: 'small', name: 'Small', priceDelta: 0 }, { id: 'large', name: 'Large', priceDelta: 3 }],
+};
+const toppings = {
+  id: 'toppings', name: 'Toppings', minSelections: 0, maxSelections: 2,
+  options: [{ id: 'olives', name: 'Olives', priceDelta: 1 }, { id: 'cheese', name: 'Extra cheese', priceDelta: 1.5 }, { id: 'basil', name: 'Basil', priceDelta: 0.25 }],
+};
+const pizza = { id: 'pizza', price: 10, optionGroups: [size, toppings] };
+
+describe('validateOptionGroups', () => {
+  it('accepts well-formed groups and no groups', () => {
+    assert.equal(validateOptionGroups([size, toppings]), null);
+    assert.equal(validateOptionGroups([]), null);
+    assert.equal(validateOptionGroups(undefined), null);
+  });
+
+  it('requires names and options', () => {
+    assert.equal(validateOptionGroups([{ ...size, name: ' ' }]), "Every option group needs a name.");
+    assert.match(validateOptionGroups([{ ...size, options: [] }]), /needs between 1 and/);
+    assert.equal(validateOptionGroups([{ ...size, options: [{ id: 'a', name: '', priceDelta: 0 }] }]), "Every option in Size needs a name.");
+  });
+
+  it('rejects negative price changes and impossible limits', () => {
+    assert.match(validateOptionGroups([{ ...size, options: [{ id: 'a', name: 'A', priceDelta: -1 }] }]), /must be 0 or more/);
+    assert.match(validateOptionGroups([{ ...toppings, minSelections: 3, maxSelections: 2 }]), /choose a minimum/);
+    assert.match(validateOptionGroups([{ ...toppings, maxSelections: 4 }]), /choose a minimum/);
+    assert.match(validateOptionGroups([{ ...toppings, maxSelections: 0, minSelections: 0 }]), /choose a minimum/);
+  });
+});
+
+describe('describeOptionGroupRule', () => {
+  it('describes required and optional groups', () => {
+    assert.equal(describeOptionGroupRule(size), 'Choose 1');
+    assert.equal(describeOptionGroupRule(toppings), 'Optional, up to 2');
+    assert.equal(describeOptionGroupRule({ minSelections: 0, maxSelections: 1 }), 'Optional');
+    assert.equal(describeOptionGroupRule({ minSelections: 1, maxSelections: 3 }), 'Choose 1-3');
+  });
+});
+
+describe('selections', () => {
+  it('start with the first option of single-choice required groups', () => {
+    assert.deepEqual(getDefaultSelections(pizza), { size: ['small'], toppings: [] });
+    assert.deepEqual(getDefaultSelections({ price: 5 }), {});
+  });
+
+  it('must meet every group minimum and maximum', () => {
+    assert.equal(getSelectionError(pizza, { size: ['large'], toppings: ['olives'] }), null);
+    assert.equal(getSelectionError(pizza, { toppings: [] }), "Choose Size.");
+    assert.equal(getSelectionError(pizza, { size: ['small'], toppings: ['olives', 'cheese', 'basil'] }), "Choose at most 2 for Toppings.");
+  });
+
+  it('reject options and groups the product no longer has', () => {
+    assert.equal(getSelectionError(pizza, { size: ['medium'] }), "A choice for Size is no longer available.");
+    assert.equal(getSelectionError(pizza, { size: ['small'], crust: ['thin'] }), "Some choices are no longer available.");
+    assert.equal(getSelectionError({ price: 5 }, {}), null);
+  });
+
+  it('turn into selected options in menu order and back', () => {
+    const selections = { toppings: ['cheese', 'olives'], size: ['large'] };
+    const options = getSelectedOptions(pizza, selections);
+    assert.deepEqual(options.map(option => option.optionId), ['large', 'olives', 'cheese']);
+    assert.deepEqual(options[0], { groupId: 'size', groupName: 'Size', optionId: 'large', name: 'Large', priceDelta: 3 });
+    assert.deepEqual(toSelections(options), { size: ['large'], toppings: ['olives', 'cheese'] });
+    assert.equal(formatSelectedOptions(options), 'Large, Olives, Extra cheese');
+  });
+});
+
+describe('pricing options', () => {
+  it('adds the price changes to the base price', () => {
+    const options = getSelectedOptions(pizza, { size: ['large'], toppings: ['cheese', 'basil'] });
+    assert.equal(calculateUnitPrice(10, options), 14.75);
+    assert.equal(calculateUnitPrice(10), 10);
+  });
+
+  it('starts at the cheapest required choices', () => {
+    assert.equal(getStartingPrice(pizza), 10);
+    assert.equal(getStartingPrice({ price: 10, optionGroups: [{ ...toppings, minSelections: 2 }] }), 11.25);
+  });
+});
+
+describe('getCartLineId', () => {
+  it('separates lines by their options', () => {
+    const large = getSelectedOptions(pizza, { size: ['large'] });
+    const small = getSelectedOptions(pizza, { size: ['small'] });
+    assert.equal(getCartLineId('pizza'), 'pizza');
+    assert.notEqual(getCartLineId('pizza', large), getCartLineId('pizza', small));
+    assert.equal(getCartLineId('pizza', large), getCartLineId('pizza', getSelectedOptions(pizza, { size: ['large'] })));
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateDiscount, calculateOrderTotals } from '../pricing.js';
+import { getPromotionError, describePromotion, normalizePromoCode, isValidPromoCode } from '../promotions.js';
+
+const promotion = (fields) => ({
+  code: 'SAVE10',
+  type: 'percent',
+  value: 10,
+  minSubtotal: 0,
+  storeId: null,
+  startsAt: null,
+  endsAt: null,
+  maxRedemptions: null,
+  maxRedemptionsPerUser: null,
+  redemptionCount: 0,
+  active: true,
+  ...fields,
+});
+
+const now = new Date('2024-06-12T12:00:00Z');
+
+describe('calculateDiscount', () => {
+  it('takes a percentage or a fixed amount off', () => {
+    assert.equal(calculateDiscount(promotion({ type: 'percent', value: 15 }), 20), 3);
+    assert.equal(calculateDiscount(promotion({ type: 'fixed', value: 5 }), 20), 5);
+  });
+
+  it('never takes off more than the subtotal', () => {
+    assert.equal(calculateDiscount(promotion({ type: 'fixed', value: 25 }), 20), 20);
+    assert.equal(calculateDiscount(promotion({ type: 'fixed', value: 5 }), 0), 0);
+  });
+
+  it('is zero without a promotion', () => {
+    assert.equal(calculateDiscount(null, 20), 0);
+  });
+});
+
+describe('calculateOrderTotals with a promotion', () => {
+  const items = [{ price: 10, quantity: 2 }];
+
+  it('charges tax on the discounted subtotal', () => {
+    const totals = calculateOrderTotals(items, { taxRate: 0.1, deliveryFee: 3, promotion: promotion({ type: 'fixed', value: 5 }) });
+    assert.deepEqual(totals, { subtotal: 20, discount: 5, tax: 1.5, deliveryFee: 3, total: 19.5 });
+  });
+
+  it('reports no discount without a promotion', () => {
+    assert.equal(calculateOrderTotals(items, { taxRate: 0.1, deliveryFee: 3 }).discount, 0);
+  });
+});
+
+describe('getPromotionError', () => {
+  const check = (fields, context = {}) => getPromotionError(promotion(fields), { storeId: 'store-1', subtotal: 20, now, ...context });
+
+  it('accepts an eligible promotion', () => {
+    assert.equal(check({}), null);
+  });
+
+  it('rejects unknown and paused codes', () => {
+    assert.equal(getPromotionError(null, { storeId: 'store-1', subtotal: 20, now }), "This promo code is not valid.");
+    assert.equal(check({ active: false }), "This promo code is not valid.");
+  });
+
+  it('follows the validity window', () => {
+    assert.equal(check({ startsAt: new Date('2024-06-13T00:00:00Z') }), "This promo code is not active yet.");
+    assert.equal(check({ endsAt: new Date('2024-06-12T12:00:00Z') }), "This promo code has expired.");
+    assert.equal(check({ startsAt: new Date('2024-06-01T00:00:00Z'), endsAt: new Date('2024-07-01T00:00:00Z') }), null);
+  });
+
+  it('reads Firestore Timestamps', () => {
+    const timestamp = { toMillis: () => Date.parse('2024-06-01T00:00:00Z') };
+    assert.equal(check({ endsAt: timestamp }), "This promo code has expired.");
+  });
+
+  it('limits codes to their store', () => {
+    assert.equal(check({ storeId: 'store-2' }), "This promo code doesn't apply to this store.");
+    assert.equal(check({ storeId: 'store-1' }), null);
+  });
+
+  it('enforces the total and per-customer limits', () => {
+    assert.equal(check({ maxRedemptions: 5, redemptionCount: 5 }), "This promo code has run out.");
+    assert.equal(check({ maxRedemptionsPerUser: 1 }, { userRedemptionCount: 1 }), "You've already used this promo code.");
+    assert.equal(check({ maxRedemptionsPerUser: 2 }, { userRedemptionCount: 1 }), null);
+  });
+
+  it('says how much is missing below the minimum', () => {
+    assert.equal(check({ minSubtotal: 25, currency: 'USD' }), "Add $5.00 more to use this promo code.");
+  });
+
+  it('applies amounts only to orders in their currency', () => {
+    const euros = "This promo code doesn't apply to orders in this currency.";
+    assert.equal(check({ type: 'fixed', value: 5, currency: 'EUR' }), euros);
+    assert.equal(check({ type: 'fixed', value: 5, currency: 'EUR' }, { currency: 'EUR' }), null);
+    assert.equal(check({ minSubtotal: 10, currency: 'EUR' }), euros);
+    assert.equal(check({ type: 'fixed', value: 5 }), euros);
+    assert.equal(check({ currency: null }, { currency: 'MXN' }), null);
+  });
+});
+
+describe('promo code helpers', () => {
+  it('normalizes and validates codes', () => {
+    assert.equal(normalizePromoCode('  welcome10 '), 'WELCOME10');
+    assert.equal(isValidPromoCode('WELCOME10'), true);
+    assert.equal(isValidPromoCode('AB'), false);
+    assert.equal(isValidPromoCode('NO/SLASH'), false);
+  });
+
+  it('describes the discount', () => {
+    assert.equal(describePromotion(promotion({ value: 10 })), '10% off');
+    assert.equal(describePromotion(promotion({ type: 'fixed', value: 5, minSubtotal: 20 })), '$5.00 off orders over $20.00');
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getStoreOpenState, describeStoreOpenState, getLocalTime, isValidTimeZone } from '../storeHours.js';
+
+const everyDay = (open, close) => Object.fromEntries(
+  ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].map(day => [day, { open, close }])
+);
+
+// 2024-06-12 is a Wednesday.
+const utcStore = (fields) => ({ timezone: 'UTC', openingHours: everyDay('09:00', '17:00'), ...fields });
+const at = (iso) => new Date(iso);
+
+describe('getLocalTime', () => {
+  it('converts to the store timezone, including the date', () => {
+    // 03:30 UTC on Wednesday is 20:30 on Tuesday in Los Angeles (UTC-7 in June).
+    assert.deepEqual(getLocalTime(at('2024-06-12T03:30:00Z'), 'America/Los_Angeles'), { date: '2024-06-11', weekday: 2, minutes: 20 * 60 + 30 });
+  });
+
+  it('follows daylight saving time', () => {
+    // Los Angeles is UTC-8 in January.
+    assert.equal(getLocalTime(at('2024-01-10T17:00:00Z'), 'America/Los_Angeles').minutes, 9 * 60);
+    assert.equal(getLocalTime(at('2024-07-10T17:00:00Z'), 'America/Los_Angeles').minutes, 10 * 60);
+  });
+
+  it('falls back to UTC for unknown timezones', () => {
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+    assert.equal(getLocalTime(at('2024-06-12T10:15:00Z'), 'Mars/Olympus_Mons').minutes, 10 * 60 + 15);
+  });
+});
+
+describe('getStoreOpenState', () => {
+  it('treats stores without opening hours as always open', () => {
+    assert.equal(getStoreOpenState({}, at('2024-06-12T03:00:00Z')).isOpen, true);
+  });
+
+  it('is open inside the hours and closed at the closing minute', () => {
+    assert.equal(getStoreOpenState(utcStore(), at('2024-06-12T09:00:00Z')).isOpen, true);
+    assert.equal(getStoreOpenState(utcStore(), at('2024-06-12T16:59:00Z')).isOpen, true);
+    const closed = getStoreOpenState(utcStore(), at('2024-06-12T17:00:00Z'));
+    assert.equal(closed.isOpen, false);
+    assert.equal(closed.reason, 'closed');
+  });
+
+  it('reports the closing time while open', () => {
+    assert.equal(getStoreOpenState(utcStore(), at('2024-06-12T12:00:00Z')).closesAt, '17:00');
+  });
+
+  it('reports a later opening today before the store opens', () => {
+    const state = getStoreOpenState(utcStore(), at('2024-06-12T07:45:00Z'));
+    assert.deepEqual(state.opensAt, { time: '09:00', dayOffset: 0, weekday: 'wed' });
+    assert.equal(describeStoreOpenState(state), 'Opens at 09:00');
+  });
+
+  it("reports tomorrow's opening after closing time", () => {
+    const state = getStoreOpenState(utcStore(), at('2024-06-12T20:00:00Z'));
+    assert.deepEqual(state.opensAt, { time: '09:00', dayOffset: 1, weekday: 'thu' });
+    assert.equal(describeStoreOpenState(state), 'Opens tomorrow at 09:00');
+  });
+
+  it('skips closed weekdays when looking for the next opening', () => {
+    const openingHours = { mon: { open: '10:00', close: '14:00' } };
+    const state = getStoreOpenState(utcStore({ openingHours }), at('2024-06-12T12:00:00Z'));
+    assert.deepEqual(state.opensAt, { time: '10:00', dayOffset: 5, weekday: 'mon' });
+    assert.equal(describeStoreOpenState(state), 'Opens Mon at 10:00');
+  });
+
+  it('finds the same weekday next week', () => {
+    const openingHours = { wed: { open: '09:00', close: '10:00' } };
+    const state = getStoreOpenState(utcStore({ openingHours }), at('2024-06-12T12:00:00Z'));
+    assert.deepEqual(state.opensAt, { time: '09:00', dayOffset: 7, weekday: 'wed' });
+  });
+
+  it('is closed without a next opening when no day has hours', () => {
+    const state = getStoreOpenState(utcStore({ openingHours: {} }), at('2024-06-12T12:00:00Z'));
+    assert.equal(state.isOpen, false);
+    assert.equal(state.opensAt, null);
+    assert.equal(describeStoreOpenState(state), 'Closed');
+  });
+
+  describe('hours past midnight', () => {
+    const lateNight = utcStore({ openingHours: { tue: { open: '18:00', close: '02:00' } } });
+
+    it('is open in the evening and after midnight', () => {
+      assert.equal(getStoreOpenState(lateNight, at('2024-06-11T23:30:00Z')).isOpen, true);
+      const afterMidnight = getStoreOpenState(lateNight, at('2024-06-12T01:59:00Z'));
+      assert.equal(afterMidnight.isOpen, true);
+      assert.equal(afterMidnight.closesAt, '02:00');
+    });
+
+    it('closes at the closing time on the next day', () => {
+      assert.equal(getStoreOpenState(lateNight, at('2024-06-12T02:00:00Z')).isOpen, false);
+    });
+
+    it('does not open after midnight on a day whose previous day has no hours', () => {
+      // Monday has no hours, so early Tuesday is closed.
+      assert.equal(getStoreOpenState(lateNight, at('2024-06-11T01:00:00Z')).isOpen, false);
+    });
+
+    it('treats equal open and close times as open around the clock', () => {
+      const allDay = utcStore({ openingHours: everyDay('00:00', '00:00') });
+      assert.equal(getStoreOpenState(allDay, at('2024-06-12T00:00:00Z')).isOpen, true);
+      assert.equal(getStoreOpenState(allDay, at('2024-06-12T23:59:00Z')).isOpen, true);
+    });
+  });
+
+  describe('timezones', () => {
+    it('evaluates the hours in the store timezone', () => {
+      // 16:30 UTC is 09:30 in Los Angeles and 18:30 in Berlin (summer time).
+      const now = at('2024-06-12T16:30:00Z');
+      assert.equal(getStoreOpenState(utcStore({ timezone: 'America/Los_Angeles' }), now).isOpen, true);
+      assert.equal(getStoreOpenState(utcStore({ timezone: 'Europe/Berlin' }), now).isOpen, false);
+    });
+
+    it("uses the store's local weekday, not the UTC one", () => {
+      // 02:00 UTC on Wednesday is Tuesday evening in New York.
+      const store = utcStore({ timezone: 'America/New_York', openingHours: { tue: { open: '18:00', close: '23:00' } } });
+      assert.equal(getStoreOpenState(store, at('2024-06-12T02:00:00Z')).isOpen, true);
+    });
+  });
+
+  describe('holidays', () => {
+    it('closes the store for the whole local day', () => {
+      const store = utcStore({ holidays: ['2024-06-12'] });
+      const state = getStoreOpenState(store, at('2024-06-12T12:00:00Z'));
+      assert.equal(state.isOpen, false);
+      assert.equal(state.reason, 'holiday');
+      assert.deepEqual(state.opensAt, { time: '09:00', dayOffset: 1, weekday: 'thu' });
+    });
+
+    it('uses the store-local date', () => {
+      // 2024-06-12T05:00Z is still June 11 in Los Angeles.
+      const store = utcStore({ timezone: 'America/Los_Angeles', openingHours: everyDay('00:00', '00:00'), holidays: ['2024-06-12'] });
+      assert.equal(getStoreOpenState(store, at('2024-06-12T05:00:00Z')).isOpen, true);
+      assert.equal(getStoreOpenState(store, at('2024-06-12T08:00:00Z')).isOpen, false);
+    });
+
+    it("keeps the previous night's hours past midnight", () => {
+      const store = utcStore({ openingHours: everyDay('18:00', '02:00'), holidays: ['2024-06-12'] });
+      assert.equal(getStoreOpenState(store, at('2024-06-12T01:00:00Z')).isOpen, true);
+      assert.equal(getStoreOpenState(store, at('2024-06-12T19:00:00Z')).isOpen, false);
+    });
+
+    it('skips holidays when looking for the next opening', () => {
+      const store = utcStore({ holidays: ['2024-06-13', '2024-06-14'] });
+      assert.deepEqual(getStoreOpenState(store, at('2024-06-12T20:00:00Z')).opensAt, { time: '09:00', dayOffset: 3, weekday: 'sat' });
+    });
+  });
+
+  it('is closed while orders are paused, even inside the hours', () => {
+    const state = getStoreOpenState(utcStore({ ordersPaused: true }), at('2024-06-12T12:00:00Z'));
+    assert.equal(state.isOpen, false);
+    assert.equal(state.reason, 'paused');
+    assert.equal(describeStoreOpenState(state), 'Closed');
+    assert.equal(getStoreOpenState({ ordersPaused: true }).isOpen, false);
+  });
+});
@@ -0,0 +1,63 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { SHARED_MESSAGES, DEFAULT_LOCALE, normalizeLocale, pickLocale, mergeCatalogs, createTranslator } from './i18n.js';
+import { formatPrice } from './pricing.js';
+import { formatDistance } from './geo.js';
+
+// ----------------------
+// LANGUAGE PROVIDER
+// ----------------------
+// Holds the chosen language for an app and hands out its translator (see i18n.js). The
+// choice is remembered in localStorage; the first visit follows the browser's languages.
+// Plain JS (no JSX), like firebase.js.
+
+const STORAGE_KEY = 'fresh-eats-locale';
+
+const loadLocale = () => {
+  try {
+    const saved = normalizeLocale(window.localStorage.getItem(STORAGE_KEY));
+    if (saved) return saved;
+  } catch (e) {
+    console.warn("Ignoring unreadable saved language:", e);
+  }
+  return typeof navigator === 'undefined' ? DEFAULT_LOCALE : pickLocale(navigator.languages || [navigator.language]);
+};
+
+const I18nContext = createContext(null);
+
+// `messages` is the app's catalog, layered over SHARED_MESSAGES.
+export const I18nProvider = ({ messages, children }) => {
+  const [locale, setLocaleState] = useState(loadLocale);
+  const catalogs = useMemo(() => mergeCatalogs(SHARED_MESSAGES, messages), [messages]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    try {
+      window.localStorage.setItem(STORAGE_KEY, locale);
+    } catch (e) {
+      // Private browsing or a full quota; the choice still holds for this session.
+      console.warn("Could not persist language:", e);
+    }
+  }, [locale]);
+
+  const setLocale = useCallback((next) => setLocaleState(normalizeLocale(next) || DEFAULT_LOCALE), []);
+
+  const value = useMemo(() => ({
+    locale,
+    setLocale,
+    t: createTranslator(catalogs, locale),
+    // Prices in `currency`, formatted for the current language.
+    formatPrice: (amount, currency) => formatPrice(amount, currency, locale),
+    formatDistance: (distance) => formatDistance(distance, locale),
+  }), [catalogs, locale, setLocale]);
+
+  return React.createElement(I18nContext.Provider, { value }, children);
+};
+
+// { locale, setLocale, t, formatPrice, formatDistance } for components below <I18nProvider>.
+export const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error("useI18n must be used inside <I18nProvider>.");
+  }
+  return context;
+};
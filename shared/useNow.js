@@ -0,0 +1,14 @@
+import { useEffect, useState } from 'react';
+
+// The current time, refreshed every `intervalMs` so time-based labels (like a store's
+// Open/Closed state) update while the page stays open.
+export const useNow = (intervalMs = 60 * 1000) => {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return now;
+};
@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+
+// Whether the browser thinks it is online, updated on its 'online'/'offline' events.
+// Firestore keeps serving its local cache and queues writes while this is false.
+export const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => (typeof navigator === 'undefined' ? true : navigator.onLine));
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return isOnline;
+};